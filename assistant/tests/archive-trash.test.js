@@ -0,0 +1,149 @@
+/**
+ * Archive and Trash Tests
+ */
+
+import {
+  createProject,
+  getAllProjects,
+  getProject,
+  deleteProject,
+  archiveProjects,
+  unarchiveProjects,
+  trashProjects,
+  restoreFromTrash,
+  countProjectsByState,
+  getTrashRetentionDays,
+  setTrashRetentionDays,
+  purgeExpiredTrash,
+  emptyTrash,
+  DEFAULT_TRASH_RETENTION_DAYS
+} from '../../shared/js/projects.js';
+import { renderTrashView } from '../../shared/js/archive-trash.js';
+import { renderProjectsList } from '../../shared/js/views.js';
+import { updateStorageInfo } from '../../shared/js/router.js';
+import storage from '../../shared/js/storage.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+beforeEach(async () => {
+  await storage.init();
+  for (const project of await getAllProjects()) {
+    await deleteProject(project.id);
+  }
+  await storage.saveSetting('trashRetentionDays', null);
+});
+
+describe('archive and trash', () => {
+  test('moves projects between states and back', async () => {
+    const a = await createProject({ issueTitle: 'A' });
+    const b = await createProject({ issueTitle: 'B' });
+    await createProject({ issueTitle: 'C' });
+
+    await archiveProjects([a.id]);
+    await trashProjects([b.id]);
+    expect(countProjectsByState(await getAllProjects())).toEqual({ active: 1, archived: 1, trashed: 1 });
+
+    await unarchiveProjects([a.id]);
+    await restoreFromTrash([b.id]);
+    expect(countProjectsByState(await getAllProjects())).toEqual({ active: 3, archived: 0, trashed: 0 });
+    expect((await getProject(b.id)).trashedAt).toBeUndefined();
+  });
+
+  test('a trashed archived project goes back to the archive', async () => {
+    const project = await createProject({ issueTitle: 'Old' });
+    await archiveProjects([project.id]);
+    await trashProjects([project.id]);
+    await restoreFromTrash([project.id]);
+
+    expect(countProjectsByState([await getProject(project.id)])).toEqual({ active: 0, archived: 1, trashed: 0 });
+  });
+
+  test('keeps the last-updated time of each project', async () => {
+    const project = await createProject({ issueTitle: 'Steady' });
+    await new Promise(resolve => setTimeout(resolve, 5));
+
+    await archiveProjects([project.id]);
+    await unarchiveProjects([project.id]);
+    await trashProjects([project.id]);
+    await restoreFromTrash([project.id]);
+
+    expect((await getProject(project.id)).updatedAt).toBe(project.updatedAt);
+  });
+});
+
+describe('trash retention', () => {
+  test('defaults to 30 days and validates changes', async () => {
+    expect(await getTrashRetentionDays()).toBe(DEFAULT_TRASH_RETENTION_DAYS);
+    await setTrashRetentionDays(7);
+    expect(await getTrashRetentionDays()).toBe(7);
+    await expect(setTrashRetentionDays(0)).rejects.toThrow('Trash retention must be between 1 and 365 days');
+    await expect(setTrashRetentionDays(2.5)).rejects.toThrow();
+  });
+
+  test('purges only projects trashed longer than the retention period', async () => {
+    const old = await createProject({ issueTitle: 'Old' });
+    const recent = await createProject({ issueTitle: 'Recent' });
+    await trashProjects([old.id, recent.id]);
+    await setTrashRetentionDays(7);
+
+    const now = new Date(Date.now() + 7 * DAY + 1000);
+    const stored = await getProject(recent.id);
+    stored.trashedAt = new Date(now.getTime() - DAY).toISOString();
+    await storage.saveProject(stored);
+
+    expect(await purgeExpiredTrash(now)).toBe(1);
+    expect(await getProject(old.id)).toBeUndefined();
+    expect(await getProject(recent.id)).toBeDefined();
+  });
+
+  test('empty trash leaves active projects alone', async () => {
+    const kept = await createProject({ issueTitle: 'Kept' });
+    const gone = await createProject({ issueTitle: 'Gone' });
+    await trashProjects([gone.id]);
+
+    expect(await emptyTrash()).toBe(1);
+    expect((await getAllProjects()).map(p => p.id)).toEqual([kept.id]);
+  });
+});
+
+describe('views', () => {
+  beforeEach(() => {
+    document.body.innerHTML = '<div id="app-container"></div><span id="storage-info"></span>';
+  });
+
+  test('the main list hides archived and trashed projects and links to both', async () => {
+    const archived = await createProject({ issueTitle: 'Archived one' });
+    const trashed = await createProject({ issueTitle: 'Trashed one' });
+    await createProject({ issueTitle: 'Active one' });
+    await archiveProjects([archived.id]);
+    await trashProjects([trashed.id]);
+
+    await renderProjectsList();
+
+    expect(document.querySelectorAll('.project-card')).toHaveLength(1);
+    expect(document.getElementById('archive-link').textContent).toContain('Archive (1)');
+    expect(document.getElementById('trash-link').textContent).toContain('Trash (1)');
+  });
+
+  test('the trash view restores a project', async () => {
+    const project = await createProject({ issueTitle: 'Oops' });
+    await trashProjects([project.id]);
+
+    await renderTrashView();
+    expect(document.querySelector('li[data-project-id]').textContent).toContain('purged in 30 days');
+    document.querySelector('.restore-btn').click();
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    expect((await getProject(project.id)).trashedAt).toBeUndefined();
+  });
+
+  test('the footer counts each state separately', async () => {
+    const project = await createProject({ issueTitle: 'Done' });
+    await createProject({ issueTitle: 'Open' });
+    await archiveProjects([project.id]);
+
+    await updateStorageInfo();
+
+    expect(document.getElementById('storage-info').textContent).toMatch(/^1 active • 1 archived • 0 in trash/);
+  });
+});
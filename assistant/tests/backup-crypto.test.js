@@ -0,0 +1,116 @@
+/**
+ * Encrypted Backup Tests
+ */
+
+import { TextEncoder, TextDecoder } from 'util';
+import {
+  ENCRYPTED_BACKUP_FORMAT,
+  VALIDATOR_HISTORY_KEY,
+  encryptBackup,
+  decryptBackup,
+  isEncryptedBackup,
+  restoreValidatorHistory,
+  buildEncryptedBackup
+} from '../../shared/js/backup-crypto.js';
+import { createProject } from '../../shared/js/projects.js';
+import storage from '../../shared/js/storage.js';
+
+global.TextEncoder = TextEncoder;
+global.TextDecoder = TextDecoder;
+
+const PASSPHRASE = 'correct horse battery';
+const BACKUP = { version: '1.0', projects: [{ id: 'a', title: 'Roadmap item' }] };
+
+/**
+ * Flip one byte of a base64 field
+ */
+function tamper(base64) {
+  const bytes = Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+  bytes[0] ^= 0xff;
+  return btoa(String.fromCharCode(...bytes));
+}
+
+describe('encryptBackup / decryptBackup', () => {
+  let envelope;
+
+  beforeAll(async () => {
+    envelope = await encryptBackup(BACKUP, PASSPHRASE);
+  });
+
+  test('round-trips without exposing the content', async () => {
+    expect(isEncryptedBackup(envelope)).toBe(true);
+    expect(envelope.format).toBe(ENCRYPTED_BACKUP_FORMAT);
+    expect(envelope.kdf).toMatchObject({ name: 'PBKDF2', hash: 'SHA-256' });
+    expect(JSON.stringify(envelope)).not.toContain('Roadmap item');
+
+    expect(await decryptBackup(envelope, PASSPHRASE)).toEqual(BACKUP);
+  });
+
+  test('reports a wrong passphrase', async () => {
+    await expect(decryptBackup(envelope, 'not the passphrase')).rejects.toThrow('Wrong passphrase, or the backup file is damaged');
+  });
+
+  test('does not blame the passphrase alone for a tampered header', async () => {
+    const salted = { ...envelope, kdf: { ...envelope.kdf, salt: tamper(envelope.kdf.salt) } };
+    await expect(decryptBackup(salted, PASSPHRASE)).rejects.toThrow('Wrong passphrase, or the backup file is damaged');
+  });
+
+  test('refuses key settings it did not write', async () => {
+    const slow = { ...envelope, kdf: { ...envelope.kdf, iterations: 1e12 } };
+    await expect(decryptBackup(slow, PASSPHRASE)).rejects.toThrow('Encrypted backup is damaged or uses unsupported key settings');
+  });
+
+  test('reports a file modified after export', async () => {
+    const modified = { ...envelope, data: tamper(envelope.data) };
+    await expect(decryptBackup(modified, PASSPHRASE)).rejects.toThrow('Backup has been modified since it was exported');
+  });
+
+  test('reports a damaged envelope', async () => {
+    const damaged = { ...envelope, cipher: { ...envelope.cipher, iv: '%%%' } };
+    await expect(decryptBackup(damaged, PASSPHRASE)).rejects.toThrow('Encrypted backup is damaged or incomplete');
+    await expect(decryptBackup({ projects: [] }, PASSPHRASE)).rejects.toThrow('Not an encrypted backup');
+  });
+
+  test('requires a passphrase of reasonable length', async () => {
+    await expect(encryptBackup(BACKUP, 'short')).rejects.toThrow('Passphrase must be at least 8 characters');
+  });
+});
+
+describe('validator history', () => {
+  afterEach(() => {
+    localStorage.removeItem(VALIDATOR_HISTORY_KEY);
+  });
+
+  test('is included in the encrypted backup', async () => {
+    await storage.init();
+    await createProject({ issueTitle: 'Secret feature', whatNeedsToBeDone: 'Unreleased' });
+    const history = { versions: [{ markdown: '# AC', savedAt: '2024-01-01T00:00:00.000Z' }], currentIndex: 0 };
+    localStorage.setItem(VALIDATOR_HISTORY_KEY, JSON.stringify(history));
+
+    const backup = await decryptBackup(await buildEncryptedBackup(PASSPHRASE), PASSPHRASE);
+
+    expect(backup.validatorHistory).toEqual(history);
+    expect(backup.projects.some(p => p.issueTitle === 'Secret feature')).toBe(true);
+  });
+
+  test('merges restored versions into local history', () => {
+    const local = { versions: [{ markdown: 'B', savedAt: '2024-01-02T00:00:00.000Z' }], currentIndex: 0 };
+    localStorage.setItem(VALIDATOR_HISTORY_KEY, JSON.stringify(local));
+
+    const added = restoreValidatorHistory({
+      versions: [
+        { markdown: 'A', savedAt: '2024-01-01T00:00:00.000Z' },
+        { markdown: 'B', savedAt: '2024-01-02T00:00:00.000Z' }
+      ]
+    });
+
+    expect(added).toBe(1);
+    expect(JSON.parse(localStorage.getItem(VALIDATOR_HISTORY_KEY))).toEqual({
+      versions: [
+        { markdown: 'A', savedAt: '2024-01-01T00:00:00.000Z' },
+        { markdown: 'B', savedAt: '2024-01-02T00:00:00.000Z' }
+      ],
+      currentIndex: 1
+    });
+  });
+});
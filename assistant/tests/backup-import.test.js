@@ -0,0 +1,149 @@
+/**
+ * Backup Import Tests
+ */
+
+import {
+  validateBackup,
+  parseBackup,
+  planImport,
+  summarizePlan,
+  applyImport
+} from '../../shared/js/backup-import.js';
+import { createProject, getAllProjects, getProject, deleteProject, importProjects } from '../../shared/js/projects.js';
+import storage from '../../shared/js/storage.js';
+
+const EARLIER = '2024-01-01T00:00:00.000Z';
+const LATER = '2030-01-01T00:00:00.000Z';
+
+function backupOf(projects) {
+  return { version: '1.0', exportedAt: EARLIER, projectCount: projects.length, projects };
+}
+
+beforeEach(async () => {
+  await storage.init();
+  for (const project of await getAllProjects()) {
+    await deleteProject(project.id);
+  }
+});
+
+describe('validateBackup', () => {
+  test('accepts full backups and single projects', () => {
+    const project = { id: 'a', issueTitle: 'A', whatNeedsToBeDone: 'Do A' };
+    expect(validateBackup(backupOf([project])).errors).toEqual([]);
+    expect(validateBackup(project)).toEqual({ projects: [project], errors: [] });
+  });
+
+  test('reports schema problems per project', () => {
+    const { errors } = validateBackup(backupOf([
+      { id: 'a', title: 'A', updatedAt: 'yesterday' },
+      { title: 'No id', phases: 'none' },
+      { id: 'a', title: 'Duplicate' }
+    ]));
+
+    expect(errors).toEqual([
+      'Project 1: updatedAt is not a valid date',
+      'Project 2 has no id',
+      'Project 2: phases must be an object',
+      'Project 3 repeats id a'
+    ]);
+  });
+});
+
+describe('parseBackup', () => {
+  test('rejects files that fail validation before anything is written', () => {
+    expect(() => parseBackup('{')).toThrow('Backup is not valid JSON');
+    expect(() => parseBackup('{"invalid":"data"}')).toThrow('Invalid file format');
+    expect(() => parseBackup(JSON.stringify(backupOf([{ id: 1, title: 'A' }])))).toThrow('Backup failed validation: Project 1 has no id');
+  });
+});
+
+describe('planImport', () => {
+  test('classifies each incoming project against local copies', async () => {
+    const local = await createProject({ issueTitle: 'Local', whatNeedsToBeDone: 'Keep me' });
+
+    const entries = await planImport([
+      { id: 'fresh', issueTitle: 'Fresh' },
+      { ...local, updatedAt: EARLIER },
+      { ...local, id: local.id, whatNeedsToBeDone: 'Changed later', updatedAt: LATER }
+    ]);
+
+    expect(entries.map(e => [e.status, e.resolution])).toEqual([
+      ['new', 'take-incoming'],
+      ['identical', 'keep-local'],
+      ['newer', 'take-incoming']
+    ]);
+  });
+
+  test('marks stale copies as older and keeps local by default', async () => {
+    const local = await createProject({ issueTitle: 'Local', whatNeedsToBeDone: 'Current text' });
+
+    const [entry] = await planImport([{ ...local, whatNeedsToBeDone: 'Stale text', updatedAt: EARLIER }]);
+
+    expect(entry).toMatchObject({ status: 'older', resolution: 'keep-local' });
+    expect(summarizePlan([entry])).toEqual({
+      total: 1,
+      byStatus: { new: 0, identical: 0, newer: 0, older: 1 },
+      byResolution: { 'keep-local': 1, 'take-incoming': 0, 'keep-both': 0 }
+    });
+  });
+});
+
+describe('applyImport', () => {
+  test('applies each resolution', async () => {
+    const kept = await createProject({ issueTitle: 'Kept', whatNeedsToBeDone: 'Local' });
+    const replaced = await createProject({ issueTitle: 'Replaced', whatNeedsToBeDone: 'Local' });
+    const doubled = await createProject({ issueTitle: 'Doubled', whatNeedsToBeDone: 'Local' });
+
+    const entries = await planImport([
+      { ...kept, whatNeedsToBeDone: 'Incoming', updatedAt: LATER },
+      { ...replaced, whatNeedsToBeDone: 'Incoming', updatedAt: EARLIER },
+      { ...doubled, whatNeedsToBeDone: 'Incoming', updatedAt: EARLIER }
+    ]);
+    entries[0].resolution = 'keep-local';
+    entries[1].resolution = 'take-incoming';
+    entries[2].resolution = 'keep-both';
+
+    const result = await applyImport(entries);
+
+    expect(result).toEqual({ added: 0, replaced: 1, duplicated: 1, skipped: 1 });
+    expect((await getProject(kept.id)).whatNeedsToBeDone).toBe('Local');
+    expect((await getProject(replaced.id)).whatNeedsToBeDone).toBe('Incoming');
+    expect((await getProject(doubled.id)).whatNeedsToBeDone).toBe('Local');
+
+    const copy = (await getAllProjects()).find(p => p.title === 'Doubled (imported)');
+    expect(copy.id).not.toBe(doubled.id);
+    expect(copy.whatNeedsToBeDone).toBe('Incoming');
+  });
+});
+
+describe('applyImport timestamps', () => {
+  test('keep the backup updatedAt so a second import of an old backup changes nothing', async () => {
+    const local = await createProject({ issueTitle: 'Local', whatNeedsToBeDone: 'Local' });
+    const backup = [{ ...local, whatNeedsToBeDone: 'From backup', updatedAt: EARLIER }];
+
+    const first = await planImport(backup);
+    first[0].resolution = 'take-incoming';
+    await applyImport(first);
+    expect((await getProject(local.id)).updatedAt).toBe(EARLIER);
+
+    const [again] = await planImport(backup);
+    expect(again).toMatchObject({ status: 'identical', resolution: 'keep-local' });
+
+    const [stale] = await planImport([{ ...backup[0], whatNeedsToBeDone: 'Even older', updatedAt: '2023-01-01T00:00:00.000Z' }]);
+    expect(stale.status).toBe('older');
+  });
+});
+
+describe('importProjects', () => {
+  test('does not overwrite a newer local copy', async () => {
+    const local = await createProject({ issueTitle: 'Local', whatNeedsToBeDone: 'Current text' });
+    const file = new File(
+      [JSON.stringify(backupOf([{ ...local, whatNeedsToBeDone: 'Stale text', updatedAt: EARLIER }]))],
+      'backup.json',
+      { type: 'application/json' }
+    );
+
+    expect(await importProjects(file)).toBe(0);
+    expect((await getProject(local.id)).whatNeedsToBeDone).toBe('Current text');
+  });
+});
@@ -0,0 +1,170 @@
+/**
+ * Bulk Actions Tests
+ */
+
+import { TextEncoder, TextDecoder } from 'util';
+import { ProjectSelection } from '../../shared/js/bulk-actions.js';
+import { crc32, createZip } from '../../shared/js/zip.js';
+import {
+  createProject,
+  updatePhase,
+  getAllProjects,
+  getProject,
+  deleteProject,
+  deleteProjects,
+  duplicateProjects,
+  archiveProjects,
+  updateProjectLabels,
+  buildMarkdownZip
+} from '../../shared/js/projects.js';
+import { renderProjectsList } from '../../shared/js/views.js';
+import storage from '../../shared/js/storage.js';
+
+global.TextEncoder = TextEncoder;
+global.TextDecoder = TextDecoder;
+
+const ORDER = ['a', 'b', 'c', 'd', 'e'];
+
+describe('ProjectSelection', () => {
+  test('toggles single projects and extends ranges from the anchor', () => {
+    const selection = new ProjectSelection();
+    selection.toggle('b', ORDER);
+    selection.toggle('d', ORDER, true);
+    expect([...selection.ids].sort()).toEqual(['b', 'c', 'd']);
+
+    selection.toggle('c', ORDER);
+    expect(selection.has('c')).toBe(false);
+    selection.toggle('a', ORDER, true);
+    expect([...selection.ids].sort()).toEqual(['a', 'b', 'c', 'd']);
+  });
+
+  test('select all, clear and dropping hidden projects', () => {
+    const selection = new ProjectSelection();
+    selection.selectAll(ORDER);
+    expect(selection.size).toBe(5);
+
+    selection.retain(['a', 'e']);
+    expect([...selection.ids]).toEqual(['a', 'e']);
+
+    selection.clear();
+    expect(selection.size).toBe(0);
+  });
+});
+
+describe('createZip', () => {
+  test('computes the standard CRC-32', () => {
+    expect(crc32(new TextEncoder().encode('123456789'))).toBe(0xcbf43926);
+  });
+
+  test('writes stored entries and a central directory', () => {
+    const zip = createZip([{ name: 'a.md', content: '# A' }, { name: 'b.md', content: '# B' }]);
+    const view = new DataView(zip.buffer);
+
+    expect(view.getUint32(0, true)).toBe(0x04034b50);
+    const end = zip.length - 22;
+    expect(view.getUint32(end, true)).toBe(0x06054b50);
+    expect(view.getUint16(end + 10, true)).toBe(2);
+    expect(new TextDecoder().decode(zip.slice(30, 34))).toBe('a.md');
+  });
+});
+
+describe('bulk project operations', () => {
+  beforeEach(async () => {
+    await storage.init();
+    for (const project of await getAllProjects()) {
+      await deleteProject(project.id);
+    }
+  });
+
+  test('duplicates projects under new ids', async () => {
+    const original = await createProject({ issueTitle: 'Refunds', labels: 'Payments' });
+    const [copy] = await duplicateProjects([original.id]);
+
+    expect(copy.id).not.toBe(original.id);
+    expect(copy.issueTitle).toBe('Refunds (copy)');
+    expect(copy.labels).toEqual(['Payments']);
+    expect(await getAllProjects()).toHaveLength(2);
+  });
+
+  test('archives, relabels and deletes a selection', async () => {
+    const a = await createProject({ issueTitle: 'A', labels: 'Old' });
+    const b = await createProject({ issueTitle: 'B' });
+
+    await updateProjectLabels([a.id, b.id], { add: ['Cycle 12'], remove: ['old'] });
+    expect((await getProject(a.id)).labels).toEqual(['Cycle 12']);
+    expect((await getProject(b.id)).labels).toEqual(['Cycle 12']);
+
+    await archiveProjects([a.id]);
+    expect((await getProject(a.id)).archivedAt).toBeDefined();
+
+    await deleteProjects([a.id, b.id]);
+    expect(await getAllProjects()).toEqual([]);
+  });
+
+  test('zips markdown for projects with output, with unique names', async () => {
+    const first = await createProject({ title: 'Same name', issueTitle: 'Same name' });
+    const second = await createProject({ title: 'Same name', issueTitle: 'Same name' });
+    const empty = await createProject({ issueTitle: 'Nothing yet' });
+    await updatePhase(first.id, 1, 'P', 'Draft one');
+    await updatePhase(second.id, 1, 'P', 'Draft two');
+
+    const projects = await Promise.all([first, second, empty].map(p => getProject(p.id)));
+    const { zip, count, skipped } = buildMarkdownZip(projects);
+    const text = new TextDecoder().decode(zip);
+
+    expect(count).toBe(2);
+    expect(skipped).toBe(1);
+    expect(text).toContain('same-name.md');
+    expect(text).toContain('same-name-2.md');
+  });
+});
+
+describe('projects list selection', () => {
+  beforeEach(async () => {
+    document.body.innerHTML = '<div id="app-container"></div>';
+    await storage.init();
+    for (const project of await getAllProjects()) {
+      await deleteProject(project.id);
+    }
+  });
+
+  test('shift-click selects a range and archive hides it from the list', async () => {
+    for (const title of ['One', 'Two', 'Three']) {
+      await createProject({ issueTitle: title });
+    }
+    await renderProjectsList('sort=title');
+
+    const checkbox = (title) => [...document.querySelectorAll('.project-card')]
+      .find(card => card.textContent.includes(title))
+      .querySelector('.select-project-checkbox');
+    checkbox('One').dispatchEvent(new MouseEvent('click', { bubbles: true }));
+    checkbox('Two').dispatchEvent(new MouseEvent('click', { bubbles: true, shiftKey: true }));
+
+    expect(document.getElementById('selection-count').textContent).toBe('3 selected');
+    expect(document.getElementById('bulk-actions').classList.contains('hidden')).toBe(false);
+
+    checkbox('Three').dispatchEvent(new MouseEvent('click', { bubbles: true }));
+    document.querySelector('[data-bulk-action="archive"]').click();
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    expect(document.querySelectorAll('.project-card')).toHaveLength(1);
+    expect((await getAllProjects()).filter(p => p.archivedAt)).toHaveLength(2);
+  });
+
+  test('asks once before moving a selection to the trash', async () => {
+    for (const title of ['One', 'Two']) {
+      await createProject({ issueTitle: title });
+    }
+    await renderProjectsList('sort=title');
+
+    document.getElementById('select-all-projects').click();
+    document.querySelector('[data-bulk-action="trash"]').click();
+    await new Promise(resolve => setTimeout(resolve, 10));
+    expect(document.body.textContent).toContain('Move 2 issues to the trash?');
+    expect((await getAllProjects()).filter(p => p.trashedAt)).toHaveLength(0);
+
+    document.getElementById('confirm-btn').click();
+    await new Promise(resolve => setTimeout(resolve, 50));
+    expect((await getAllProjects()).filter(p => p.trashedAt)).toHaveLength(2);
+  });
+});
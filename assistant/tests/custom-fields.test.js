@@ -0,0 +1,221 @@
+/**
+ * Custom Fields Tests
+ */
+
+import { jest } from '@jest/globals';
+import {
+  toVariableName,
+  getCustomFields,
+  addCustomField,
+  updateCustomField,
+  moveCustomField,
+  deleteCustomField,
+  mergeCustomFieldDefinitions,
+  loadCustomFields,
+  extractCustomFieldValues,
+  validateCustomFieldValues
+} from '../../shared/js/custom-fields.js';
+import { checkTemplatePlaceholders, setCustomFieldVariables } from '../../shared/js/prompts.js';
+import { generatePromptForPhase } from '../../shared/js/workflow.js';
+import { createProject, updateProject, getAllProjects, deleteProject } from '../../shared/js/projects.js';
+import { renderNewProjectForm, renderEditProjectForm } from '../../shared/js/views.js';
+import { showManageCustomFieldsModal } from '../../shared/js/custom-field-manager.js';
+import storage from '../../shared/js/storage.js';
+
+global.fetch = jest.fn(async (url) => {
+  const filename = url.split('/').pop();
+  return {
+    ok: true,
+    text: async () => `${filename}: {{ISSUE_TITLE}} / ${filename.startsWith('phase1') ? '{{WHAT_NEEDS_TO_BE_DONE}}' : '{{PHASE1_OUTPUT}}'} / {{PLATFORM}}`
+  };
+});
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 20));
+
+beforeEach(async () => {
+  document.body.innerHTML = '<div id="app-container"></div>';
+  await storage.init();
+  for (const project of await getAllProjects()) {
+    await deleteProject(project.id);
+  }
+  await storage.saveSetting('customFields', []);
+  setCustomFieldVariables([]);
+});
+
+describe('toVariableName', () => {
+  test('turns labels into template variable names', () => {
+    expect(toVariableName('Compliance tier')).toBe('COMPLIANCE_TIER');
+    expect(toVariableName(' Design links (Figma) ')).toBe('DESIGN_LINKS_FIGMA');
+    expect(toVariableName('3rd party services')).toBe('FIELD_3RD_PARTY_SERVICES');
+  });
+});
+
+describe('custom field definitions', () => {
+  test('are added in order with a fixed variable name', async () => {
+    await addCustomField({ label: 'Platform', type: 'select', required: true, options: ['iOS', ' Android ', 'iOS', ''] });
+    await addCustomField({ label: 'Design link', type: 'url' });
+    await updateCustomField('PLATFORM', { label: 'Target platform' });
+
+    expect(await getCustomFields()).toEqual([
+      { variable: 'PLATFORM', label: 'Target platform', type: 'select', required: true, options: ['iOS', 'Android'] },
+      { variable: 'DESIGN_LINK', label: 'Design link', type: 'url', required: false, options: [] }
+    ]);
+
+    await moveCustomField('DESIGN_LINK', -1);
+    expect((await getCustomFields()).map(f => f.variable)).toEqual(['DESIGN_LINK', 'PLATFORM']);
+  });
+
+  test('reject invalid and clashing fields', async () => {
+    await expect(addCustomField({ label: ' ', type: 'text' })).rejects.toThrow('Field label cannot be empty');
+    await expect(addCustomField({ label: '平台', type: 'text' })).rejects.toThrow('Field label needs at least one letter or digit');
+    await expect(addCustomField({ label: '—', type: 'text' })).rejects.toThrow('Field label needs at least one letter or digit');
+    await expect(addCustomField({ label: 'Tier', type: 'date' })).rejects.toThrow('Unknown field type: date');
+    await expect(addCustomField({ label: 'Tier', type: 'select', options: [] })).rejects.toThrow('A choice field needs at least one option');
+    await expect(addCustomField({ label: 'Issue title', type: 'text' })).rejects.toThrow('{{ISSUE_TITLE}} is a built-in template variable');
+    await expect(addCustomField({ label: 'Phase2 output', type: 'text' })).rejects.toThrow('{{PHASE2_OUTPUT}} is a built-in template variable');
+
+    await addCustomField({ label: 'Platform', type: 'text' });
+    await expect(addCustomField({ label: 'platform', type: 'text' })).rejects.toThrow('A field already uses {{PLATFORM}}');
+  });
+
+  test('merge from a backup without replacing local ones', async () => {
+    await addCustomField({ label: 'Platform', type: 'text' });
+
+    const added = await mergeCustomFieldDefinitions([
+      { variable: 'PLATFORM', label: 'Platform', type: 'select', options: ['Web'] },
+      { variable: 'COMPLIANCE_TIER', label: 'Compliance tier', type: 'select', required: true, options: ['1', '2'] },
+      { variable: 'BROKEN', label: 'Broken', type: 'nonsense' }
+    ]);
+
+    expect(added).toBe(1);
+    const fields = await getCustomFields();
+    expect(fields.map(f => f.variable)).toEqual(['PLATFORM', 'COMPLIANCE_TIER']);
+    expect(fields[0].type).toBe('text');
+  });
+});
+
+describe('custom field values', () => {
+  const fields = [
+    { variable: 'PLATFORM', label: 'Platform', type: 'select', required: true, options: ['iOS', 'Android'] },
+    { variable: 'DESIGN_LINK', label: 'Design link', type: 'url', required: false, options: [] }
+  ];
+
+  test('are pulled out of submitted form data', () => {
+    const formData = extractCustomFieldValues({ issueTitle: 'X', 'customField:PLATFORM': 'iOS' });
+    expect(formData).toEqual({ issueTitle: 'X', customFields: { PLATFORM: 'iOS' } });
+  });
+
+  test('are checked against their definitions', () => {
+    expect(validateCustomFieldValues(fields, {})).toEqual(['Platform is required']);
+    expect(validateCustomFieldValues(fields, { PLATFORM: 'Windows', DESIGN_LINK: 'figma' })).toEqual([
+      'Platform must be one of: iOS, Android',
+      'Design link must be a link starting with http:// or https://'
+    ]);
+    expect(validateCustomFieldValues(fields, { PLATFORM: 'iOS', DESIGN_LINK: 'https://figma.com/x' })).toEqual([]);
+  });
+
+  test('are stored trimmed on the project', async () => {
+    const project = await createProject({ issueTitle: 'X', customFields: { PLATFORM: ' iOS ', DESIGN_LINK: '' } });
+    expect(project.customFields).toEqual({ PLATFORM: 'iOS' });
+
+    const updated = await updateProject(project.id, { customFields: { PLATFORM: 'Android' } });
+    expect(updated.customFields).toEqual({ PLATFORM: 'Android' });
+  });
+});
+
+describe('prompt variables', () => {
+  test('fill custom fields and the issue fields into every phase', async () => {
+    await addCustomField({ label: 'Platform', type: 'text' });
+    const project = await createProject({ issueTitle: 'Bulk delete', whatNeedsToBeDone: 'Delete users', customFields: { PLATFORM: 'iOS' } });
+
+    expect(await generatePromptForPhase(project, 1)).toBe('phase1.md: Bulk delete / Delete users / iOS');
+    project.phase1_output = 'Draft AC';
+    expect(await generatePromptForPhase(project, 3)).toBe('phase3.md: Bulk delete / Draft AC / iOS');
+  });
+
+  test('mark fields with no value as not provided', async () => {
+    await addCustomField({ label: 'Platform', type: 'text' });
+    const project = await createProject({ issueTitle: 'X', whatNeedsToBeDone: 'Y' });
+
+    expect(await generatePromptForPhase(project, 1)).toBe('phase1.md: X / Y / [Not provided]');
+  });
+
+  test('are known to the template check once loaded', async () => {
+    expect(checkTemplatePlaceholders(2, '{{PHASE1_OUTPUT}} {{PLATFORM}}').unknown).toEqual(['PLATFORM']);
+
+    await storage.saveSetting('customFields', [{ variable: 'PLATFORM', label: 'Platform', type: 'text', required: false, options: [] }]);
+    expect(await loadCustomFields()).toBe(1);
+    expect(checkTemplatePlaceholders(2, '{{PHASE1_OUTPUT}} {{PLATFORM}}').unknown).toEqual([]);
+  });
+});
+
+describe('project forms', () => {
+  test('new issue form blocks a missing required field', async () => {
+    await addCustomField({ label: 'Platform', type: 'select', required: true, options: ['iOS', 'Android'] });
+    renderNewProjectForm();
+    await flush();
+
+    const form = document.querySelector('#new-project-form');
+    form.querySelector('#whatNeedsToBeDone').value = 'Delete users';
+    form.dispatchEvent(new Event('submit', { cancelable: true }));
+    await flush();
+    expect(await getAllProjects()).toHaveLength(0);
+
+    form.querySelector('#custom-field-PLATFORM').value = 'Android';
+    form.dispatchEvent(new Event('submit', { cancelable: true }));
+    await flush();
+
+    const [project] = await getAllProjects();
+    expect(project.customFields).toEqual({ PLATFORM: 'Android' });
+    expect(project).not.toHaveProperty('customField:PLATFORM');
+  });
+
+  test('edit form shows and saves stored values', async () => {
+    await addCustomField({ label: 'Affected services', type: 'textarea' });
+    const project = await createProject({ issueTitle: 'X', whatNeedsToBeDone: 'Y', customFields: { AFFECTED_SERVICES: 'billing' } });
+    await renderEditProjectForm(project.id);
+    await flush();
+
+    const input = document.querySelector('#custom-field-AFFECTED_SERVICES');
+    expect(input.value).toBe('billing');
+    input.value = 'billing\nledger';
+    document.querySelector('#edit-project-form').dispatchEvent(new Event('submit', { cancelable: true }));
+    await flush();
+
+    expect((await getAllProjects())[0].customFields).toEqual({ AFFECTED_SERVICES: 'billing\nledger' });
+  });
+});
+
+describe('showManageCustomFieldsModal', () => {
+  test('adds a field and reports the change on close', async () => {
+    const onChange = jest.fn();
+    await showManageCustomFieldsModal(onChange);
+
+    document.querySelector('#custom-field-label').value = 'Compliance tier';
+    document.querySelector('#custom-field-label').dispatchEvent(new Event('input'));
+    expect(document.querySelector('#custom-field-variable').textContent).toBe('{{COMPLIANCE_TIER}}');
+
+    document.querySelector('#custom-field-type').value = 'select';
+    document.querySelector('#custom-field-options').value = 'Tier 1, Tier 2';
+    document.querySelector('#custom-field-required').checked = true;
+    document.querySelector('#custom-field-form').dispatchEvent(new Event('submit', { cancelable: true }));
+    await flush();
+
+    expect(document.querySelectorAll('.custom-field-row')).toHaveLength(1);
+    expect(await getCustomFields()).toEqual([
+      { variable: 'COMPLIANCE_TIER', label: 'Compliance tier', type: 'select', required: true, options: ['Tier 1', 'Tier 2'] }
+    ]);
+
+    document.querySelector('#close-fields-modal-btn').click();
+    expect(onChange).toHaveBeenCalled();
+  });
+
+  test('deleting a field keeps its values on issues', async () => {
+    await addCustomField({ label: 'Platform', type: 'text' });
+    const project = await createProject({ issueTitle: 'X', customFields: { PLATFORM: 'iOS' } });
+    await deleteCustomField('PLATFORM');
+
+    expect(await getCustomFields()).toEqual([]);
+    expect((await getAllProjects()).find(p => p.id === project.id).customFields).toEqual({ PLATFORM: 'iOS' });
+  });
+});
@@ -0,0 +1,137 @@
+/**
+ * Fork Project Tests
+ */
+
+import { jest } from '@jest/globals';
+import {
+  createProject,
+  updatePhase,
+  getAllProjects,
+  deleteProject,
+  forkProject,
+  getForkFamily,
+  trashProjects
+} from '../../shared/js/projects.js';
+import { computeWordDiff, renderSideBySideHtml } from '../../shared/js/diff-view.js';
+import { showForkCompareModal, getLatestOutput } from '../../shared/js/fork-compare.js';
+import { renderProjectView } from '../../shared/js/project-view.js';
+import storage from '../../shared/js/storage.js';
+
+global.fetch = jest.fn(async (url) => ({
+  ok: true,
+  text: async () => `${url.split('/').pop()}: {{ISSUE_TITLE}}`
+}));
+
+/**
+ * A project with all three phases filled in
+ */
+async function completedProject() {
+  const project = await createProject({ issueTitle: 'Bulk delete', relatedContext: 'PRD link', labels: 'Admin' });
+  await updatePhase(project.id, 1, 'P1', 'Draft AC');
+  await updatePhase(project.id, 2, 'P2', 'Critique');
+  return updatePhase(project.id, 3, 'P3', 'Admin can delete 100 users');
+}
+
+beforeEach(async () => {
+  document.body.innerHTML = '';
+  await storage.init();
+  for (const project of await getAllProjects()) {
+    await deleteProject(project.id);
+  }
+});
+
+describe('forkProject', () => {
+  test('copies form data and phases up to N, linked to the parent', async () => {
+    const parent = await completedProject();
+    const fork = await forkProject(parent.id, 1);
+
+    expect(fork.id).not.toBe(parent.id);
+    expect(fork).toMatchObject({
+      issueTitle: 'Bulk delete',
+      relatedContext: 'PRD link',
+      labels: ['Admin'],
+      phase: 2,
+      phase1_output: 'Draft AC',
+      phase2_output: '',
+      phase3_output: ''
+    });
+    expect(fork.phases[1]).toEqual({ prompt: 'P1', response: 'Draft AC', completed: true });
+    expect(fork.phases[2].completed).toBe(false);
+    expect(fork.forkedFrom).toMatchObject({ projectId: parent.id, title: parent.title, phase: 1 });
+  });
+
+  test('leaves the Linear ID with the parent', async () => {
+    const project = await createProject({ issueTitle: 'Bulk delete', linearIdentifier: 'ENG-7', linearProject: 'Admin tools' });
+    await updatePhase(project.id, 1, 'P1', 'Draft AC');
+
+    const fork = await forkProject(project.id, 1);
+    expect(fork).toMatchObject({ linearIdentifier: '', linearProject: 'Admin tools' });
+  });
+
+  test('refuses phases without output', async () => {
+    const project = await createProject({ issueTitle: 'Empty' });
+    await expect(forkProject(project.id, 1)).rejects.toThrow('Phase 1 has no output to fork from');
+  });
+
+  test('finds the parent, forks and sibling forks', async () => {
+    const parent = await completedProject();
+    const a = await forkProject(parent.id, 1);
+    const b = await forkProject(parent.id, 2);
+    const grandchild = await forkProject(parent.id, 3);
+    await trashProjects([grandchild.id]);
+
+    expect((await getForkFamily(parent)).map(p => p.id).sort()).toEqual([a.id, b.id].sort());
+    expect((await getForkFamily(a)).map(p => p.id).sort()).toEqual([parent.id, b.id].sort());
+  });
+});
+
+describe('fork comparison', () => {
+  test('splits a word diff into two marked-up columns', () => {
+    const { left, right } = renderSideBySideHtml(computeWordDiff('select 100 users', 'select 50 users'));
+    expect(left).toContain('line-through">100</span>');
+    expect(left).not.toContain('>50<');
+    expect(right).toContain('>50</span>');
+    expect(right).not.toContain('100');
+  });
+
+  test('uses the furthest phase reached when there is no final AC', async () => {
+    const parent = await completedProject();
+    const fork = await forkProject(parent.id, 2);
+    expect(getLatestOutput(fork)).toEqual({ phase: 2, text: 'Critique' });
+  });
+
+  test('shows the final AC of two forks side by side', async () => {
+    const parent = await completedProject();
+    const fork = await forkProject(parent.id, 2);
+    const finished = await updatePhase(fork.id, 3, 'P3', 'Admin can delete 50 users');
+
+    await showForkCompareModal(finished);
+
+    expect(document.querySelector('.fork-compare-left').textContent).toBe('Admin can delete 100 users');
+    expect(document.querySelector('.fork-compare-right').textContent).toBe('Admin can delete 50 users');
+    expect(document.getElementById('fork-compare-stats').textContent).toBe('1 word only in "Bulk delete", 1 only in "Bulk delete (fork)"');
+  });
+});
+
+describe('project menu', () => {
+  /**
+   * Labels in the project's More menu, once its fork lookup has settled
+   */
+  async function menuLabels(project) {
+    document.body.innerHTML = '<div id="app-container"></div>';
+    await renderProjectView(project.id);
+    await new Promise(resolve => setTimeout(resolve, 20));
+    document.getElementById('more-actions-btn').click();
+    return [...document.querySelectorAll('.action-menu-label')].map(l => l.textContent);
+  }
+
+  test('offers Compare Forks only when there are forks', async () => {
+    const parent = await completedProject();
+    expect(await menuLabels(parent)).not.toContain('Compare Forks');
+
+    await forkProject(parent.id, 1);
+    const labels = await menuLabels(parent);
+    expect(labels).toContain('Compare Forks');
+    expect(labels.indexOf('Compare Forks')).toBe(labels.indexOf('Fork from Phase 3') + 1);
+  });
+});
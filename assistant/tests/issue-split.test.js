@@ -0,0 +1,175 @@
+/**
+ * Issue Split Tests
+ */
+
+import { createProject, updatePhase, getAllProjects, getProject, deleteProject } from '../../shared/js/projects.js';
+import {
+  getSplitSource,
+  buildChildMarkdown,
+  generateSplitPrompt,
+  parseSplitProposal,
+  splitProject
+} from '../../shared/js/issue-split.js';
+import { showSplitModal } from '../../shared/js/split-wizard.js';
+import storage from '../../shared/js/storage.js';
+
+const FINAL_AC = `## Summary
+
+Admins manage users in bulk.
+
+## Acceptance Criteria
+
+- [ ] Admin can select up to 100 users
+- [ ] Admin can delete the selected users
+- [x] Deleted users receive an email within 5 minutes
+- [ ] Admin can export the selected users as CSV
+
+## Out of Scope
+
+- Restoring deleted users
+`;
+
+async function finalProject() {
+  const project = await createProject({ issueTitle: 'Bulk user admin', relatedContext: 'PRD link', labels: 'Admin' });
+  await updatePhase(project.id, 1, 'P1', 'Draft');
+  await updatePhase(project.id, 2, 'P2', 'Critique');
+  return updatePhase(project.id, 3, 'P3', FINAL_AC);
+}
+
+beforeEach(async () => {
+  document.body.innerHTML = '';
+  await storage.init();
+  for (const project of await getAllProjects()) {
+    await deleteProject(project.id);
+  }
+});
+
+describe('getSplitSource', () => {
+  test('separates summary, criteria and out of scope', () => {
+    const source = getSplitSource(FINAL_AC);
+    expect(source.summary).toEqual(['Admins manage users in bulk.']);
+    expect(source.criteria.map(c => c.text)).toEqual([
+      'Admin can select up to 100 users',
+      'Admin can delete the selected users',
+      'Deleted users receive an email within 5 minutes',
+      'Admin can export the selected users as CSV'
+    ]);
+    expect(source.criteria[2].checked).toBe(true);
+    expect(source.outOfScope).toEqual(['- Restoring deleted users']);
+  });
+});
+
+describe('buildChildMarkdown', () => {
+  test('inherits summary and out of scope around the group', () => {
+    const source = getSplitSource(FINAL_AC);
+    const markdown = buildChildMarkdown(source, [source.criteria[2]]);
+    expect(markdown).toBe(`## Summary
+
+Admins manage users in bulk.
+
+## Acceptance Criteria
+
+- [x] Deleted users receive an email within 5 minutes
+
+## Out of Scope
+
+- Restoring deleted users
+`);
+  });
+});
+
+describe('split prompt', () => {
+  test('numbers the criteria and asks for the proposal format', async () => {
+    const prompt = generateSplitPrompt(await finalProject());
+    expect(prompt).toContain('## ISSUE: Bulk user admin');
+    expect(prompt).toContain('2. Admin can delete the selected users');
+    expect(prompt).toContain('Criteria: <comma-separated criterion numbers>');
+  });
+
+  test('parses a proposal, ignoring unknown and reused numbers', () => {
+    const groups = parseSplitProposal(`Here you go:
+
+**Story 1:** Bulk selection and delete
+Criteria: 1, 2, 9
+
+Story: Notifications and export
+Criteria: 2, 3 and 4
+
+Story: Nothing left
+Criteria: 1`, 4);
+
+    expect(groups).toEqual([
+      { title: 'Bulk selection and delete', criteria: [0, 1] },
+      { title: 'Notifications and export', criteria: [2, 3] }
+    ]);
+  });
+});
+
+describe('splitProject', () => {
+  test('creates linked children starting at Phase 2', async () => {
+    const parent = await finalProject();
+    const children = await splitProject(parent.id, [
+      { title: 'Bulk delete', criteria: [1, 0] },
+      { title: 'Bulk notifications', criteria: [2] },
+      { title: 'Unused', criteria: [] }
+    ]);
+
+    expect(children).toHaveLength(2);
+    expect(children[0]).toMatchObject({
+      title: 'Bulk delete',
+      issueTitle: 'Bulk delete',
+      relatedContext: 'PRD link',
+      labels: ['Admin'],
+      phase: 2,
+      splitFrom: { projectId: parent.id, title: parent.title }
+    });
+    expect(children[0].phases[1].completed).toBe(true);
+    expect(children[0].phase1_output).toContain('- [ ] Admin can select up to 100 users\n- [ ] Admin can delete the selected users');
+    expect(children[0].phase1_output).toContain('## Out of Scope');
+    expect(children[0].whatNeedsToBeDone).toContain('- Admin can select up to 100 users');
+
+    const stored = await getProject(parent.id);
+    expect(stored.splitInto).toEqual([
+      { projectId: children[0].id, title: 'Bulk delete' },
+      { projectId: children[1].id, title: 'Bulk notifications' }
+    ]);
+    expect(stored.phases[3].response).toBe(FINAL_AC);
+  });
+
+  test('rejects empty splits and untitled children', async () => {
+    const parent = await finalProject();
+    await expect(splitProject(parent.id, [{ title: 'A', criteria: [] }])).rejects.toThrow('Assign at least one criterion');
+    await expect(splitProject(parent.id, [{ title: ' ', criteria: [0] }])).rejects.toThrow('Child issue 1 needs a title');
+
+    const unfinished = await createProject({ issueTitle: 'Draft only' });
+    await expect(splitProject(unfinished.id, [{ title: 'A', criteria: [0] }])).rejects.toThrow('no checklist items');
+  });
+});
+
+describe('showSplitModal', () => {
+  test('spreads criteria over two children and creates them', async () => {
+    const parent = await finalProject();
+    const onSplit = jest.fn();
+    showSplitModal(parent, onSplit);
+
+    const selects = [...document.querySelectorAll('.split-criterion-group')];
+    expect(selects.map(s => s.value)).toEqual(['0', '0', '1', '1']);
+
+    document.querySelector('#create-split-btn').click();
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    expect(onSplit).toHaveBeenCalledTimes(1);
+    expect(onSplit.mock.calls[0][0].map(c => c.title)).toEqual(['Bulk user admin (part 1)', 'Bulk user admin (part 2)']);
+    expect(document.querySelector('#split-body')).toBeNull();
+  });
+
+  test('applies a pasted proposal', async () => {
+    showSplitModal(await finalProject());
+
+    document.querySelector('#split-proposal').value = 'Story: Export\nCriteria: 4';
+    document.querySelector('#apply-split-proposal-btn').click();
+
+    expect([...document.querySelectorAll('.split-group-title')].map(i => i.value)).toEqual(['Export']);
+    expect([...document.querySelectorAll('.split-criterion-group')].map(s => s.value)).toEqual(['-1', '-1', '-1', '0']);
+  });
+});
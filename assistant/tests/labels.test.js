@@ -0,0 +1,131 @@
+/**
+ * Labels Tests
+ */
+
+import {
+  LABEL_COLORS,
+  parseLabelNames,
+  getLabels,
+  ensureLabels,
+  mergeLabelDefinitions,
+  setLabelColor,
+  deleteLabel
+} from '../../shared/js/labels.js';
+import { createProject, updateProject, getProject, getAllProjects, deleteProject } from '../../shared/js/projects.js';
+import { planImport, applyImport } from '../../shared/js/backup-import.js';
+import { renderProjectsList } from '../../shared/js/views.js';
+import { projectSearchIndex } from '../../shared/js/project-search.js';
+import storage from '../../shared/js/storage.js';
+
+beforeEach(async () => {
+  await storage.init();
+  for (const project of await getAllProjects()) {
+    await deleteProject(project.id);
+  }
+  await storage.saveSetting('labels', []);
+});
+
+describe('parseLabelNames', () => {
+  test('splits, trims and de-duplicates ignoring case', () => {
+    expect(parseLabelNames(' Payments, cycle 12,, payments ,Cycle 12')).toEqual(['Payments', 'cycle 12']);
+    expect(parseLabelNames(['Growth', ' '])).toEqual(['Growth']);
+    expect(parseLabelNames(undefined)).toEqual([]);
+  });
+});
+
+describe('label definitions', () => {
+  test('new labels get palette colours and keep existing ones', async () => {
+    await ensureLabels(['Payments']);
+    await setLabelColor('Payments', 'pink');
+    await ensureLabels(['payments', 'Growth']);
+
+    const labels = await getLabels();
+    expect(labels.map(l => l.name)).toEqual(['Growth', 'Payments']);
+    expect(labels.find(l => l.name === 'Payments').color).toBe('pink');
+    expect(LABEL_COLORS).toContain(labels.find(l => l.name === 'Growth').color);
+  });
+
+  test('rejects unknown colours', async () => {
+    await expect(setLabelColor('Payments', 'chartreuse')).rejects.toThrow('Unknown label colour: chartreuse');
+  });
+
+  test('merges backup definitions without overriding local colours', async () => {
+    await ensureLabels(['Payments']);
+    await setLabelColor('Payments', 'green');
+
+    const added = await mergeLabelDefinitions([{ name: 'payments', color: 'red' }, { name: 'Growth', color: 'teal' }]);
+
+    expect(added).toBe(1);
+    expect(await getLabels()).toEqual([{ name: 'Growth', color: 'teal' }, { name: 'Payments', color: 'green' }]);
+  });
+});
+
+describe('project labels', () => {
+  test('are stored on create and edit and found through the index', async () => {
+    const project = await createProject({ issueTitle: 'Refunds', labels: 'Payments, Cycle 12' });
+    expect(project.labels).toEqual(['Payments', 'Cycle 12']);
+    expect((await getLabels()).map(l => l.name)).toEqual(['Cycle 12', 'Payments']);
+
+    await updateProject(project.id, { labels: 'Payments' });
+    expect((await getProject(project.id)).labels).toEqual(['Payments']);
+    expect(await storage.getProjectsByLabel('Cycle 12')).toEqual([]);
+    expect((await storage.getProjectsByLabel('Payments')).map(p => p.id)).toEqual([project.id]);
+  });
+
+  test('are found through the index ignoring case', async () => {
+    const a = await createProject({ issueTitle: 'Refunds', labels: 'Payments' });
+    const b = await createProject({ issueTitle: 'Payouts', labels: 'payments, Growth' });
+    await createProject({ issueTitle: 'Signup', labels: 'Growth' });
+
+    const ids = (await storage.getProjectsByLabel('PAYMENTS')).map(p => p.id);
+    expect(ids.sort()).toEqual([a.id, b.id].sort());
+  });
+
+  test('deleting a label removes it from projects', async () => {
+    const project = await createProject({ issueTitle: 'Refunds', labels: 'Payments, Growth' });
+
+    expect(await deleteLabel('Payments')).toBe(1);
+    expect((await getProject(project.id)).labels).toEqual(['Growth']);
+    expect((await getLabels()).map(l => l.name)).toEqual(['Growth']);
+  });
+
+  test('deleting a label ignores case', async () => {
+    const project = await createProject({ issueTitle: 'Refunds', labels: 'frontend, Growth' });
+
+    expect(await deleteLabel('Frontend')).toBe(1);
+    expect((await getProject(project.id)).labels).toEqual(['Growth']);
+    expect((await getLabels()).map(l => l.name)).toEqual(['Growth']);
+  });
+
+  test('deleting a label drops it from the search index', async () => {
+    const project = await createProject({ issueTitle: 'Refunds', labels: 'Frontend' });
+    projectSearchIndex.sync(await getAllProjects());
+    expect(projectSearchIndex.search('frontend')).toEqual(new Set([project.id]));
+
+    await deleteLabel('Frontend');
+    expect(projectSearchIndex.search('frontend')).toEqual(new Set());
+  });
+
+  test('imported projects bring their labels along', async () => {
+    const entries = await planImport([{ id: 'imported-1', issueTitle: 'Payouts', labels: ['Finance'] }]);
+    await applyImport(entries);
+
+    expect((await getProject('imported-1')).labels).toEqual(['Finance']);
+    expect((await getLabels()).map(l => l.name)).toEqual(['Finance']);
+  });
+});
+
+describe('projects list', () => {
+  test('groups projects by label, with unlabelled ones last', async () => {
+    document.body.innerHTML = '<div id="app-container"></div>';
+    await createProject({ issueTitle: 'Refunds', labels: 'Payments, Growth' });
+    await createProject({ issueTitle: 'Onboarding', labels: 'Growth' });
+    await createProject({ issueTitle: 'Logging' });
+
+    await renderProjectsList('group=label');
+
+    const groups = [...document.querySelectorAll('.label-group')].map(g => [g.dataset.label, g.querySelectorAll('.grid > [data-project-id]').length]);
+    expect(groups).toEqual([['Growth', 2], ['Payments', 1], ['No label', 1]]);
+    expect(document.querySelector('#filter-label').options).toHaveLength(3);
+  });
+});
@@ -0,0 +1,202 @@
+/**
+ * Linear Import/Export Tests
+ */
+
+import {
+  parseCsv,
+  toCsv,
+  parseLinearCsv,
+  parseLinearJson,
+  parseLinearExport,
+  linearIssueToFormData,
+  importLinearIssues,
+  buildLinearExport
+} from '../../shared/js/linear-io.js';
+import { getAllProjects, deleteProject } from '../../shared/js/projects.js';
+import storage from '../../shared/js/storage.js';
+
+const LINEAR_CSV = `ID,Team,Title,Description,Status,Labels,Project
+ENG-101,Engineering,Add bulk delete,"Admins need to delete
+many users at once","Todo","Feature, Admin",Admin tools
+ENG-102,Engineering,"Fix ""Save"" button",,Backlog,Bug,
+`;
+
+describe('CSV helpers', () => {
+  test('parses quoted fields, escaped quotes and embedded newlines', () => {
+    const rows = parseCsv(LINEAR_CSV);
+    expect(rows).toHaveLength(3);
+    expect(rows[1][3]).toBe('Admins need to delete\nmany users at once');
+    expect(rows[2][2]).toBe('Fix "Save" button');
+  });
+
+  test('round-trips through toCsv', () => {
+    const rows = [['ID', 'Description'], ['ENG-1', 'Line one\n- [ ] "quoted", item']];
+    expect(parseCsv(toCsv(rows))).toEqual(rows);
+  });
+});
+
+describe('parseLinearCsv', () => {
+  test('maps Linear CSV columns to issues', () => {
+    const issues = parseLinearCsv(LINEAR_CSV);
+    expect(issues[0]).toEqual({
+      identifier: 'ENG-101',
+      title: 'Add bulk delete',
+      description: 'Admins need to delete\nmany users at once',
+      labels: ['Feature', 'Admin'],
+      team: 'Engineering',
+      project: 'Admin tools'
+    });
+    expect(issues[1].labels).toEqual(['Bug']);
+  });
+
+  test('requires a Title column', () => {
+    expect(() => parseLinearCsv('ID,Summary\nENG-1,Nope')).toThrow('CSV is missing a Title column');
+  });
+});
+
+describe('parseLinearJson', () => {
+  test('accepts a GraphQL issues response', () => {
+    const json = JSON.stringify({
+      data: {
+        issues: {
+          nodes: [{
+            identifier: 'ENG-7',
+            title: 'Export reports',
+            description: 'CSV export for reports',
+            labels: { nodes: [{ name: 'Feature' }] },
+            team: { name: 'Platform', key: 'ENG' },
+            project: { name: 'Reporting' }
+          }]
+        }
+      }
+    });
+
+    expect(parseLinearJson(json)).toEqual([{
+      identifier: 'ENG-7',
+      title: 'Export reports',
+      description: 'CSV export for reports',
+      labels: ['Feature'],
+      team: 'Platform',
+      project: 'Reporting'
+    }]);
+  });
+
+  test('accepts a plain array with string labels', () => {
+    const issues = parseLinearJson(JSON.stringify([{ identifier: 'OPS-1', title: 'Rotate keys', labels: ['Security'] }]));
+    expect(issues[0].labels).toEqual(['Security']);
+  });
+
+  test('never uses the internal UUID as the identifier', () => {
+    const [issue] = parseLinearJson(JSON.stringify([{ id: '2f1c9a4e-5b7d-4c1e-9f0a-3d2b8e6c7a10', title: 'No key' }]));
+    expect(issue.identifier).toBe('');
+  });
+
+  test('rejects JSON without issues', () => {
+    expect(() => parseLinearJson('{"foo": 1}')).toThrow('JSON does not contain a list of issues');
+  });
+
+  test('detects the format from the filename or content', () => {
+    expect(parseLinearExport('[{"title": "A"}]')[0].title).toBe('A');
+    expect(parseLinearExport(LINEAR_CSV, 'export.csv')).toHaveLength(2);
+  });
+});
+
+describe('linearIssueToFormData', () => {
+  test('carries identifier, team, project and labels into the project', () => {
+    const formData = linearIssueToFormData(parseLinearCsv(LINEAR_CSV)[0]);
+    expect(formData.linearIdentifier).toBe('ENG-101');
+    expect(formData.linearProject).toBe('Admin tools');
+    expect(formData.issueTitle).toBe('Add bulk delete');
+    expect(formData.relatedContext).toBe('Team: Engineering\nLabels: Feature, Admin');
+    expect(formData.labels).toEqual(['Feature', 'Admin']);
+  });
+
+  test('falls back to the title when the description is empty', () => {
+    const formData = linearIssueToFormData(parseLinearCsv(LINEAR_CSV)[1]);
+    expect(formData.whatNeedsToBeDone).toBe('Fix "Save" button');
+  });
+});
+
+describe('importLinearIssues', () => {
+  beforeEach(async () => {
+    await storage.init();
+    for (const project of await getAllProjects()) {
+      await deleteProject(project.id);
+    }
+  });
+
+  test('creates one project per issue with the Linear identifier', async () => {
+    const file = new File([LINEAR_CSV], 'linear.csv', { type: 'text/csv' });
+
+    expect(await importLinearIssues(file)).toEqual({ created: 2, skipped: 0 });
+    const imported = (await getAllProjects()).sort((a, b) => a.linearIdentifier.localeCompare(b.linearIdentifier));
+    expect(imported.map(p => p.linearIdentifier)).toEqual(['ENG-101', 'ENG-102']);
+    expect(imported.map(p => p.linearProject)).toEqual(['Admin tools', '']);
+  });
+
+  test('skips issues already imported instead of duplicating them', async () => {
+    const file = new File([LINEAR_CSV], 'linear.csv', { type: 'text/csv' });
+    await importLinearIssues(file);
+
+    expect(await importLinearIssues(file)).toEqual({ created: 0, skipped: 2 });
+    expect(await getAllProjects()).toHaveLength(2);
+  });
+
+  test('rejects files without issues', async () => {
+    const file = new File(['ID,Title\n'], 'empty.csv', { type: 'text/csv' });
+    await expect(importLinearIssues(file)).rejects.toThrow('No issues found in file');
+  });
+});
+
+describe('buildLinearExport', () => {
+  const projects = [
+    { id: '1', title: 'Bulk delete', issueTitle: 'Add bulk delete', linearIdentifier: 'ENG-101', phase3_output: '## Acceptance Criteria\n- [ ] Admin can select "all"' },
+    { id: '2', title: 'Draft', linearIdentifier: 'ENG-102', phases: { 3: { response: '' } } },
+    { id: '3', title: 'Local only', phase3_output: '- [ ] Something' }
+  ];
+
+  test('exports final criteria keyed by identifier as JSON', () => {
+    const { content, count, skipped } = buildLinearExport(projects, 'json');
+    expect(count).toBe(1);
+    expect(skipped).toBe(2);
+    expect(JSON.parse(content).issues).toEqual({
+      'ENG-101': { title: 'Add bulk delete', description: '## Acceptance Criteria\n- [ ] Admin can select "all"', labels: [], project: '' }
+    });
+  });
+
+  test('exports an ID/Title/Description CSV that parses back', () => {
+    const { content } = buildLinearExport(projects, 'csv');
+    expect(parseLinearCsv(content)).toEqual([{
+      identifier: 'ENG-101',
+      title: 'Add bulk delete',
+      description: '## Acceptance Criteria\n- [ ] Admin can select "all"',
+      labels: [],
+      team: '',
+      project: ''
+    }]);
+  });
+
+  test('exports only the most recently updated project for a shared identifier', () => {
+    const older = { ...projects[0], id: 'old', updatedAt: '2024-01-01T00:00:00.000Z', phase3_output: '- [ ] Old draft' };
+    const newer = { ...projects[0], id: 'new', updatedAt: '2024-02-01T00:00:00.000Z', linearIdentifier: 'eng-101' };
+
+    const json = buildLinearExport([older, newer], 'json');
+    expect(json).toMatchObject({ count: 1, skipped: 0, duplicates: ['ENG-101'] });
+    expect(Object.values(JSON.parse(json.content).issues).map(i => i.description)).toEqual([newer.phase3_output]);
+
+    const csv = buildLinearExport([older, newer], 'csv');
+    expect(parseLinearCsv(csv.content).map(i => i.description)).toEqual([newer.phase3_output]);
+  });
+
+  test('carries the Linear project in both formats', () => {
+    const grouped = [{ ...projects[0], linearProject: 'Admin tools' }];
+    expect(parseLinearCsv(buildLinearExport(grouped, 'csv').content)[0].project).toBe('Admin tools');
+    expect(JSON.parse(buildLinearExport(grouped, 'json').content).issues['ENG-101'].project).toBe('Admin tools');
+  });
+
+  test('carries project labels in both formats', () => {
+    const labelled = [{ ...projects[0], labels: ['Payments', 'Cycle 12'] }];
+    expect(parseLinearCsv(buildLinearExport(labelled, 'csv').content)[0].labels).toEqual(['Payments', 'Cycle 12']);
+    expect(JSON.parse(buildLinearExport(labelled, 'json').content).issues['ENG-101'].labels).toEqual(['Payments', 'Cycle 12']);
+  });
+});
@@ -0,0 +1,191 @@
+/**
+ * LLM Provider Tests
+ */
+
+import { jest } from '@jest/globals';
+import { TextDecoder, TextEncoder } from 'util';
+import {
+  DEFAULT_PROVIDER_CONFIG,
+  getProviderConfigs,
+  getPhaseProviderConfig,
+  saveProviderConfigs,
+  isProviderReady,
+  getChatCompletionsUrl,
+  parseSseBuffer,
+  streamChatCompletion,
+  runPhaseWithProvider
+} from '../../shared/js/llm-provider.js';
+import { createProject, getProject } from '../../shared/js/projects.js';
+import storage from '../../shared/js/storage.js';
+
+global.TextDecoder = TextDecoder;
+
+const CONFIG = { enabled: true, baseUrl: 'http://localhost:11434/v1/', model: 'llama3.1', apiKey: '' };
+
+/**
+ * Build a fetch Response-like object that streams the given SSE chunks
+ */
+function streamingResponse(chunks) {
+  const encoder = new TextEncoder();
+  const queue = chunks.map(chunk => encoder.encode(chunk));
+  return {
+    ok: true,
+    status: 200,
+    headers: { get: () => 'text/event-stream' },
+    body: {
+      getReader: () => ({
+        read: async () => (queue.length ? { value: queue.shift(), done: false } : { value: undefined, done: true }),
+        cancel: async () => {}
+      })
+    }
+  };
+}
+
+function sse(...contents) {
+  return contents.map(content => `data: ${JSON.stringify({ choices: [{ delta: { content } }] })}\n\n`).join('');
+}
+
+describe('Provider configuration', () => {
+  beforeEach(async () => {
+    await storage.init();
+    await storage.saveSetting('llm-providers', undefined);
+  });
+
+  test('defaults every phase to copy-paste', async () => {
+    const configs = await getProviderConfigs();
+    expect(Object.keys(configs)).toEqual(['phase1', 'phase2', 'phase3', 'second-review', 'qa-review']);
+    expect(configs.phase1).toEqual(DEFAULT_PROVIDER_CONFIG);
+    expect(configs.phase3.enabled).toBe(false);
+  });
+
+  test('saves per-phase settings', async () => {
+    await saveProviderConfigs({ phase2: { ...CONFIG, model: ' qwen2.5 ' } });
+    const configs = await getProviderConfigs();
+    expect(configs.phase2.model).toBe('qwen2.5');
+    expect(configs.phase1.enabled).toBe(false);
+  });
+
+  test('keeps each phase its own model across workflows', async () => {
+    await saveProviderConfigs({
+      phase3: { ...CONFIG, model: 'claude-final' },
+      'second-review': { ...CONFIG, model: 'gpt-review' }
+    });
+    const standard = await createProject({ issueTitle: 'A' });
+    const secondOpinion = await createProject({ issueTitle: 'B', workflowId: 'second-opinion' });
+
+    expect((await getPhaseProviderConfig(standard, 3)).model).toBe('claude-final');
+    expect((await getPhaseProviderConfig(secondOpinion, 3)).model).toBe('gpt-review');
+    expect((await getPhaseProviderConfig(secondOpinion, 4)).model).toBe('claude-final');
+    expect(await getPhaseProviderConfig(standard, 4)).toEqual(DEFAULT_PROVIDER_CONFIG);
+  });
+
+  test('reads settings saved per phase number', async () => {
+    await storage.saveSetting('llm-providers', { 1: CONFIG, 3: { ...CONFIG, model: 'old-phase-3' } });
+    const configs = await getProviderConfigs();
+
+    expect(configs.phase1.model).toBe('llama3.1');
+    expect(configs.phase3.model).toBe('old-phase-3');
+    expect(configs['second-review'].model).toBe('old-phase-3');
+  });
+
+  test('requires enabled, base URL and model to be ready', () => {
+    expect(isProviderReady(CONFIG)).toBe(true);
+    expect(isProviderReady({ ...CONFIG, enabled: false })).toBe(false);
+    expect(isProviderReady({ ...CONFIG, model: '' })).toBe(false);
+  });
+});
+
+describe('getChatCompletionsUrl', () => {
+  test('appends the chat completions path', () => {
+    expect(getChatCompletionsUrl('http://localhost:8080/v1/')).toBe('http://localhost:8080/v1/chat/completions');
+  });
+
+  test('keeps a full endpoint URL as-is', () => {
+    expect(getChatCompletionsUrl('https://api.example.com/v1/chat/completions')).toBe('https://api.example.com/v1/chat/completions');
+  });
+});
+
+describe('parseSseBuffer', () => {
+  test('extracts deltas and keeps the incomplete tail', () => {
+    const { tokens, rest, done } = parseSseBuffer(`${sse('Hel', 'lo')}data: {"choi`);
+    expect(tokens).toEqual(['Hel', 'lo']);
+    expect(rest).toBe('data: {"choi');
+    expect(done).toBe(false);
+  });
+
+  test('stops at [DONE]', () => {
+    expect(parseSseBuffer('data: [DONE]\n').done).toBe(true);
+  });
+});
+
+describe('streamChatCompletion', () => {
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  test('streams tokens across chunk boundaries', async () => {
+    const body = `${sse('## Sum', 'mary')}data: [DONE]\n\n`;
+    global.fetch = jest.fn(() => Promise.resolve(streamingResponse([body.slice(0, 30), body.slice(30)])));
+    const onToken = jest.fn();
+
+    const text = await streamChatCompletion({ ...CONFIG, apiKey: 'sk-test' }, 'Prompt', { onToken });
+
+    expect(text).toBe('## Summary');
+    expect(onToken).toHaveBeenLastCalledWith('mary', '## Summary');
+    const [url, init] = global.fetch.mock.calls[0];
+    expect(url).toBe('http://localhost:11434/v1/chat/completions');
+    expect(init.headers.Authorization).toBe('Bearer sk-test');
+    expect(JSON.parse(init.body)).toMatchObject({ model: 'llama3.1', stream: true, messages: [{ role: 'user', content: 'Prompt' }] });
+  });
+
+  test('falls back to a non-streaming JSON reply', async () => {
+    global.fetch = jest.fn(() => Promise.resolve({
+      ok: true,
+      headers: { get: () => 'application/json' },
+      body: {},
+      json: async () => ({ choices: [{ message: { content: 'Full reply' } }] })
+    }));
+
+    expect(await streamChatCompletion(CONFIG, 'Prompt')).toBe('Full reply');
+  });
+
+  test('surfaces HTTP errors', async () => {
+    global.fetch = jest.fn(() => Promise.resolve({ ok: false, status: 401, text: async () => 'bad key' }));
+    await expect(streamChatCompletion(CONFIG, 'Prompt')).rejects.toThrow('Provider returned 401: bad key');
+  });
+});
+
+describe('runPhaseWithProvider', () => {
+  beforeEach(async () => {
+    await storage.init();
+    await saveProviderConfigs({ phase1: CONFIG });
+  });
+
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  test('generates the prompt, streams the reply and saves the phase', async () => {
+    global.fetch = jest.fn((url) => {
+      if (String(url).includes('/chat/completions')) {
+        return Promise.resolve(streamingResponse([sse('- [ ] Admin can delete users'), 'data: [DONE]\n\n']));
+      }
+      return Promise.resolve({ ok: true, text: () => Promise.resolve('Template for {{ISSUE_TITLE}}') });
+    });
+    const project = await createProject({ issueTitle: 'Bulk delete', whatNeedsToBeDone: 'Delete users' });
+
+    const result = await runPhaseWithProvider(project, 1);
+
+    expect(result.response).toBe('- [ ] Admin can delete users');
+    const saved = await getProject(project.id);
+    expect(saved.phases[1].response).toBe('- [ ] Admin can delete users');
+    expect(saved.phases[1].prompt).toBe(result.prompt);
+    expect(result.prompt).toContain('Bulk delete');
+    expect(saved.phase).toBe(2);
+  });
+
+  test('refuses phases without a provider', async () => {
+    const project = await createProject({ issueTitle: 'Manual' });
+    await expect(runPhaseWithProvider(project, 2)).rejects.toThrow('No AI provider configured for Phase 2');
+  });
+});
@@ -0,0 +1,248 @@
+/**
+ * IndexedDB Migrations Tests
+ */
+
+import { jest } from '@jest/globals';
+import {
+  MIGRATIONS,
+  getSchemaVersion,
+  normalizeProject,
+  openDatabase,
+  runMigrations
+} from '../../shared/js/migrations.js';
+import storage from '../../shared/js/storage.js';
+
+const V1_ONLY = MIGRATIONS.filter(m => m.version === 1);
+
+let dbCount = 0;
+function uniqueName() {
+  dbCount++;
+  return `migrations-test-db-${dbCount}`;
+}
+
+function putRecord(db, storeName, record) {
+  return new Promise((resolve, reject) => {
+    const request = db.transaction(storeName, 'readwrite').objectStore(storeName).put(record);
+    request.onsuccess = () => resolve();
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function getRecord(db, storeName, key) {
+  return new Promise((resolve, reject) => {
+    const request = db.transaction(storeName, 'readonly').objectStore(storeName).get(key);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Create a database at schema v1 holding one project, then close it
+ */
+async function createLegacyDatabase(project) {
+  const name = uniqueName();
+  const { db } = await openDatabase(name, V1_ONLY);
+  await putRecord(db, 'criteria', project);
+  db.close();
+  return name;
+}
+
+const LEGACY_PROJECT = {
+  id: 'legacy-1',
+  title: 'Old issue',
+  issueTitle: 'Old issue',
+  phase: 2,
+  phase1_output: 'Draft AC',
+  updatedAt: '2024-01-01T00:00:00.000Z'
+};
+
+describe('normalizeProject', () => {
+  test('builds nested phases from flat outputs', () => {
+    const project = normalizeProject(LEGACY_PROJECT);
+
+    expect(project.phases[1]).toEqual({ prompt: '', response: 'Draft AC', completed: true });
+    expect(project.phases[2]).toEqual({ prompt: '', response: '', completed: false });
+    expect(project.phase3_output).toBe('');
+  });
+
+  test('converts array phases and fills flat outputs', () => {
+    const project = normalizeProject({
+      id: 'array-1',
+      phases: [{ prompt: 'P1', response: 'R1' }, { prompt: 'P2', response: 'R2' }]
+    });
+
+    expect(project.phases[2]).toEqual({ prompt: 'P2', response: 'R2', completed: true });
+    expect(project.phase1_output).toBe('R1');
+    expect(project.phase2_output).toBe('R2');
+  });
+
+  test('backfills fields added in later releases', () => {
+    const project = normalizeProject({ id: 'bare-1', issueTitle: 'Bare' });
+
+    expect(project).toMatchObject({
+      title: 'Bare',
+      outputStyle: 'linear',
+      linearIdentifier: '',
+      linearProject: '',
+      relatedContext: '',
+      phase: 1
+    });
+    expect(project.updatedAt).toBeDefined();
+    expect(project.createdAt).toBe(project.updatedAt);
+  });
+
+  test('keeps current projects unchanged', () => {
+    const current = normalizeProject(LEGACY_PROJECT);
+    expect(normalizeProject(current)).toEqual(current);
+  });
+});
+
+describe('runMigrations', () => {
+  test('applies only newer steps, in version order', () => {
+    const applied = [];
+    const steps = [3, 1, 2].map(version => ({ version, description: '', up: () => applied.push(version) }));
+
+    expect(runMigrations({}, 1, steps)).toEqual([2, 3]);
+    expect(applied).toEqual([2, 3]);
+  });
+
+  test('names the failing step', () => {
+    const steps = [{ version: 4, description: '', up: () => { throw new Error('boom'); } }];
+    expect(() => runMigrations({}, 3, steps)).toThrow('Migration to v4 failed: boom');
+  });
+});
+
+describe('openDatabase', () => {
+  test('creates a new database at the latest version', async () => {
+    const { db, migrationError } = await openDatabase(uniqueName());
+
+    expect(migrationError).toBeNull();
+    expect(db.version).toBe(getSchemaVersion());
+    expect(db.objectStoreNames.contains('revisions')).toBe(true);
+    expect(db.transaction('criteria').objectStore('criteria').indexNames.contains('dealershipName')).toBe(false);
+    db.close();
+  });
+
+  test('upgrades a v1 database and normalises its projects', async () => {
+    const name = await createLegacyDatabase(LEGACY_PROJECT);
+
+    const { db, migrationError } = await openDatabase(name);
+    const project = await getRecord(db, 'criteria', 'legacy-1');
+
+    expect(migrationError).toBeNull();
+    expect(project.phases[1].response).toBe('Draft AC');
+    expect(project.outputStyle).toBe('linear');
+    expect(project.labels).toEqual([]);
+    expect(project.linearProject).toBe('');
+    // Fields added after v5 are filled in when projects are read, not by migrations
+    expect(project.workflowId).toBeUndefined();
+    expect(normalizeProject(project).workflowId).toBe('standard');
+    expect(db.transaction('criteria').objectStore('criteria').indexNames.contains('dealershipName')).toBe(false);
+    expect(db.transaction('criteria').objectStore('criteria').indexNames.contains('labels')).toBe(true);
+    expect(db.transaction('criteria').objectStore('criteria').indexNames.contains('linearProject')).toBe(true);
+    db.close();
+  });
+
+  test('falls back to the previous version when an upgrade fails', async () => {
+    const name = await createLegacyDatabase(LEGACY_PROJECT);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const broken = [...V1_ONLY, {
+      version: 2,
+      description: 'Fails after changing the schema',
+      up({ db }) {
+        db.createObjectStore('half-done', { keyPath: 'id' });
+        throw new Error('disk full');
+      }
+    }];
+
+    const { db, migrationError } = await openDatabase(name, broken);
+
+    expect(migrationError.message).toBe('Migration to v2 failed: disk full');
+    expect(db.version).toBe(1);
+    expect(db.objectStoreNames.contains('half-done')).toBe(false);
+    expect(await getRecord(db, 'criteria', 'legacy-1')).toEqual(LEGACY_PROJECT);
+    db.close();
+    console.error.mockRestore();
+  });
+
+  test('rolls back a step that fails while rewriting records', async () => {
+    const name = await createLegacyDatabase(LEGACY_PROJECT);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const broken = [...V1_ONLY, {
+      version: 2,
+      description: 'Fails inside a cursor callback',
+      up({ tx, fail }) {
+        const store = tx.objectStore('criteria');
+        store.deleteIndex('dealershipName');
+        const request = store.openCursor();
+        request.onsuccess = () => fail(new Error('bad record'));
+      }
+    }];
+
+    const { db, migrationError } = await openDatabase(name, broken);
+
+    expect(migrationError.message).toBe('bad record');
+    expect(db.version).toBe(1);
+    expect(db.transaction('criteria').objectStore('criteria').indexNames.contains('dealershipName')).toBe(true);
+    expect(await getRecord(db, 'criteria', 'legacy-1')).toEqual(LEGACY_PROJECT);
+    db.close();
+    console.error.mockRestore();
+  });
+});
+
+describe('upgradeProject', () => {
+  test('rewrites each project through every pending step in order', async () => {
+    const name = await createLegacyDatabase(LEGACY_PROJECT);
+    const steps = [...V1_ONLY,
+      { version: 2, description: 'a', up() {}, upgradeProject: p => ({ ...p, trail: ['v2'] }) },
+      { version: 3, description: 'b', up() {}, upgradeProject: p => ({ ...p, trail: [...p.trail, 'v3'] }) }
+    ];
+
+    const { db } = await openDatabase(name, steps);
+    expect((await getRecord(db, 'criteria', 'legacy-1')).trail).toEqual(['v2', 'v3']);
+    db.close();
+  });
+
+  test('rolls the upgrade back when a project cannot be rewritten', async () => {
+    const name = await createLegacyDatabase(LEGACY_PROJECT);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const steps = [...V1_ONLY, {
+      version: 2,
+      description: 'Throws for every project',
+      up() {},
+      upgradeProject() {
+        throw new Error('bad shape');
+      }
+    }];
+
+    const { db, migrationError } = await openDatabase(name, steps);
+
+    expect(migrationError.message).toBe('Could not migrate project legacy-1 to v2: bad shape');
+    expect(db.version).toBe(1);
+    db.close();
+    console.error.mockRestore();
+  });
+});
+
+describe('storage on a database left at v1', () => {
+  test('reads projects without the stores and indexes later versions add', async () => {
+    const name = await createLegacyDatabase({ ...LEGACY_PROJECT, labels: ['ops'], linearProject: 'Q3' });
+    const { db } = await openDatabase(name, V1_ONLY);
+    const previous = storage.db;
+    storage.db = db;
+
+    try {
+      expect(await storage.getRevisions('legacy-1', 1)).toEqual([]);
+      await expect(storage.deleteRevisions('legacy-1')).resolves.toBeUndefined();
+      await expect(storage.saveRevision({ id: 'r1' })).resolves.toEqual({ id: 'r1' });
+      expect((await storage.getProjectsByLabel('ops')).map(p => p.id)).toEqual(['legacy-1']);
+      expect((await storage.getProjectsByLinearProject('Q3')).map(p => p.id)).toEqual(['legacy-1']);
+
+      await storage.deleteProject('legacy-1');
+      expect(await storage.getAllProjects()).toEqual([]);
+    } finally {
+      storage.db = previous;
+      db.close();
+    }
+  });
+});
@@ -0,0 +1,150 @@
+/**
+ * Phase Pipeline Tests
+ */
+
+import { jest } from '@jest/globals';
+import { TextDecoder } from 'util';
+import { PhasePipeline, checkPhaseOutput, PIPELINE_MIN_SCORE } from '../../shared/js/pipeline.js';
+import { saveProviderConfigs } from '../../shared/js/llm-provider.js';
+import { createProject, getProject } from '../../shared/js/projects.js';
+import storage from '../../shared/js/storage.js';
+
+global.TextDecoder = TextDecoder;
+
+const GOOD_AC = `## Summary
+Let admins delete several users at once from the admin panel.
+
+## Acceptance Criteria
+- [ ] Admin can select up to 100 users from the user list
+- [ ] Clicking Delete shows a confirmation dialog listing the selected users
+- [ ] Confirming removes the selected users within 2 seconds
+- [ ] Cancelling the dialog leaves all users unchanged
+
+## Out of Scope
+- Restoring deleted users`;
+
+const REVIEW = '## Review Assessment\nLooks testable.\n\n## Improved Version\n' + GOOD_AC;
+
+const CONFIG = { enabled: true, baseUrl: 'http://localhost:11434/v1', model: 'llama3.1', apiKey: '' };
+
+function jsonReply(content) {
+  return {
+    ok: true,
+    headers: { get: () => 'application/json' },
+    body: {},
+    json: async () => ({ choices: [{ message: { content } }] })
+  };
+}
+
+/**
+ * Mock fetch: templates echo their phase outputs, chat replies come from the queue
+ */
+function mockFetch(replies) {
+  global.fetch = jest.fn((url) => {
+    if (String(url).includes('/chat/completions')) {
+      const reply = replies.shift();
+      return reply instanceof Error ? Promise.reject(reply) : Promise.resolve(jsonReply(reply));
+    }
+    return Promise.resolve({ ok: true, text: () => Promise.resolve('Prompt\n{{PHASE1_OUTPUT}}\n{{PHASE2_OUTPUT}}') });
+  });
+  return global.fetch;
+}
+
+function chatBodies(fetchMock) {
+  return fetchMock.mock.calls
+    .filter(([url]) => String(url).includes('/chat/completions'))
+    .map(([, init]) => JSON.parse(init.body).messages[0].content);
+}
+
+describe('checkPhaseOutput', () => {
+  const project = { outputStyle: 'linear' };
+
+  test('rejects empty output and echoed prompts', () => {
+    expect(checkPhaseOutput('', 1, project).ok).toBe(false);
+    expect(checkPhaseOutput('# Phase 1: Draft\nYou are...', 2, project).reason).toMatch(/echoed the prompt/);
+  });
+
+  test('scores document phases against the minimum', () => {
+    const good = checkPhaseOutput(GOOD_AC, 1, project);
+    expect(good.ok).toBe(true);
+    expect(good.score).toBeGreaterThanOrEqual(PIPELINE_MIN_SCORE);
+
+    const bad = checkPhaseOutput('ok', 3, project);
+    expect(bad.ok).toBe(false);
+    expect(bad.reason).toMatch(/below the minimum of 30/);
+  });
+
+  test('does not score the review phase', () => {
+    expect(checkPhaseOutput('Short review', 2, project)).toEqual({ ok: true, reason: '', score: null });
+  });
+});
+
+describe('PhasePipeline', () => {
+  let project;
+
+  beforeEach(async () => {
+    await storage.init();
+    await saveProviderConfigs({ phase1: CONFIG, phase2: CONFIG, phase3: CONFIG });
+    project = await createProject({ issueTitle: 'Bulk delete', whatNeedsToBeDone: 'Delete users' });
+    // One mock template serves every phase, so some placeholders go unused
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    delete global.fetch;
+    console.warn.mockRestore();
+  });
+
+  test('runs all phases and feeds each output into the next prompt', async () => {
+    const fetchMock = mockFetch([GOOD_AC, REVIEW, GOOD_AC]);
+    const progress = [];
+    const pipeline = new PhasePipeline(project, { onProgress: (phase, status) => progress.push(`${phase}:${status.state}`) });
+
+    const result = await pipeline.run();
+
+    expect(result).toEqual({ completed: true, stoppedAt: null });
+    expect(progress).toEqual(['1:running', '1:done', '2:running', '2:done', '3:running', '3:done']);
+
+    const [, phase2Prompt, phase3Prompt] = chatBodies(fetchMock);
+    expect(phase2Prompt).toContain('Admin can select up to 100 users');
+    expect(phase3Prompt).toContain('## Review Assessment');
+
+    const saved = await getProject(project.id);
+    expect(saved.phases[3].completed).toBe(true);
+    expect(saved.phase3_output).toBe(GOOD_AC);
+  });
+
+  test('stops on a low score without saving the output', async () => {
+    mockFetch(['ok']);
+    const pipeline = new PhasePipeline(project);
+
+    const result = await pipeline.run();
+
+    expect(result).toEqual({ completed: false, stoppedAt: 1 });
+    expect(pipeline.status[1].state).toBe('stopped');
+    expect(pipeline.status[1].response).toBe('ok');
+    expect(pipeline.status[2].state).toBe('pending');
+    expect((await getProject(project.id)).phases[1].completed).toBe(false);
+  });
+
+  test('retries only the failed phase and continues', async () => {
+    const fetchMock = mockFetch([GOOD_AC, new Error('connection refused'), REVIEW, GOOD_AC]);
+    const pipeline = new PhasePipeline(project);
+
+    expect(await pipeline.run()).toEqual({ completed: false, stoppedAt: 2 });
+    expect(pipeline.status[2]).toMatchObject({ state: 'failed', error: 'connection refused' });
+
+    expect(await pipeline.retry(2)).toEqual({ completed: true, stoppedAt: null });
+    // Phase 1 ran once, phase 2 twice, phase 3 once
+    expect(chatBodies(fetchMock)).toHaveLength(4);
+  });
+
+  test('fails phases without a configured provider', async () => {
+    await saveProviderConfigs({ phase1: { ...CONFIG, enabled: false } });
+    mockFetch([]);
+    const pipeline = new PhasePipeline(project);
+
+    await pipeline.run();
+    expect(pipeline.status[1]).toMatchObject({ state: 'failed', error: 'No AI provider configured for Phase 1' });
+  });
+});
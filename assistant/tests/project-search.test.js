@@ -0,0 +1,168 @@
+/**
+ * Project Search Tests
+ */
+
+import { jest } from '@jest/globals';
+import {
+  DEFAULT_LIST_QUERY,
+  tokenize,
+  parseListQuery,
+  serializeListQuery,
+  ProjectSearchIndex,
+  filterProjects
+} from '../../shared/js/project-search.js';
+import { renderProjectsList } from '../../shared/js/views.js';
+import { createProject, updatePhase, getAllProjects, deleteProject } from '../../shared/js/projects.js';
+import storage from '../../shared/js/storage.js';
+
+const GOOD_AC = `## Summary
+Let admins delete several users at once.
+
+## Acceptance Criteria
+- [ ] Admin can select up to 100 users from the user list
+- [ ] Clicking Delete shows a confirmation dialog listing the selected users
+- [ ] Confirming removes the selected users within 2 seconds
+
+## Out of Scope
+- Restoring deleted users`;
+
+function project(id, fields = {}) {
+  return {
+    id,
+    title: fields.issueTitle || id,
+    issueTitle: '',
+    whatNeedsToBeDone: '',
+    relatedContext: '',
+    phase: 1,
+    createdAt: '2024-01-01T00:00:00.000Z',
+    updatedAt: '2024-01-01T00:00:00.000Z',
+    phases: {},
+    ...fields
+  };
+}
+
+function completed(id, response, fields = {}) {
+  const done = (r) => ({ prompt: '', response: r, completed: true });
+  return project(id, { phase: 3, phases: { 1: done('draft'), 2: done('review'), 3: done(response) }, ...fields });
+}
+
+describe('tokenize', () => {
+  test('lowercases and splits on punctuation', () => {
+    expect(tokenize('Bulk-delete users, ENG-42!')).toEqual(['bulk', 'delete', 'users', 'eng', '42']);
+  });
+});
+
+describe('list query', () => {
+  test('round-trips through the URL hash, dropping defaults', () => {
+    const query = { ...DEFAULT_LIST_QUERY, q: 'login', status: 'complete', label: 'Payments', group: 'label', sort: 'title' };
+    expect(serializeListQuery(query)).toBe('q=login&status=complete&label=Payments&group=label&sort=title');
+    expect(parseListQuery('q=login&status=complete&label=Payments&group=label&sort=title')).toEqual(query);
+    expect(serializeListQuery(DEFAULT_LIST_QUERY)).toBe('');
+  });
+
+  test('ignores unknown values', () => {
+    expect(parseListQuery('status=bogus&sort=random&score=high')).toEqual({ ...DEFAULT_LIST_QUERY, score: 'high' });
+  });
+});
+
+describe('ProjectSearchIndex', () => {
+  test('matches every word by prefix across fields and phase outputs', () => {
+    const index = new ProjectSearchIndex();
+    index.sync([
+      project('a', { issueTitle: 'Password reset', relatedContext: 'Figma link' }),
+      project('b', { whatNeedsToBeDone: 'Reset the cache', phases: { 1: { response: 'Invalidate entries' } } })
+    ]);
+
+    expect(index.search('reset')).toEqual(new Set(['a', 'b']));
+    expect(index.search('pass res')).toEqual(new Set(['a']));
+    expect(index.search('figma')).toEqual(new Set(['a']));
+    expect(index.search('invalid')).toEqual(new Set(['b']));
+    expect(index.search('reset nothing')).toEqual(new Set());
+    expect(index.search('  ')).toBeNull();
+  });
+
+  test('re-indexes only new or changed projects', () => {
+    const index = new ProjectSearchIndex();
+    const a = project('a', { issueTitle: 'Alpha' });
+    index.sync([a, project('b', { issueTitle: 'Beta' })]);
+    const addSpy = jest.spyOn(index, 'add');
+
+    index.sync([{ ...a }, project('b', { issueTitle: 'Gamma', updatedAt: '2024-02-01T00:00:00.000Z' })]);
+
+    expect(addSpy).toHaveBeenCalledTimes(1);
+    expect(index.search('beta')).toEqual(new Set());
+    expect(index.search('gamma')).toEqual(new Set(['b']));
+  });
+
+  test('drops projects that were deleted', () => {
+    const index = new ProjectSearchIndex();
+    index.sync([project('a', { issueTitle: 'Alpha' })]);
+    index.sync([]);
+    expect(index.search('alpha')).toEqual(new Set());
+    expect(index.terms.size).toBe(0);
+  });
+});
+
+describe('filterProjects', () => {
+  const projects = [
+    project('draft', { issueTitle: 'Zebra draft', phase: 2, createdAt: '2024-03-01T00:00:00.000Z' }),
+    completed('weak', 'Looks good', { issueTitle: 'Weak final', updatedAt: '2024-05-01T00:00:00.000Z' }),
+    completed('strong', GOOD_AC, { issueTitle: 'Apple final', updatedAt: '2024-04-01T00:00:00.000Z' })
+  ];
+
+  test('filters by phase and completion', () => {
+    const index = new ProjectSearchIndex();
+    const ids = (query) => filterProjects(projects, { ...DEFAULT_LIST_QUERY, ...query }, index).map(p => p.id);
+
+    expect(ids({ status: '2' })).toEqual(['draft']);
+    expect(ids({ status: '1' })).toEqual([]);
+    expect(ids({ status: 'complete' })).toEqual(['weak', 'strong']);
+  });
+
+  test('filters by label, ignoring case', () => {
+    const labelled = [project('a', { labels: ['Payments'] }), project('b', { labels: ['Growth'] }), project('c')];
+    const ids = filterProjects(labelled, { ...DEFAULT_LIST_QUERY, label: 'payments' }, new ProjectSearchIndex()).map(p => p.id);
+    expect(ids).toEqual(['a']);
+  });
+
+  test('filters by score band and sorts by score, title and date', () => {
+    const index = new ProjectSearchIndex();
+    const ids = (query) => filterProjects(projects, { ...DEFAULT_LIST_QUERY, ...query }, index).map(p => p.id);
+
+    expect(ids({ score: 'unscored' })).toEqual(['draft']);
+    expect(index.getScore('strong')).toBeGreaterThan(index.getScore('weak'));
+    expect(ids({ sort: 'score' })).toEqual(['strong', 'weak', 'draft']);
+    expect(ids({ sort: 'title' })).toEqual(['strong', 'weak', 'draft']);
+    expect(ids({ sort: 'created' })[0]).toBe('draft');
+    expect(ids({})).toEqual(['weak', 'strong', 'draft']);
+  });
+});
+
+describe('renderProjectsList', () => {
+  beforeEach(async () => {
+    document.body.innerHTML = '<div id="app-container"></div>';
+    await storage.init();
+    for (const p of await getAllProjects()) {
+      await deleteProject(p.id);
+    }
+  });
+
+  test('applies the query from the hash and updates it while typing', async () => {
+    await createProject({ issueTitle: 'Password reset', whatNeedsToBeDone: 'Email a link' });
+    const other = await createProject({ issueTitle: 'Bulk delete', whatNeedsToBeDone: 'Delete users' });
+    await updatePhase(other.id, 1, 'Prompt', 'Admins pick users');
+
+    await renderProjectsList('q=password');
+    expect(document.querySelectorAll('#projects-grid > [data-project-id]')).toHaveLength(1);
+    expect(document.getElementById('projects-count').textContent).toBe('Showing 1 of 2 issues');
+
+    const search = document.getElementById('project-search');
+    search.value = 'admins';
+    search.dispatchEvent(new Event('input'));
+
+    const cards = document.querySelectorAll('#projects-grid > [data-project-id]');
+    expect(cards).toHaveLength(1);
+    expect(cards[0].dataset.projectId).toBe(other.id);
+    expect(window.location.hash).toBe('#?q=admins');
+  });
+});
@@ -2,7 +2,7 @@
  * Project View Tests
  */
 
-import { renderProjectView } from '../../shared/js/project-view.js';
+import { renderProjectView, renderPhaseContent } from '../../shared/js/project-view.js';
 
 describe('ProjectView Module', () => {
   test('should export renderProjectView function', () => {
@@ -13,3 +13,26 @@ describe('ProjectView Module', () => {
     expect(renderProjectView.constructor.name).toBe('AsyncFunction');
   });
 });
+
+describe('per-criterion findings', () => {
+  test('counts flagged criteria in the plural', () => {
+    const response = '# Bulk delete\n\n## Summary\nAdmins delete items.\n\n## Acceptance Criteria\n- [ ] The page loads fast and looks nice\n- [ ] The list should be user-friendly and intuitive\n- [ ] Admin sees an error when a delete fails\n\n## Out of Scope\n- Undo';
+    const project = {
+      id: 'p1',
+      title: 'Bulk delete',
+      workflowId: 'standard',
+      outputStyle: 'linear',
+      phase: 3,
+      phases: {
+        1: { prompt: 'P1', response: 'Draft', completed: true },
+        2: { prompt: 'P2', response: 'Review', completed: true },
+        3: { prompt: 'P3', response, completed: true }
+      },
+      phase3_output: response
+    };
+
+    const html = renderPhaseContent(project, 3);
+    expect(html).toMatch(/\b2 criteria flagged/);
+    expect(html).not.toContain('criteriona');
+  });
+});
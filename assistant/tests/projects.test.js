@@ -16,7 +16,9 @@ import {
   exportProject,
   exportAllProjects,
   importProjects,
-  extractTitleFromMarkdown
+  extractTitleFromMarkdown,
+  getPhaseRevisions,
+  restoreRevision
 } from '../../shared/js/projects.js';
 import storage from '../../shared/js/storage.js';
 
@@ -102,6 +104,23 @@ describe('Projects Module', () => {
       expect(project.phases[1]).toHaveProperty('completed');
     });
 
+    test('should default output style to Linear checklist', async () => {
+      const project = await createProject({ issueTitle: 'Test' });
+      expect(project.outputStyle).toBe('linear');
+    });
+
+    test('should store the chosen output style', async () => {
+      const project = await createProject({ issueTitle: 'Test', outputStyle: 'gherkin' });
+      const retrieved = await storage.getProject(project.id);
+      expect(retrieved.outputStyle).toBe('gherkin');
+    });
+
+    test('should store a trimmed Linear identifier', async () => {
+      const project = await createProject({ issueTitle: 'Test', linearIdentifier: ' ENG-42 ' });
+      expect(project.linearIdentifier).toBe('ENG-42');
+      expect((await createProject({ issueTitle: 'Local' })).linearIdentifier).toBe('');
+    });
+
     test('should save project to storage', async () => {
       const formData = { projectName: 'Test', problemStatement: 'Problem', context: 'Context' };
       const project = await createProject(formData);
@@ -379,6 +398,58 @@ describe('Projects Module', () => {
     });
   });
 
+  // =================================================================
+  // Revision History Tests
+  // =================================================================
+  describe('phase revisions', () => {
+    test('should keep every distinct saved response as a revision', async () => {
+      const project = await createProject({ issueTitle: 'Test' });
+
+      await updatePhase(project.id, 1, 'Prompt', 'Good response');
+      await updatePhase(project.id, 1, 'Prompt', 'Good response');
+      await updatePhase(project.id, 1, 'Prompt', 'Worse response');
+      await updatePhase(project.id, 2, 'Prompt', '');
+
+      const revisions = await getPhaseRevisions(project.id, 1);
+      expect(revisions.map(r => r.response).sort()).toEqual(['Good response', 'Worse response']);
+      expect(revisions[0]).toMatchObject({ projectId: project.id, phase: 1, prompt: 'Prompt' });
+      expect(revisions[0].createdAt).toBeDefined();
+      expect(await getPhaseRevisions(project.id, 2)).toEqual([]);
+    });
+
+    test('should add a revision when only the prompt changes, but not for the same prompt', async () => {
+      const project = await createProject({ issueTitle: 'Test' });
+      await updatePhase(project.id, 1, 'Prompt', 'Response', { skipAutoAdvance: true });
+      await updatePhase(project.id, 1, 'Regenerated prompt', 'Response', { skipAutoAdvance: true });
+      await updatePhase(project.id, 1, 'Regenerated prompt', 'Response', { skipAutoAdvance: true });
+
+      const revisions = await getPhaseRevisions(project.id, 1);
+      expect(revisions.map(r => r.prompt).sort()).toEqual(['Prompt', 'Regenerated prompt']);
+    });
+
+    test('should restore a revision without advancing the phase', async () => {
+      const project = await createProject({ issueTitle: 'Test' });
+      await updatePhase(project.id, 1, 'Prompt', 'Good response', { skipAutoAdvance: true });
+      await updatePhase(project.id, 1, 'Prompt', 'Worse response', { skipAutoAdvance: true });
+
+      const good = (await getPhaseRevisions(project.id, 1)).find(r => r.response === 'Good response');
+      const restored = await restoreRevision(good);
+
+      expect(restored.phases[1].response).toBe('Good response');
+      expect(restored.phase).toBe(1);
+      expect(await getPhaseRevisions(project.id, 1)).toHaveLength(3);
+    });
+
+    test('should delete revisions with the project', async () => {
+      const project = await createProject({ issueTitle: 'Test' });
+      await updatePhase(project.id, 1, 'Prompt', 'Response');
+
+      await deleteProject(project.id);
+
+      expect(await getPhaseRevisions(project.id, 1)).toEqual([]);
+    });
+  });
+
   // =================================================================
   // deleteProject Tests
   // =================================================================
@@ -0,0 +1,140 @@
+/**
+ * Prompt Template Editor Tests
+ */
+
+import { jest } from '@jest/globals';
+import {
+  checkTemplatePlaceholders,
+  getTemplateKey,
+  setCustomTemplate,
+  generatePhase2Prompt
+} from '../../shared/js/prompts.js';
+import {
+  MAX_TEMPLATE_REVISIONS,
+  loadCustomPromptTemplates,
+  getPromptTemplateRecord,
+  savePromptTemplate,
+  resetPromptTemplate
+} from '../../shared/js/prompt-templates.js';
+import { showPromptEditorModal } from '../../shared/js/prompt-editor.js';
+import storage from '../../shared/js/storage.js';
+
+global.fetch = jest.fn(async (url) => {
+  const filename = url.split('/').pop();
+  return {
+    ok: true,
+    text: async () => `Default ${filename}: {{PHASE1_OUTPUT}}${filename.startsWith('phase3') ? ' {{PHASE2_OUTPUT}}' : ''}`
+  };
+});
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 20));
+
+beforeEach(async () => {
+  document.body.innerHTML = '';
+  await storage.init();
+  await new Promise((resolve, reject) => {
+    const request = storage.db.transaction('prompts', 'readwrite').objectStore('prompts').clear();
+    request.onsuccess = resolve;
+    request.onerror = () => reject(request.error);
+  });
+  ['phase1', 'phase2', 'phase3', 'phase2-gherkin'].forEach(key => setCustomTemplate(key, null));
+});
+
+describe('checkTemplatePlaceholders', () => {
+  test('reports missing required and unknown placeholders', () => {
+    expect(checkTemplatePlaceholders(3, 'Draft {{PHASE1_OUTPUT}} for {{ISSUE_TITLE}} in {{TEAM}}')).toEqual({
+      missing: ['PHASE2_OUTPUT'],
+      unknown: ['TEAM']
+    });
+    expect(checkTemplatePlaceholders(2, 'Review {{PHASE1_OUTPUT}}')).toEqual({ missing: [], unknown: [] });
+  });
+
+  test('keys templates by phase and output style', () => {
+    expect(getTemplateKey(2)).toBe('phase2');
+    expect(getTemplateKey(2, 'gherkin')).toBe('phase2-gherkin');
+  });
+});
+
+describe('custom templates', () => {
+  test('override the default when generating prompts', async () => {
+    expect(await generatePhase2Prompt({ issueTitle: 'X' }, 'draft')).toBe('Default phase2.md: draft');
+
+    await savePromptTemplate(2, 'linear', 'Fintech review of {{PHASE1_OUTPUT}}');
+    expect(await generatePhase2Prompt({ issueTitle: 'X' }, 'draft')).toBe('Fintech review of draft');
+    expect(await generatePhase2Prompt({ issueTitle: 'X', outputStyle: 'gherkin' }, 'draft')).toBe('Default phase2-gherkin.md: draft');
+  });
+
+  test('refuse templates missing required placeholders', async () => {
+    await expect(savePromptTemplate(3, 'linear', 'Only {{PHASE1_OUTPUT}}'))
+      .rejects.toThrow('Template is missing required placeholders: {{PHASE2_OUTPUT}}');
+    await expect(savePromptTemplate(2, 'linear', '  ')).rejects.toThrow('Template cannot be empty');
+    expect(await getPromptTemplateRecord(3, 'linear')).toBeNull();
+  });
+
+  test('keep a capped revision history, newest first', async () => {
+    for (let i = 1; i <= MAX_TEMPLATE_REVISIONS + 2; i++) {
+      await savePromptTemplate(2, 'linear', `v${i} {{PHASE1_OUTPUT}}`);
+    }
+
+    const record = await getPromptTemplateRecord(2, 'linear');
+    expect(record.phase).toBe('phase2');
+    expect(record.revisions).toHaveLength(MAX_TEMPLATE_REVISIONS);
+    expect(record.revisions[0].template).toBe(`v${MAX_TEMPLATE_REVISIONS + 2} {{PHASE1_OUTPUT}}`);
+  });
+
+  test('reset goes back to the default and keeps the history', async () => {
+    await savePromptTemplate(2, 'linear', 'Custom {{PHASE1_OUTPUT}}');
+    await resetPromptTemplate(2, 'linear');
+
+    expect(await generatePhase2Prompt({}, 'draft')).toBe('Default phase2.md: draft');
+    const record = await getPromptTemplateRecord(2, 'linear');
+    expect(record.template).toBeNull();
+    expect(record.revisions).toHaveLength(1);
+  });
+
+  test('are applied again after a reload', async () => {
+    await savePromptTemplate(2, 'linear', 'Stored {{PHASE1_OUTPUT}}');
+    setCustomTemplate('phase2', null);
+
+    expect(await loadCustomPromptTemplates()).toBe(1);
+    expect(await generatePhase2Prompt({}, 'draft')).toBe('Stored draft');
+  });
+});
+
+describe('showPromptEditorModal', () => {
+  test('checks placeholders as you type and saves', async () => {
+    await showPromptEditorModal({ phase: 3 });
+    const textarea = document.querySelector('#prompt-editor-text');
+    const saveBtn = document.querySelector('#save-prompt-btn');
+
+    expect(textarea.value).toBe('Default phase3.md: {{PHASE1_OUTPUT}} {{PHASE2_OUTPUT}}');
+    expect(document.querySelector('#prompt-editor-status').textContent).toBe('Default');
+    expect(saveBtn.disabled).toBe(true);
+
+    textarea.value = 'Only {{PHASE1_OUTPUT}}';
+    textarea.dispatchEvent(new Event('input'));
+    expect(document.querySelector('[data-placeholder="PHASE2_OUTPUT"]').dataset.missing).toBe('true');
+    expect(saveBtn.disabled).toBe(true);
+
+    textarea.value = 'Merge {{PHASE1_OUTPUT}} with {{PHASE2_OUTPUT}}';
+    textarea.dispatchEvent(new Event('input'));
+    expect(saveBtn.disabled).toBe(false);
+
+    saveBtn.click();
+    await flush();
+
+    expect((await getPromptTemplateRecord(3, 'linear')).template).toBe('Merge {{PHASE1_OUTPUT}} with {{PHASE2_OUTPUT}}');
+    expect(document.querySelector('#prompt-editor-status').textContent).toBe('Custom');
+    expect(document.querySelectorAll('.prompt-revision-item')).toHaveLength(1);
+  });
+
+  test('loads a saved version into the editor', async () => {
+    await savePromptTemplate(2, 'linear', 'First {{PHASE1_OUTPUT}}');
+    await savePromptTemplate(2, 'linear', 'Second {{PHASE1_OUTPUT}}');
+    await showPromptEditorModal({ phase: 2 });
+
+    document.querySelectorAll('.prompt-revision-item')[1].click();
+    expect(document.querySelector('#prompt-editor-text').value).toBe('First {{PHASE1_OUTPUT}}');
+    expect(document.querySelector('#save-prompt-btn').disabled).toBe(false);
+  });
+});
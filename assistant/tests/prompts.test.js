@@ -9,6 +9,8 @@ import {
   generatePhase2Prompt,
   generatePhase3Prompt,
   getPhaseMetadata,
+  getOutputStyle,
+  OUTPUT_STYLES,
   preloadPromptTemplates,
   replaceTemplateVars
 } from '../../shared/js/prompts.js';
@@ -20,7 +22,10 @@ global.fetch = jest.fn(async (url) => {
   const templates = {
     'phase1.md': 'Phase 1: Issue {{ISSUE_TITLE}}. Task: {{WHAT_NEEDS_TO_BE_DONE}}. Context: {{RELATED_CONTEXT}}.',
     'phase2.md': 'Phase 2: Review AC for {{ISSUE_TITLE}}. Previous output: {{PHASE1_OUTPUT}}',
-    'phase3.md': 'Phase 3: Final AC for {{ISSUE_TITLE}}. Phase 1: {{PHASE1_OUTPUT}}. Phase 2: {{PHASE2_OUTPUT}}'
+    'phase3.md': 'Phase 3: Final AC for {{ISSUE_TITLE}}. Phase 1: {{PHASE1_OUTPUT}}. Phase 2: {{PHASE2_OUTPUT}}',
+    'phase1-gherkin.md': 'Gherkin Phase 1: Issue {{ISSUE_TITLE}}. Task: {{WHAT_NEEDS_TO_BE_DONE}}.',
+    'phase2-gherkin.md': 'Gherkin Phase 2: Review scenarios. Previous output: {{PHASE1_OUTPUT}}',
+    'phase3-gherkin.md': 'Gherkin Phase 3: Final scenarios. Phase 1: {{PHASE1_OUTPUT}}. Phase 2: {{PHASE2_OUTPUT}}'
   };
   // Extract filename from path (handles both old and new paths)
   const filename = url.split('/').pop();
@@ -94,6 +99,44 @@ describe('preloadPromptTemplates', () => {
   });
 });
 
+describe('Output styles', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('should offer Linear and Gherkin styles', () => {
+    expect(Object.keys(OUTPUT_STYLES)).toEqual(['linear', 'gherkin']);
+  });
+
+  test('should fall back to Linear for unknown styles', () => {
+    expect(getOutputStyle(undefined).id).toBe('linear');
+    expect(getOutputStyle('rst').id).toBe('linear');
+    expect(getOutputStyle('gherkin').id).toBe('gherkin');
+  });
+
+  test('should preload the Gherkin template set', async () => {
+    await preloadPromptTemplates('gherkin');
+
+    const calls = global.fetch.mock.calls.map(c => c[0]);
+    expect(calls).toHaveLength(3);
+    expect(calls.every(url => /phase\d-gherkin\.md$/.test(url))).toBe(true);
+  });
+
+  test('should select Gherkin templates for every phase', async () => {
+    const formData = { issueTitle: 'Bulk delete', outputStyle: 'gherkin' };
+
+    expect(await generatePhase1Prompt(formData)).toContain('Gherkin Phase 1: Issue Bulk delete');
+    expect(await generatePhase2Prompt(formData, 'draft')).toContain('Gherkin Phase 2');
+    expect(await generatePhase3Prompt(formData, 'draft', 'review')).toContain('Gherkin Phase 3');
+  });
+
+  test('should keep Linear templates when no style is set', async () => {
+    const prompt = await generatePhase1Prompt({ issueTitle: 'Bulk delete' });
+    expect(prompt).toContain('Phase 1: Issue Bulk delete');
+    expect(prompt).not.toContain('Gherkin');
+  });
+});
+
 describe('generatePhase1Prompt', () => {
   beforeEach(() => {
     jest.clearAllMocks();
@@ -0,0 +1,157 @@
+/**
+ * Quality Gate Tests
+ */
+
+import { jest } from '@jest/globals';
+import {
+  DEFAULT_QUALITY_GATE,
+  getQualityGateSettings,
+  saveQualityGateSettings,
+  getGateStatus,
+  buildRefinementPrompt,
+  recordRefinement,
+  runRefinementLoop
+} from '../../shared/js/quality-gate.js';
+import { saveProviderConfigs } from '../../shared/js/llm-provider.js';
+import { createProject, updatePhase, getProject } from '../../shared/js/projects.js';
+import storage from '../../shared/js/storage.js';
+
+const WEAK_AC = `## Acceptance Criteria
+- [ ] Page loads fast
+- [ ] Errors are handled properly`;
+
+const BETTER_AC = `## Summary
+Let admins delete several users at once.
+
+## Acceptance Criteria
+- [ ] Admin can select up to 100 users from the user list
+- [ ] Clicking Delete shows a confirmation dialog listing the selected users
+- [ ] Confirming removes the selected users within 2 seconds
+
+## Out of Scope
+- Restoring deleted users`;
+
+const BEST_AC = BETTER_AC.replace(
+  '- [ ] Confirming removes the selected users within 2 seconds',
+  '- [ ] Confirming removes the selected users within 2 seconds\n- [ ] Display an error message within 1 second if deletion fails\n- [ ] Validate that an empty selection disables the Delete button'
+);
+
+const CONFIG = { enabled: true, baseUrl: 'http://localhost:11434/v1', model: 'llama3.1', apiKey: '' };
+
+async function createCompletedProject(finalOutput) {
+  const project = await createProject({ issueTitle: 'Bulk delete', whatNeedsToBeDone: 'Delete users' });
+  await updatePhase(project.id, 3, 'Original phase 3 prompt', finalOutput);
+  return getProject(project.id);
+}
+
+function mockReplies(replies) {
+  global.fetch = jest.fn(() => Promise.resolve({
+    ok: true,
+    headers: { get: () => 'application/json' },
+    body: {},
+    json: async () => ({ choices: [{ message: { content: replies.shift() } }] })
+  }));
+}
+
+beforeEach(async () => {
+  await storage.init();
+  await storage.saveSetting('quality-gate', undefined);
+  await storage.saveSetting('llm-providers', undefined);
+});
+
+afterEach(() => {
+  delete global.fetch;
+});
+
+describe('Quality gate settings', () => {
+  test('are off by default', async () => {
+    expect(await getQualityGateSettings()).toEqual(DEFAULT_QUALITY_GATE);
+  });
+
+  test('clamp target and round limits', async () => {
+    const saved = await saveQualityGateSettings({ enabled: true, targetScore: '150', maxRounds: '0' });
+    expect(saved).toEqual({ enabled: true, targetScore: 100, maxRounds: 1 });
+  });
+});
+
+describe('getGateStatus', () => {
+  test('only allows refinement when enabled, below target and rounds remain', async () => {
+    const project = await createCompletedProject(WEAK_AC);
+    const settings = { enabled: true, targetScore: 70, maxRounds: 2 };
+
+    expect(getGateStatus(project, settings)).toMatchObject({ belowTarget: true, roundsLeft: 2, canRefine: true });
+    expect(getGateStatus(project, { ...settings, enabled: false }).canRefine).toBe(false);
+    expect(getGateStatus({ ...project, refinements: [{}, {}] }, settings).canRefine).toBe(false);
+  });
+});
+
+describe('buildRefinementPrompt', () => {
+  test('includes the validator issues for the current output', async () => {
+    const project = await createCompletedProject(WEAK_AC);
+    const { prompt, result } = buildRefinementPrompt(project);
+
+    expect(prompt).toContain('## ISSUES TO FIX');
+    expect(prompt).toContain('Page loads fast');
+    expect(prompt).toContain(`CURRENT SCORE: ${result.totalScore}/100`);
+  });
+});
+
+describe('recordRefinement', () => {
+  test('keeps a better rewrite and records the round', async () => {
+    const project = await createCompletedProject(WEAK_AC);
+
+    const { project: updated, round } = await recordRefinement(project.id, 'Fix it', `Here's the rewrite:\n${BETTER_AC}`, 'manual');
+
+    expect(round).toMatchObject({ round: 1, accepted: true, source: 'manual', prompt: 'Fix it' });
+    expect(round.score).toBeGreaterThan(round.previousScore);
+    expect(updated.phases[3].response).toBe(BETTER_AC);
+    expect(updated.phases[3].prompt).toBe('Original phase 3 prompt');
+    expect(updated.refinements).toHaveLength(1);
+  });
+
+  test('discards a rewrite that lowers the score', async () => {
+    const project = await createCompletedProject(BETTER_AC);
+
+    const { project: updated, round } = await recordRefinement(project.id, 'Fix it', WEAK_AC, 'manual');
+
+    expect(round.accepted).toBe(false);
+    expect(updated.phases[3].response).toBe(BETTER_AC);
+    expect(updated.refinements).toHaveLength(1);
+  });
+});
+
+describe('runRefinementLoop', () => {
+  test('re-runs Phase 3 until the target is met', async () => {
+    await saveQualityGateSettings({ enabled: true, targetScore: 95, maxRounds: 3 });
+    await saveProviderConfigs({ phase3: CONFIG });
+    mockReplies([BETTER_AC, BEST_AC, BEST_AC]);
+    const project = await createCompletedProject(WEAK_AC);
+    const onRound = jest.fn();
+
+    const { project: updated, rounds } = await runRefinementLoop(project, { onRound });
+
+    expect(rounds[0].score).toBeGreaterThan(rounds[0].previousScore);
+    expect(rounds[1].score).toBeGreaterThan(rounds[1].previousScore);
+    expect(onRound).toHaveBeenCalledTimes(rounds.length);
+    expect(rounds.length).toBeLessThanOrEqual(3);
+    expect(updated.phases[3].response).toBe(BEST_AC);
+  });
+
+  test('stops after the configured number of rounds', async () => {
+    await saveQualityGateSettings({ enabled: true, targetScore: 100, maxRounds: 1 });
+    await saveProviderConfigs({ phase3: CONFIG });
+    mockReplies([BETTER_AC, BEST_AC]);
+    const project = await createCompletedProject(WEAK_AC);
+
+    const { rounds } = await runRefinementLoop(project);
+
+    expect(rounds).toHaveLength(1);
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test('requires a Phase 3 provider', async () => {
+    await saveQualityGateSettings({ enabled: true });
+    const project = await createCompletedProject(WEAK_AC);
+    await expect(runRefinementLoop(project)).rejects.toThrow('No AI provider configured for Phase 3');
+  });
+});
@@ -0,0 +1,232 @@
+/**
+ * Review Findings Tests
+ */
+
+import { jest } from '@jest/globals';
+import { parseReviewFindings, getReviewOutput, formatAcceptedFindings } from '../../shared/js/review-findings.js';
+import { createProject, updatePhase, addPhaseReview, setFindingDecisions, forkProject, getAllProjects, deleteProject } from '../../shared/js/projects.js';
+import { generatePromptForPhase } from '../../shared/js/workflow.js';
+import { renderPhaseContent, attachPhaseEventListeners } from '../../shared/js/project-view.js';
+import storage from '../../shared/js/storage.js';
+
+global.fetch = jest.fn(async (url) => {
+  const filename = url.split('/').pop();
+  return {
+    ok: true,
+    text: async () => `${filename}: {{PHASE2_OUTPUT}}`
+  };
+});
+
+const REVIEW = `## Review Assessment
+
+| Criterion | Score |
+|-----------|-------|
+| Testability | 6/10 |
+
+### Issues Found
+1. "User can sign in" → Too vague. Suggest: "User can sign in with email/password, receives error for invalid credentials"
+2. **Minor:** "Page loads fast" → No threshold. Suggest: "Page loads in under 2 seconds"
+3. Eleven items is too many for one issue - split the admin settings into a separate issue
+
+### Missing Edge Cases
+1. What happens when the session expires mid-delete?
+
+### Anti-Patterns Detected
+- [ ] User story syntax
+- [x] Compound criteria: "User can sign in and reset password"
+- Gherkin syntax: none found
+
+## Improved Version
+- [ ] User can sign in with email/password`;
+
+/**
+ * A project whose review phase is answered with REVIEW
+ */
+async function reviewedProject() {
+  const project = await createProject({ issueTitle: 'Sign in' });
+  await updatePhase(project.id, 1, 'P1', 'Draft AC');
+  return updatePhase(project.id, 2, 'P2', REVIEW);
+}
+
+beforeEach(async () => {
+  document.body.innerHTML = '<div id="app-container"></div>';
+  await storage.init();
+  for (const project of await getAllProjects()) {
+    await deleteProject(project.id);
+  }
+});
+
+describe('parseReviewFindings', () => {
+  test('reads severity, criterion, category and fix, most severe first', () => {
+    const findings = parseReviewFindings(REVIEW);
+
+    expect(findings.map(({ key, ...finding }) => finding)).toEqual([
+      {
+        severity: 'high',
+        category: 'vagueness',
+        criterion: 'User can sign in',
+        problem: 'Too vague',
+        fix: 'User can sign in with email/password, receives error for invalid credentials',
+        reviewers: []
+      },
+      {
+        severity: 'medium',
+        category: 'scope-creep',
+        criterion: '',
+        problem: 'Eleven items is too many for one issue - split the admin settings into a separate issue',
+        fix: '',
+        reviewers: []
+      },
+      {
+        severity: 'medium',
+        category: 'missing-edge-case',
+        criterion: '',
+        problem: 'What happens when the session expires mid-delete?',
+        fix: '',
+        reviewers: []
+      },
+      {
+        severity: 'medium',
+        category: 'anti-pattern',
+        criterion: '',
+        problem: 'Compound criteria: "User can sign in and reset password"',
+        fix: '',
+        reviewers: []
+      },
+      {
+        severity: 'low',
+        category: 'vagueness',
+        criterion: 'Page loads fast',
+        problem: 'No threshold',
+        fix: 'Page loads in under 2 seconds',
+        reviewers: []
+      }
+    ]);
+  });
+
+  test('reads the reviewers of a merged critique and keys findings without them', () => {
+    const single = parseReviewFindings('### Critical Issues\n1. Undo behaviour is undefined');
+    const merged = parseReviewFindings('## Merged Review\n\n**Reviewers:** GPT, QA\n\n### Critical Issues\n1. Undo behaviour is undefined *(GPT, QA)*');
+
+    expect(merged).toHaveLength(1);
+    expect(merged[0]).toMatchObject({ severity: 'high', reviewers: ['GPT', 'QA'] });
+    expect(merged[0].key).toBe(single[0].key);
+  });
+
+  test('finds nothing in free text without points', () => {
+    expect(parseReviewFindings('')).toEqual([]);
+    expect(parseReviewFindings('## Improved Version\n- [ ] Admin can delete')).toEqual([]);
+  });
+});
+
+describe('getReviewOutput', () => {
+  test('passes the whole review on until every finding is decided', () => {
+    const [vague, scope] = parseReviewFindings(REVIEW);
+    expect(getReviewOutput(REVIEW, undefined)).toBe(REVIEW);
+    expect(getReviewOutput(REVIEW, { 'stale finding': 'accepted' })).toBe(REVIEW);
+    expect(getReviewOutput(REVIEW, { [vague.key]: 'accepted', [scope.key]: 'rejected' })).toBe(REVIEW);
+  });
+
+  test('passes on only accepted findings once all are decided', () => {
+    const findings = parseReviewFindings(REVIEW);
+    const decisions = Object.fromEntries(findings.map((f, i) => [f.key, i === 0 ? 'accepted' : 'rejected']));
+    const output = getReviewOutput(REVIEW, decisions);
+
+    expect(output).toContain('The author accepted this finding from the review and rejected the other 4.');
+    expect(output).toContain('1. **[High · Vagueness]** "User can sign in": Too vague\n   Suggested fix: User can sign in with email/password');
+    expect(output).not.toContain('Eleven items');
+    expect(output).not.toContain('session expires');
+    expect(output).not.toContain('Improved Version');
+  });
+
+  test('only claims the decisions the author made', () => {
+    const [vague, scope] = parseReviewFindings(REVIEW);
+    expect(formatAcceptedFindings([vague, scope])).toContain('The author accepted these findings from the review. Apply');
+    expect(formatAcceptedFindings([vague], 1)).toContain('The author accepted this finding from the review and rejected one other.');
+    expect(formatAcceptedFindings([], 5)).toContain('rejected every finding');
+  });
+});
+
+describe('setFindingDecisions', () => {
+  test('feeds only accepted findings into the final phase prompt', async () => {
+    const project = await reviewedProject();
+    const [vague, ...rest] = parseReviewFindings(REVIEW);
+    expect(await generatePromptForPhase(project, 3)).toBe(`phase3.md: ${REVIEW}`);
+
+    const decisions = { [vague.key]: 'accepted', ...Object.fromEntries(rest.map(f => [f.key, 'rejected'])) };
+    const decided = await setFindingDecisions(project.id, 2, decisions);
+    const prompt = await generatePromptForPhase(decided, 3);
+
+    expect(prompt).toContain('## Accepted Review Findings');
+    expect(prompt).toContain('User can sign in');
+    expect(prompt).not.toContain('Eleven items');
+  });
+
+  test('clear decisions, drop stale ones and reject unknown values', async () => {
+    const project = await reviewedProject();
+    const [vague] = parseReviewFindings(REVIEW);
+
+    await setFindingDecisions(project.id, 2, { [vague.key]: 'accepted', 'not a finding': 'accepted' });
+    let updated = await setFindingDecisions(project.id, 2, {});
+    expect(updated.phases[2].findingDecisions).toEqual({ [vague.key]: 'accepted' });
+
+    updated = await setFindingDecisions(project.id, 2, { [vague.key]: null });
+    expect(updated.phases[2].findingDecisions).toEqual({});
+
+    await expect(setFindingDecisions(project.id, 2, { [vague.key]: 'maybe' })).rejects.toThrow('Unknown finding decision: maybe');
+  });
+
+  test('keep decisions through new reviewers and forks', async () => {
+    const project = await reviewedProject();
+    const [vague] = parseReviewFindings(REVIEW);
+    await setFindingDecisions(project.id, 2, { [vague.key]: 'accepted' });
+
+    const merged = await addPhaseReview(project.id, 2, 'QA', '- Nobody says what happens offline');
+    expect(merged.phases[2].findingDecisions).toEqual({ [vague.key]: 'accepted' });
+    expect(await generatePromptForPhase(merged, 3)).toContain('Nobody says what happens offline');
+
+    const fork = await forkProject(project.id, 2);
+    expect(fork.phases[2].findingDecisions).toEqual({ [vague.key]: 'accepted' });
+  });
+});
+
+describe('findings panel', () => {
+  test('lists findings with their decisions', async () => {
+    const project = await reviewedProject();
+    const [vague] = parseReviewFindings(REVIEW);
+    const decided = await setFindingDecisions(project.id, 2, { [vague.key]: 'accepted' });
+
+    document.body.innerHTML = `<div id="phase-content">${renderPhaseContent(decided, 2)}</div>`;
+    const rows = [...document.querySelectorAll('#finding-list .finding-row')];
+
+    expect(rows).toHaveLength(5);
+    expect(rows[0].dataset.decision).toBe('accepted');
+    expect(rows[0].textContent).toContain('Vagueness');
+    expect(rows[0].querySelector('.finding-accept-btn').getAttribute('aria-pressed')).toBe('true');
+    expect(document.getElementById('findings-summary').textContent).toContain('1 accepted, 0 rejected, 4 to decide. Until you accept or reject every finding');
+  });
+
+  test('accepts a finding and clears it on a second click', async () => {
+    const project = await reviewedProject();
+    document.body.innerHTML = `<div id="phase-content">${renderPhaseContent(project, 2)}</div>`;
+    attachPhaseEventListeners(project, 2);
+
+    const waitForDecision = async (decision) => {
+      for (let i = 0; i < 50 && document.querySelector('.finding-row').dataset.decision !== decision; i++) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+      }
+      return document.querySelector('.finding-row').dataset.decision;
+    };
+
+    document.querySelector('.finding-accept-btn').click();
+    expect(await waitForDecision('accepted')).toBe('accepted');
+
+    document.querySelector('.finding-accept-btn').click();
+    expect(await waitForDecision('')).toBe('');
+  });
+
+  test('is not shown on phases without review findings', async () => {
+    const project = await reviewedProject();
+    expect(renderPhaseContent(project, 1)).not.toContain('findings-panel');
+  });
+});
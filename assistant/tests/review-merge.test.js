@@ -0,0 +1,214 @@
+/**
+ * Multi-Reviewer Review Phase Tests
+ */
+
+import { jest } from '@jest/globals';
+import { splitReviewPoints, mergeReviews, buildMergedCritique } from '../../shared/js/review-merge.js';
+import { createProject, updatePhase, addPhaseReview, deletePhaseReview, forkProject, getAllProjects, deleteProject } from '../../shared/js/projects.js';
+import { generatePromptForPhase } from '../../shared/js/workflow.js';
+import { renderProjectView, showReviewerDiffModal } from '../../shared/js/project-view.js';
+import { renderPhaseContent } from '../../shared/js/project-view-phase.js';
+import storage from '../../shared/js/storage.js';
+
+global.fetch = jest.fn(async (url) => {
+  const filename = url.split('/').pop();
+  return {
+    ok: true,
+    text: async () => `${filename}: {{PHASE2_OUTPUT}}`
+  };
+});
+
+const GEMINI_REVIEW = `## 🔍 Critical Issues
+- No limit on how many items can be deleted at once
+- The confirmation dialog text is never specified
+
+## ✨ Improved Version
+- [ ] Admin can delete up to 100 items`;
+
+const GPT_REVIEW = `### Critical Issues
+1. Nothing limits how many items can be deleted at once
+2. Undo behaviour is undefined
+
+### Improved Version
+- [ ] Admin can undo a bulk delete`;
+
+const QA_REVIEW = 'Undo behaviour is undefined for deleted items.\n\nNobody says what happens offline.';
+
+/**
+ * A project whose first phase is answered
+ */
+async function draftedProject() {
+  const project = await createProject({ issueTitle: 'Bulk delete' });
+  return updatePhase(project.id, 1, 'P1', 'Draft AC');
+}
+
+beforeEach(async () => {
+  document.body.innerHTML = '<div id="app-container"></div>';
+  await storage.init();
+  for (const project of await getAllProjects()) {
+    await deleteProject(project.id);
+  }
+});
+
+describe('splitReviewPoints', () => {
+  test('groups list items by heading and keeps the improved version whole', () => {
+    const split = splitReviewPoints(`${GEMINI_REVIEW}\n\n## Notes\n- kept verbatim`);
+
+    expect(split.points).toEqual([
+      { section: 'Critical Issues', text: 'No limit on how many items can be deleted at once' },
+      { section: 'Critical Issues', text: 'The confirmation dialog text is never specified' }
+    ]);
+    expect(split.improved).toBe('- [ ] Admin can delete up to 100 items\n\n## Notes\n- kept verbatim');
+  });
+
+  test('uses paragraphs when a review has no list', () => {
+    expect(splitReviewPoints(QA_REVIEW).points.map(p => p.text)).toEqual([
+      'Undo behaviour is undefined for deleted items.',
+      'Nobody says what happens offline.'
+    ]);
+  });
+});
+
+describe('mergeReviews', () => {
+  test('de-duplicates overlapping points and lists who raised them', () => {
+    const merged = mergeReviews([
+      { reviewer: 'Gemini', response: GEMINI_REVIEW },
+      { reviewer: 'GPT', response: GPT_REVIEW },
+      { reviewer: 'QA', response: QA_REVIEW }
+    ]);
+
+    expect(merged.sections.map(s => s.title)).toEqual(['Critical Issues', 'Other Points']);
+    expect(merged.sections[0].points).toEqual([
+      { text: 'No limit on how many items can be deleted at once', reviewers: ['Gemini', 'GPT'] },
+      { text: 'Undo behaviour is undefined', reviewers: ['GPT', 'QA'] },
+      { text: 'The confirmation dialog text is never specified', reviewers: ['Gemini'] }
+    ]);
+    expect(merged.improved.map(i => i.reviewer)).toEqual(['Gemini', 'GPT']);
+  });
+
+  test('passes a single review through unchanged', () => {
+    expect(buildMergedCritique([])).toBe('');
+    expect(buildMergedCritique([{ reviewer: 'Gemini', response: GEMINI_REVIEW }])).toBe(GEMINI_REVIEW);
+  });
+});
+
+describe('phase reviews', () => {
+  test('turn an existing response into the first review and merge the next one', async () => {
+    const drafted = await draftedProject();
+    await updatePhase(drafted.id, 2, 'P2', GEMINI_REVIEW);
+
+    const project = await addPhaseReview(drafted.id, 2, ' GPT ', GPT_REVIEW);
+    const { reviews, response, completed } = project.phases[2];
+
+    expect(reviews.map(r => r.reviewer)).toEqual(['Gemini', 'GPT']);
+    expect(response).toContain('**Reviewers:** Gemini, GPT');
+    expect(response).toContain('1. No limit on how many items can be deleted at once *(Gemini, GPT)*');
+    expect(completed).toBe(true);
+    expect(project.phase).toBe(3);
+    expect(project.phases[2].prompt).toBe('P2');
+  });
+
+  test('replace the earlier review by the same reviewer', async () => {
+    const drafted = await draftedProject();
+    await addPhaseReview(drafted.id, 2, 'QA', 'First pass');
+    const project = await addPhaseReview(drafted.id, 2, 'qa', QA_REVIEW);
+
+    expect(project.phases[2].reviews).toHaveLength(1);
+    expect(project.phases[2].reviews[0].reviewer).toBe('qa');
+    expect(project.phases[2].response).toBe(QA_REVIEW);
+  });
+
+  test('reject empty reviewers and reviews', async () => {
+    const drafted = await draftedProject();
+    await expect(addPhaseReview(drafted.id, 2, ' ', GPT_REVIEW)).rejects.toThrow('Reviewer name cannot be empty');
+    await expect(addPhaseReview(drafted.id, 2, 'GPT', '  ')).rejects.toThrow('Review cannot be empty');
+  });
+
+  test('rebuild the critique when one is deleted and keep the last one', async () => {
+    const drafted = await draftedProject();
+    await addPhaseReview(drafted.id, 2, 'Gemini', GEMINI_REVIEW);
+    const both = await addPhaseReview(drafted.id, 2, 'GPT', GPT_REVIEW);
+
+    const one = await deletePhaseReview(drafted.id, 2, both.phases[2].reviews[0].id);
+    expect(one.phases[2].response).toBe(GPT_REVIEW);
+
+    const none = await deletePhaseReview(drafted.id, 2, one.phases[2].reviews[0].id);
+    expect(none.phases[2]).toMatchObject({ response: GPT_REVIEW, completed: true, reviews: [] });
+    expect(none.phase2_output).toBe(GPT_REVIEW);
+    expect((await storage.getProject(drafted.id)).phases[2].reviews).toEqual([]);
+
+    const added = await addPhaseReview(drafted.id, 2, 'QA', QA_REVIEW);
+    expect(added.phases[2].reviews.map(r => r.reviewer)).toEqual(['QA']);
+    expect(added.phases[2].response).toBe(QA_REVIEW);
+  });
+
+  test('feed the merged critique to the next phase and survive edits and forks', async () => {
+    const drafted = await draftedProject();
+    await addPhaseReview(drafted.id, 2, 'Gemini', GEMINI_REVIEW);
+    const reviewed = await addPhaseReview(drafted.id, 2, 'GPT', GPT_REVIEW);
+
+    expect(await generatePromptForPhase(reviewed, 3)).toBe(`phase3.md: ${reviewed.phases[2].response}`);
+
+    const fork = await forkProject(drafted.id, 2);
+    expect(fork.phases[2].reviews.map(r => r.reviewer)).toEqual(['Gemini', 'GPT']);
+
+    const recopied = await updatePhase(drafted.id, 2, 'New P2', reviewed.phases[2].response, { skipAutoAdvance: true });
+    expect(recopied.phases[2].reviews).toHaveLength(2);
+  });
+
+  test('keep a response saved over the merged critique when the next review is added', async () => {
+    const drafted = await draftedProject();
+    await addPhaseReview(drafted.id, 2, 'Gemini', GEMINI_REVIEW);
+    await addPhaseReview(drafted.id, 2, 'GPT', GPT_REVIEW);
+
+    const edited = await updatePhase(drafted.id, 2, 'P2', 'Hand-edited critique');
+    expect(edited.phases[2].reviews).toBeUndefined();
+
+    const project = await addPhaseReview(drafted.id, 2, 'QA', QA_REVIEW);
+    expect(project.phases[2].reviews.map(r => r.reviewer)).toEqual(['Gemini', 'QA']);
+    expect(project.phases[2].reviews[0].response).toBe('Hand-edited critique');
+    expect(project.phases[2].response).toContain('Hand-edited critique');
+  });
+});
+
+describe('reviews panel', () => {
+  test('is shown on the review phase only', async () => {
+    const drafted = await draftedProject();
+    await addPhaseReview(drafted.id, 2, 'Gemini', GEMINI_REVIEW);
+    await addPhaseReview(drafted.id, 2, 'GPT', GPT_REVIEW);
+
+    await renderProjectView(drafted.id);
+    expect(document.querySelectorAll('#review-list .review-row')).toHaveLength(2);
+    expect(document.getElementById('compare-reviewers-btn')).not.toBeNull();
+    expect(document.getElementById('reviewer-name').value).toBe('');
+
+    expect(renderPhaseContent(drafted, 1)).not.toContain('reviews-panel');
+  });
+
+  test('suggests the phase model as the first reviewer', async () => {
+    const drafted = await draftedProject();
+    await renderProjectView(drafted.id);
+
+    expect(document.getElementById('reviews-panel')).not.toBeNull();
+    expect(document.getElementById('review-list')).toBeNull();
+    expect(document.getElementById('reviewer-name').value).toBe('Gemini');
+  });
+
+  test('compares any review with the merged critique', () => {
+    const reviews = [
+      { id: 'a', reviewer: 'Gemini', response: 'Points a', savedAt: '' },
+      { id: 'b', reviewer: 'GPT', response: 'Points b', savedAt: '' }
+    ];
+    showReviewerDiffModal(reviews, 'Merged');
+
+    const options = [...document.querySelectorAll('#diff-left-phase option')];
+    expect(options.map(o => o.textContent)).toEqual(['Gemini', 'GPT', 'Merged critique']);
+    expect(document.getElementById('diff-right-phase').value).toBe('b');
+
+    const left = document.getElementById('diff-left-phase');
+    left.value = 'merged';
+    left.dispatchEvent(new Event('change'));
+    expect(document.getElementById('diff-left-phase').value).toBe('merged');
+    expect(document.getElementById('diff-content').textContent).toContain('Merged');
+  });
+});
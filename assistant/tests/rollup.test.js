@@ -0,0 +1,183 @@
+/**
+ * Rollup Tests
+ */
+
+import { createProject, updatePhase, updateProject, getAllProjects, deleteProject, trashProjects, forkProject } from '../../shared/js/projects.js';
+import {
+  normalizeCriterion,
+  getLinearProjects,
+  buildRollup,
+  buildRollupMarkdown,
+  getRollup
+} from '../../shared/js/rollup.js';
+import { renderRollupIndex, renderRollupView } from '../../shared/js/rollup-view.js';
+import storage from '../../shared/js/storage.js';
+
+const DELETE_AC = `## Summary
+
+Admins delete users in bulk.
+
+## Acceptance Criteria
+
+- [ ] Admin can select up to 100 users
+- [ ] Deleted users receive an email within 5 minutes
+
+## Out of Scope
+
+- CSV export of users
+`;
+
+const EXPORT_AC = `## Summary
+
+Admins export users.
+
+## Acceptance Criteria
+
+- [ ] Admin can select up to 100 users.
+- [ ] CSV export of users
+
+## Out of Scope
+
+- Scheduled exports
+`;
+
+/**
+ * Create an issue in a Linear project, optionally taken through Phase 3
+ */
+async function issue(identifier, linearProject, finalAc) {
+  const project = await createProject({ issueTitle: `Issue ${identifier}`, linearIdentifier: identifier, linearProject });
+  if (!finalAc) return project;
+  await updatePhase(project.id, 1, 'P1', 'Draft');
+  await updatePhase(project.id, 2, 'P2', 'Critique');
+  return updatePhase(project.id, 3, 'P3', finalAc);
+}
+
+beforeEach(async () => {
+  document.body.innerHTML = '<div id="app-container"></div>';
+  await storage.init();
+  for (const project of await getAllProjects()) {
+    await deleteProject(project.id);
+  }
+});
+
+describe('normalizeCriterion', () => {
+  test('ignores case, emphasis, trailing punctuation and spacing', () => {
+    expect(normalizeCriterion('Admin can **select**  up to 100 users.')).toBe('admin can select up to 100 users');
+  });
+});
+
+describe('getLinearProjects', () => {
+  test('counts issues per Linear project, skipping trashed ones', async () => {
+    await issue('ENG-1', 'Admin tools');
+    await issue('ENG-2', 'Admin tools');
+    const trashed = await issue('ENG-3', 'Billing');
+    await trashProjects([trashed.id]);
+    await issue('ENG-4', '');
+
+    expect(getLinearProjects(await getAllProjects())).toEqual([{ name: 'Admin tools', count: 2 }]);
+  });
+});
+
+describe('buildRollup', () => {
+  test('reports coverage, score bands and overlaps', async () => {
+    await issue('ENG-2', 'Admin tools', EXPORT_AC);
+    await issue('ENG-1', 'Admin tools', DELETE_AC);
+    await issue('ENG-10', 'Admin tools');
+    await issue('OPS-1', 'Other');
+
+    const rollup = await getRollup('Admin tools');
+
+    expect(rollup.issues.map(i => i.project.linearIdentifier)).toEqual(['ENG-1', 'ENG-2', 'ENG-10']);
+    expect(rollup.coverage).toMatchObject({ total: 3, withFinalAc: 2, criteria: 4 });
+    expect(rollup.coverage.averageScore).toEqual(expect.any(Number));
+    expect(rollup.scoreBands.unscored).toBe(1);
+    expect(rollup.scoreBands.high + rollup.scoreBands.medium + rollup.scoreBands.low).toBe(2);
+
+    expect(rollup.duplicates).toHaveLength(1);
+    expect(rollup.duplicates[0].text).toBe('Admin can select up to 100 users');
+    expect(rollup.duplicates[0].issues.map(p => p.linearIdentifier)).toEqual(['ENG-1', 'ENG-2']);
+
+    expect(rollup.scopeConflicts).toHaveLength(1);
+    expect(rollup.scopeConflicts[0].text).toBe('CSV export of users');
+    expect(rollup.scopeConflicts[0].issues.map(p => p.linearIdentifier)).toEqual(['ENG-2']);
+    expect(rollup.scopeConflicts[0].excludedBy.map(p => p.linearIdentifier)).toEqual(['ENG-1']);
+  });
+
+  test('does not flag an issue against itself', () => {
+    const rollup = buildRollup([{
+      id: 'a',
+      title: 'Solo',
+      phases: { 3: { response: '## Acceptance Criteria\n- [ ] Works offline\n\n## Out of Scope\n- Works offline' } }
+    }]);
+    expect(rollup.duplicates).toEqual([]);
+    expect(rollup.scopeConflicts).toEqual([]);
+  });
+
+  test('reports a fork family as one issue', async () => {
+    const parent = await issue('ENG-1', 'Admin tools', DELETE_AC);
+    const fork = await forkProject(parent.id, 2);
+    await issue('ENG-2', 'Admin tools');
+
+    let rollup = await getRollup('Admin tools');
+    expect(rollup.issues.map(i => i.project.id)).toEqual([parent.id, expect.any(String)]);
+    expect(rollup.coverage).toMatchObject({ total: 2, withFinalAc: 1 });
+    expect(rollup.duplicates).toEqual([]);
+    expect(getLinearProjects(await getAllProjects())).toEqual([{ name: 'Admin tools', count: 2 }]);
+
+    // Once the fork has its own final AC it is the newer draft of the issue
+    await new Promise(resolve => setTimeout(resolve, 5));
+    await updatePhase(fork.id, 3, 'P3', EXPORT_AC);
+    rollup = await getRollup('Admin tools');
+    expect(rollup.issues.map(i => i.project.id)).toContain(fork.id);
+    expect(rollup.issues.map(i => i.project.id)).not.toContain(parent.id);
+    expect(rollup.coverage.total).toBe(2);
+    expect(rollup.duplicates).toEqual([]);
+  });
+});
+
+describe('buildRollupMarkdown', () => {
+  test('nests each final AC under its issue and lists overlaps', async () => {
+    await issue('ENG-1', 'Admin tools', DELETE_AC);
+    await issue('ENG-2', 'Admin tools', EXPORT_AC);
+    await issue('ENG-3', 'Admin tools');
+
+    const markdown = buildRollupMarkdown('Admin tools', await getRollup('Admin tools'));
+
+    expect(markdown).toMatch(/^# Admin tools\n/);
+    expect(markdown).toContain('- Issues: 3 (2 with final acceptance criteria)');
+    expect(markdown).toContain('- Duplicate: "Admin can select up to 100 users" in ENG-1 Issue ENG-1, ENG-2 Issue ENG-2');
+    expect(markdown).toContain('- Scope conflict: "CSV export of users" is a criterion in ENG-2 Issue ENG-2 but out of scope in ENG-1 Issue ENG-1');
+    expect(markdown).toContain('### ENG-1 Issue ENG-1\n\n#### Summary');
+    expect(markdown).toContain('### ENG-3 Issue ENG-3\n\n_No final acceptance criteria yet._');
+  });
+});
+
+describe('rollup views', () => {
+  test('index links to each Linear project', async () => {
+    await issue('ENG-1', 'Admin tools');
+    await renderRollupIndex();
+
+    const link = document.querySelector('.rollup-link');
+    expect(link.getAttribute('href')).toBe('#rollup/Admin%20tools');
+    expect(link.textContent).toContain('1 issue');
+  });
+
+  test('rollup view lists issues and overlaps', async () => {
+    await issue('ENG-1', 'Admin tools', DELETE_AC);
+    await issue('ENG-2', 'Admin tools', EXPORT_AC);
+    await renderRollupView('Admin tools');
+
+    expect(document.querySelectorAll('tbody tr')).toHaveLength(2);
+    expect(document.querySelectorAll('.rollup-duplicate')).toHaveLength(1);
+    expect(document.querySelectorAll('.rollup-scope-conflict')).toHaveLength(1);
+    expect(document.querySelector('[data-band="unscored"]').textContent).toContain('0');
+  });
+
+  test('issues moved to another Linear project leave the rollup', async () => {
+    const moved = await issue('ENG-1', 'Admin tools');
+    await updateProject(moved.id, { linearProject: ' Billing ' });
+
+    expect((await getRollup('Admin tools')).coverage.total).toBe(0);
+    expect((await getRollup('Billing')).coverage.total).toBe(1);
+  });
+});
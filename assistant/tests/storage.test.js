@@ -38,6 +38,10 @@ describe('Storage Module', () => {
         it('should create attachments store', async () => {
             expect(storage.db.objectStoreNames.contains('attachments')).toBe(true);
         });
+
+        it('should create revisions store', async () => {
+            expect(storage.db.objectStoreNames.contains('revisions')).toBe(true);
+        });
     });
 
     describe('saveProject and getProject', () => {
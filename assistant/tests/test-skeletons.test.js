@@ -0,0 +1,122 @@
+/**
+ * Test Skeleton Export Tests
+ */
+
+import {
+  TEST_FRAMEWORKS,
+  extractTestCases,
+  generateTestSkeleton,
+  getTestSkeletonFilename
+} from '../../shared/js/test-skeletons.js';
+import { exportTestSkeleton } from '../../shared/js/workflow.js';
+
+const CHECKLIST = `## Summary
+Let admins bulk delete users.
+
+## Acceptance Criteria
+- [ ] Admin can select up to 100 users
+- [ ] Delete button shows the user's name count
+- [x] Deleted users disappear from the list within 2 seconds
+
+## Out of Scope
+- [ ] Restoring deleted users`;
+
+const GHERKIN = `## Summary
+Let admins bulk delete users.
+
+## Acceptance Criteria
+\`\`\`gherkin
+Feature: Bulk delete
+  Scenario: Delete selected users
+    When the admin selects 3 users
+    Then a confirmation dialog lists 3 users
+
+  Scenario Outline: Selection limit
+    When the admin selects <count> users
+    Then the Delete button is <state>
+    Examples:
+      | count | state    |
+      | 101   | disabled |
+\`\`\``;
+
+describe('extractTestCases', () => {
+  test('uses checklist items from the Acceptance Criteria section', () => {
+    expect(extractTestCases(CHECKLIST).names).toEqual([
+      'Admin can select up to 100 users',
+      'Delete button shows the user\'s name count',
+      'Deleted users disappear from the list within 2 seconds'
+    ]);
+  });
+
+  test('prefers Gherkin scenarios when present', () => {
+    expect(extractTestCases(GHERKIN).names).toEqual(['Delete selected users', 'Selection limit']);
+  });
+});
+
+describe('generateTestSkeleton', () => {
+  test('generates Jest test.todo stubs under the issue title', () => {
+    const source = generateTestSkeleton(CHECKLIST, 'Bulk delete users', 'jest');
+
+    expect(source).toContain('describe(\'Bulk delete users\', () => {');
+    expect(source).toContain('  test.todo(\'Admin can select up to 100 users\');');
+    expect(source).toContain('  test.todo(\'Delete button shows the user\\\'s name count\');');
+    expect(source).not.toContain('Restoring deleted users');
+  });
+
+  test('generates Playwright test.fixme blocks', () => {
+    const source = generateTestSkeleton(CHECKLIST, 'Bulk delete users', 'playwright');
+
+    expect(source).toMatch(/^import \{ test \} from '@playwright\/test';/);
+    expect(source).toContain('test.describe(\'Bulk delete users\', () => {');
+    expect(source.match(/test\.fixme\(/g)).toHaveLength(3);
+  });
+
+  test('generates pending Cucumber scenarios for checklist criteria', () => {
+    const source = generateTestSkeleton(CHECKLIST, 'Bulk delete users', 'cucumber');
+
+    expect(source).toMatch(/^Feature: Bulk delete users\n/);
+    expect(source).toContain('  @pending\n  Scenario: Admin can select up to 100 users');
+  });
+
+  test('keeps authored Gherkin scenarios and renames the Feature', () => {
+    const source = generateTestSkeleton(GHERKIN, 'BULK-12 Bulk delete', 'cucumber');
+
+    expect(source).toMatch(/^Feature: BULK-12 Bulk delete\n/);
+    expect(source).toContain('    Then a confirmation dialog lists 3 users');
+    expect(source).toContain('      | 101   | disabled |');
+    expect(source).not.toContain('```');
+  });
+
+  test('returns null when there are no criteria', () => {
+    expect(generateTestSkeleton('## Summary\nNothing here', 'Empty', 'jest')).toBeNull();
+  });
+
+  test('rejects unknown frameworks', () => {
+    expect(() => generateTestSkeleton(CHECKLIST, 'Title', 'mocha')).toThrow('Unknown test framework: mocha');
+  });
+});
+
+describe('getTestSkeletonFilename', () => {
+  test.each(Object.keys(TEST_FRAMEWORKS))('uses the %s extension', (framework) => {
+    expect(getTestSkeletonFilename('Bulk Delete: Users!', framework))
+      .toBe(`bulk-delete-users${TEST_FRAMEWORKS[framework].extension}`);
+  });
+});
+
+describe('exportTestSkeleton', () => {
+  test('builds the skeleton from the Phase 3 output and issue title', () => {
+    const project = {
+      title: 'Fallback',
+      issueTitle: 'Bulk delete users',
+      phases: { 3: { response: CHECKLIST, completed: true } }
+    };
+
+    const skeleton = exportTestSkeleton(project, 'jest');
+    expect(skeleton.filename).toBe('bulk-delete-users.test.js');
+    expect(skeleton.content).toContain('describe(\'Bulk delete users\'');
+  });
+
+  test('returns null before Phase 3 has criteria', () => {
+    expect(exportTestSkeleton({ title: 'Empty', phases: {} }, 'playwright')).toBeNull();
+  });
+});
@@ -0,0 +1,150 @@
+/**
+ * Configurable Workflow Tests
+ */
+
+import { jest } from '@jest/globals';
+import { readFileSync } from 'fs';
+import {
+  WORKFLOWS,
+  PROMPT_TEMPLATES,
+  OUTPUT_STYLES,
+  getWorkflow,
+  getFinalPhase,
+  getFinalResponse
+} from '../../shared/js/prompts.js';
+import { generatePromptForPhase, exportFinalDocument } from '../../shared/js/workflow.js';
+import { createProject, updatePhase, updateProject, forkProject, getAllProjects, deleteProject } from '../../shared/js/projects.js';
+import { isProjectComplete } from '../../shared/js/project-search.js';
+import { normalizeProject } from '../../shared/js/migrations.js';
+import { renderProjectView } from '../../shared/js/project-view.js';
+import storage from '../../shared/js/storage.js';
+
+global.fetch = jest.fn(async (url) => {
+  const filename = url.split('/').pop();
+  return {
+    ok: true,
+    text: async () => `${filename}: {{PHASE1_OUTPUT}} | {{PHASE2_OUTPUT}}`
+  };
+});
+
+const ISSUE_VARIABLES = ['ISSUE_TITLE', 'WHAT_NEEDS_TO_BE_DONE', 'RELATED_CONTEXT'];
+
+/**
+ * A second-opinion project with phases up to `upTo` answered
+ */
+async function secondOpinionProject(upTo) {
+  let project = await createProject({ issueTitle: 'Bulk delete', workflowId: 'second-opinion' });
+  for (let n = 1; n <= upTo; n++) {
+    project = await updatePhase(project.id, n, `P${n}`, `Output ${n}`);
+  }
+  return project;
+}
+
+beforeEach(async () => {
+  document.body.innerHTML = '<div id="app-container"></div>';
+  await storage.init();
+  for (const project of await getAllProjects()) {
+    await deleteProject(project.id);
+  }
+});
+
+describe('WORKFLOWS', () => {
+  test.each(Object.values(WORKFLOWS))('$name feeds every required template variable from earlier phases', (workflow) => {
+    workflow.phases.forEach((phase, i) => {
+      expect(phase.number).toBe(i + 1);
+      const { required } = PROMPT_TEMPLATES[phase.template];
+      required.filter(name => !ISSUE_VARIABLES.includes(name)).forEach(name => {
+        expect(phase.inputs[name]).toBeDefined();
+      });
+      Object.values(phase.inputs).flat().forEach(source => expect(source).toBeLessThan(phase.number));
+    });
+    expect(workflow.phases[workflow.phaseCount - 1].template).toBe('phase3');
+  });
+
+  test('ship a default file for every template and output style', () => {
+    Object.keys(PROMPT_TEMPLATES).forEach(id => {
+      Object.values(OUTPUT_STYLES).forEach(style => {
+        const text = readFileSync(new URL(`../../shared/prompts/${id}${style.templateSuffix}.md`, import.meta.url), 'utf8');
+        PROMPT_TEMPLATES[id].required.forEach(name => expect(text).toContain(`{{${name}}}`));
+      });
+    });
+  });
+
+  test('unknown workflow ids fall back to the standard workflow', () => {
+    expect(getWorkflow('nope').id).toBe('standard');
+    expect(getFinalPhase({})).toBe(3);
+  });
+});
+
+describe('projects on a longer workflow', () => {
+  test('are created with one phase per workflow phase', async () => {
+    const project = await createProject({ issueTitle: 'X', workflowId: 'qa-review' });
+    expect(project.workflowId).toBe('qa-review');
+    expect(Object.keys(project.phases)).toEqual(['1', '2', '3', '4']);
+    expect(project.phase4_output).toBe('');
+
+    expect((await createProject({ issueTitle: 'Y', workflowId: 'nope' })).workflowId).toBe('standard');
+  });
+
+  test('advance through phase 3 and finish at phase 4', async () => {
+    const reviewed = await secondOpinionProject(3);
+    expect(reviewed.phase).toBe(4);
+    expect(isProjectComplete(reviewed)).toBe(false);
+
+    const done = await updatePhase(reviewed.id, 4, 'P4', '# Bulk delete for admins\n\n- [ ] Admin can delete');
+    expect(done.phase).toBe(4);
+    expect(isProjectComplete(done)).toBe(true);
+    expect(getFinalResponse(done)).toContain('Admin can delete');
+    expect(exportFinalDocument(done)).toContain('Admin can delete');
+  });
+
+  test('feed both reviews into the final phase', async () => {
+    const project = await secondOpinionProject(3);
+    const prompt = await generatePromptForPhase(project, 4);
+
+    expect(prompt).toBe('phase3.md: Output 1 | ### Adversarial Review\n\nOutput 2\n\n---\n\n### Second Review\n\nOutput 3');
+    expect(await generatePromptForPhase(project, 3)).toBe('second-review.md: Output 1 | Output 2');
+    await expect(generatePromptForPhase(project, 5)).rejects.toThrow('Invalid phase: 5');
+  });
+
+  test('keep their workflow once a phase has a response', async () => {
+    const fresh = await createProject({ issueTitle: 'X' });
+    expect((await updateProject(fresh.id, { workflowId: 'second-opinion' })).workflowId).toBe('second-opinion');
+
+    const started = await secondOpinionProject(1);
+    await expect(updateProject(started.id, { workflowId: 'standard' })).rejects.toThrow('The workflow can only be changed before any phase has a response');
+  });
+
+  test('fork with their workflow', async () => {
+    const parent = await secondOpinionProject(3);
+    const fork = await forkProject(parent.id, 3);
+
+    expect(fork.workflowId).toBe('second-opinion');
+    expect(fork.phase).toBe(4);
+    expect(fork.phases[3].response).toBe('Output 3');
+    expect(fork.phases[4]).toEqual({ prompt: '', response: '', completed: false });
+  });
+});
+
+describe('normalizeProject', () => {
+  test('defaults the workflow and fills in its phases', () => {
+    expect(normalizeProject({ id: 'a' }).workflowId).toBe('standard');
+
+    const project = normalizeProject({ id: 'b', workflowId: 'qa-review', phase3_output: 'QA notes' });
+    expect(Object.keys(project.phases)).toEqual(['1', '2', '3', '4']);
+    expect(project.phases[3]).toEqual({ prompt: '', response: 'QA notes', completed: true });
+  });
+});
+
+describe('renderProjectView', () => {
+  test('shows a tab per workflow phase', async () => {
+    const project = await secondOpinionProject(2);
+    await renderProjectView(project.id);
+
+    const tabs = [...document.querySelectorAll('.phase-tab')];
+    expect(tabs.map(tab => tab.dataset.phase)).toEqual(['1', '2', '3', '4']);
+    expect(tabs[2].title).toBe('Second Review');
+    expect(document.querySelector('#phase-content h3').textContent).toContain('Second Review');
+    expect(document.querySelector('#open-ai-btn').textContent).toContain('Open ChatGPT');
+  });
+});
@@ -5,10 +5,15 @@
  */
 
 import storage from './storage.js';
-import { initRouter } from './router.js';
+import { initRouter, navigateTo } from './router.js';
 import { loadDefaultPrompts } from './workflow.js';
-import { exportAllProjects, importProjects } from './projects.js';
-import { showToast, showLoading, hideLoading, formatBytes } from './ui.js';
+import { loadCustomPromptTemplates } from './prompt-templates.js';
+import { loadCustomFields } from './custom-fields.js';
+import { exportAllProjects, purgeExpiredTrash } from './projects.js';
+import { showImportWizard } from './import-wizard.js';
+import { exportEncryptedBackup, MIN_PASSPHRASE_LENGTH } from './backup-crypto.js';
+import { importLinearIssues, exportLinearIssues } from './linear-io.js';
+import { showToast, showLoading, hideLoading, formatBytes, createActionMenu, promptPassphrase } from './ui.js';
 
 /**
  * Initialize the application
@@ -19,10 +24,20 @@ async function init() {
     showLoading('Initializing...');
 
     await storage.init();
+    if (storage.migrationError) {
+      showToast('Database upgrade failed. Your projects are safe - export a backup before updating again.', 'warning', 10000);
+    }
     console.log('✓ Storage initialized');
 
     await loadDefaultPrompts();
-    console.log('✓ Prompts loaded');
+    const customPrompts = await loadCustomPromptTemplates();
+    console.log(`✓ Prompts loaded${customPrompts > 0 ? ` (${customPrompts} custom)` : ''}`);
+    await loadCustomFields();
+
+    const purged = await purgeExpiredTrash();
+    if (purged > 0) {
+      console.log(`✓ Purged ${purged} expired item(s) from trash`);
+    }
 
     initRouter();
     console.log('✓ Router initialized');
@@ -63,17 +78,49 @@ function setupGlobalEventListeners() {
     relatedMenu?.classList.add('hidden');
   });
 
-  // Export all button
+  // Export all menu: plain JSON or passphrase-encrypted backup
   const exportAllBtn = document.getElementById('export-all-btn');
   if (exportAllBtn) {
-    exportAllBtn.addEventListener('click', async () => {
-      try {
-        await exportAllProjects();
-        showToast('All proposals exported successfully!', 'success');
-      } catch (error) {
-        console.error('Export failed:', error);
-        showToast('Failed to export proposals', 'error');
-      }
+    createActionMenu({
+      triggerElement: exportAllBtn,
+      items: [
+        {
+          label: 'Plain JSON Backup',
+          icon: '📄',
+          onClick: async () => {
+            try {
+              await exportAllProjects();
+              showToast('All proposals exported successfully!', 'success');
+            } catch (error) {
+              console.error('Export failed:', error);
+              showToast('Failed to export proposals', 'error');
+            }
+          }
+        },
+        {
+          label: 'Encrypted Backup...',
+          icon: '🔒',
+          onClick: async () => {
+            const passphrase = await promptPassphrase(
+              'Projects and validator history are encrypted with this passphrase. It cannot be recovered if lost.',
+              'Encrypted Backup',
+              { requireConfirmation: true, minLength: MIN_PASSPHRASE_LENGTH }
+            );
+            if (passphrase === null) return;
+            try {
+              showLoading('Encrypting backup...');
+              await exportEncryptedBackup(passphrase);
+              hideLoading();
+              showToast('Encrypted backup exported', 'success');
+            } catch (error) {
+              hideLoading();
+              console.error('Encrypted export failed:', error);
+              showToast(`Failed to export encrypted backup: ${error.message}`, 'error');
+            }
+          }
+        }
+      ],
+      position: 'bottom-end'
     });
   }
 
@@ -88,23 +135,75 @@ function setupGlobalEventListeners() {
         const target = /** @type {HTMLInputElement} */ (e.target);
         const file = target.files?.[0];
         if (file) {
-          try {
-            showLoading('Importing...');
-            const count = await importProjects(file);
-            hideLoading();
-            showToast(`Imported ${count} proposal${count > 1 ? 's' : ''} successfully!`, 'success');
-            window.location.hash = '';
-          } catch (error) {
-            hideLoading();
-            console.error('Import failed:', error);
-            showToast('Failed to import proposals. Please check the file format.', 'error');
-          }
+          await showImportWizard(file, () => {
+            navigateTo('home');
+            updateStorageInfo();
+          });
         }
       };
       input.click();
     });
   }
 
+  // Linear menu: import a Linear CSV/JSON export or export final criteria
+  const linearBtn = document.getElementById('linear-btn');
+  if (linearBtn) {
+    const exportLinear = async (format) => {
+      try {
+        const { count, skipped, duplicates } = await exportLinearIssues(format);
+        if (count === 0) {
+          showToast('No completed issues with a Linear ID to export', 'warning');
+          return;
+        }
+        const note = skipped > 0 ? ` (${skipped} without a Linear ID or final criteria skipped)` : '';
+        showToast(`Exported ${count} issue${count > 1 ? 's' : ''} for Linear${note}`, 'success');
+        if (duplicates.length > 0) {
+          showToast(`${duplicates.join(', ')} ${duplicates.length > 1 ? 'are' : 'is'} on more than one issue - only the most recently updated was exported`, 'warning', 8000);
+        }
+      } catch (error) {
+        console.error('Linear export failed:', error);
+        showToast('Failed to export for Linear', 'error');
+      }
+    };
+
+    createActionMenu({
+      triggerElement: linearBtn,
+      items: [
+        {
+          label: 'Import Issues (CSV/JSON)',
+          icon: '📥',
+          onClick: () => {
+            const input = document.createElement('input');
+            input.type = 'file';
+            input.accept = '.csv,.json';
+            input.onchange = async (e) => {
+              const target = /** @type {HTMLInputElement} */ (e.target);
+              const file = target.files?.[0];
+              if (!file) return;
+              try {
+                showLoading('Importing Linear issues...');
+                const { created, skipped } = await importLinearIssues(file);
+                hideLoading();
+                const skippedNote = skipped > 0 ? `, skipped ${skipped} already imported` : '';
+                showToast(`Imported ${created} Linear issue${created === 1 ? '' : 's'}${skippedNote}`, 'success');
+                await navigateTo('home');
+              } catch (error) {
+                hideLoading();
+                console.error('Linear import failed:', error);
+                showToast(`Failed to import Linear issues: ${error.message}`, 'error');
+              }
+            };
+            input.click();
+          }
+        },
+        { separator: true },
+        { label: 'Export Criteria as CSV', icon: '📄', onClick: () => exportLinear('csv') },
+        { label: 'Export Criteria as JSON', icon: '🧾', onClick: () => exportLinear('json') }
+      ],
+      position: 'bottom-end'
+    });
+  }
+
   // Close privacy notice
   const closePrivacyNotice = document.getElementById('close-privacy-notice');
   if (closePrivacyNotice) {
@@ -0,0 +1,183 @@
+/**
+ * Archive and Trash Views Module
+ * Lists archived and trashed projects with restore actions
+ * @module archive-trash
+ */
+
+import {
+  getAllProjects,
+  getProjectState,
+  unarchiveProjects,
+  restoreFromTrash,
+  deleteProject,
+  emptyTrash,
+  getTrashRetentionDays,
+  setTrashRetentionDays,
+  getPurgeDate
+} from './projects.js';
+import { navigateTo } from './router.js';
+import { escapeHtml, formatDate, showToast, confirm } from './ui.js';
+
+/**
+ * Render the shared page header
+ * @param {string} title
+ * @param {string} description
+ * @returns {string} HTML string
+ */
+function renderHeader(title, description) {
+  return `
+        <div class="mb-6">
+            <button id="back-btn" class="text-blue-600 dark:text-blue-400 hover:underline flex items-center mb-4">
+                <svg class="w-5 h-5 mr-1" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M15 19l-7-7 7-7"></path>
+                </svg>
+                Back to Issues
+            </button>
+            <h2 class="text-3xl font-bold text-gray-900 dark:text-white">${title}</h2>
+            <p class="mt-1 text-gray-600 dark:text-gray-400">${description}</p>
+        </div>
+  `;
+}
+
+/**
+ * Render one archived or trashed project row
+ * @param {import('./types.js').Project} project
+ * @param {string} detail - Date line under the title
+ * @param {string} actions - Button HTML
+ * @returns {string} HTML string
+ */
+function renderRow(project, detail, actions) {
+  return `
+                <li class="flex items-center justify-between gap-4 p-4 bg-white dark:bg-gray-800 rounded-lg border border-gray-200 dark:border-gray-700" data-project-id="${project.id}">
+                    <div class="min-w-0">
+                        <p class="font-medium text-gray-900 dark:text-white truncate">${escapeHtml(project.issueTitle || project.title || 'Untitled Issue')}</p>
+                        <p class="text-xs text-gray-500 dark:text-gray-400">${detail}</p>
+                    </div>
+                    <div class="flex items-center gap-2 flex-shrink-0">${actions}</div>
+                </li>
+  `;
+}
+
+/**
+ * Render the empty-state message
+ * @param {string} message
+ * @returns {string} HTML string
+ */
+function renderEmpty(message) {
+  return `
+            <div class="text-center py-16 bg-white dark:bg-gray-800 rounded-lg border-2 border-dashed border-gray-300 dark:border-gray-600 text-gray-500 dark:text-gray-400">
+                ${message}
+            </div>
+  `;
+}
+
+const RESTORE_BTN_CLASS = 'restore-btn px-3 py-1 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors';
+
+/**
+ * Render the archived projects view
+ * @returns {Promise<void>}
+ */
+export async function renderArchiveView() {
+  const archived = (await getAllProjects()).filter(p => getProjectState(p) === 'archived');
+
+  const container = document.getElementById('app-container');
+  container.innerHTML = `
+        ${renderHeader('🗄️ Archive', 'Archived issues are hidden from the main list but kept in full.')}
+        ${archived.length === 0 ? renderEmpty('No archived issues') : `
+            <ul class="space-y-2">
+                ${archived.map(project => renderRow(
+    project,
+    `Archived ${formatDate(project.archivedAt)}`,
+    `<button class="${RESTORE_BTN_CLASS}" data-project-id="${project.id}">Unarchive</button>`
+  )).join('')}
+            </ul>
+        `}
+    `;
+
+  container.querySelector('#back-btn').addEventListener('click', () => navigateTo('home'));
+  container.querySelectorAll('.restore-btn').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      await unarchiveProjects([btn.dataset.projectId]);
+      showToast('Issue moved back to the main list', 'success');
+      navigateTo('archive');
+    });
+  });
+}
+
+/**
+ * Render the trash view
+ * @returns {Promise<void>}
+ */
+export async function renderTrashView() {
+  const trashed = (await getAllProjects()).filter(p => getProjectState(p) === 'trashed');
+  const retentionDays = await getTrashRetentionDays();
+  const now = Date.now();
+
+  const container = document.getElementById('app-container');
+  container.innerHTML = `
+        ${renderHeader('🗑️ Trash', 'Deleted issues can be restored until they are purged.')}
+        <div class="mb-4 flex flex-wrap items-center justify-between gap-3">
+            <label class="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+                Permanently delete items after
+                <input type="number" id="trash-retention-days" min="1" max="365" value="${retentionDays}"
+                    class="w-20 px-2 py-1 border border-gray-300 dark:border-gray-600 rounded bg-white dark:bg-gray-700 text-gray-900 dark:text-white">
+                days
+            </label>
+            ${trashed.length > 0 ? `
+            <button id="empty-trash-btn" class="px-4 py-2 text-sm bg-red-600 text-white rounded-lg hover:bg-red-700 transition-colors">
+                Empty Trash
+            </button>
+            ` : ''}
+        </div>
+        ${trashed.length === 0 ? renderEmpty('Trash is empty') : `
+            <ul class="space-y-2">
+                ${trashed.map(project => {
+    const daysLeft = Math.max(0, Math.ceil((getPurgeDate(project, retentionDays).getTime() - now) / (24 * 60 * 60 * 1000)));
+    return renderRow(
+      project,
+      `Deleted ${formatDate(project.trashedAt)} · purged in ${daysLeft} day${daysLeft === 1 ? '' : 's'}`,
+      `<button class="${RESTORE_BTN_CLASS}" data-project-id="${project.id}">Restore</button>
+       <button class="delete-forever-btn px-3 py-1 text-sm text-red-600 dark:text-red-400 hover:underline" data-project-id="${project.id}">Delete forever</button>`
+    );
+  }).join('')}
+            </ul>
+        `}
+    `;
+
+  container.querySelector('#back-btn').addEventListener('click', () => navigateTo('home'));
+
+  container.querySelector('#trash-retention-days').addEventListener('change', async (e) => {
+    try {
+      await setTrashRetentionDays(parseInt(e.target.value, 10));
+      showToast('Trash retention updated', 'success');
+      navigateTo('trash');
+    } catch (error) {
+      showToast(error.message, 'error');
+      e.target.value = String(retentionDays);
+    }
+  });
+
+  container.querySelectorAll('.restore-btn').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      await restoreFromTrash([btn.dataset.projectId]);
+      showToast('Issue restored', 'success');
+      navigateTo('trash');
+    });
+  });
+
+  container.querySelectorAll('.delete-forever-btn').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      if (!await confirm('Permanently delete this issue? This cannot be undone.', 'Delete Forever')) return;
+      await deleteProject(btn.dataset.projectId);
+      showToast('Issue permanently deleted', 'success');
+      navigateTo('trash');
+    });
+  });
+
+  container.querySelector('#empty-trash-btn')?.addEventListener('click', async () => {
+    if (!await confirm(`Permanently delete ${trashed.length} issue${trashed.length === 1 ? '' : 's'}? This cannot be undone.`, 'Empty Trash')) return;
+    const count = await emptyTrash();
+    showToast(`Deleted ${count} issue${count === 1 ? '' : 's'} permanently`, 'success');
+    navigateTo('trash');
+  });
+}
@@ -0,0 +1,230 @@
+/**
+ * Encrypted Backup Module
+ * Passphrase-encrypted backups of assistant projects and validator history
+ * @module backup-crypto
+ *
+ * The key is derived with PBKDF2 (SHA-256) from the passphrase and a random
+ * salt, and the backup is sealed with AES-GCM. A small check block encrypted
+ * with the same key lets us tell a wrong passphrase apart from a file whose
+ * contents were changed after export.
+ */
+
+import storage from './storage.js';
+import { getLabels } from './labels.js';
+import { getCustomFields } from './custom-fields.js';
+
+/** Marks a file as an encrypted backup */
+export const ENCRYPTED_BACKUP_FORMAT = 'acceptance-criteria-encrypted-backup';
+
+/** localStorage key used by the validator's version history (validator/js/app.js) */
+export const VALIDATOR_HISTORY_KEY = 'acceptance-criteria-validator-history';
+
+/** Minimum passphrase length accepted for export */
+export const MIN_PASSPHRASE_LENGTH = 8;
+
+const PBKDF2_ITERATIONS = 250000;
+const CHECK_TEXT = 'acceptance-criteria-backup-check';
+
+/**
+ * @typedef {Object} EncryptedBackup
+ * @property {string} format - ENCRYPTED_BACKUP_FORMAT
+ * @property {number} version - Envelope format version
+ * @property {string} exportedAt - ISO timestamp of export
+ * @property {{ name: 'PBKDF2', hash: 'SHA-256', iterations: number, salt: string }} kdf
+ * @property {{ name: 'AES-GCM', iv: string, checkIv: string, check: string }} cipher
+ * @property {string} data - Base64 ciphertext of the JSON backup
+ */
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function toBase64(bytes) {
+  let binary = '';
+  bytes.forEach(b => {
+    binary += String.fromCharCode(b);
+  });
+  return btoa(binary);
+}
+
+/**
+ * @param {string} base64
+ * @returns {Uint8Array}
+ */
+function fromBase64(base64) {
+  return Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+}
+
+/**
+ * Derive the AES-GCM key for a passphrase
+ * @param {string} passphrase
+ * @param {Uint8Array} salt
+ * @param {number} iterations
+ * @returns {Promise<CryptoKey>}
+ */
+async function deriveKey(passphrase, salt, iterations) {
+  const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+/**
+ * Whether parsed JSON is an encrypted backup envelope
+ * @param {*} data
+ * @returns {boolean}
+ */
+export function isEncryptedBackup(data) {
+  return !!data && data.format === ENCRYPTED_BACKUP_FORMAT;
+}
+
+/**
+ * Encrypt a backup object with a passphrase
+ * @param {Object} backup - Plain backup to seal
+ * @param {string} passphrase
+ * @returns {Promise<EncryptedBackup>}
+ */
+export async function encryptBackup(backup, passphrase) {
+  if (!passphrase || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    throw new Error(`Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`);
+  }
+
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const checkIv = crypto.getRandomValues(new Uint8Array(12));
+  const key = await deriveKey(passphrase, salt, PBKDF2_ITERATIONS);
+  const encoder = new TextEncoder();
+
+  const check = await crypto.subtle.encrypt({ name: 'AES-GCM', iv: checkIv }, key, encoder.encode(CHECK_TEXT));
+  const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, encoder.encode(JSON.stringify(backup)));
+
+  return {
+    format: ENCRYPTED_BACKUP_FORMAT,
+    version: 1,
+    exportedAt: new Date().toISOString(),
+    kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: PBKDF2_ITERATIONS, salt: toBase64(salt) },
+    cipher: { name: 'AES-GCM', iv: toBase64(iv), checkIv: toBase64(checkIv), check: toBase64(new Uint8Array(check)) },
+    data: toBase64(new Uint8Array(data))
+  };
+}
+
+/**
+ * Decrypt an encrypted backup
+ * @param {EncryptedBackup} envelope
+ * @param {string} passphrase
+ * @returns {Promise<Object>} The plain backup
+ * @throws {Error} A wrong passphrase or a message describing a damaged file
+ */
+export async function decryptBackup(envelope, passphrase) {
+  if (!isEncryptedBackup(envelope)) {
+    throw new Error('Not an encrypted backup');
+  }
+
+  let salt, iv, checkIv, check, data;
+  try {
+    salt = fromBase64(envelope.kdf.salt);
+    iv = fromBase64(envelope.cipher.iv);
+    checkIv = fromBase64(envelope.cipher.checkIv);
+    check = fromBase64(envelope.cipher.check);
+    data = fromBase64(envelope.data);
+  } catch {
+    throw new Error('Encrypted backup is damaged or incomplete');
+  }
+  // The header is not authenticated, so never let it choose how long
+  // key derivation runs
+  if (Number(envelope.kdf.iterations) !== PBKDF2_ITERATIONS) {
+    throw new Error('Encrypted backup is damaged or uses unsupported key settings');
+  }
+
+  const key = await deriveKey(passphrase, salt, PBKDF2_ITERATIONS);
+
+  // A tampered salt or IV fails this check just like a wrong passphrase does
+  try {
+    await crypto.subtle.decrypt({ name: 'AES-GCM', iv: checkIv }, key, check);
+  } catch {
+    throw new Error('Wrong passphrase, or the backup file is damaged');
+  }
+
+  let plaintext;
+  try {
+    plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv }, key, data);
+  } catch {
+    throw new Error('Backup has been modified since it was exported and cannot be trusted');
+  }
+
+  return JSON.parse(new TextDecoder().decode(plaintext));
+}
+
+/**
+ * Read the validator's version history from localStorage
+ * @returns {{ versions: Array<{ markdown: string, savedAt: string }>, currentIndex: number } | null}
+ */
+export function getValidatorHistory() {
+  try {
+    const data = localStorage.getItem(VALIDATOR_HISTORY_KEY);
+    return data ? JSON.parse(data) : null;
+  } catch (error) {
+    console.error('Failed to read validator history:', error);
+    return null;
+  }
+}
+
+/**
+ * Merge restored validator versions into the local history
+ * Versions are de-duplicated by save time and content, kept in save order,
+ * and trimmed to the validator's 10-version limit.
+ * @param {{ versions: Array<{ markdown: string, savedAt: string }> }} history
+ * @returns {number} Versions added
+ */
+export function restoreValidatorHistory(history) {
+  if (!Array.isArray(history?.versions)) return 0;
+
+  const local = getValidatorHistory() || { versions: [], currentIndex: -1 };
+  const seen = new Set(local.versions.map(v => `${v.savedAt}\n${v.markdown}`));
+  const added = history.versions.filter(v => typeof v?.markdown === 'string' && !seen.has(`${v.savedAt}\n${v.markdown}`));
+  if (added.length === 0) return 0;
+
+  const versions = [...local.versions, ...added]
+    .sort((a, b) => String(a.savedAt).localeCompare(String(b.savedAt)))
+    .slice(-10);
+  localStorage.setItem(VALIDATOR_HISTORY_KEY, JSON.stringify({ versions, currentIndex: versions.length - 1 }));
+  return added.length;
+}
+
+/**
+ * Build and encrypt a full backup: all projects plus validator history
+ * @param {string} passphrase
+ * @returns {Promise<EncryptedBackup>}
+ */
+export async function buildEncryptedBackup(passphrase) {
+  const projects = await storage.getAllProjects();
+  return encryptBackup({
+    version: '1.0',
+    exportedAt: new Date().toISOString(),
+    projectCount: projects.length,
+    projects,
+    labels: await getLabels(),
+    customFields: await getCustomFields(),
+    validatorHistory: getValidatorHistory()
+  }, passphrase);
+}
+
+/**
+ * Download an encrypted backup file
+ * @param {string} passphrase
+ * @returns {Promise<void>}
+ */
+export async function exportEncryptedBackup(passphrase) {
+  const envelope = await buildEncryptedBackup(passphrase);
+  const blob = new Blob([JSON.stringify(envelope, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `ac-backup-${new Date().toISOString().split('T')[0]}.encrypted.json`;
+  a.click();
+  URL.revokeObjectURL(url);
+}
@@ -0,0 +1,291 @@
+/**
+ * Backup Import Module
+ * Schema-checks a backup, compares it against local projects, and merges
+ * it according to per-project resolutions
+ * @module backup-import
+ *
+ * Nothing is written until applyImport() runs, so planImport() doubles as
+ * the dry run shown by the import wizard.
+ */
+
+import storage from './storage.js';
+import { normalizeProject } from './migrations.js';
+import { ensureLabels } from './labels.js';
+
+/**
+ * @typedef {'new'|'identical'|'newer'|'older'} ImportStatus
+ * - new: no local project with this id
+ * - identical: same content as the local copy
+ * - newer: incoming copy was updated after the local one
+ * - older: incoming copy was updated at or before the local one
+ */
+
+/**
+ * @typedef {'keep-local'|'take-incoming'|'keep-both'} ImportResolution
+ */
+
+/**
+ * @typedef {Object} ImportEntry
+ * @property {import('./types.js').Project} incoming - Normalised incoming project
+ * @property {import('./types.js').Project | null} local - Local copy with the same id
+ * @property {ImportStatus} status
+ * @property {ImportResolution} resolution - What applyImport() will do
+ */
+
+/** @type {Object.<ImportStatus, ImportResolution>} */
+export const DEFAULT_RESOLUTIONS = {
+  new: 'take-incoming',
+  identical: 'keep-local',
+  newer: 'take-incoming',
+  older: 'keep-local'
+};
+
+const STRING_FIELDS = ['title', 'issueTitle', 'whatNeedsToBeDone', 'relatedContext', 'outputStyle', 'workflowId', 'linearIdentifier', 'linearProject'];
+const DATE_FIELDS = ['createdAt', 'updatedAt'];
+
+/**
+ * Check one project against the backup schema
+ * @param {*} project
+ * @param {string} label - Where the project sits in the file, for messages
+ * @returns {string[]} Problems found (empty when valid)
+ */
+function validateProject(project, label) {
+  if (!project || typeof project !== 'object' || Array.isArray(project)) {
+    return [`${label} is not an object`];
+  }
+
+  const errors = [];
+  if (typeof project.id !== 'string' || !project.id) {
+    errors.push(`${label} has no id`);
+  }
+  if (!project.title && !project.issueTitle && !project.whatNeedsToBeDone) {
+    errors.push(`${label} has no title or description`);
+  }
+  STRING_FIELDS.forEach(field => {
+    if (project[field] !== undefined && typeof project[field] !== 'string') {
+      errors.push(`${label}: ${field} must be text`);
+    }
+  });
+  DATE_FIELDS.forEach(field => {
+    if (project[field] !== undefined && isNaN(Date.parse(project[field]))) {
+      errors.push(`${label}: ${field} is not a valid date`);
+    }
+  });
+  if (project.labels !== undefined && !(Array.isArray(project.labels) && project.labels.every(l => typeof l === 'string'))) {
+    errors.push(`${label}: labels must be a list of text`);
+  }
+  if (project.customFields !== undefined && !(typeof project.customFields === 'object' && project.customFields !== null &&
+      Object.values(project.customFields).every(v => typeof v === 'string'))) {
+    errors.push(`${label}: customFields must map field names to text`);
+  }
+  if (project.phases !== undefined && (typeof project.phases !== 'object' || project.phases === null)) {
+    errors.push(`${label}: phases must be an object`);
+  }
+  Object.keys(project).filter(key => /^phase\d+_output$/.test(key)).forEach(key => {
+    if (typeof project[key] !== 'string') {
+      errors.push(`${label}: ${key} must be text`);
+    }
+  });
+  return errors;
+}
+
+/**
+ * Validate parsed backup JSON and pull out its projects
+ * Accepts a full backup ({ version, projects }) or a single exported project.
+ * @param {*} data - Parsed JSON
+ * @returns {{ projects: Object[], errors: string[] }}
+ */
+export function validateBackup(data) {
+  if (data && Array.isArray(data.projects)) {
+    const errors = [];
+    if (!data.version) {
+      errors.push('Backup has no version');
+    }
+    const ids = new Set();
+    data.projects.forEach((project, i) => {
+      const label = `Project ${i + 1}`;
+      errors.push(...validateProject(project, label));
+      if (project?.id && ids.has(project.id)) {
+        errors.push(`${label} repeats id ${project.id}`);
+      }
+      ids.add(project?.id);
+    });
+    return { projects: data.projects, errors };
+  }
+
+  if (data && data.id && (data.whatNeedsToBeDone || data.issueTitle)) {
+    return { projects: [data], errors: validateProject(data, 'Project') };
+  }
+
+  return { projects: [], errors: ['Invalid file format'] };
+}
+
+/**
+ * Check parsed backup JSON against the schema
+ * @param {*} data - Parsed backup (plain or decrypted)
+ * @returns {Object[]} Valid projects
+ * @throws {Error} When the data fails validation
+ */
+export function parseBackupData(data) {
+  const { projects, errors } = validateBackup(data);
+  if (errors.length === 1 && errors[0] === 'Invalid file format') {
+    throw new Error('Invalid file format');
+  }
+  if (errors.length > 0) {
+    const more = errors.length > 3 ? ` (and ${errors.length - 3} more)` : '';
+    throw new Error(`Backup failed validation: ${errors.slice(0, 3).join('; ')}${more}`);
+  }
+  return projects;
+}
+
+/**
+ * Parse backup JSON text
+ * @param {string} text - File contents
+ * @returns {*} Parsed JSON
+ * @throws {Error} When the text is not JSON
+ */
+export function parseBackupJson(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    throw new Error('Backup is not valid JSON');
+  }
+}
+
+/**
+ * Parse and validate backup text
+ * @param {string} text - File contents
+ * @returns {Object[]} Valid projects
+ * @throws {Error} When the file is not JSON or fails validation
+ */
+export function parseBackup(text) {
+  return parseBackupData(parseBackupJson(text));
+}
+
+/**
+ * Read a File as text
+ * @param {File} file
+ * @returns {Promise<string>}
+ */
+export function readFileText(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      const result = e.target?.result;
+      if (typeof result === 'string') {
+        resolve(result);
+      } else {
+        reject(new Error('Failed to read file'));
+      }
+    };
+    reader.onerror = () => reject(reader.error);
+    reader.readAsText(file);
+  });
+}
+
+/**
+ * Read and validate a plain backup file
+ * @param {File} file
+ * @returns {Promise<Object[]>} Valid projects
+ */
+export async function readBackupFile(file) {
+  return parseBackup(await readFileText(file));
+}
+
+/**
+ * Serialise a project for comparison, ignoring key order and updatedAt
+ * @param {Object} project
+ * @returns {string}
+ */
+function comparableJson(project) {
+  const rest = { ...project };
+  delete rest.updatedAt;
+  return JSON.stringify(rest, (_key, value) => (
+    value && typeof value === 'object' && !Array.isArray(value)
+      ? Object.fromEntries(Object.keys(value).sort().map(k => [k, value[k]]))
+      : value
+  ));
+}
+
+/**
+ * Classify an incoming project against its local copy
+ * @param {import('./types.js').Project} incoming - Normalised incoming project
+ * @param {import('./types.js').Project | null | undefined} local
+ * @returns {ImportStatus}
+ */
+export function classifyProject(incoming, local) {
+  if (!local) return 'new';
+  if (comparableJson(incoming) === comparableJson(normalizeProject(local))) return 'identical';
+  return Date.parse(incoming.updatedAt) > Date.parse(local.updatedAt) ? 'newer' : 'older';
+}
+
+/**
+ * Build the dry-run import plan without writing anything
+ * @param {Object[]} projects - Validated projects from parseBackup()
+ * @returns {Promise<ImportEntry[]>}
+ */
+export async function planImport(projects) {
+  const localProjects = await storage.getAllProjects();
+  const localById = new Map(localProjects.map(p => [p.id, p]));
+
+  return projects.map(project => {
+    const incoming = normalizeProject(project);
+    const local = localById.get(incoming.id) || null;
+    const status = classifyProject(incoming, local);
+    return { incoming, local, status, resolution: DEFAULT_RESOLUTIONS[status] };
+  });
+}
+
+/**
+ * Count entries by status and by planned action
+ * @param {ImportEntry[]} entries
+ * @returns {{ total: number, byStatus: Object.<ImportStatus, number>, byResolution: Object.<ImportResolution, number> }}
+ */
+export function summarizePlan(entries) {
+  const byStatus = { new: 0, identical: 0, newer: 0, older: 0 };
+  const byResolution = { 'keep-local': 0, 'take-incoming': 0, 'keep-both': 0 };
+  entries.forEach(entry => {
+    byStatus[entry.status]++;
+    byResolution[entry.resolution]++;
+  });
+  return { total: entries.length, byStatus, byResolution };
+}
+
+/**
+ * Write the plan to storage
+ * Projects keep the updatedAt they had in the backup, so importing the same
+ * file again finds them identical rather than newer. Labels on written projects that have no local definition get one, so
+ * backups without label colours still show up in the label filter.
+ * @param {ImportEntry[]} entries
+ * @returns {Promise<{ added: number, replaced: number, duplicated: number, skipped: number }>}
+ */
+export async function applyImport(entries) {
+  const result = { added: 0, replaced: 0, duplicated: 0, skipped: 0 };
+  const labels = [];
+
+  for (const entry of entries) {
+    if (entry.resolution === 'keep-local') {
+      result.skipped++;
+    } else if (entry.resolution === 'keep-both' && entry.local) {
+      await storage.putProject({
+        ...entry.incoming,
+        id: crypto.randomUUID(),
+        title: `${entry.incoming.title} (imported)`
+      });
+      result.duplicated++;
+    } else {
+      await storage.putProject(entry.incoming);
+      if (entry.local) {
+        result.replaced++;
+      } else {
+        result.added++;
+      }
+    }
+    if (entry.resolution !== 'keep-local') {
+      labels.push(...entry.incoming.labels);
+    }
+  }
+
+  await ensureLabels(labels);
+  return result;
+}
@@ -0,0 +1,234 @@
+/**
+ * Bulk Actions Module
+ * Multi-select state and actions for the projects list
+ * @module bulk-actions
+ */
+
+import {
+  trashProjects,
+  duplicateProjects,
+  archiveProjects,
+  updateProjectLabels,
+  exportSelectedProjects,
+  exportSelectedAsMarkdownZip
+} from './projects.js';
+import { parseLabelNames } from './labels.js';
+import { escapeHtml, showToast, confirm } from './ui.js';
+
+/** Bulk actions in toolbar order */
+export const BULK_ACTIONS = {
+  'export-json': { label: 'Export JSON', icon: '💾' },
+  'export-markdown': { label: 'Export Markdown (.zip)', icon: '📦' },
+  labels: { label: 'Labels...', icon: '🏷️' },
+  duplicate: { label: 'Duplicate', icon: '📄' },
+  archive: { label: 'Archive', icon: '🗄️' },
+  trash: { label: 'Move to Trash', icon: '🗑️', destructive: true }
+};
+
+/**
+ * Selected project ids, with the anchor used for shift-click ranges
+ */
+export class ProjectSelection {
+  constructor() {
+    /** @type {Set<string>} */
+    this.ids = new Set();
+    /** @type {string | null} Last id toggled without shift */
+    this.anchor = null;
+  }
+
+  /**
+   * Toggle one project, or with `extend` select everything between the
+   * anchor and it (inclusive, in list order)
+   * @param {string} id
+   * @param {string[]} orderedIds - Visible ids in list order
+   * @param {boolean} [extend] - Shift held
+   */
+  toggle(id, orderedIds, extend = false) {
+    const from = orderedIds.indexOf(this.anchor);
+    const to = orderedIds.indexOf(id);
+    if (extend && from !== -1 && to !== -1) {
+      const [start, end] = from < to ? [from, to] : [to, from];
+      orderedIds.slice(start, end + 1).forEach(rangeId => this.ids.add(rangeId));
+      return;
+    }
+
+    if (this.ids.has(id)) {
+      this.ids.delete(id);
+    } else {
+      this.ids.add(id);
+    }
+    this.anchor = id;
+  }
+
+  /**
+   * Select every visible project
+   * @param {string[]} orderedIds
+   */
+  selectAll(orderedIds) {
+    orderedIds.forEach(id => this.ids.add(id));
+  }
+
+  clear() {
+    this.ids.clear();
+    this.anchor = null;
+  }
+
+  /**
+   * Drop selected projects that are no longer visible
+   * @param {string[]} orderedIds
+   */
+  retain(orderedIds) {
+    const visible = new Set(orderedIds);
+    [...this.ids].filter(id => !visible.has(id)).forEach(id => this.ids.delete(id));
+    if (!visible.has(this.anchor)) this.anchor = null;
+  }
+
+  /**
+   * @param {string} id
+   * @returns {boolean}
+   */
+  has(id) {
+    return this.ids.has(id);
+  }
+
+  get size() {
+    return this.ids.size;
+  }
+}
+
+/**
+ * Render the select-all checkbox and bulk action buttons
+ * @returns {string} HTML string
+ */
+export function renderBulkBar() {
+  return `
+        <div id="bulk-bar" class="mb-3 flex flex-wrap items-center gap-2 text-sm">
+            <label class="flex items-center gap-2 text-gray-700 dark:text-gray-300">
+                <input type="checkbox" id="select-all-projects" aria-label="Select all visible issues">
+                <span id="selection-count">Select all</span>
+            </label>
+            <div id="bulk-actions" class="hidden flex flex-wrap items-center gap-2">
+                ${Object.entries(BULK_ACTIONS).map(([action, { label, icon, destructive }]) => `
+                <button type="button" class="bulk-action-btn px-3 py-1 rounded-lg border ${destructive ? 'border-red-300 dark:border-red-700 text-red-600 dark:text-red-400 hover:bg-red-50 dark:hover:bg-red-900/20' : 'border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700'}" data-bulk-action="${action}">
+                    ${icon} ${label}
+                </button>
+                `).join('')}
+                <button type="button" id="clear-selection-btn" class="px-2 py-1 text-gray-500 dark:text-gray-400 hover:underline">Clear</button>
+            </div>
+        </div>
+  `;
+}
+
+/**
+ * Ask which labels to add to and remove from the selected projects
+ * @param {import('./types.js').Project[]} projects
+ * @returns {Promise<{ add: string[], remove: string[] } | null>} null if cancelled
+ */
+export function promptBulkLabels(projects) {
+  const current = parseLabelNames(projects.flatMap(p => p.labels || []));
+
+  return new Promise((resolve) => {
+    const modal = document.createElement('div');
+    modal.className = 'fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4';
+    modal.innerHTML = `
+        <div class="bg-white dark:bg-gray-800 rounded-lg shadow-xl max-w-md w-full p-6">
+            <h3 class="text-lg font-semibold text-gray-900 dark:text-white mb-4">🏷️ Labels for ${projects.length} issue${projects.length === 1 ? '' : 's'}</h3>
+            <label for="bulk-add-labels" class="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">Add labels</label>
+            <input type="text" id="bulk-add-labels" class="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg dark:bg-gray-700 dark:text-white" placeholder="Comma-separated">
+            ${current.length > 0 ? `
+            <p class="mt-4 mb-2 text-sm font-medium text-gray-700 dark:text-gray-300">Remove labels</p>
+            <div class="space-y-1">
+                ${current.map(name => `
+                <label class="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+                    <input type="checkbox" class="bulk-remove-label" value="${escapeHtml(name)}"> ${escapeHtml(name)}
+                </label>
+                `).join('')}
+            </div>
+            ` : ''}
+            <div class="flex justify-end gap-3 mt-6">
+                <button id="bulk-labels-cancel" class="px-4 py-2 bg-gray-200 dark:bg-gray-700 text-gray-800 dark:text-gray-200 rounded-lg hover:bg-gray-300 dark:hover:bg-gray-600 transition-colors">Cancel</button>
+                <button id="bulk-labels-apply" class="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors">Apply</button>
+            </div>
+        </div>
+    `;
+
+    const close = (result) => {
+      modal.remove();
+      document.removeEventListener('keydown', handleEscape);
+      resolve(result);
+    };
+    const handleEscape = (e) => {
+      if (e.key === 'Escape') close(null);
+    };
+
+    modal.querySelector('#bulk-labels-cancel').addEventListener('click', () => close(null));
+    modal.querySelector('#bulk-labels-apply').addEventListener('click', () => {
+      close({
+        add: parseLabelNames(modal.querySelector('#bulk-add-labels').value),
+        remove: [...modal.querySelectorAll('.bulk-remove-label:checked')].map(input => input.value)
+      });
+    });
+    modal.addEventListener('click', (e) => {
+      if (e.target === modal) close(null);
+    });
+    document.addEventListener('keydown', handleEscape);
+
+    document.body.appendChild(modal);
+    modal.querySelector('#bulk-add-labels').focus();
+  });
+}
+
+/**
+ * Run a bulk action on the selected projects
+ * @param {string} action - A BULK_ACTIONS key
+ * @param {import('./types.js').Project[]} projects - Selected projects
+ * @returns {Promise<boolean>} Whether stored projects changed (the list should reload)
+ */
+export async function runBulkAction(action, projects) {
+  const ids = projects.map(p => p.id);
+  const count = `${ids.length} issue${ids.length === 1 ? '' : 's'}`;
+
+  switch (action) {
+  case 'export-json':
+    await exportSelectedProjects(ids);
+    showToast(`Exported ${count}`, 'success');
+    return false;
+
+  case 'export-markdown': {
+    const { count: exported, skipped } = await exportSelectedAsMarkdownZip(ids);
+    if (exported === 0) {
+      showToast('None of the selected issues have output to export yet', 'warning');
+    } else {
+      showToast(`Exported ${exported} markdown file${exported === 1 ? '' : 's'}${skipped > 0 ? ` (${skipped} without output skipped)` : ''}`, 'success');
+    }
+    return false;
+  }
+
+  case 'labels': {
+    const changes = await promptBulkLabels(projects);
+    if (!changes || (changes.add.length === 0 && changes.remove.length === 0)) return false;
+    await updateProjectLabels(ids, changes);
+    showToast(`Updated labels on ${count}`, 'success');
+    return true;
+  }
+
+  case 'duplicate':
+    await duplicateProjects(ids);
+    showToast(`Duplicated ${count}`, 'success');
+    return true;
+
+  case 'archive':
+    await archiveProjects(ids);
+    showToast(`Archived ${count}`, 'success');
+    return true;
+
+  case 'trash':
+    if (!await confirm(`Move ${count} to the trash? You can restore them from the trash later.`, 'Move to Trash')) return false;
+    await trashProjects(ids);
+    showToast(`Moved ${count} to trash`, 'success');
+    return true;
+
+  default:
+    throw new Error(`Unknown bulk action: ${action}`);
+  }
+}
@@ -0,0 +1,199 @@
+/**
+ * Custom Field Manager Modal Module
+ * Add, edit, reorder and delete the user-defined project form fields
+ * @module custom-field-manager
+ */
+
+import {
+  CUSTOM_FIELD_TYPES,
+  getCustomFields,
+  addCustomField,
+  updateCustomField,
+  moveCustomField,
+  deleteCustomField,
+  toVariableName
+} from './custom-fields.js';
+import { escapeHtml, showToast, confirm } from './ui.js';
+
+const INPUT_CLASS = 'w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg dark:bg-gray-700 dark:text-white text-sm';
+
+/**
+ * Render one field row
+ * @param {import('./types.js').CustomFieldDefinition} field
+ * @param {number} index
+ * @param {number} count - Number of fields, to disable moving past the ends
+ * @returns {string} HTML string
+ */
+function renderFieldRow(field, index, count) {
+  return `
+                <li class="custom-field-row flex items-center justify-between gap-3 py-2 border-b border-gray-100 dark:border-gray-700" data-variable="${field.variable}">
+                    <div class="min-w-0">
+                        <p class="text-sm font-medium text-gray-900 dark:text-white">
+                            ${escapeHtml(field.label)}${field.required ? ' <span class="text-red-500">*</span>' : ''}
+                        </p>
+                        <p class="text-xs text-gray-500 dark:text-gray-400">
+                            <span class="font-mono">{{${field.variable}}}</span> · ${CUSTOM_FIELD_TYPES[field.type]}${field.type === 'select' ? `: ${escapeHtml(field.options.join(', '))}` : ''}
+                        </p>
+                    </div>
+                    <div class="flex items-center gap-1 text-sm">
+                        <button type="button" class="field-move-btn px-1 text-gray-500 hover:text-gray-900 dark:hover:text-white disabled:opacity-30" data-index="${index}" data-offset="-1" title="Move up"${index === 0 ? ' disabled' : ''}>↑</button>
+                        <button type="button" class="field-move-btn px-1 text-gray-500 hover:text-gray-900 dark:hover:text-white disabled:opacity-30" data-index="${index}" data-offset="1" title="Move down"${index === count - 1 ? ' disabled' : ''}>↓</button>
+                        <button type="button" class="field-edit-btn px-1 text-blue-600 dark:text-blue-400 hover:underline" data-index="${index}">Edit</button>
+                        <button type="button" class="field-delete-btn ml-1 text-gray-400 hover:text-red-600" data-index="${index}" title="Delete field">✕</button>
+                    </div>
+                </li>
+  `;
+}
+
+/**
+ * Show the custom field manager
+ * @param {Function} onChange - Called when the modal closes after any change
+ * @returns {Promise<void>}
+ */
+export async function showManageCustomFieldsModal(onChange) {
+  let fields = await getCustomFields();
+  let changed = false;
+  /** @type {string | null} Variable of the field being edited */
+  let editing = null;
+
+  const modal = document.createElement('div');
+  modal.className = 'fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4';
+  modal.innerHTML = `
+        <div class="bg-white dark:bg-gray-800 rounded-lg shadow-xl max-w-lg w-full max-h-[90vh] flex flex-col">
+            <div class="p-4 border-b border-gray-200 dark:border-gray-700">
+                <h3 class="text-lg font-bold text-gray-900 dark:text-white">🧩 Custom Fields</h3>
+                <p class="text-sm text-gray-500 dark:text-gray-400">Shown on every issue form. Each field is available in the phase prompts as its <span class="font-mono">{{VARIABLE}}</span>.</p>
+            </div>
+            <div class="p-4 overflow-y-auto flex-1">
+                <ul id="custom-field-rows"></ul>
+                <form id="custom-field-form" class="mt-4 space-y-3">
+                    <p id="custom-field-form-title" class="text-sm font-medium text-gray-700 dark:text-gray-300">Add a field</p>
+                    <div class="grid grid-cols-2 gap-3">
+                        <div>
+                            <input type="text" id="custom-field-label" class="${INPUT_CLASS}" placeholder="Label, e.g. Compliance tier" maxlength="40" aria-label="Field label">
+                            <p id="custom-field-variable" class="mt-1 text-xs text-gray-500 dark:text-gray-400 font-mono"></p>
+                        </div>
+                        <select id="custom-field-type" class="${INPUT_CLASS}" aria-label="Field type">
+                            ${Object.entries(CUSTOM_FIELD_TYPES).map(([type, label]) => `<option value="${type}">${label}</option>`).join('')}
+                        </select>
+                    </div>
+                    <input type="text" id="custom-field-options" class="${INPUT_CLASS} hidden" placeholder="Choices, comma-separated, e.g. Tier 1, Tier 2, Tier 3" aria-label="Choices">
+                    <label class="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+                        <input type="checkbox" id="custom-field-required"> Required
+                    </label>
+                    <div class="flex justify-end gap-2">
+                        <button type="button" id="cancel-field-edit-btn" class="hidden px-3 py-1.5 text-sm text-gray-600 dark:text-gray-300 hover:underline">Cancel</button>
+                        <button type="submit" id="save-field-btn" class="px-3 py-1.5 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors">Add Field</button>
+                    </div>
+                </form>
+            </div>
+            <div class="p-4 border-t border-gray-200 dark:border-gray-700 flex justify-end">
+                <button id="close-fields-modal-btn" class="px-4 py-2 bg-gray-200 dark:bg-gray-700 text-gray-800 dark:text-gray-200 rounded-lg hover:bg-gray-300 dark:hover:bg-gray-600 transition-colors">
+                    Done
+                </button>
+            </div>
+        </div>
+    `;
+
+  const rows = modal.querySelector('#custom-field-rows');
+  const form = modal.querySelector('#custom-field-form');
+  const labelInput = /** @type {HTMLInputElement} */ (modal.querySelector('#custom-field-label'));
+  const typeSelect = /** @type {HTMLSelectElement} */ (modal.querySelector('#custom-field-type'));
+  const optionsInput = /** @type {HTMLInputElement} */ (modal.querySelector('#custom-field-options'));
+  const requiredInput = /** @type {HTMLInputElement} */ (modal.querySelector('#custom-field-required'));
+
+  function renderVariable() {
+    const variable = editing || toVariableName(labelInput.value);
+    modal.querySelector('#custom-field-variable').textContent = variable ? `{{${variable}}}` : '';
+    optionsInput.classList.toggle('hidden', typeSelect.value !== 'select');
+  }
+
+  /** Fill the form with a field to edit, or clear it to add a new one */
+  function setForm(field) {
+    editing = field?.variable || null;
+    labelInput.value = field?.label || '';
+    typeSelect.value = field?.type || 'text';
+    optionsInput.value = (field?.options || []).join(', ');
+    requiredInput.checked = !!field?.required;
+    modal.querySelector('#custom-field-form-title').textContent = field ? `Edit ${field.label}` : 'Add a field';
+    modal.querySelector('#save-field-btn').textContent = field ? 'Save Field' : 'Add Field';
+    modal.querySelector('#cancel-field-edit-btn').classList.toggle('hidden', !field);
+    renderVariable();
+  }
+
+  async function refresh() {
+    fields = await getCustomFields();
+    changed = true;
+    render();
+  }
+
+  function render() {
+    rows.innerHTML = fields.length > 0
+      ? fields.map((field, i) => renderFieldRow(field, i, fields.length)).join('')
+      : '<li class="text-sm text-gray-500 dark:text-gray-400">No custom fields yet.</li>';
+
+    rows.querySelectorAll('.field-move-btn').forEach(btn => {
+      btn.addEventListener('click', async () => {
+        await moveCustomField(fields[parseInt(btn.dataset.index)].variable, parseInt(btn.dataset.offset));
+        await refresh();
+      });
+    });
+
+    rows.querySelectorAll('.field-edit-btn').forEach(btn => {
+      btn.addEventListener('click', () => setForm(fields[parseInt(btn.dataset.index)]));
+    });
+
+    rows.querySelectorAll('.field-delete-btn').forEach(btn => {
+      btn.addEventListener('click', async () => {
+        const { label, variable } = fields[parseInt(btn.dataset.index)];
+        if (!await confirm(`Delete the field "${label}"? Issues keep their values, but {{${variable}}} will no longer be filled in.`, 'Delete Field')) return;
+        await deleteCustomField(variable);
+        if (editing === variable) setForm(null);
+        showToast(`Field "${label}" deleted`, 'success');
+        await refresh();
+      });
+    });
+  }
+
+  labelInput.addEventListener('input', renderVariable);
+  typeSelect.addEventListener('change', renderVariable);
+  modal.querySelector('#cancel-field-edit-btn').addEventListener('click', () => setForm(null));
+
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const field = {
+      label: labelInput.value,
+      type: typeSelect.value,
+      required: requiredInput.checked,
+      options: optionsInput.value.split(',')
+    };
+    try {
+      const saved = editing ? await updateCustomField(editing, field) : await addCustomField(field);
+      showToast(`Field "${saved.label}" saved as {{${saved.variable}}}`, 'success');
+      setForm(null);
+      await refresh();
+    } catch (error) {
+      showToast(error.message, 'error');
+    }
+  });
+
+  const closeModal = () => {
+    modal.remove();
+    document.removeEventListener('keydown', handleEscape);
+    if (changed) onChange();
+  };
+  // Ignore Escape while a confirm dialog is open on top of the manager
+  const handleEscape = (e) => {
+    if (e.key === 'Escape' && document.body.lastElementChild === modal) closeModal();
+  };
+
+  modal.querySelector('#close-fields-modal-btn').addEventListener('click', closeModal);
+
+  document.body.appendChild(modal);
+  render();
+  setForm(null);
+  modal.addEventListener('click', (e) => {
+    if (e.target === modal) closeModal();
+  });
+  document.addEventListener('keydown', handleEscape);
+}
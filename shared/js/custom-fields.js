@@ -0,0 +1,297 @@
+/**
+ * Custom Fields Module
+ * User-defined form fields (platform, compliance tier, design links...) that
+ * are stored on each project and filled into every phase prompt
+ * @module custom-fields
+ *
+ * Definitions live in the 'customFields' setting; each project keeps its
+ * values in `customFields`, keyed by the field's template variable. Deleting
+ * a definition leaves the values on projects, so adding the field back
+ * restores them.
+ */
+
+import storage from './storage.js';
+import { PROMPT_TEMPLATES, setCustomFieldVariables } from './prompts.js';
+import { escapeHtml } from './ui.js';
+
+const SETTINGS_KEY = 'customFields';
+const MAX_LABEL_LENGTH = 40;
+
+/** Prefix of custom field inputs in the project forms */
+export const CUSTOM_FIELD_INPUT_PREFIX = 'customField:';
+
+/** Field types offered in the field manager */
+export const CUSTOM_FIELD_TYPES = {
+  text: 'Short text',
+  textarea: 'Long text',
+  select: 'Choice',
+  url: 'Link'
+};
+
+const INPUT_CLASS = 'w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent dark:bg-gray-700 dark:text-white';
+
+/**
+ * Turn a field label into its template variable name
+ * @param {string} label - e.g. 'Compliance tier'
+ * @returns {string} e.g. 'COMPLIANCE_TIER'
+ */
+export function toVariableName(label) {
+  const name = String(label || '')
+    .toUpperCase()
+    .replace(/[^A-Z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+  return /^[0-9]/.test(name) ? `FIELD_${name}` : name;
+}
+
+/**
+ * Whether a variable name is already filled in by the built-in prompts
+ * @param {string} name
+ * @returns {boolean}
+ */
+function isBuiltInVariable(name) {
+  return /^PHASE\d+_OUTPUT$/.test(name) ||
+    Object.values(PROMPT_TEMPLATES).some(({ required, optional }) => required.includes(name) || optional.includes(name));
+}
+
+/**
+ * Clean up and check a field definition
+ * @param {Partial<import('./types.js').CustomFieldDefinition>} field
+ * @returns {import('./types.js').CustomFieldDefinition}
+ */
+function normalizeField(field) {
+  const label = String(field.label || '').trim().substring(0, MAX_LABEL_LENGTH);
+  if (!label) throw new Error('Field label cannot be empty');
+  if (!CUSTOM_FIELD_TYPES[field.type]) throw new Error(`Unknown field type: ${field.type}`);
+
+  const options = field.type === 'select'
+    ? [...new Set((field.options || []).map(o => String(o).trim()).filter(Boolean))]
+    : [];
+  if (field.type === 'select' && options.length === 0) {
+    throw new Error('A choice field needs at least one option');
+  }
+
+  return { variable: field.variable, label, type: field.type, required: !!field.required, options };
+}
+
+/**
+ * Get all custom field definitions, in form order
+ * @returns {Promise<import('./types.js').CustomFieldDefinition[]>}
+ */
+export async function getCustomFields() {
+  return (await storage.getSetting(SETTINGS_KEY)) || [];
+}
+
+/**
+ * Replace all custom field definitions and update the prompt variables
+ * @param {import('./types.js').CustomFieldDefinition[]} fields
+ * @returns {Promise<void>}
+ */
+async function saveCustomFields(fields) {
+  await storage.saveSetting(SETTINGS_KEY, fields);
+  setCustomFieldVariables(fields.map(f => f.variable));
+}
+
+/**
+ * Make the stored custom fields available to prompt generation
+ * Call once after storage.init().
+ * @returns {Promise<number>} Number of custom fields
+ */
+export async function loadCustomFields() {
+  const fields = await getCustomFields();
+  setCustomFieldVariables(fields.map(f => f.variable));
+  return fields.length;
+}
+
+/**
+ * Add a custom field
+ * The template variable is derived from the label and never changes.
+ * @param {{ label: string, type: string, required?: boolean, options?: string[] }} field
+ * @returns {Promise<import('./types.js').CustomFieldDefinition>}
+ */
+export async function addCustomField(field) {
+  const fields = await getCustomFields();
+  const variable = toVariableName(field.label);
+  const definition = normalizeField({ ...field, variable });
+
+  if (!variable) {
+    throw new Error('Field label needs at least one letter or digit (A-Z, 0-9) to name its template variable');
+  }
+  if (isBuiltInVariable(variable)) {
+    throw new Error(`{{${variable}}} is a built-in template variable - choose another label`);
+  }
+  if (fields.some(f => f.variable === variable)) {
+    throw new Error(`A field already uses {{${variable}}}`);
+  }
+
+  await saveCustomFields([...fields, definition]);
+  return definition;
+}
+
+/**
+ * Change a custom field's label, type, options or required flag
+ * @param {string} variable - Template variable of the field
+ * @param {Partial<import('./types.js').CustomFieldDefinition>} changes
+ * @returns {Promise<import('./types.js').CustomFieldDefinition>}
+ */
+export async function updateCustomField(variable, changes) {
+  const fields = await getCustomFields();
+  const existing = fields.find(f => f.variable === variable);
+  if (!existing) throw new Error(`Unknown custom field: ${variable}`);
+
+  const updated = normalizeField({ ...existing, ...changes, variable });
+  await saveCustomFields(fields.map(f => (f.variable === variable ? updated : f)));
+  return updated;
+}
+
+/**
+ * Move a custom field up or down in the forms
+ * @param {string} variable
+ * @param {number} offset - -1 for up, 1 for down
+ * @returns {Promise<void>}
+ */
+export async function moveCustomField(variable, offset) {
+  const fields = await getCustomFields();
+  const from = fields.findIndex(f => f.variable === variable);
+  const to = from + offset;
+  if (from === -1 || to < 0 || to >= fields.length) return;
+
+  [fields[from], fields[to]] = [fields[to], fields[from]];
+  await saveCustomFields(fields);
+}
+
+/**
+ * Delete a custom field definition
+ * Values already stored on projects are kept.
+ * @param {string} variable
+ * @returns {Promise<void>}
+ */
+export async function deleteCustomField(variable) {
+  const fields = await getCustomFields();
+  await saveCustomFields(fields.filter(f => f.variable !== variable));
+}
+
+/**
+ * Add custom field definitions from a backup, keeping local definitions for
+ * variables that already exist
+ * @param {import('./types.js').CustomFieldDefinition[]} definitions
+ * @returns {Promise<number>} Definitions added
+ */
+export async function mergeCustomFieldDefinitions(definitions) {
+  if (!Array.isArray(definitions)) return 0;
+
+  const fields = await getCustomFields();
+  const known = new Set(fields.map(f => f.variable));
+  let added = 0;
+  definitions.forEach(def => {
+    const variable = toVariableName(def?.variable);
+    if (!variable || known.has(variable) || isBuiltInVariable(variable)) return;
+    try {
+      fields.push(normalizeField({ ...def, variable }));
+      known.add(variable);
+      added++;
+    } catch {
+      // Skip definitions this version cannot use
+    }
+  });
+  if (added > 0) await saveCustomFields(fields);
+  return added;
+}
+
+/**
+ * Clean up custom field values before storing them on a project
+ * @param {*} values
+ * @returns {Object<string, string>} Trimmed text values, empty ones dropped
+ */
+export function normalizeCustomFieldValues(values) {
+  if (!values || typeof values !== 'object') return {};
+  return Object.fromEntries(Object.entries(values)
+    .filter(([, value]) => typeof value === 'string' && value.trim())
+    .map(([name, value]) => [name, value.trim()]));
+}
+
+/**
+ * Move the custom field inputs of submitted form data into `customFields`
+ * @param {Object<string, *>} formData - From Object.fromEntries(new FormData(form))
+ * @returns {Object<string, *>} The same object, with a customFields entry
+ */
+export function extractCustomFieldValues(formData) {
+  const values = {};
+  Object.keys(formData)
+    .filter(key => key.startsWith(CUSTOM_FIELD_INPUT_PREFIX))
+    .forEach(key => {
+      values[key.slice(CUSTOM_FIELD_INPUT_PREFIX.length)] = formData[key];
+      delete formData[key];
+    });
+  formData.customFields = values;
+  return formData;
+}
+
+/**
+ * Check custom field values against their definitions
+ * @param {import('./types.js').CustomFieldDefinition[]} fields
+ * @param {Object<string, string>} values
+ * @returns {string[]} One message per problem
+ */
+export function validateCustomFieldValues(fields, values) {
+  const errors = [];
+  fields.forEach(field => {
+    const value = String(values?.[field.variable] || '').trim();
+    if (!value) {
+      if (field.required) errors.push(`${field.label} is required`);
+      return;
+    }
+    if (field.type === 'url' && !/^https?:\/\/\S+$/.test(value)) {
+      errors.push(`${field.label} must be a link starting with http:// or https://`);
+    }
+    if (field.type === 'select' && !field.options.includes(value)) {
+      errors.push(`${field.label} must be one of: ${field.options.join(', ')}`);
+    }
+  });
+  return errors;
+}
+
+/**
+ * Render one custom field input
+ * @param {import('./types.js').CustomFieldDefinition} field
+ * @param {string} value
+ * @returns {string} HTML string
+ */
+function renderCustomFieldInput(field, value) {
+  const id = `custom-field-${field.variable}`;
+  const attrs = `id="${id}" name="${CUSTOM_FIELD_INPUT_PREFIX}${field.variable}" data-variable="${field.variable}"${field.required ? ' required' : ''}`;
+  const current = escapeHtml(value || '');
+
+  switch (field.type) {
+  case 'textarea':
+    return `<textarea ${attrs} rows="3" class="${INPUT_CLASS}">${current}</textarea>`;
+  case 'select':
+    return `
+                            <select ${attrs} class="${INPUT_CLASS}">
+                                <option value="">Choose...</option>
+                                ${field.options.map(o => `<option value="${escapeHtml(o)}"${o === value ? ' selected' : ''}>${escapeHtml(o)}</option>`).join('')}
+                            </select>
+    `;
+  case 'url':
+    return `<input type="url" ${attrs} class="${INPUT_CLASS}" placeholder="https://" value="${current}">`;
+  default:
+    return `<input type="text" ${attrs} class="${INPUT_CLASS}" value="${current}">`;
+  }
+}
+
+/**
+ * Render the custom field inputs for the new and edit project forms
+ * @param {import('./types.js').CustomFieldDefinition[]} fields
+ * @param {Object<string, string>} [values] - Current values by variable
+ * @returns {string} HTML string
+ */
+export function renderCustomFieldInputs(fields, values = {}) {
+  return fields.map(field => `
+                        <div class="custom-field mt-4">
+                            <label for="custom-field-${field.variable}" class="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                                ${escapeHtml(field.label)} ${field.required ? '<span class="text-red-500">*</span>' : '<span class="text-gray-400">(optional)</span>'}
+                            </label>
+                            ${renderCustomFieldInput(field, values[field.variable])}
+                            <p class="mt-1 text-xs text-gray-500 dark:text-gray-400 font-mono">{{${field.variable}}}</p>
+                        </div>
+  `).join('');
+}
@@ -127,6 +127,19 @@ export function renderDiffHtml(diff) {
   }).join('');
 }
 
+/**
+ * Render diff as two columns: the old text with deletions marked and the
+ * new text with insertions marked
+ * @param {Array} diff - Diff operations from computeWordDiff
+ * @returns {{ left: string, right: string }} HTML strings
+ */
+export function renderSideBySideHtml(diff) {
+  return {
+    left: renderDiffHtml(diff.filter(item => item.type !== 'insert')),
+    right: renderDiffHtml(diff.filter(item => item.type !== 'delete'))
+  };
+}
+
 /**
  * Escape HTML special characters
  * @param {string} text - Text to escape
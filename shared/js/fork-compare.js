@@ -0,0 +1,130 @@
+/**
+ * Fork Compare Modal Module
+ * Shows the acceptance criteria of two forks side by side with a word diff
+ * @module fork-compare
+ */
+
+import { getForkFamily } from './projects.js';
+import { computeWordDiff, renderSideBySideHtml, getDiffStats } from './diff-view.js';
+import { escapeHtml, showToast } from './ui.js';
+import { getFinalPhase } from './prompts.js';
+
+/**
+ * Latest output of a project: the final AC, or the furthest phase reached
+ * @param {import('./types.js').Project} project
+ * @returns {{ phase: number, text: string } | null}
+ */
+export function getLatestOutput(project) {
+  for (let phase = getFinalPhase(project); phase >= 1; phase--) {
+    const text = project.phases?.[phase]?.response;
+    if (text) return { phase, text };
+  }
+  return null;
+}
+
+/**
+ * Describe how a project relates to the one being viewed
+ * @param {import('./types.js').Project} project
+ * @param {import('./types.js').Project} other
+ * @returns {string}
+ */
+function describeRelation(project, other) {
+  if (project.forkedFrom?.projectId === other.id) return 'parent';
+  if (other.forkedFrom?.projectId === project.id) return `fork from Phase ${other.forkedFrom.phase}`;
+  return `sibling fork from Phase ${other.forkedFrom.phase}`;
+}
+
+/**
+ * Render one column header
+ * @param {import('./types.js').Project} project
+ * @param {{ phase: number } | null} output
+ * @returns {string} HTML string
+ */
+function renderColumnHeader(project, output) {
+  return `
+                    <h4 class="text-sm font-semibold text-gray-900 dark:text-white truncate">${escapeHtml(project.title)}</h4>
+                    <p class="text-xs text-gray-500 dark:text-gray-400 mb-2">${output ? (output.phase === getFinalPhase(project) ? 'Final AC' : `Phase ${output.phase} (not final yet)`) : 'No output yet'}</p>
+  `;
+}
+
+/**
+ * Show the fork comparison for a project
+ * @param {import('./types.js').Project} project
+ * @returns {Promise<void>}
+ */
+export async function showForkCompareModal(project) {
+  const family = await getForkFamily(project);
+  if (family.length === 0) {
+    showToast('This project has no forks to compare with', 'info');
+    return;
+  }
+
+  let other = family[0];
+
+  const modal = document.createElement('div');
+  modal.className = 'fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4';
+  modal.innerHTML = `
+        <div class="bg-white dark:bg-gray-800 rounded-lg shadow-xl max-w-6xl w-full max-h-[90vh] flex flex-col">
+            <div class="p-4 border-b border-gray-200 dark:border-gray-700 flex flex-wrap items-center justify-between gap-3">
+                <h3 class="text-lg font-bold text-gray-900 dark:text-white">🍴 Compare Forks</h3>
+                <div class="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+                    <label for="fork-compare-select">Compare with:</label>
+                    <select id="fork-compare-select" class="px-2 py-1 border border-gray-300 dark:border-gray-600 rounded bg-white dark:bg-gray-700 text-gray-900 dark:text-white text-sm">
+                        ${family.map(p => `<option value="${p.id}">${escapeHtml(p.title)} (${describeRelation(project, p)})</option>`).join('')}
+                    </select>
+                </div>
+            </div>
+            <p id="fork-compare-stats" class="px-4 pt-3 text-sm text-gray-600 dark:text-gray-400"></p>
+            <div id="fork-compare-columns" class="p-4 overflow-y-auto flex-1 grid grid-cols-1 md:grid-cols-2 gap-4"></div>
+            <div class="p-4 border-t border-gray-200 dark:border-gray-700 flex justify-end">
+                <button id="close-fork-compare-btn" class="px-4 py-2 bg-gray-200 dark:bg-gray-700 text-gray-800 dark:text-gray-200 rounded-lg hover:bg-gray-300 dark:hover:bg-gray-600 transition-colors">
+                    Close
+                </button>
+            </div>
+        </div>
+    `;
+
+  const columns = modal.querySelector('#fork-compare-columns');
+  const stats = modal.querySelector('#fork-compare-stats');
+
+  function render() {
+    const mine = getLatestOutput(project);
+    const theirs = getLatestOutput(other);
+    const diff = computeWordDiff(theirs?.text || '', mine?.text || '');
+    const { left, right } = renderSideBySideHtml(diff);
+    const { additions, deletions } = getDiffStats(diff);
+
+    stats.textContent = `${deletions} word${deletions === 1 ? '' : 's'} only in "${other.title}", ${additions} only in "${project.title}"`;
+    columns.innerHTML = `
+                <div>
+                    ${renderColumnHeader(other, theirs)}
+                    <div class="fork-compare-left p-3 bg-gray-50 dark:bg-gray-900 rounded text-sm whitespace-pre-wrap text-gray-800 dark:text-gray-200">${left}</div>
+                </div>
+                <div>
+                    ${renderColumnHeader(project, mine)}
+                    <div class="fork-compare-right p-3 bg-gray-50 dark:bg-gray-900 rounded text-sm whitespace-pre-wrap text-gray-800 dark:text-gray-200">${right}</div>
+                </div>
+    `;
+  }
+
+  const closeModal = () => {
+    modal.remove();
+    document.removeEventListener('keydown', handleEscape);
+  };
+  const handleEscape = (e) => {
+    if (e.key === 'Escape') closeModal();
+  };
+
+  modal.querySelector('#fork-compare-select').addEventListener('change', (e) => {
+    other = family.find(p => p.id === e.target.value);
+    render();
+  });
+  modal.querySelector('#close-fork-compare-btn').addEventListener('click', closeModal);
+
+  document.body.appendChild(modal);
+  render();
+  modal.addEventListener('click', (e) => {
+    if (e.target === modal) closeModal();
+  });
+  document.addEventListener('keydown', handleEscape);
+}
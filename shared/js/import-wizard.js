@@ -0,0 +1,231 @@
+/**
+ * Import Wizard Module
+ * Dry-run preview and per-project conflict resolution for backup imports
+ * @module import-wizard
+ */
+
+import { readFileText, parseBackupJson, parseBackupData, planImport, summarizePlan, applyImport } from './backup-import.js';
+import { isEncryptedBackup, decryptBackup, restoreValidatorHistory } from './backup-crypto.js';
+import { mergeLabelDefinitions } from './labels.js';
+import { mergeCustomFieldDefinitions } from './custom-fields.js';
+import { escapeHtml, showToast, promptPassphrase } from './ui.js';
+
+const STATUS_BADGES = {
+  new: { label: 'New', classes: 'bg-green-100 dark:bg-green-900/30 text-green-700 dark:text-green-300' },
+  identical: { label: 'Identical', classes: 'bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-300' },
+  newer: { label: 'Newer', classes: 'bg-blue-100 dark:bg-blue-900/30 text-blue-700 dark:text-blue-300' },
+  older: { label: 'Older', classes: 'bg-yellow-100 dark:bg-yellow-900/30 text-yellow-700 dark:text-yellow-300' }
+};
+
+const RESOLUTION_LABELS = {
+  'keep-local': 'Keep local',
+  'take-incoming': 'Take incoming',
+  'keep-both': 'Keep both'
+};
+
+const SELECT_CLASS = 'px-2 py-1 border border-gray-300 dark:border-gray-600 rounded bg-white dark:bg-gray-700 text-gray-900 dark:text-white text-sm';
+
+/**
+ * Format a timestamp for the comparison columns
+ * @param {string | undefined} iso
+ * @returns {string}
+ */
+function formatDate(iso) {
+  return iso ? new Date(iso).toLocaleString() : '—';
+}
+
+/**
+ * Render the resolution picker for one entry
+ * New projects have no local copy, so only import or skip make sense.
+ * @param {import('./backup-import.js').ImportEntry} entry
+ * @param {number} index
+ * @returns {string} HTML string
+ */
+function renderResolutionSelect(entry, index) {
+  const options = entry.local
+    ? ['keep-local', 'take-incoming', 'keep-both'].map(r => [r, RESOLUTION_LABELS[r]])
+    : [['take-incoming', 'Import'], ['keep-local', 'Skip']];
+
+  return `
+                        <select class="import-resolution ${SELECT_CLASS}" data-index="${index}">
+                            ${options.map(([value, label]) => `<option value="${value}" ${entry.resolution === value ? 'selected' : ''}>${label}</option>`).join('')}
+                        </select>
+  `;
+}
+
+/**
+ * Render the dry-run summary line
+ * @param {import('./backup-import.js').ImportEntry[]} entries
+ * @returns {string} HTML string
+ */
+function renderSummary(entries) {
+  const { total, byStatus, byResolution } = summarizePlan(entries);
+  const statusParts = Object.entries(byStatus)
+    .filter(([, count]) => count > 0)
+    .map(([status, count]) => `${count} ${STATUS_BADGES[status].label.toLowerCase()}`);
+
+  return `
+            <p class="text-sm text-gray-700 dark:text-gray-300">
+                ${total} project${total === 1 ? '' : 's'} in backup: ${statusParts.join(', ')}.
+            </p>
+            <p class="text-sm text-gray-600 dark:text-gray-400">
+                Will add or replace ${byResolution['take-incoming']}, duplicate ${byResolution['keep-both']}, and leave ${byResolution['keep-local']} unchanged.
+            </p>
+  `;
+}
+
+/**
+ * Read a backup file, asking for the passphrase if it is encrypted
+ * @param {File} file
+ * @returns {Promise<Object | null>} Parsed backup, or null if the user cancelled
+ */
+async function readBackup(file) {
+  const data = parseBackupJson(await readFileText(file));
+  if (!isEncryptedBackup(data)) return data;
+
+  const passphrase = await promptPassphrase('This backup is encrypted. Enter the passphrase used to export it.', 'Encrypted Backup');
+  if (passphrase === null) return null;
+  return decryptBackup(data, passphrase);
+}
+
+/**
+ * Read a backup file, show the dry-run plan, and import on confirmation
+ * Encrypted backups may also carry validator version history, which is
+ * merged in alongside the projects.
+ * @param {File} file
+ * @param {Function} onComplete - Called after projects were written
+ * @returns {Promise<void>}
+ */
+export async function showImportWizard(file, onComplete) {
+  let entries;
+  let validatorHistory = null;
+  let labelDefinitions = null;
+  let fieldDefinitions = null;
+  try {
+    const data = await readBackup(file);
+    if (!data) return;
+    validatorHistory = data.validatorHistory || null;
+    labelDefinitions = data.labels || null;
+    fieldDefinitions = data.customFields || null;
+    entries = await planImport(parseBackupData(data));
+  } catch (error) {
+    console.error('Import failed:', error);
+    showToast(error.message, 'error', 6000);
+    return;
+  }
+
+  if (entries.length === 0) {
+    const restored = validatorHistory ? restoreValidatorHistory(validatorHistory) : 0;
+    showToast(restored > 0 ? `Restored ${restored} validator version${restored === 1 ? '' : 's'}` : 'The backup contains no projects', restored > 0 ? 'success' : 'warning');
+    return;
+  }
+
+  const modal = document.createElement('div');
+  modal.className = 'fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4';
+  modal.innerHTML = `
+        <div class="bg-white dark:bg-gray-800 rounded-lg shadow-xl max-w-4xl w-full max-h-[90vh] flex flex-col">
+            <div class="p-4 border-b border-gray-200 dark:border-gray-700">
+                <h3 class="text-lg font-bold text-gray-900 dark:text-white mb-2">📥 Import Backup</h3>
+                <div id="import-summary"></div>
+            </div>
+            <div class="p-4 overflow-y-auto flex-1">
+                <div class="flex items-center justify-end gap-2 mb-3 text-sm text-gray-700 dark:text-gray-300">
+                    <label for="import-apply-all">Apply to all conflicts:</label>
+                    <select id="import-apply-all" class="${SELECT_CLASS}">
+                        <option value="">—</option>
+                        ${Object.entries(RESOLUTION_LABELS).map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+                    </select>
+                </div>
+                <table class="w-full text-sm">
+                    <thead>
+                        <tr class="text-left text-gray-500 dark:text-gray-400 border-b border-gray-200 dark:border-gray-700">
+                            <th class="py-2 pr-2 font-medium">Project</th>
+                            <th class="py-2 pr-2 font-medium">Status</th>
+                            <th class="py-2 pr-2 font-medium">Local updated</th>
+                            <th class="py-2 pr-2 font-medium">Incoming updated</th>
+                            <th class="py-2 font-medium">Action</th>
+                        </tr>
+                    </thead>
+                    <tbody id="import-rows"></tbody>
+                </table>
+            </div>
+            <div class="p-4 border-t border-gray-200 dark:border-gray-700 flex justify-end gap-2">
+                <button id="import-cancel-btn" class="px-4 py-2 bg-gray-200 dark:bg-gray-700 text-gray-800 dark:text-gray-200 rounded-lg hover:bg-gray-300 dark:hover:bg-gray-600 transition-colors">
+                    Cancel
+                </button>
+                <button id="import-confirm-btn" class="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 transition-colors">
+                    Import
+                </button>
+            </div>
+        </div>
+    `;
+
+  const rows = modal.querySelector('#import-rows');
+  const summary = modal.querySelector('#import-summary');
+
+  function render() {
+    summary.innerHTML = renderSummary(entries);
+    rows.innerHTML = entries.map((entry, index) => {
+      const badge = STATUS_BADGES[entry.status];
+      return `
+                    <tr class="border-b border-gray-100 dark:border-gray-700 text-gray-900 dark:text-white">
+                        <td class="py-2 pr-2">${escapeHtml(entry.incoming.title)}</td>
+                        <td class="py-2 pr-2"><span class="px-2 py-0.5 text-xs font-medium rounded-full ${badge.classes}">${badge.label}</span></td>
+                        <td class="py-2 pr-2 text-gray-600 dark:text-gray-400">${formatDate(entry.local?.updatedAt)}</td>
+                        <td class="py-2 pr-2 text-gray-600 dark:text-gray-400">${formatDate(entry.incoming.updatedAt)}</td>
+                        <td class="py-2">${renderResolutionSelect(entry, index)}</td>
+                    </tr>
+      `;
+    }).join('');
+
+    rows.querySelectorAll('.import-resolution').forEach(select => {
+      select.addEventListener('change', () => {
+        entries[parseInt(select.dataset.index)].resolution = select.value;
+        summary.innerHTML = renderSummary(entries);
+      });
+    });
+  }
+
+  const closeModal = () => {
+    modal.remove();
+    document.removeEventListener('keydown', handleEscape);
+  };
+  const handleEscape = (e) => {
+    if (e.key === 'Escape') closeModal();
+  };
+
+  modal.querySelector('#import-apply-all').addEventListener('change', (e) => {
+    const resolution = e.target.value;
+    if (!resolution) return;
+    entries.filter(entry => entry.local).forEach(entry => {
+      entry.resolution = resolution;
+    });
+    render();
+  });
+
+  modal.querySelector('#import-cancel-btn').addEventListener('click', closeModal);
+
+  modal.querySelector('#import-confirm-btn').addEventListener('click', async () => {
+    try {
+      // Backup colours first, so applyImport only fills in labels it lacks
+      await mergeLabelDefinitions(labelDefinitions);
+      await mergeCustomFieldDefinitions(fieldDefinitions);
+      const { added, replaced, duplicated, skipped } = await applyImport(entries);
+      const restored = validatorHistory ? restoreValidatorHistory(validatorHistory) : 0;
+      closeModal();
+      const historyNote = restored > 0 ? `, ${restored} validator version${restored === 1 ? '' : 's'} restored` : '';
+      showToast(`Imported: ${added} added, ${replaced} replaced, ${duplicated} kept as copies, ${skipped} unchanged${historyNote}`, 'success');
+      onComplete();
+    } catch (error) {
+      console.error('Import failed:', error);
+      showToast('Failed to import projects', 'error');
+    }
+  });
+
+  document.body.appendChild(modal);
+  render();
+  modal.addEventListener('click', (e) => {
+    if (e.target === modal) closeModal();
+  });
+  document.addEventListener('keydown', handleEscape);
+}
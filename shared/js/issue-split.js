@@ -0,0 +1,199 @@
+/**
+ * Issue Split Module
+ * Turns groups of criteria from an oversized issue into linked child projects
+ * @module issue-split
+ *
+ * Each child inherits the parent's Summary and Out of Scope sections and gets
+ * its group of criteria as a ready-made Phase 1 draft, so it continues at the
+ * review phase. The parent keeps links to its children.
+ */
+
+import storage from './storage.js';
+import { DEFAULT_OUTPUT_STYLE, getWorkflow, getFinalResponse } from './prompts.js';
+import { parseCriteria } from '../../validator/js/criteria-parser.js';
+
+// "Story: title" followed by "Criteria: 1, 3, 4" in an LLM split proposal
+const PROPOSAL_STORY_PATTERN = /^\s*(?:[-*]\s*)?(?:#+\s*)?(?:\*\*)?story(?:\s*\d+)?(?:\*\*)?\s*[:-]\s*(.+?)\s*$/i;
+const PROPOSAL_CRITERIA_PATTERN = /^\s*(?:[-*]\s*)?(?:\*\*)?criteria(?:\*\*)?\s*:\s*(.+)$/i;
+
+/**
+ * Pull the parts of the final AC a split works with
+ * Checklist items under Acceptance Criteria are preferred; documents without
+ * that heading fall back to every checklist item.
+ * @param {string} markdown - Final acceptance criteria
+ * @returns {{ summary: string[], criteria: { line: number, text: string, checked: boolean }[], outOfScope: string[] }}
+ */
+export function getSplitSource(markdown) {
+  const { sections, criteria } = parseCriteria(markdown);
+  const inSection = criteria.filter(c => c.section === 'acceptanceCriteria');
+  return {
+    summary: sections.summary.lines.map(l => l.text),
+    criteria: (inSection.length > 0 ? inSection : criteria)
+      .filter(c => c.text)
+      .map(({ line, text, checked }) => ({ line, text, checked })),
+    outOfScope: sections.outOfScope.lines.map(l => l.text)
+  };
+}
+
+/**
+ * Build a child's acceptance criteria from the inherited sections and its group
+ * @param {ReturnType<typeof getSplitSource>} source
+ * @param {{ text: string, checked: boolean }[]} criteria - The group's criteria
+ * @returns {string} Linear-format markdown
+ */
+export function buildChildMarkdown(source, criteria) {
+  const parts = [];
+  if (source.summary.length > 0) {
+    parts.push(`## Summary\n\n${source.summary.join('\n')}`);
+  }
+  parts.push(`## Acceptance Criteria\n\n${criteria.map(c => `- [${c.checked ? 'x' : ' '}] ${c.text}`).join('\n')}`);
+  if (source.outOfScope.length > 0) {
+    parts.push(`## Out of Scope\n\n${source.outOfScope.join('\n')}`);
+  }
+  return `${parts.join('\n\n')}\n`;
+}
+
+/**
+ * Generate a prompt asking an LLM to propose how to split the issue
+ * The requested answer format is what parseSplitProposal reads back.
+ * @param {import('./types.js').Project} project
+ * @returns {string}
+ */
+export function generateSplitPrompt(project) {
+  const { criteria } = getSplitSource(getFinalResponse(project));
+  const title = project.issueTitle || project.title || 'Untitled Issue';
+
+  return `You are an experienced product manager splitting an oversized issue into smaller, independently shippable stories.
+
+## ISSUE: ${title}
+
+## ORIGINAL ACCEPTANCE CRITERIA
+
+\`\`\`
+${getFinalResponse(project)}
+\`\`\`
+
+## NUMBERED CRITERIA
+
+${criteria.map((c, i) => `${i + 1}. ${c.text}`).join('\n')}
+
+## SPLIT REQUIREMENTS
+
+1. Propose 2-4 stories, each deliverable and testable on its own
+2. Give each story 3-7 criteria (a smaller story is fine if the work is small)
+3. Keep criteria that depend on each other in the same story
+4. Use every criterion number exactly once
+5. Give each story a short, action-oriented title
+
+<output_rules>
+- Output ONLY the stories, one block per story, in exactly this format:
+
+Story: <title>
+Criteria: <comma-separated criterion numbers>
+
+- NO preambles or explanations
+- NO markdown code fences wrapping the output
+</output_rules>`;
+}
+
+/**
+ * Read an LLM split proposal back into groups
+ * Numbers outside 1..criteriaCount and criteria already used by an earlier
+ * story are ignored; stories left without criteria are dropped.
+ * @param {string} text - LLM response to generateSplitPrompt
+ * @param {number} criteriaCount
+ * @returns {{ title: string, criteria: number[] }[]} Groups with 0-based criterion indexes
+ */
+export function parseSplitProposal(text, criteriaCount) {
+  const groups = [];
+  const used = new Set();
+
+  (text || '').split(/\r?\n/).forEach(line => {
+    const story = line.match(PROPOSAL_STORY_PATTERN);
+    if (story) {
+      groups.push({ title: story[1].replace(/\*\*/g, '').trim(), criteria: [] });
+      return;
+    }
+
+    const numbers = line.match(PROPOSAL_CRITERIA_PATTERN);
+    const current = groups[groups.length - 1];
+    if (!numbers || !current) return;
+    (numbers[1].match(/\d+/g) || []).forEach(n => {
+      const index = parseInt(n, 10) - 1;
+      if (index >= 0 && index < criteriaCount && !used.has(index)) {
+        used.add(index);
+        current.criteria.push(index);
+      }
+    });
+  });
+
+  return groups.filter(g => g.criteria.length > 0);
+}
+
+/**
+ * Split a project's final AC into child projects
+ * @param {string} projectId
+ * @param {{ title: string, criteria: number[] }[]} groups - 0-based indexes into getSplitSource().criteria
+ * @returns {Promise<import('./types.js').Project[]>} The children, in group order
+ */
+export async function splitProject(projectId, groups) {
+  const parent = await storage.getProject(projectId);
+  if (!parent) throw new Error('Project not found');
+
+  const source = getSplitSource(getFinalResponse(parent));
+  if (source.criteria.length === 0) {
+    throw new Error('The final acceptance criteria have no checklist items to split');
+  }
+
+  const chosen = groups.filter(g => g.criteria.length > 0);
+  if (chosen.length === 0) throw new Error('Assign at least one criterion to a child issue');
+  chosen.forEach((group, i) => {
+    if (!group.title?.trim()) throw new Error(`Child issue ${i + 1} needs a title`);
+  });
+
+  const workflow = getWorkflow(parent.workflowId);
+  const children = [];
+  for (const group of chosen) {
+    const now = new Date().toISOString();
+    const criteria = [...new Set(group.criteria)].sort((a, b) => a - b).map(i => source.criteria[i]).filter(Boolean);
+    const markdown = buildChildMarkdown(source, criteria);
+    const title = group.title.trim();
+
+    const child = {
+      id: crypto.randomUUID(),
+      title,
+      issueTitle: title,
+      whatNeedsToBeDone: [...source.summary, '', ...criteria.map(c => `- ${c.text}`)].join('\n').trim(),
+      relatedContext: parent.relatedContext || '',
+      outputStyle: parent.outputStyle || DEFAULT_OUTPUT_STYLE,
+      workflowId: workflow.id,
+      linearIdentifier: '',
+      linearProject: parent.linearProject || '',
+      labels: [...(parent.labels || [])],
+      customFields: { ...(parent.customFields || {}) },
+      splitFrom: {
+        projectId: parent.id,
+        title: parent.title,
+        splitAt: now
+      },
+      phase: 2,
+      createdAt: now,
+      updatedAt: now,
+      phases: {}
+    };
+    workflow.phases.forEach(({ number }) => {
+      const response = number === 1 ? markdown : '';
+      child.phases[number] = { prompt: '', response, completed: !!response };
+      child[`phase${number}_output`] = response;
+    });
+    children.push(await storage.saveProject(child));
+  }
+
+  parent.splitInto = [
+    ...(parent.splitInto || []),
+    ...children.map(c => ({ projectId: c.id, title: c.title }))
+  ];
+  await storage.saveProject(parent);
+
+  return children;
+}
@@ -0,0 +1,103 @@
+/**
+ * Label Manager Modal Module
+ * Recolour and delete project labels
+ * @module label-manager
+ */
+
+import { LABEL_COLORS, getLabels, setLabelColor, deleteLabel, getLabelClasses } from './labels.js';
+import { escapeHtml, showToast, confirm } from './ui.js';
+
+/**
+ * Render one label row with its colour swatches
+ * @param {import('./labels.js').LabelDefinition} label
+ * @param {number} index
+ * @returns {string} HTML string
+ */
+function renderLabelRow(label, index) {
+  return `
+                <li class="flex items-center justify-between gap-3 py-2 border-b border-gray-100 dark:border-gray-700">
+                    <span class="px-2 py-0.5 text-sm font-medium rounded-full ${getLabelClasses(label.color)}">${escapeHtml(label.name)}</span>
+                    <div class="flex items-center gap-1">
+                        ${LABEL_COLORS.map(color => `
+                        <button type="button" class="label-color-btn w-5 h-5 rounded-full bg-${color}-500 ${color === label.color ? 'ring-2 ring-offset-1 ring-gray-900 dark:ring-white' : ''}" data-index="${index}" data-color="${color}" title="${color}"></button>
+                        `).join('')}
+                        <button type="button" class="label-delete-btn ml-2 text-gray-400 hover:text-red-600 text-sm" data-index="${index}" title="Delete label">✕</button>
+                    </div>
+                </li>
+  `;
+}
+
+/**
+ * Show the label manager
+ * @param {Function} onChange - Called when the modal closes after any change
+ * @returns {Promise<void>}
+ */
+export async function showManageLabelsModal(onChange) {
+  let labels = await getLabels();
+  let changed = false;
+
+  const modal = document.createElement('div');
+  modal.className = 'fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4';
+  modal.innerHTML = `
+        <div class="bg-white dark:bg-gray-800 rounded-lg shadow-xl max-w-lg w-full max-h-[90vh] flex flex-col">
+            <div class="p-4 border-b border-gray-200 dark:border-gray-700">
+                <h3 class="text-lg font-bold text-gray-900 dark:text-white">🏷️ Labels</h3>
+            </div>
+            <div class="p-4 overflow-y-auto flex-1">
+                <ul id="label-rows"></ul>
+            </div>
+            <div class="p-4 border-t border-gray-200 dark:border-gray-700 flex justify-end">
+                <button id="close-labels-modal-btn" class="px-4 py-2 bg-gray-200 dark:bg-gray-700 text-gray-800 dark:text-gray-200 rounded-lg hover:bg-gray-300 dark:hover:bg-gray-600 transition-colors">
+                    Done
+                </button>
+            </div>
+        </div>
+    `;
+
+  const rows = modal.querySelector('#label-rows');
+
+  function render() {
+    rows.innerHTML = labels.length > 0
+      ? labels.map(renderLabelRow).join('')
+      : '<li class="text-sm text-gray-500 dark:text-gray-400">No labels yet. Add them when creating or editing an issue.</li>';
+
+    rows.querySelectorAll('.label-color-btn').forEach(btn => {
+      btn.addEventListener('click', async () => {
+        await setLabelColor(labels[parseInt(btn.dataset.index)].name, btn.dataset.color);
+        labels = await getLabels();
+        changed = true;
+        render();
+      });
+    });
+
+    rows.querySelectorAll('.label-delete-btn').forEach(btn => {
+      btn.addEventListener('click', async () => {
+        const { name } = labels[parseInt(btn.dataset.index)];
+        if (!await confirm(`Delete the label "${name}"? It will be removed from every issue that has it.`, 'Delete Label')) return;
+        const updated = await deleteLabel(name);
+        showToast(`Label deleted from ${updated} issue${updated === 1 ? '' : 's'}`, 'success');
+        labels = await getLabels();
+        changed = true;
+        render();
+      });
+    });
+  }
+
+  const closeModal = () => {
+    modal.remove();
+    document.removeEventListener('keydown', handleEscape);
+    if (changed) onChange();
+  };
+  const handleEscape = (e) => {
+    if (e.key === 'Escape') closeModal();
+  };
+
+  modal.querySelector('#close-labels-modal-btn').addEventListener('click', closeModal);
+
+  document.body.appendChild(modal);
+  render();
+  modal.addEventListener('click', (e) => {
+    if (e.target === modal) closeModal();
+  });
+  document.addEventListener('keydown', handleEscape);
+}
@@ -0,0 +1,156 @@
+/**
+ * Labels Module
+ * User-defined, coloured labels for grouping projects (team, cycle, Linear project...)
+ * @module labels
+ *
+ * Projects store label names in `labels`; the colour of each name lives in
+ * the 'labels' setting so backups can carry both.
+ */
+
+import storage from './storage.js';
+import { escapeHtml } from './ui.js';
+import { projectSearchIndex } from './project-search.js';
+
+const SETTINGS_KEY = 'labels';
+const MAX_LABEL_LENGTH = 40;
+
+/**
+ * @typedef {Object} LabelDefinition
+ * @property {string} name - Display name, unique ignoring case
+ * @property {string} color - One of LABEL_COLORS
+ */
+
+/** Tailwind colour families offered for labels */
+export const LABEL_COLORS = ['gray', 'red', 'orange', 'yellow', 'green', 'teal', 'blue', 'indigo', 'purple', 'pink'];
+
+/**
+ * Turn form input into a clean list of label names
+ * @param {string | string[] | undefined} value - Comma-separated string or array
+ * @returns {string[]} Trimmed names, de-duplicated ignoring case
+ */
+export function parseLabelNames(value) {
+  const raw = Array.isArray(value) ? value : String(value || '').split(',');
+  const seen = new Set();
+  return raw
+    .map(name => String(name).trim().substring(0, MAX_LABEL_LENGTH))
+    .filter(name => {
+      const key = name.toLowerCase();
+      if (!name || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+}
+
+/**
+ * Tailwind classes for a label chip
+ * @param {string} color
+ * @returns {string}
+ */
+export function getLabelClasses(color) {
+  const c = LABEL_COLORS.includes(color) ? color : 'gray';
+  return `bg-${c}-100 dark:bg-${c}-900/30 text-${c}-700 dark:text-${c}-300`;
+}
+
+/**
+ * Get all label definitions
+ * @returns {Promise<LabelDefinition[]>}
+ */
+export async function getLabels() {
+  return (await storage.getSetting(SETTINGS_KEY)) || [];
+}
+
+/**
+ * Replace all label definitions
+ * @param {LabelDefinition[]} labels
+ * @returns {Promise<void>}
+ */
+async function saveLabels(labels) {
+  await storage.saveSetting(SETTINGS_KEY, [...labels].sort((a, b) => a.name.localeCompare(b.name)));
+}
+
+/**
+ * Make sure every name has a definition, giving new ones the next colour
+ * @param {string[]} names
+ * @returns {Promise<LabelDefinition[]>} All definitions
+ */
+export async function ensureLabels(names) {
+  const labels = await getLabels();
+  const known = new Set(labels.map(l => l.name.toLowerCase()));
+  const missing = parseLabelNames(names).filter(name => !known.has(name.toLowerCase()));
+  if (missing.length === 0) return labels;
+
+  missing.forEach(name => {
+    labels.push({ name, color: LABEL_COLORS[labels.length % LABEL_COLORS.length] });
+  });
+  await saveLabels(labels);
+  return getLabels();
+}
+
+/**
+ * Add label definitions from a backup, keeping local colours for names
+ * that already exist
+ * @param {LabelDefinition[]} definitions
+ * @returns {Promise<number>} Definitions added
+ */
+export async function mergeLabelDefinitions(definitions) {
+  if (!Array.isArray(definitions)) return 0;
+
+  const labels = await getLabels();
+  const known = new Set(labels.map(l => l.name.toLowerCase()));
+  let added = 0;
+  definitions.forEach(def => {
+    const [name] = parseLabelNames([def?.name]);
+    if (!name || known.has(name.toLowerCase())) return;
+    known.add(name.toLowerCase());
+    labels.push({ name, color: LABEL_COLORS.includes(def.color) ? def.color : 'gray' });
+    added++;
+  });
+  if (added > 0) await saveLabels(labels);
+  return added;
+}
+
+/**
+ * Change a label's colour
+ * @param {string} name
+ * @param {string} color
+ * @returns {Promise<void>}
+ */
+export async function setLabelColor(name, color) {
+  if (!LABEL_COLORS.includes(color)) throw new Error(`Unknown label colour: ${color}`);
+  const labels = await getLabels();
+  await saveLabels(labels.map(l => (l.name === name ? { ...l, color } : l)));
+}
+
+/**
+ * Delete a label and remove it from every project that has it
+ * Names match ignoring case, like everywhere else labels are compared.
+ * @param {string} name
+ * @returns {Promise<number>} Projects updated
+ */
+export async function deleteLabel(name) {
+  const key = name.toLowerCase();
+  const labels = await getLabels();
+  await saveLabels(labels.filter(l => l.name.toLowerCase() !== key));
+
+  const projects = await storage.getProjectsByLabel(name);
+  for (const project of projects) {
+    project.labels = project.labels.filter(l => l.toLowerCase() !== key);
+    await storage.saveProject(project);
+    projectSearchIndex.add(project);
+  }
+  return projects.length;
+}
+
+/**
+ * Render label chips
+ * @param {string[] | undefined} names
+ * @param {LabelDefinition[]} labels - Definitions, for colours
+ * @returns {string} HTML string
+ */
+export function renderLabelChips(names, labels) {
+  if (!names || names.length === 0) return '';
+  const colors = new Map(labels.map(l => [l.name.toLowerCase(), l.color]));
+  return names.map(name => `
+                                <span class="inline-block px-2 py-0.5 text-xs font-medium rounded-full ${getLabelClasses(colors.get(name.toLowerCase()))}">${escapeHtml(name)}</span>
+  `).join('');
+}
@@ -0,0 +1,329 @@
+/**
+ * Linear Import/Export Module
+ * Round-trips issues through Linear's offline CSV/JSON formats
+ * @module linear-io
+ *
+ * Import: each issue in a Linear CSV or JSON export becomes a project.
+ * Export: final acceptance criteria keyed by Linear identifier, ready for
+ * Linear's importer or a script that updates issue descriptions.
+ */
+
+import storage from './storage.js';
+import { createProject } from './projects.js';
+import { readFileText } from './backup-import.js';
+import { getFinalResponse } from './prompts.js';
+
+/**
+ * Column names accepted for each field (lower-cased). Linear's CSV export
+ * uses "ID", "Title", "Description", "Labels", "Team" and "Project".
+ */
+const CSV_COLUMNS = {
+  identifier: ['id', 'identifier', 'issue id', 'key'],
+  title: ['title', 'name'],
+  description: ['description', 'body'],
+  labels: ['labels', 'label'],
+  team: ['team', 'team name', 'team key'],
+  project: ['project', 'project name']
+};
+
+const EXPORT_COLUMNS = ['ID', 'Title', 'Description', 'Labels', 'Project'];
+
+// ============================================================================
+// CSV
+// ============================================================================
+
+/**
+ * Parse RFC 4180 CSV text (quoted fields, escaped quotes, embedded newlines)
+ * @param {string} text - CSV content
+ * @returns {string[][]} Rows of fields
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(r => r.some(value => value.trim()));
+}
+
+/**
+ * Serialize rows to CSV, quoting fields that need it
+ * @param {string[][]} rows
+ * @returns {string}
+ */
+export function toCsv(rows) {
+  return rows.map(row => row.map(value => {
+    const text = String(value ?? '');
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }).join(',')).join('\r\n') + '\r\n';
+}
+
+// ============================================================================
+// Parsing Linear exports
+// ============================================================================
+
+/**
+ * @typedef {Object} LinearIssue
+ * @property {string} identifier - Linear identifier (e.g. ENG-123)
+ * @property {string} title
+ * @property {string} description
+ * @property {string[]} labels
+ * @property {string} team
+ * @property {string} project - Linear project name
+ */
+
+function splitLabels(value) {
+  return String(value || '').split(',').map(label => label.trim()).filter(Boolean);
+}
+
+/**
+ * Normalize a label list from the shapes Linear JSON uses:
+ * ["Bug"], [{ name: "Bug" }], { nodes: [{ name: "Bug" }] } or "Bug, UI"
+ */
+function normalizeLabels(labels) {
+  if (!labels) return [];
+  if (typeof labels === 'string') return splitLabels(labels);
+  const list = Array.isArray(labels) ? labels : labels.nodes || [];
+  return list.map(label => (typeof label === 'string' ? label : label?.name || '')).map(l => l.trim()).filter(Boolean);
+}
+
+function normalizeTeam(team) {
+  if (!team) return '';
+  if (typeof team === 'string') return team;
+  return team.name || team.key || '';
+}
+
+function normalizeLinearProject(project) {
+  if (!project) return '';
+  if (typeof project === 'string') return project.trim();
+  return String(project.name || '').trim();
+}
+
+/**
+ * Parse a Linear CSV export
+ * @param {string} text - CSV content
+ * @returns {LinearIssue[]}
+ */
+export function parseLinearCsv(text) {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) return [];
+
+  const names = header.map(h => h.trim().toLowerCase());
+  const indexOf = key => names.findIndex(name => CSV_COLUMNS[key].includes(name));
+  const columns = Object.fromEntries(Object.keys(CSV_COLUMNS).map(key => [key, indexOf(key)]));
+
+  if (columns.title === -1) {
+    throw new Error('CSV is missing a Title column');
+  }
+
+  const value = (row, key) => (columns[key] === -1 ? '' : (row[columns[key]] || '').trim());
+
+  return rows.map(row => ({
+    identifier: value(row, 'identifier'),
+    title: value(row, 'title'),
+    description: value(row, 'description'),
+    labels: splitLabels(value(row, 'labels')),
+    team: value(row, 'team'),
+    project: value(row, 'project')
+  })).filter(issue => issue.title || issue.description);
+}
+
+/**
+ * Parse a Linear JSON export - a plain array, { issues: [...] } or a
+ * GraphQL response ({ data: { issues: { nodes: [...] } } })
+ * @param {string} text - JSON content
+ * @returns {LinearIssue[]}
+ */
+export function parseLinearJson(text) {
+  const content = JSON.parse(text);
+  const issues = Array.isArray(content)
+    ? content
+    : content.issues?.nodes || content.issues || content.data?.issues?.nodes;
+
+  if (!Array.isArray(issues)) {
+    throw new Error('JSON does not contain a list of issues');
+  }
+
+  return issues.map(issue => ({
+    // `id` is Linear's internal UUID, not the ABC-123 key
+    identifier: String(issue.identifier || '').trim(),
+    title: String(issue.title || '').trim(),
+    description: String(issue.description || '').trim(),
+    labels: normalizeLabels(issue.labels),
+    team: normalizeTeam(issue.team),
+    project: normalizeLinearProject(issue.project)
+  })).filter(issue => issue.title || issue.description);
+}
+
+/**
+ * Parse a Linear export, choosing CSV or JSON from the filename or content
+ * @param {string} text - File content
+ * @param {string} [filename] - Original filename
+ * @returns {LinearIssue[]}
+ */
+export function parseLinearExport(text, filename = '') {
+  const isJson = /\.json$/i.test(filename) || (!/\.csv$/i.test(filename) && /^\s*[[{]/.test(text));
+  return isJson ? parseLinearJson(text) : parseLinearCsv(text);
+}
+
+/**
+ * Map a Linear issue to project form data
+ * @param {LinearIssue} issue
+ * @returns {import('./types.js').ProjectFormData}
+ */
+export function linearIssueToFormData(issue) {
+  const context = [
+    issue.team ? `Team: ${issue.team}` : '',
+    issue.labels.length > 0 ? `Labels: ${issue.labels.join(', ')}` : ''
+  ].filter(Boolean).join('\n');
+
+  return {
+    title: issue.title || issue.identifier,
+    issueTitle: issue.title,
+    whatNeedsToBeDone: issue.description || issue.title,
+    relatedContext: context,
+    linearIdentifier: issue.identifier,
+    linearProject: issue.project,
+    labels: issue.labels
+  };
+}
+
+// ============================================================================
+// Import / Export
+// ============================================================================
+
+/**
+ * Import a Linear CSV/JSON export, creating one project per issue
+ * Issues whose identifier already belongs to a project (outside the trash),
+ * or appears earlier in the same file, are skipped so re-importing an export
+ * does not duplicate them or overwrite work on them.
+ * @param {File} file
+ * @returns {Promise<{ created: number, skipped: number }>}
+ */
+export async function importLinearIssues(file) {
+  const issues = parseLinearExport(await readFileText(file), file.name);
+  if (issues.length === 0) {
+    throw new Error('No issues found in file');
+  }
+
+  const known = new Set((await storage.getAllProjects())
+    .filter(p => !p.trashedAt && p.linearIdentifier)
+    .map(p => p.linearIdentifier.toUpperCase()));
+
+  const result = { created: 0, skipped: 0 };
+  for (const issue of issues) {
+    const key = issue.identifier.toUpperCase();
+    if (key && known.has(key)) {
+      result.skipped++;
+      continue;
+    }
+    await createProject(linearIssueToFormData(issue));
+    if (key) known.add(key);
+    result.created++;
+  }
+  return result;
+}
+
+/**
+ * Build the export payload from projects that have a Linear identifier and
+ * final acceptance criteria (last phase of their workflow)
+ * When several projects share an identifier only the most recently updated
+ * one is exported, so a Linear issue never gets two descriptions.
+ * @param {import('./types.js').Project[]} projects
+ * @param {'csv'|'json'} format
+ * @returns {{ content: string, count: number, skipped: number, duplicates: string[] }}
+ *   `skipped` counts projects without an identifier or final criteria;
+ *   `duplicates` lists identifiers found on more than one project
+ */
+export function buildLinearExport(projects, format) {
+  const candidates = projects
+    .filter(p => !p.trashedAt && p.linearIdentifier && getFinalResponse(p))
+    .sort((a, b) => (b.updatedAt || '').localeCompare(a.updatedAt || ''));
+  const seen = new Set();
+  const duplicates = new Set();
+  const exportable = candidates.filter(p => {
+    const key = p.linearIdentifier.toUpperCase();
+    if (seen.has(key)) {
+      duplicates.add(p.linearIdentifier);
+      return false;
+    }
+    seen.add(key);
+    return true;
+  });
+  const issues = exportable.map(p => ({
+    identifier: p.linearIdentifier,
+    title: p.issueTitle || p.title,
+    description: getFinalResponse(p),
+    labels: p.labels || [],
+    project: p.linearProject || ''
+  }));
+
+  let content;
+  if (format === 'csv') {
+    content = toCsv([EXPORT_COLUMNS, ...issues.map(i => [i.identifier, i.title, i.description, i.labels.join(', '), i.project])]);
+  } else {
+    content = JSON.stringify({
+      exportedAt: new Date().toISOString(),
+      issues: Object.fromEntries(issues.map(i => [i.identifier, { title: i.title, description: i.description, labels: i.labels, project: i.project }]))
+    }, null, 2);
+  }
+
+  return { content, count: issues.length, skipped: projects.length - candidates.length, duplicates: [...duplicates] };
+}
+
+/**
+ * Download final acceptance criteria as a Linear CSV/JSON bundle
+ * @param {'csv'|'json'} format
+ * @returns {Promise<{ count: number, skipped: number, duplicates: string[] }>}
+ */
+export async function exportLinearIssues(format) {
+  const projects = await storage.getAllProjects();
+  const { content, count, skipped, duplicates } = buildLinearExport(projects, format);
+  if (count === 0) {
+    return { count, skipped, duplicates };
+  }
+
+  const type = format === 'csv' ? 'text/csv' : 'application/json';
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `linear-ac-${new Date().toISOString().split('T')[0]}.${format}`;
+  a.click();
+  URL.revokeObjectURL(url);
+  return { count, skipped, duplicates };
+}
@@ -0,0 +1,243 @@
+/**
+ * LLM Provider Module
+ * Optional in-app execution of phases against an OpenAI-compatible endpoint
+ * @module llm-provider
+ *
+ * Copy-paste remains the default. When a phase has a provider enabled, its
+ * prompt is sent to `{baseUrl}/chat/completions` (OpenAI, Ollama, llama.cpp,
+ * LM Studio, vLLM...) and the streamed reply is saved as the phase response.
+ */
+
+import storage from './storage.js';
+import { generatePromptForPhase } from './workflow.js';
+import { updatePhase } from './projects.js';
+import { WORKFLOWS, getProjectWorkflow } from './prompts.js';
+
+const SETTINGS_KEY = 'llm-providers';
+
+/**
+ * @typedef {Object} ProviderConfig
+ * @property {boolean} enabled - Run this phase in-app instead of copy-paste
+ * @property {string} baseUrl - API base URL, e.g. http://localhost:11434/v1
+ * @property {string} model - Model name sent in the request
+ * @property {string} apiKey - Bearer token (optional for local servers)
+ */
+
+/** @type {ProviderConfig} */
+export const DEFAULT_PROVIDER_CONFIG = {
+  enabled: false,
+  baseUrl: '',
+  model: '',
+  apiKey: ''
+};
+
+/**
+ * Phases that can have a provider, one per prompt template
+ * Configs are keyed by template rather than phase number, so a phase keeps
+ * its model in every workflow: the final AC is Phase 3 in one workflow and
+ * Phase 4 in another, while Phase 3 may be a ChatGPT review.
+ * @returns {{ template: string, number: number, phases: import('./types.js').PhaseConfig[] }[]}
+ *   `number` is where the template first appears, which older settings were keyed by
+ */
+export function getProviderSlots() {
+  const slots = new Map();
+  Object.values(WORKFLOWS).forEach(workflow => workflow.phases.forEach(phase => {
+    if (!slots.has(phase.template)) {
+      slots.set(phase.template, { template: phase.template, number: phase.number, phases: [] });
+    }
+    slots.get(phase.template).phases.push(phase);
+  }));
+  return [...slots.values()];
+}
+
+/**
+ * Get provider configs for all phase templates
+ * @returns {Promise<Object.<string, ProviderConfig>>}
+ */
+export async function getProviderConfigs() {
+  const saved = (await storage.getSetting(SETTINGS_KEY)) || {};
+  const configs = {};
+  for (const { template, number } of getProviderSlots()) {
+    // Settings saved before they were kept per template are keyed by phase number
+    configs[template] = { ...DEFAULT_PROVIDER_CONFIG, ...(saved[template] || saved[number] || {}) };
+  }
+  return configs;
+}
+
+/**
+ * Get the provider config for one phase template
+ * @param {string} template - Prompt template id, e.g. 'phase3'
+ * @returns {Promise<ProviderConfig>}
+ */
+export async function getProviderConfig(template) {
+  return (await getProviderConfigs())[template] || { ...DEFAULT_PROVIDER_CONFIG };
+}
+
+/**
+ * Get the provider config for a phase of a project's workflow
+ * @param {import('./types.js').Project} project
+ * @param {number} phase
+ * @returns {Promise<ProviderConfig>}
+ */
+export async function getPhaseProviderConfig(project, phase) {
+  const phaseConfig = getProjectWorkflow(project).phases[phase - 1];
+  return phaseConfig ? getProviderConfig(phaseConfig.template) : { ...DEFAULT_PROVIDER_CONFIG };
+}
+
+/**
+ * Save provider configs for all phase templates
+ * @param {Object.<string, ProviderConfig>} configs - Keyed by prompt template id
+ * @returns {Promise<void>}
+ */
+export async function saveProviderConfigs(configs) {
+  const cleaned = {};
+  for (const [template, config] of Object.entries(configs)) {
+    cleaned[template] = {
+      enabled: !!config.enabled,
+      baseUrl: (config.baseUrl || '').trim(),
+      model: (config.model || '').trim(),
+      apiKey: (config.apiKey || '').trim()
+    };
+  }
+  await storage.saveSetting(SETTINGS_KEY, cleaned);
+}
+
+/**
+ * Whether a config is enabled and complete enough to send a request
+ * @param {ProviderConfig} config
+ * @returns {boolean}
+ */
+export function isProviderReady(config) {
+  return !!(config?.enabled && config.baseUrl && config.model);
+}
+
+/**
+ * Resolve the chat completions URL from a base URL
+ * @param {string} baseUrl
+ * @returns {string}
+ */
+export function getChatCompletionsUrl(baseUrl) {
+  const trimmed = baseUrl.trim().replace(/\/+$/, '');
+  return /\/chat\/completions$/.test(trimmed) ? trimmed : `${trimmed}/chat/completions`;
+}
+
+/**
+ * Extract content deltas from a chunk of server-sent events
+ * @param {string} buffer - Unprocessed SSE text
+ * @returns {{ tokens: string[], rest: string, done: boolean }}
+ */
+export function parseSseBuffer(buffer) {
+  const lines = buffer.split('\n');
+  const rest = lines.pop();
+  const tokens = [];
+  let done = false;
+
+  for (const rawLine of lines) {
+    const line = rawLine.trim();
+    if (!line.startsWith('data:')) continue;
+
+    const data = line.slice(5).trim();
+    if (data === '[DONE]') {
+      done = true;
+      break;
+    }
+
+    try {
+      const content = JSON.parse(data).choices?.[0]?.delta?.content;
+      if (content) tokens.push(content);
+    } catch {
+      // Ignore keep-alive or malformed lines
+    }
+  }
+
+  return { tokens, rest, done };
+}
+
+/**
+ * Send a prompt to an OpenAI-compatible chat endpoint and stream the reply
+ * @param {ProviderConfig} config
+ * @param {string} prompt
+ * @param {Object} [options]
+ * @param {(token: string, text: string) => void} [options.onToken] - Called per streamed token with the text so far
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<string>} Full response text
+ */
+export async function streamChatCompletion(config, prompt, { onToken, signal } = {}) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (config.apiKey) {
+    headers.Authorization = `Bearer ${config.apiKey}`;
+  }
+
+  const response = await fetch(getChatCompletionsUrl(config.baseUrl), {
+    method: 'POST',
+    headers,
+    signal,
+    body: JSON.stringify({
+      model: config.model,
+      stream: true,
+      messages: [{ role: 'user', content: prompt }]
+    })
+  });
+
+  if (!response.ok) {
+    const detail = await response.text().catch(() => '');
+    throw new Error(`Provider returned ${response.status}${detail ? `: ${detail.slice(0, 200)}` : ''}`);
+  }
+
+  // Servers that ignore stream: true reply with a single JSON body
+  if (!response.body || !(response.headers.get('content-type') || '').includes('text/event-stream')) {
+    const json = await response.json();
+    const text = json.choices?.[0]?.message?.content || '';
+    onToken?.(text, text);
+    return text;
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let text = '';
+
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+    const parsed = parseSseBuffer(buffer);
+    buffer = parsed.rest;
+    for (const token of parsed.tokens) {
+      text += token;
+      onToken?.(token, text);
+    }
+    if (parsed.done) {
+      await reader.cancel();
+      break;
+    }
+  }
+
+  return text;
+}
+
+/**
+ * Run a phase in-app: generate its prompt, stream the provider's reply and
+ * save both via updatePhase
+ * @param {import('./types.js').Project} project
+ * @param {number} phase
+ * @param {Object} [options] - Passed to streamChatCompletion (onToken, signal)
+ * @param {boolean} [options.skipAutoAdvance] - Passed to updatePhase
+ * @returns {Promise<{ prompt: string, response: string, project: import('./types.js').Project }>}
+ */
+export async function runPhaseWithProvider(project, phase, options = {}) {
+  const config = await getPhaseProviderConfig(project, phase);
+  if (!isProviderReady(config)) {
+    throw new Error(`No AI provider configured for Phase ${phase}`);
+  }
+
+  const prompt = await generatePromptForPhase(project, phase);
+  const response = (await streamChatCompletion(config, prompt, options)).trim();
+  if (!response) {
+    throw new Error('Provider returned an empty response');
+  }
+
+  const updated = await updatePhase(project.id, phase, prompt, response, { skipAutoAdvance: options.skipAutoAdvance });
+  return { prompt, response, project: updated };
+}
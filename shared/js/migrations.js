@@ -0,0 +1,292 @@
+/**
+ * IndexedDB Migrations Module
+ * Ordered schema migrations for the Acceptance Criteria Assistant database
+ * @module migrations
+ *
+ * Each step upgrades the database from `version - 1` to `version` inside the
+ * single versionchange transaction IndexedDB gives us. If any step fails the
+ * transaction is aborted, IndexedDB rolls every step back, and the database
+ * is reopened at its previous version so existing projects stay readable.
+ */
+
+import { DEFAULT_OUTPUT_STYLE, getWorkflow } from './prompts.js';
+
+/**
+ * @typedef {Object} MigrationContext
+ * @property {IDBDatabase} db - Database being upgraded
+ * @property {IDBTransaction} tx - The versionchange transaction
+ * @property {(error: Error) => void} fail - Abort the upgrade from an async callback
+ */
+
+/**
+ * @typedef {Object} Migration
+ * @property {number} version - Schema version this step upgrades to
+ * @property {string} description - What the step changes
+ * @property {(context: MigrationContext) => void} up - Apply the step's schema changes
+ * @property {(project: Object) => Object} [upgradeProject] - Rewrite one stored
+ *   project; a fixed transform that must not change once released
+ */
+
+/**
+ * Bring a stored project up to the current shape
+ * Fills nested `phases` and flat `phaseN_output` from each other (older
+ * builds stored one or the other, sometimes `phases` as an array) and
+ * backfills fields added since the first release. Applied when projects are
+ * read and imported; migrations use their own fixed transforms below so an
+ * upgrade step does the same thing whatever later releases add here.
+ * @param {Object} project - Project as stored by any earlier release
+ * @returns {import('./types.js').Project}
+ */
+export function normalizeProject(project) {
+  const legacyPhases = Array.isArray(project.phases)
+    ? Object.fromEntries(project.phases.map((phase, i) => [i + 1, phase]))
+    : (project.phases || {});
+
+  const workflow = getWorkflow(project.workflowId);
+  const phaseNumbers = new Set(workflow.phases.map(p => p.number));
+  Object.keys(legacyPhases).forEach(key => phaseNumbers.add(Number(key)));
+  Object.keys(project).forEach(key => {
+    const match = key.match(/^phase(\d+)_output$/);
+    if (match) phaseNumbers.add(Number(match[1]));
+  });
+
+  const now = new Date().toISOString();
+  const normalized = {
+    ...project,
+    title: project.title || project.issueTitle || 'New Issue',
+    issueTitle: project.issueTitle || '',
+    whatNeedsToBeDone: project.whatNeedsToBeDone || '',
+    relatedContext: project.relatedContext || '',
+    outputStyle: project.outputStyle || DEFAULT_OUTPUT_STYLE,
+    workflowId: workflow.id,
+    linearIdentifier: project.linearIdentifier || '',
+    linearProject: project.linearProject || '',
+    labels: Array.isArray(project.labels) ? project.labels.filter(l => typeof l === 'string' && l.trim()) : [],
+    customFields: project.customFields && typeof project.customFields === 'object' ? project.customFields : {},
+    phase: Number(project.phase) || 1,
+    createdAt: project.createdAt || project.updatedAt || now,
+    updatedAt: project.updatedAt || project.createdAt || now,
+    phases: {}
+  };
+
+  [...phaseNumbers].filter(n => n > 0).sort((a, b) => a - b).forEach(n => {
+    const nested = legacyPhases[n] || {};
+    const response = nested.response || project[`phase${n}_output`] || '';
+    normalized.phases[n] = { ...nested, prompt: nested.prompt || '', response, completed: !!response };
+    normalized[`phase${n}_output`] = response;
+  });
+
+  return /** @type {import('./types.js').Project} */ (normalized);
+}
+
+/**
+ * Project shape written by the v3 migration (frozen - do not extend)
+ * @param {Object} project - Project as stored by releases before v3
+ * @returns {Object}
+ */
+function upgradeProjectToV3(project) {
+  const legacyPhases = Array.isArray(project.phases)
+    ? Object.fromEntries(project.phases.map((phase, i) => [i + 1, phase]))
+    : (project.phases || {});
+
+  const phaseNumbers = new Set([1, 2, 3]);
+  Object.keys(legacyPhases).forEach(key => phaseNumbers.add(Number(key)));
+  Object.keys(project).forEach(key => {
+    const match = key.match(/^phase(\d+)_output$/);
+    if (match) phaseNumbers.add(Number(match[1]));
+  });
+
+  const now = new Date().toISOString();
+  const upgraded = {
+    ...project,
+    title: project.title || project.issueTitle || 'New Issue',
+    issueTitle: project.issueTitle || '',
+    whatNeedsToBeDone: project.whatNeedsToBeDone || '',
+    relatedContext: project.relatedContext || '',
+    outputStyle: project.outputStyle || 'linear',
+    linearIdentifier: project.linearIdentifier || '',
+    phase: Number(project.phase) || 1,
+    createdAt: project.createdAt || project.updatedAt || now,
+    updatedAt: project.updatedAt || project.createdAt || now,
+    phases: {}
+  };
+
+  [...phaseNumbers].filter(n => n > 0).sort((a, b) => a - b).forEach(n => {
+    const nested = legacyPhases[n] || {};
+    const response = nested.response || project[`phase${n}_output`] || '';
+    upgraded.phases[n] = { ...nested, prompt: nested.prompt || '', response, completed: !!response };
+    upgraded[`phase${n}_output`] = response;
+  });
+
+  return upgraded;
+}
+
+/** @type {Migration[]} */
+export const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Create criteria, prompts, settings and attachments stores',
+    up({ db }) {
+      const store = db.createObjectStore('criteria', { keyPath: 'id' });
+      store.createIndex('updatedAt', 'updatedAt', { unique: false });
+      store.createIndex('title', 'title', { unique: false });
+      store.createIndex('phase', 'phase', { unique: false });
+      store.createIndex('dealershipName', 'dealershipName', { unique: false });
+
+      db.createObjectStore('prompts', { keyPath: 'phase' });
+      db.createObjectStore('settings', { keyPath: 'key' });
+
+      const attachStore = db.createObjectStore('attachments', { keyPath: 'id' });
+      attachStore.createIndex('proposalId', 'proposalId', { unique: false });
+    }
+  },
+  {
+    version: 2,
+    description: 'Add revisions store for phase version history',
+    up({ db }) {
+      const revisionStore = db.createObjectStore('revisions', { keyPath: 'id' });
+      revisionStore.createIndex('projectId', 'projectId', { unique: false });
+      revisionStore.createIndex('projectPhase', ['projectId', 'phase'], { unique: false });
+    }
+  },
+  {
+    version: 3,
+    description: 'Drop leftover dealershipName index and normalise legacy project shapes',
+    up({ tx }) {
+      const store = tx.objectStore('criteria');
+      if (store.indexNames.contains('dealershipName')) {
+        store.deleteIndex('dealershipName');
+      }
+    },
+    upgradeProject: upgradeProjectToV3
+  },
+  {
+    version: 4,
+    description: 'Index project labels',
+    up({ tx }) {
+      tx.objectStore('criteria').createIndex('labels', 'labels', { unique: false, multiEntry: true });
+    },
+    upgradeProject: project => (Array.isArray(project.labels) ? project : { ...project, labels: [] })
+  },
+  {
+    version: 5,
+    description: 'Index the Linear project each issue belongs to',
+    up({ tx }) {
+      tx.objectStore('criteria').createIndex('linearProject', 'linearProject', { unique: false });
+    },
+    upgradeProject: project => (typeof project.linearProject === 'string' ? project : { ...project, linearProject: '' })
+  }
+];
+
+/**
+ * Latest schema version described by a migration list
+ * @param {Migration[]} [migrations]
+ * @returns {number}
+ */
+export function getSchemaVersion(migrations = MIGRATIONS) {
+  return migrations[migrations.length - 1].version;
+}
+
+/**
+ * Rewrite every stored project with the pending steps' upgradeProject, in order
+ * One cursor pass for all steps: separate passes in the same transaction
+ * would read records before the earlier pass has written them.
+ * @param {MigrationContext} context
+ * @param {Migration[]} steps - Pending steps that rewrite projects
+ */
+function upgradeProjects({ tx, fail }, steps) {
+  const request = tx.objectStore('criteria').openCursor();
+  request.onsuccess = () => {
+    const cursor = request.result;
+    if (!cursor) return;
+    let project = cursor.value;
+    for (const step of steps) {
+      try {
+        project = step.upgradeProject(project);
+      } catch (error) {
+        fail(new Error(`Could not migrate project ${cursor.key} to v${step.version}: ${error.message}`, { cause: error }));
+        return;
+      }
+    }
+    if (project !== cursor.value) cursor.update(project);
+    cursor.continue();
+  };
+}
+
+/**
+ * Run every migration newer than oldVersion, in order
+ * Schema changes run first, then stored projects are rewritten.
+ * @param {MigrationContext} context
+ * @param {number} oldVersion - Version the database is upgrading from
+ * @param {Migration[]} [migrations]
+ * @returns {number[]} Versions that were applied
+ */
+export function runMigrations(context, oldVersion, migrations = MIGRATIONS) {
+  const pending = migrations
+    .filter(m => m.version > oldVersion)
+    .sort((a, b) => a.version - b.version);
+
+  pending.forEach(migration => {
+    try {
+      migration.up(context);
+    } catch (error) {
+      throw new Error(`Migration to v${migration.version} failed: ${error.message}`, { cause: error });
+    }
+  });
+
+  const rewrites = pending.filter(m => m.upgradeProject);
+  if (rewrites.length > 0) upgradeProjects(context, rewrites);
+
+  return pending.map(m => m.version);
+}
+
+/**
+ * Open a database, migrating it to the latest schema version
+ * If the upgrade fails, the database is reopened at its previous version
+ * and the failure is returned as `migrationError` instead of being thrown.
+ * @param {string} name - Database name
+ * @param {Migration[]} [migrations]
+ * @returns {Promise<{ db: IDBDatabase, migrationError: Error | null }>}
+ */
+export function openDatabase(name, migrations = MIGRATIONS) {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(name, getSchemaVersion(migrations));
+    let fromVersion = 0;
+    /** @type {Error | null} */
+    let failure = null;
+
+    request.onupgradeneeded = (event) => {
+      fromVersion = event.oldVersion;
+      const tx = /** @type {IDBTransaction} */ (request.transaction);
+      const fail = (error) => {
+        if (failure) return;
+        failure = error;
+        tx.abort();
+      };
+
+      try {
+        runMigrations({ db: request.result, tx, fail }, event.oldVersion, migrations);
+      } catch (error) {
+        fail(error);
+      }
+    };
+
+    request.onsuccess = () => resolve({ db: request.result, migrationError: null });
+
+    request.onerror = (event) => {
+      event.preventDefault();
+      const error = failure || request.error || new Error('Failed to open database');
+      if (fromVersion === 0) {
+        // Brand-new database: there is no earlier version to fall back to
+        reject(error);
+        return;
+      }
+
+      // The aborted upgrade rolled back, so the old version is untouched
+      console.error(`Database upgrade from v${fromVersion} failed:`, error);
+      const fallback = indexedDB.open(name, fromVersion);
+      fallback.onsuccess = () => resolve({ db: fallback.result, migrationError: error });
+      fallback.onerror = () => reject(error);
+    };
+  });
+}
@@ -0,0 +1,121 @@
+/**
+ * Pipeline Modal Module
+ * Progress UI for running all phases in-app
+ * @module pipeline-modal
+ */
+
+import { PhasePipeline } from './pipeline.js';
+import { escapeHtml, showToast } from './ui.js';
+
+const STATE_BADGES = {
+  pending: { label: 'Waiting', classes: 'bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-300' },
+  running: { label: 'Running…', classes: 'bg-blue-100 dark:bg-blue-900/30 text-blue-700 dark:text-blue-300' },
+  done: { label: 'Done', classes: 'bg-green-100 dark:bg-green-900/30 text-green-700 dark:text-green-300' },
+  failed: { label: 'Failed', classes: 'bg-red-100 dark:bg-red-900/30 text-red-700 dark:text-red-300' },
+  stopped: { label: 'Stopped', classes: 'bg-yellow-100 dark:bg-yellow-900/30 text-yellow-700 dark:text-yellow-300' }
+};
+
+/**
+ * Render one phase progress row
+ * @param {import('./types.js').PhaseConfig} phase
+ * @param {import('./pipeline.js').PhaseRunStatus} status
+ * @param {boolean} busy - Whether the pipeline is running
+ * @returns {string} HTML string
+ */
+function renderPhaseRow(phase, status, busy) {
+  const badge = STATE_BADGES[status.state];
+  const canRetry = !busy && (status.state === 'failed' || status.state === 'stopped');
+
+  return `
+            <li class="p-3 border border-gray-200 dark:border-gray-700 rounded-lg">
+                <div class="flex items-center justify-between gap-3">
+                    <span class="font-medium text-gray-900 dark:text-white">${phase.icon} Phase ${phase.number}: ${escapeHtml(phase.name)}</span>
+                    <span class="flex items-center gap-2">
+                        ${status.score !== null ? `<span class="text-xs text-gray-500 dark:text-gray-400">Score ${status.score}</span>` : ''}
+                        <span class="px-2 py-0.5 text-xs font-medium rounded-full ${badge.classes}">${badge.label}</span>
+                        ${canRetry ? `<button type="button" class="pipeline-retry px-2 py-0.5 text-xs bg-blue-600 text-white rounded hover:bg-blue-700" data-phase="${phase.number}">↻ Retry</button>` : ''}
+                    </span>
+                </div>
+                ${status.error ? `<p class="mt-1 text-xs text-red-600 dark:text-red-400">${escapeHtml(status.error)}</p>` : ''}
+            </li>
+  `;
+}
+
+/**
+ * Show the run-all-phases modal and start the pipeline
+ * @param {import('./types.js').Project} project
+ * @param {Function} onClose - Called when the modal closes (re-render the project)
+ */
+export function showPipelineModal(project, onClose) {
+  const modal = document.createElement('div');
+  modal.className = 'fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50';
+  modal.innerHTML = `
+        <div class="bg-white dark:bg-gray-800 rounded-lg p-6 max-w-3xl w-full mx-4 max-h-[90vh] flex flex-col">
+            <div class="flex justify-between items-center mb-4">
+                <h3 class="text-lg font-semibold text-gray-900 dark:text-white">Run All Phases</h3>
+            </div>
+            <ul id="pipeline-phases" class="space-y-2 mb-4"></ul>
+            <pre id="pipeline-output" class="overflow-y-auto flex-1 min-h-[8rem] bg-gray-50 dark:bg-gray-900 rounded-lg p-4 border border-gray-200 dark:border-gray-700 whitespace-pre-wrap text-xs text-gray-800 dark:text-gray-200 font-mono"></pre>
+            <div class="mt-4 flex justify-end gap-2">
+                <button id="pipeline-cancel-btn" class="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 transition-colors">
+                    Cancel
+                </button>
+                <button id="pipeline-close-btn" class="hidden px-4 py-2 bg-gray-200 dark:bg-gray-700 text-gray-800 dark:text-gray-200 rounded-lg hover:bg-gray-300 dark:hover:bg-gray-600 transition-colors">
+                    Close
+                </button>
+            </div>
+        </div>
+    `;
+  document.body.appendChild(modal);
+
+  const list = modal.querySelector('#pipeline-phases');
+  const output = modal.querySelector('#pipeline-output');
+  const cancelBtn = modal.querySelector('#pipeline-cancel-btn');
+  const closeBtn = modal.querySelector('#pipeline-close-btn');
+  let busy = false;
+
+  const pipeline = new PhasePipeline(project, {
+    onProgress: () => render(),
+    onToken: (_phase, text) => {
+      output.textContent = text;
+      output.scrollTop = output.scrollHeight;
+    }
+  });
+
+  function render() {
+    list.innerHTML = pipeline.workflow.definition.phases.map(phase => renderPhaseRow(phase, pipeline.status[phase.number], busy)).join('');
+    list.querySelectorAll('.pipeline-retry').forEach(btn => {
+      btn.addEventListener('click', () => start(parseInt(btn.dataset.phase)));
+    });
+    cancelBtn.classList.toggle('hidden', !busy);
+    closeBtn.classList.toggle('hidden', busy);
+  }
+
+  async function start(fromPhase) {
+    busy = true;
+    render();
+    const result = await pipeline.run(fromPhase);
+    busy = false;
+    render();
+
+    if (result.completed) {
+      showToast('All phases complete!', 'success');
+    } else {
+      const status = pipeline.status[result.stoppedAt];
+      if (status.response) {
+        output.textContent = status.response;
+      }
+      showToast(`Phase ${result.stoppedAt} ${status.state}: ${status.error}`, 'warning');
+    }
+  }
+
+  cancelBtn.addEventListener('click', () => pipeline.cancel());
+  closeBtn.addEventListener('click', () => {
+    modal.remove();
+    onClose();
+  });
+
+  // Resume from the first phase that is not done yet
+  const firstPending = pipeline.workflow.definition.phases.find(p => pipeline.status[p.number].state !== 'done');
+  start(firstPending ? firstPending.number : 1);
+}
@@ -0,0 +1,190 @@
+/**
+ * Phase Pipeline Module
+ * Runs the phases of a project's workflow (Draft → Adversarial Review → Final
+ * by default) in sequence against the configured in-app providers
+ * @module pipeline
+ *
+ * Built on the Workflow class: each phase's output is saved with
+ * savePhaseOutput() so the next prompt picks it up, then advancePhase()
+ * moves on. A failed phase can be retried without re-running earlier ones.
+ */
+
+import { Workflow, detectPromptPaste } from './workflow.js';
+import { getFinalPhase } from './prompts.js';
+import { getPhaseProviderConfig, isProviderReady, streamChatCompletion } from './llm-provider.js';
+import { updatePhase } from './projects.js';
+import { validateDocument } from '../../validator/js/validator.js';
+import { getProfileForOutputStyle } from '../../validator/js/rubric-profiles.js';
+
+/**
+ * Default minimum validator score before the pipeline stops
+ */
+export const PIPELINE_MIN_SCORE = 30;
+
+/**
+ * Whether a phase's output is a full acceptance criteria document and can be
+ * scored: the draft and the final phase. Review phases in between are only
+ * checked for prompt echoes.
+ * @param {number} phase
+ * @param {import('./types.js').Project} project
+ * @returns {boolean}
+ */
+export function isScoredPhase(phase, project) {
+  return phase === 1 || phase === getFinalPhase(project);
+}
+
+/**
+ * @typedef {'pending'|'running'|'done'|'failed'|'stopped'} PhaseRunState
+ */
+
+/**
+ * @typedef {Object} PhaseRunStatus
+ * @property {PhaseRunState} state
+ * @property {number|null} score - Validator score (scored phases only)
+ * @property {string} error - Failure or stop reason
+ * @property {string} response - Last response received (kept for inspection when stopped)
+ */
+
+/**
+ * Check a phase response for garbage output
+ * @param {string} response
+ * @param {number} phase
+ * @param {import('./types.js').Project} project
+ * @param {number} minScore
+ * @returns {{ ok: boolean, reason: string, score: number|null }}
+ */
+export function checkPhaseOutput(response, phase, project, minScore = PIPELINE_MIN_SCORE) {
+  if (!response || !response.trim()) {
+    return { ok: false, reason: 'The provider returned an empty response', score: null };
+  }
+
+  const promptCheck = detectPromptPaste(response);
+  if (promptCheck.isPrompt) {
+    return { ok: false, reason: 'The provider echoed the prompt instead of answering it', score: null };
+  }
+
+  if (!isScoredPhase(phase, project)) {
+    return { ok: true, reason: '', score: null };
+  }
+
+  const score = validateDocument(response, getProfileForOutputStyle(project.outputStyle)).totalScore;
+  if (score < minScore) {
+    return { ok: false, reason: `Quality score ${score} is below the minimum of ${minScore}`, score };
+  }
+  return { ok: true, reason: '', score };
+}
+
+/**
+ * Sequential runner for all workflow phases
+ */
+export class PhasePipeline {
+  /**
+     * @param {import('./types.js').Project} project
+     * @param {Object} [options]
+     * @param {number} [options.minScore] - Stop when a scored phase falls below this
+     * @param {(phase: number, status: PhaseRunStatus) => void} [options.onProgress]
+     * @param {(phase: number, text: string) => void} [options.onToken]
+     */
+  constructor(project, options = {}) {
+    this.workflow = new Workflow(project);
+    this.minScore = options.minScore ?? PIPELINE_MIN_SCORE;
+    this.onProgress = options.onProgress || (() => {});
+    this.onToken = options.onToken || (() => {});
+    this.controller = null;
+
+    /** @type {Object.<number, PhaseRunStatus>} */
+    this.status = {};
+    for (const phase of this.workflow.definition.phases) {
+      const completed = !!project.phases?.[phase.number]?.completed;
+      this.status[phase.number] = { state: completed ? 'done' : 'pending', score: null, error: '', response: '' };
+    }
+  }
+
+  /**
+     * @returns {import('./types.js').Project}
+     */
+  get project() {
+    return this.workflow.project;
+  }
+
+  setStatus(phase, updates) {
+    this.status[phase] = { ...this.status[phase], ...updates };
+    this.onProgress(phase, this.status[phase]);
+  }
+
+  /**
+     * Abort the phase that is currently streaming
+     */
+  cancel() {
+    this.controller?.abort();
+  }
+
+  /**
+     * Run one phase and save its output
+     * @param {number} phase
+     * @returns {Promise<boolean>} True if the phase completed
+     */
+  async runPhase(phase) {
+    this.setStatus(phase, { state: 'running', score: null, error: '', response: '' });
+
+    try {
+      const config = await getPhaseProviderConfig(this.project, phase);
+      if (!isProviderReady(config)) {
+        throw new Error(`No AI provider configured for Phase ${phase}`);
+      }
+
+      this.workflow.currentPhase = phase;
+      const prompt = await this.workflow.generatePrompt();
+
+      this.controller = new AbortController();
+      const response = (await streamChatCompletion(config, prompt, {
+        signal: this.controller.signal,
+        onToken: (_token, text) => this.onToken(phase, text)
+      })).trim();
+
+      const check = checkPhaseOutput(response, phase, this.project, this.minScore);
+      if (!check.ok) {
+        this.setStatus(phase, { state: 'stopped', score: check.score, error: check.reason, response });
+        return false;
+      }
+
+      // Feed the output into the next phase's prompt, then persist
+      this.workflow.savePhaseOutput(response);
+      this.project.phases = { ...this.project.phases, [phase]: { prompt, response, completed: true } };
+      await updatePhase(this.project.id, phase, prompt, response);
+      this.workflow.advancePhase();
+
+      this.setStatus(phase, { state: 'done', score: check.score, response });
+      return true;
+    } catch (error) {
+      const message = error.name === 'AbortError' ? 'Cancelled' : error.message;
+      this.setStatus(phase, { state: 'failed', error: message });
+      return false;
+    } finally {
+      this.controller = null;
+    }
+  }
+
+  /**
+     * Run phases in order from the given phase, stopping at the first failure
+     * @param {number} [fromPhase=1]
+     * @returns {Promise<{ completed: boolean, stoppedAt: number|null }>}
+     */
+  async run(fromPhase = 1) {
+    for (let phase = fromPhase; phase <= this.workflow.definition.phaseCount; phase++) {
+      if (!(await this.runPhase(phase))) {
+        return { completed: false, stoppedAt: phase };
+      }
+    }
+    return { completed: true, stoppedAt: null };
+  }
+
+  /**
+     * Retry a failed or stopped phase, then continue with the rest
+     * @param {number} phase
+     * @returns {Promise<{ completed: boolean, stoppedAt: number|null }>}
+     */
+  async retry(phase) {
+    return this.run(phase);
+  }
+}
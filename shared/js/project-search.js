@@ -0,0 +1,258 @@
+/**
+ * Project Search Module
+ * Full-text search index, filters and sorting for the projects list
+ * @module project-search
+ *
+ * The index maps each word in a project's searchable text to the projects
+ * that contain it. It is kept across renders and only re-indexes projects
+ * whose updatedAt changed, so typing in the search box never rescans text.
+ */
+
+import { scoreFinalOutput } from './quality-gate.js';
+import { MAX_PHASE_COUNT, getProjectWorkflow, getFinalResponse } from './prompts.js';
+
+/**
+ * @typedef {Object} ListQuery
+ * @property {string} q - Search text
+ * @property {string} status - 'all', a phase number ('1' up to the longest workflow) or 'complete'
+ * @property {string} score - 'all' or a SCORE_BANDS key
+ * @property {string} label - Label name to filter by, '' for any
+ * @property {string} group - A GROUP_OPTIONS key
+ * @property {string} sort - A SORT_OPTIONS key
+ */
+
+/** @type {ListQuery} */
+export const DEFAULT_LIST_QUERY = {
+  q: '',
+  status: 'all',
+  score: 'all',
+  label: '',
+  group: '',
+  sort: 'updated'
+};
+
+export const STATUS_FILTERS = {
+  all: 'All statuses',
+  ...Object.fromEntries(Array.from({ length: MAX_PHASE_COUNT }, (_, i) => [i + 1, `In Phase ${i + 1}`])),
+  complete: 'Complete'
+};
+
+export const SCORE_BANDS = {
+  all: { label: 'Any score' },
+  high: { label: 'Score 70+', min: 70, max: 100 },
+  medium: { label: 'Score 40-69', min: 40, max: 69 },
+  low: { label: 'Score below 40', min: 0, max: 39 },
+  unscored: { label: 'Not scored yet' }
+};
+
+export const SORT_OPTIONS = {
+  updated: 'Recently updated',
+  created: 'Recently created',
+  title: 'Title (A-Z)',
+  score: 'Highest score'
+};
+
+export const GROUP_OPTIONS = {
+  '': 'No grouping',
+  label: 'Group by label'
+};
+
+/** Project fields covered by search */
+const SEARCH_FIELDS = ['title', 'issueTitle', 'whatNeedsToBeDone', 'relatedContext', 'linearIdentifier', 'linearProject'];
+
+/**
+ * Split text into lowercase search terms
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function tokenize(text) {
+  return (text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+/**
+ * Whether every phase of a project's workflow is complete
+ * @param {import('./types.js').Project} project
+ * @returns {boolean}
+ */
+export function isProjectComplete(project) {
+  return !!(project.phases && getProjectWorkflow(project).phases.every(({ number }) => project.phases[number]?.completed));
+}
+
+/**
+ * Read list state from the URL hash query string
+ * Unknown or invalid values fall back to the defaults.
+ * @param {string} [queryString] - e.g. 'q=login&sort=title'
+ * @returns {ListQuery}
+ */
+export function parseListQuery(queryString) {
+  const params = new URLSearchParams(queryString || '');
+  const pick = (key, allowed) => {
+    const value = params.get(key);
+    return value !== null && value in allowed ? value : DEFAULT_LIST_QUERY[key];
+  };
+
+  return {
+    q: params.get('q') || '',
+    status: pick('status', STATUS_FILTERS),
+    score: pick('score', SCORE_BANDS),
+    label: params.get('label') || '',
+    group: pick('group', GROUP_OPTIONS),
+    sort: pick('sort', SORT_OPTIONS)
+  };
+}
+
+/**
+ * Write list state as a query string, leaving out defaults
+ * @param {ListQuery} query
+ * @returns {string}
+ */
+export function serializeListQuery(query) {
+  const params = new URLSearchParams();
+  Object.keys(DEFAULT_LIST_QUERY).forEach(key => {
+    const value = (query[key] || '').trim();
+    if (value && value !== DEFAULT_LIST_QUERY[key]) {
+      params.set(key, value);
+    }
+  });
+  return params.toString();
+}
+
+/**
+ * Inverted index over project text with cached validator scores
+ */
+export class ProjectSearchIndex {
+  constructor() {
+    /** @type {Map<string, Set<string>>} term -> project ids */
+    this.terms = new Map();
+    /** @type {Map<string, { updatedAt: string, terms: Set<string>, score: number | null }>} */
+    this.entries = new Map();
+  }
+
+  /**
+   * Add or refresh one project
+   * @param {import('./types.js').Project} project
+   */
+  add(project) {
+    this.remove(project.id);
+
+    const phaseText = Object.values(project.phases || {}).map(phase => phase?.response || '');
+    const text = [...SEARCH_FIELDS.map(field => project[field] || ''), ...(project.labels || []), ...phaseText].join('\n');
+    const terms = new Set(tokenize(text));
+    terms.forEach(term => {
+      if (!this.terms.has(term)) this.terms.set(term, new Set());
+      this.terms.get(term).add(project.id);
+    });
+
+    const score = isProjectComplete(project) && getFinalResponse(project)
+      ? scoreFinalOutput(project).totalScore
+      : null;
+    this.entries.set(project.id, { updatedAt: project.updatedAt, terms, score });
+  }
+
+  /**
+   * Drop a project from the index
+   * @param {string} id
+   */
+  remove(id) {
+    const entry = this.entries.get(id);
+    if (!entry) return;
+    entry.terms.forEach(term => {
+      const ids = this.terms.get(term);
+      ids.delete(id);
+      if (ids.size === 0) this.terms.delete(term);
+    });
+    this.entries.delete(id);
+  }
+
+  /**
+   * Bring the index in line with the current projects, re-indexing only
+   * projects that are new or changed
+   * @param {import('./types.js').Project[]} projects
+   */
+  sync(projects) {
+    const ids = new Set(projects.map(p => p.id));
+    [...this.entries.keys()].filter(id => !ids.has(id)).forEach(id => this.remove(id));
+    projects.forEach(project => {
+      if (this.entries.get(project.id)?.updatedAt !== project.updatedAt) {
+        this.add(project);
+      }
+    });
+  }
+
+  /**
+   * Find projects matching every word of the query (words match by prefix)
+   * @param {string} query
+   * @returns {Set<string> | null} Matching ids, or null for an empty query
+   */
+  search(query) {
+    const words = tokenize(query);
+    if (words.length === 0) return null;
+
+    let matches = null;
+    for (const word of words) {
+      const wordMatches = new Set();
+      this.terms.forEach((ids, term) => {
+        if (term.startsWith(word)) ids.forEach(id => wordMatches.add(id));
+      });
+      matches = matches ? new Set([...matches].filter(id => wordMatches.has(id))) : wordMatches;
+      if (matches.size === 0) break;
+    }
+    return matches;
+  }
+
+  /**
+   * Cached validator score of a completed project
+   * @param {string} id
+   * @returns {number | null}
+   */
+  getScore(id) {
+    return this.entries.get(id)?.score ?? null;
+  }
+}
+
+/** Shared index for the projects list, kept between renders */
+export const projectSearchIndex = new ProjectSearchIndex();
+
+/**
+ * Whether a score falls in a band
+ * @param {number | null} score
+ * @param {string} band - SCORE_BANDS key
+ * @returns {boolean}
+ */
+function inScoreBand(score, band) {
+  if (band === 'all') return true;
+  if (band === 'unscored') return score === null;
+  return score !== null && score >= SCORE_BANDS[band].min && score <= SCORE_BANDS[band].max;
+}
+
+/**
+ * Apply search, filters and sort to a project list
+ * @param {import('./types.js').Project[]} projects
+ * @param {ListQuery} query
+ * @param {ProjectSearchIndex} [index] - Defaults to the shared list index
+ * @returns {import('./types.js').Project[]}
+ */
+export function filterProjects(projects, query, index = projectSearchIndex) {
+  index.sync(projects);
+  const matches = index.search(query.q);
+
+  const filtered = projects.filter(project => {
+    if (matches && !matches.has(project.id)) return false;
+    if (query.label && !(project.labels || []).some(l => l.toLowerCase() === query.label.toLowerCase())) return false;
+
+    const complete = isProjectComplete(project);
+    if (query.status === 'complete' && !complete) return false;
+    if (/^\d+$/.test(query.status) && (complete || String(project.phase || 1) !== query.status)) return false;
+
+    return inScoreBand(index.getScore(project.id), query.score);
+  });
+
+  const byTitle = (p) => (p.issueTitle || p.title || '').toLowerCase();
+  const comparators = {
+    updated: (a, b) => (b.updatedAt || '').localeCompare(a.updatedAt || ''),
+    created: (a, b) => (b.createdAt || '').localeCompare(a.createdAt || ''),
+    title: (a, b) => byTitle(a).localeCompare(byTitle(b)),
+    score: (a, b) => (index.getScore(b.id) ?? -1) - (index.getScore(a.id) ?? -1)
+  };
+  return filtered.sort(comparators[query.sort] || comparators.updated);
+}
@@ -1,41 +1,75 @@
 /**
  * Project View Diff Modal Module
- * Handles the phase comparison diff modal
+ * Handles the phase and reviewer comparison diff modals
  * @module project-view-diff
  */
 
 import { getPhaseMetadata } from './workflow.js';
 import { computeWordDiff, renderDiffHtml, getDiffStats } from './diff-view.js';
+import { escapeHtml } from './ui.js';
+
+/**
+ * @typedef {Object} DiffOption
+ * @property {string} value - Select value
+ * @property {string} label - Select label
+ * @property {string} text - Text compared when the option is selected
+ */
 
 /**
  * Show diff modal with phase selectors
- * @param {Object} phases - Object with phase outputs {1: string, 2: string, 3: string}
+ * @param {Object} phases - Object with phase outputs by phase number
  * @param {number[]} completedPhases - Array of completed phase numbers
+ * @param {string} [workflowId] - Workflow the phases belong to
  */
-export function showDiffModal(phases, completedPhases) {
-  // Build phase names dynamically from WORKFLOW_CONFIG
-  const phaseNames = {};
-  completedPhases.forEach(p => {
-    const meta = getPhaseMetadata(p);
-    phaseNames[p] = `Phase ${p}: ${meta.name} (${meta.aiModel})`;
+export function showDiffModal(phases, completedPhases, workflowId) {
+  // Build phase names dynamically from the project's workflow
+  const options = completedPhases.map(p => {
+    const meta = getPhaseMetadata(p, workflowId);
+    return { value: String(p), label: `Phase ${p}: ${meta.name} (${meta.aiModel})`, text: phases[p] || '' };
   });
 
-  // Default to comparing first two completed phases
-  let leftPhase = completedPhases[0];
-  let rightPhase = completedPhases[1];
+  showComparisonModal({ title: '🔄 Phase Comparison', noun: 'phase', options });
+}
+
+/**
+ * Show diff modal comparing the reviews of a multi-reviewer phase
+ * @param {import('./types.js').PhaseReview[]} reviews
+ * @param {string} merged - Merged critique fed to the next phase
+ */
+export function showReviewerDiffModal(reviews, merged) {
+  const options = reviews.map(review => ({
+    value: review.id,
+    label: review.reviewer,
+    text: review.response
+  }));
+  if (merged) options.push({ value: 'merged', label: 'Merged critique', text: merged });
+
+  showComparisonModal({ title: '👥 Reviewer Comparison', noun: 'review', options });
+}
+
+/**
+ * Show a diff modal with two selectors over the same options
+ * Defaults to comparing the first two options.
+ * @param {Object} config
+ * @param {string} config.title - Modal heading
+ * @param {string} config.noun - What an option is, used in the legend
+ * @param {DiffOption[]} config.options
+ */
+function showComparisonModal({ title, noun, options }) {
+  let leftValue = options[0]?.value;
+  let rightValue = options[1]?.value;
+  const textFor = (value) => options.find(o => o.value === value)?.text || '';
 
   const modal = document.createElement('div');
   modal.className = 'fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4';
 
   function renderDiff() {
-    const leftOutput = phases[leftPhase] || '';
-    const rightOutput = phases[rightPhase] || '';
-    const diff = computeWordDiff(leftOutput, rightOutput);
+    const diff = computeWordDiff(textFor(leftValue), textFor(rightValue));
     const stats = getDiffStats(diff);
     const diffHtml = renderDiffHtml(diff);
 
-    const optionsHtml = completedPhases.map(p =>
-      `<option value="${p}">${phaseNames[p]}</option>`
+    const optionsHtml = options.map(o =>
+      `<option value="${escapeHtml(o.value)}">${escapeHtml(o.label)}</option>`
     ).join('');
 
     modal.innerHTML = `
@@ -43,7 +77,7 @@ export function showDiffModal(phases, completedPhases) {
         <div class="flex items-center justify-between p-4 border-b border-gray-200 dark:border-gray-700">
           <div class="flex-1">
             <h3 class="text-lg font-bold text-gray-900 dark:text-white mb-3">
-              🔄 Phase Comparison
+              ${title}
             </h3>
             <div class="flex items-center gap-2 flex-wrap">
               <select id="diff-left-phase" class="px-3 py-1.5 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white text-sm">
@@ -79,24 +113,24 @@ export function showDiffModal(phases, completedPhases) {
         </div>
         <div class="p-4 border-t border-gray-200 dark:border-gray-700 bg-gray-50 dark:bg-gray-900/50">
           <p class="text-sm text-gray-600 dark:text-gray-400">
-            <span class="bg-green-200 dark:bg-green-900/50 px-1">Green text</span> = added in right phase &nbsp;|&nbsp;
-            <span class="bg-red-200 dark:bg-red-900/50 px-1 line-through">Red strikethrough</span> = removed from left phase
+            <span class="bg-green-200 dark:bg-green-900/50 px-1">Green text</span> = added in right ${noun} &nbsp;|&nbsp;
+            <span class="bg-red-200 dark:bg-red-900/50 px-1 line-through">Red strikethrough</span> = removed from left ${noun}
           </p>
         </div>
       </div>
     `;
 
     // Set selected values
-    modal.querySelector('#diff-left-phase').value = leftPhase;
-    modal.querySelector('#diff-right-phase').value = rightPhase;
+    modal.querySelector('#diff-left-phase').value = leftValue;
+    modal.querySelector('#diff-right-phase').value = rightValue;
 
     // Add change handlers
     modal.querySelector('#diff-left-phase').addEventListener('change', (e) => {
-      leftPhase = parseInt(e.target.value);
+      leftValue = e.target.value;
       renderDiff();
     });
     modal.querySelector('#diff-right-phase').addEventListener('change', (e) => {
-      rightPhase = parseInt(e.target.value);
+      rightValue = e.target.value;
       renderDiff();
     });
 
@@ -4,12 +4,22 @@
  * @module project-view-events
  */
 
-import { getProject, updatePhase, updateProject, deleteProject } from './projects.js';
-import { getPhaseMetadata, generatePromptForPhase, getFinalMarkdown, getExportFilename, detectPromptPaste } from './workflow.js';
+import { getProject, updatePhase, updateProject, trashProjects, archiveProjects, unarchiveProjects, forkProject, getForkFamily, addPhaseReview, deletePhaseReview, setFindingDecisions } from './projects.js';
+import { getPhaseMetadata, generatePromptForPhase, getFinalMarkdown, getExportFilename, exportTestSkeleton, detectPromptPaste } from './workflow.js';
+import { TEST_FRAMEWORKS } from './test-skeletons.js';
 import { showToast, copyToClipboardAsync, showPromptModal, confirm, confirmWithRemember, showDocumentPreviewModal, createActionMenu } from './ui.js';
 import { navigateTo } from './router.js';
 import { renderPhaseContent } from './project-view-phase.js';
-import { showDiffModal } from './project-view-diff.js';
+import { showDiffModal, showReviewerDiffModal } from './project-view-diff.js';
+import { showRevisionHistoryModal } from './revision-history.js';
+import { showForkCompareModal } from './fork-compare.js';
+import { showSplitModal } from './split-wizard.js';
+import { showPromptEditorModal } from './prompt-editor.js';
+import { getPhaseProviderConfig, isProviderReady, runPhaseWithProvider } from './llm-provider.js';
+import { showProviderSettingsModal } from './provider-settings.js';
+import { attachQualityGatePanel } from './quality-gate-panel.js';
+import { getProjectWorkflow } from './prompts.js';
+import { parseReviewFindings } from './review-findings.js';
 
 // Injected helpers to avoid circular imports
 let extractTitleFromMarkdownFn = null;
@@ -25,6 +35,30 @@ export function setHelpers(helpers) {
   renderProjectViewFn = helpers.renderProjectView;
 }
 
+/**
+ * Trigger a browser download of plain text content
+ * @param {string} content - File content
+ * @param {string} filename - Download filename
+ */
+function downloadTextFile(content, filename) {
+  const blob = new Blob([content], { type: 'text/plain' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Responses of every phase in the project's workflow
+ * @param {import('./types.js').Project} project
+ * @returns {Object<number, string>} Response by phase number, '' if none yet
+ */
+function getPhaseResponses(project) {
+  return Object.fromEntries(getProjectWorkflow(project).phases.map(({ number }) => [number, project.phases?.[number]?.response || '']));
+}
+
 /**
  * Attach event listeners for phase interactions
  * @param {import('./types.js').Project} project - Project data
@@ -36,7 +70,9 @@ export function attachPhaseEventListeners(project, phase) {
   const saveResponseBtn = document.getElementById('save-response-btn');
   const responseTextarea = document.getElementById('response-textarea');
   const nextPhaseBtn = document.getElementById('next-phase-btn');
-  const meta = getPhaseMetadata(phase);
+  const workflow = getProjectWorkflow(project);
+  const meta = getPhaseMetadata(phase, workflow.id);
+  const isFinalPhase = phase === workflow.phaseCount;
 
   // CRITICAL: Safari transient activation fix - call copyToClipboardAsync synchronously
   copyPromptBtn?.addEventListener('click', async () => {
@@ -101,6 +137,65 @@ export function attachPhaseEventListeners(project, phase) {
       });
   });
 
+  // Run in-app with the configured provider (copy-paste stays the default)
+  const runProviderBtn = document.getElementById('run-provider-btn');
+  if (runProviderBtn) {
+    getPhaseProviderConfig(project, phase).then(config => {
+      if (!isProviderReady(config)) return;
+      runProviderBtn.textContent = `⚡ Run with ${config.model}`;
+      runProviderBtn.classList.remove('hidden');
+    }).catch(error => console.error('Failed to load provider settings:', error));
+
+    let controller = null;
+    runProviderBtn.addEventListener('click', async () => {
+      if (controller) {
+        controller.abort();
+        return;
+      }
+
+      controller = new AbortController();
+      const label = runProviderBtn.textContent;
+      runProviderBtn.textContent = '■ Stop';
+      if (responseTextarea) {
+        responseTextarea.disabled = false;
+        responseTextarea.value = '';
+      }
+
+      try {
+        const freshProject = await getProject(project.id);
+        await runPhaseWithProvider(freshProject, phase, {
+          signal: controller.signal,
+          onToken: (_token, text) => {
+            if (responseTextarea) {
+              responseTextarea.value = text;
+              responseTextarea.scrollTop = responseTextarea.scrollHeight;
+            }
+          }
+        });
+
+        if (!isFinalPhase) {
+          showToast('Response saved! Moving to next phase...', 'success');
+        } else {
+          showToast(`Phase ${phase} complete! Your proposal is ready.`, 'success');
+        }
+        renderProjectViewFn(project.id);
+      } catch (error) {
+        if (error.name === 'AbortError') {
+          showToast('Generation stopped', 'info');
+        } else {
+          console.error('Provider run failed:', error);
+          showToast(`AI provider failed: ${error.message}`, 'error');
+        }
+        if (saveResponseBtn && responseTextarea) {
+          saveResponseBtn.disabled = responseTextarea.value.trim().length < 3;
+        }
+        runProviderBtn.textContent = label;
+      } finally {
+        controller = null;
+      }
+    });
+  }
+
   // Update save button state as user types
   responseTextarea?.addEventListener('input', () => {
     const hasEnoughContent = responseTextarea.value.trim().length >= 3;
@@ -119,10 +214,14 @@ export function attachPhaseEventListeners(project, phase) {
         return;
       }
 
-      await updatePhase(project.id, phase, project.phases[phase]?.prompt || '', response);
+      const savedProject = await updatePhase(project.id, phase, project.phases[phase]?.prompt || '', response);
 
-      // Auto-advance to next phase if not on final phase
-      if (phase < 3) {
+      // Stay on a review with findings so they can be accepted or rejected first
+      if (meta.reviewFindings && !isFinalPhase && parseReviewFindings(response).length > 0) {
+        showToast('Response saved! Accept or reject the findings, then continue to the next phase.', 'success');
+        rerenderPhase(savedProject, phase);
+      } else if (!isFinalPhase) {
+        // Auto-advance to next phase if not on final phase
         showToast('Response saved! Moving to next phase...', 'success');
         // Re-fetch the updated project and advance
         const updatedProject = await getProject(project.id);
@@ -131,16 +230,16 @@ export function attachPhaseEventListeners(project, phase) {
         document.getElementById('phase-content').innerHTML = renderPhaseContent(updatedProject, phase + 1);
         attachPhaseEventListeners(updatedProject, phase + 1);
       } else {
-        // Phase 3 complete - extract and update project title if changed
+        // Final phase complete - extract and update project title if changed
         const extractedTitle = extractTitleFromMarkdownFn(response);
         if (extractedTitle && extractedTitle !== project.dealershipName) {
           await updateProject(project.id, {
             dealershipName: extractedTitle,
             title: `Proposal - ${extractedTitle}`
           });
-          showToast(`Phase 3 complete! Title updated to "${extractedTitle}"`, 'success');
+          showToast(`Phase ${phase} complete! Title updated to "${extractedTitle}"`, 'success');
         } else {
-          showToast('Phase 3 complete! Your proposal is ready.', 'success');
+          showToast(`Phase ${phase} complete! Your proposal is ready.`, 'success');
         }
         renderProjectViewFn(project.id);
       }
@@ -164,7 +263,7 @@ export function attachPhaseEventListeners(project, phase) {
     });
   }
 
-  // Export phase button (Phase 3 complete - Preview & Copy)
+  // Export phase button (final phase complete - Preview & Copy)
   const exportPhaseBtn = document.getElementById('export-complete-btn');
   if (exportPhaseBtn) {
     exportPhaseBtn.addEventListener('click', () => {
@@ -177,15 +276,46 @@ export function attachPhaseEventListeners(project, phase) {
     });
   }
 
+  // Quality gate refinement loop (final phase complete)
+  if (isFinalPhase && project.phases[phase]?.completed) {
+    attachQualityGatePanel(project, () => renderProjectViewFn(project.id))
+      .catch(error => console.error('Failed to load quality gate:', error));
+  }
+
+  // Export tests menu (final phase complete - one pending test per criterion)
+  const exportTestsBtn = document.getElementById('export-tests-btn');
+  if (exportTestsBtn) {
+    createActionMenu({
+      triggerElement: exportTestsBtn,
+      items: Object.values(TEST_FRAMEWORKS).map(framework => ({
+        label: `${framework.label} (${framework.extension})`,
+        icon: framework.icon,
+        onClick: () => {
+          const skeleton = exportTestSkeleton(project, framework.id);
+          if (!skeleton) {
+            showToast('No acceptance criteria found to export', 'warning');
+            return;
+          }
+          downloadTextFile(skeleton.content, skeleton.filename);
+          showToast(`${framework.label} skeleton downloaded`, 'success');
+        }
+      })),
+      position: 'bottom-end'
+    });
+  }
+
+  if (meta.multiReview) {
+    attachReviewListeners(project, phase);
+  }
+  if (meta.reviewFindings) {
+    attachFindingListeners(project, phase);
+  }
+
   // Compare phases button handler (shows diff with phase selectors)
   const comparePhasesBtn = document.getElementById('compare-phases-btn');
   if (comparePhasesBtn) {
     comparePhasesBtn.addEventListener('click', () => {
-      const phasesData = {
-        1: project.phases?.[1]?.response || '',
-        2: project.phases?.[2]?.response || '',
-        3: project.phases?.[3]?.response || ''
-      };
+      const phasesData = getPhaseResponses(project);
 
       // Need at least 2 phases completed
       const completedPhases = Object.entries(phasesData).filter(([, v]) => v).map(([k]) => parseInt(k));
@@ -194,7 +324,7 @@ export function attachPhaseEventListeners(project, phase) {
         return;
       }
 
-      showDiffModal(phasesData, completedPhases);
+      showDiffModal(phasesData, completedPhases, workflow.id);
     });
   }
 
@@ -218,6 +348,20 @@ export function attachPhaseEventListeners(project, phase) {
       });
     }
 
+    // In-app AI provider settings (per phase)
+    menuItems.push({
+      label: 'AI Provider Settings',
+      icon: '⚡',
+      onClick: () => showProviderSettingsModal(() => renderProjectViewFn(project.id))
+    });
+
+    // Customise the prompt template behind this phase
+    menuItems.push({
+      label: 'Edit Prompt Template',
+      icon: '📝',
+      onClick: () => showPromptEditorModal({ template: meta.template, outputStyle: project.outputStyle })
+    });
+
     // Edit Details (always available)
     menuItems.push({
       label: 'Edit Details',
@@ -225,42 +369,99 @@ export function attachPhaseEventListeners(project, phase) {
       onClick: () => navigateTo('edit', project.id)
     });
 
+    // Version History (only once this phase has a response)
+    if (phaseData.response) {
+      menuItems.push({
+        label: 'Version History',
+        icon: '🕘',
+        onClick: () => showRevisionHistoryModal(project, phase, () => renderProjectViewFn(project.id))
+      });
+    }
+
     // Compare Phases (only if 2+ phases completed)
-    const completedCount = [1, 2, 3].filter(p => project.phases?.[p]?.response).length;
-    if (completedCount >= 2) {
+    const phaseResponses = getPhaseResponses(project);
+    const respondedPhases = Object.keys(phaseResponses).map(Number).filter(n => phaseResponses[n]);
+    if (respondedPhases.length >= 2) {
       menuItems.push({
         label: 'Compare Phases',
         icon: '🔄',
         onClick: () => {
-          const phasesData = {
-            1: project.phases?.[1]?.response || '',
-            2: project.phases?.[2]?.response || '',
-            3: project.phases?.[3]?.response || ''
-          };
-          const completedPhases = Object.entries(phasesData).filter(([, v]) => v).map(([k]) => parseInt(k));
-          showDiffModal(phasesData, completedPhases);
+          showDiffModal(phaseResponses, respondedPhases, workflow.id);
         }
       });
     }
 
+    // Fork from any phase with output, to branch the workflow from there
+    respondedPhases.forEach(n => {
+      menuItems.push({
+        label: `Fork from Phase ${n}`,
+        icon: '🍴',
+        onClick: async () => {
+          try {
+            const fork = await forkProject(project.id, n);
+            showToast(`Forked from Phase ${n}`, 'success');
+            navigateTo('project', fork.id);
+          } catch (error) {
+            console.error('Fork failed:', error);
+            showToast(`Failed to fork: ${error.message}`, 'error');
+          }
+        }
+      });
+    });
+
+    // Compare Forks (only once the project has a parent or forks). The menu
+    // reads its items when opened, so the item is slotted in once they load.
+    const compareForksIndex = menuItems.length;
+    getForkFamily(project).then(family => {
+      if (family.length > 0) {
+        menuItems.splice(compareForksIndex, 0, {
+          label: 'Compare Forks',
+          icon: '⚖️',
+          onClick: () => showForkCompareModal(project)
+        });
+      }
+    }).catch(error => console.error('Failed to load forks:', error));
+
+    // Split an oversized final AC into child issues
+    if (phaseResponses[workflow.phaseCount]) {
+      menuItems.push({
+        label: 'Split into Child Issues...',
+        icon: '✂️',
+        onClick: () => showSplitModal(project, () => renderProjectViewFn(project.id))
+      });
+    }
+
+    // Archive hides the issue from the main list without deleting it
+    menuItems.push(project.archivedAt ? {
+      label: 'Unarchive',
+      icon: '📤',
+      onClick: async () => {
+        await unarchiveProjects([project.id]);
+        showToast('Project moved back to the main list', 'success');
+        renderProjectViewFn(project.id);
+      }
+    } : {
+      label: 'Archive',
+      icon: '🗄️',
+      onClick: async () => {
+        await archiveProjects([project.id]);
+        showToast('Project archived', 'success');
+        navigateTo('home');
+      }
+    });
+
     // Separator before destructive action
     menuItems.push({ separator: true });
 
     // Delete (destructive)
     menuItems.push({
-      label: 'Delete...',
+      label: 'Move to Trash',
       icon: '🗑️',
       destructive: true,
       onClick: async () => {
-        const confirmed = await confirm(
-          'Are you sure you want to delete this project? This cannot be undone.',
-          'Delete Project'
-        );
-        if (confirmed) {
-          await deleteProject(project.id);
-          showToast('Project deleted', 'success');
-          navigateTo('');
-        }
+        await trashProjects([project.id]);
+        showToast('Project moved to trash', 'success');
+        navigateTo('home');
       }
     });
 
@@ -271,3 +472,109 @@ export function attachPhaseEventListeners(project, phase) {
     });
   }
 }
+
+/**
+ * Re-render a phase in place, staying on it
+ * @param {import('./types.js').Project} project - Updated project data
+ * @param {import('./types.js').PhaseNumber} phase - Phase to render
+ * @returns {void}
+ */
+function rerenderPhase(project, phase) {
+  document.getElementById('phase-content').innerHTML = renderPhaseContent(project, phase);
+  attachPhaseEventListeners(project, phase);
+}
+
+/**
+ * Attach event listeners for the reviews panel of a multi-reviewer phase
+ * Changes re-render the phase in place so more reviews can be added.
+ * @param {import('./types.js').Project} project - Project data
+ * @param {import('./types.js').PhaseNumber} phase - Current phase number
+ * @returns {void}
+ */
+function attachReviewListeners(project, phase) {
+  const reviews = project.phases[phase]?.reviews || [];
+
+  document.getElementById('add-review-btn')?.addEventListener('click', async () => {
+    const reviewer = document.getElementById('reviewer-name').value;
+    const response = document.getElementById('review-textarea').value;
+
+    const promptCheck = detectPromptPaste(response);
+    if (promptCheck.isPrompt) {
+      showToast(promptCheck.reason, 'error');
+      return;
+    }
+
+    try {
+      const updatedProject = await addPhaseReview(project.id, phase, reviewer, response);
+      showToast(`Review from ${reviewer.trim()} added`, 'success');
+      rerenderPhase(updatedProject, phase);
+    } catch (error) {
+      showToast(error.message, 'error');
+    }
+  });
+
+  document.querySelectorAll('.review-view-btn').forEach(btn => {
+    btn.addEventListener('click', () => {
+      const review = reviews.find(r => r.id === btn.dataset.reviewId);
+      if (review) showPromptModal(review.response, `Review: ${review.reviewer}`);
+    });
+  });
+
+  document.querySelectorAll('.review-delete-btn').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      const review = reviews.find(r => r.id === btn.dataset.reviewId);
+      if (!review) return;
+      const outcome = reviews.length > 1 ? 'The merged critique will be rebuilt without it.' : 'The phase response is kept.';
+      if (!await confirm(`Delete ${review.reviewer}'s review? ${outcome}`, 'Delete Review')) return;
+
+      try {
+        rerenderPhase(await deletePhaseReview(project.id, phase, review.id), phase);
+        showToast('Review deleted', 'success');
+      } catch (error) {
+        showToast(error.message, 'error');
+      }
+    });
+  });
+
+  document.getElementById('compare-reviewers-btn')?.addEventListener('click', () => {
+    showReviewerDiffModal(reviews, project.phases[phase]?.response || '');
+  });
+}
+
+/**
+ * Attach event listeners for accepting and rejecting a review's findings
+ * Clicking a finding's current decision again clears it.
+ * @param {import('./types.js').Project} project - Project data
+ * @param {import('./types.js').PhaseNumber} phase - Current phase number
+ * @returns {void}
+ */
+function attachFindingListeners(project, phase) {
+  const phaseData = project.phases[phase] || {};
+  const findings = parseReviewFindings(phaseData.response);
+  const decisions = phaseData.findingDecisions || {};
+
+  const decide = async (changes) => {
+    try {
+      rerenderPhase(await setFindingDecisions(project.id, phase, changes), phase);
+    } catch (error) {
+      console.error('Failed to save finding decision:', error);
+      showToast(error.message, 'error');
+    }
+  };
+
+  [['.finding-accept-btn', 'accepted'], ['.finding-reject-btn', 'rejected']].forEach(([selector, decision]) => {
+    document.querySelectorAll(selector).forEach(btn => {
+      btn.addEventListener('click', () => {
+        const finding = findings[parseInt(btn.dataset.findingIndex)];
+        if (finding) decide({ [finding.key]: decisions[finding.key] === decision ? null : decision });
+      });
+    });
+  });
+
+  document.getElementById('accept-all-findings-btn')?.addEventListener('click', () => {
+    decide(Object.fromEntries(findings.map(f => [f.key, 'accepted'])));
+  });
+  document.getElementById('reject-all-findings-btn')?.addEventListener('click', () => {
+    decide(Object.fromEntries(findings.map(f => [f.key, 'rejected'])));
+  });
+}
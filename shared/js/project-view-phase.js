@@ -5,8 +5,11 @@
  */
 
 import { getPhaseMetadata } from './workflow.js';
+import { getFinalPhase } from './prompts.js';
 import { escapeHtml } from './ui.js';
+import { parseReviewFindings, hasDecidedAllFindings, FINDING_CATEGORIES, FINDING_SEVERITIES } from './review-findings.js';
 import { validateDocument, getScoreColor, getScoreLabel } from '../../validator/js/validator.js';
+import { getProfileForOutputStyle } from '../../validator/js/rubric-profiles.js';
 
 /**
  * Render the content for a specific phase
@@ -15,17 +18,16 @@ import { validateDocument, getScoreColor, getScoreLabel } from '../../validator/
  * @returns {string} HTML string
  */
 export function renderPhaseContent(project, phaseNumber) {
-  const meta = getPhaseMetadata(phaseNumber);
+  const meta = getPhaseMetadata(phaseNumber, project.workflowId);
   const phaseData = project.phases[phaseNumber] || { prompt: '', response: '', completed: false };
-  const aiName = meta.aiModel.includes('Claude') ? 'Claude' : 'Gemini';
-  // Color mapping for phases (canonical WORKFLOW_CONFIG doesn't include colors)
-  const colorMap = { 1: 'blue', 2: 'green', 3: 'purple' };
-  const color = colorMap[phaseNumber] || 'blue';
+  const aiName = meta.aiModel;
+  const color = meta.color || 'blue';
+  const isFinalPhase = phaseNumber === getFinalPhase(project);
 
-  // Completion banner with inline scoring when Phase 3 is complete
+  // Completion banner with inline scoring when the final phase is complete
   let completionBanner = '';
-  if (phaseNumber === 3 && phaseData.completed) {
-    completionBanner = renderCompletionBanner(phaseData.response || '');
+  if (isFinalPhase && phaseData.completed) {
+    completionBanner = renderCompletionBanner(phaseData.response || '', project.outputStyle);
   }
 
   return `
@@ -72,6 +74,10 @@ export function renderPhaseContent(project, phaseNumber) {
                     >
                         🔗 Open ${aiName}
                     </a>
+                    <!-- Shown when an in-app provider is configured for this phase -->
+                    <button id="run-provider-btn" class="hidden px-6 py-3 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition-colors font-medium">
+                        ⚡ Run In-App
+                    </button>
                 </div>
             </div>
 
@@ -88,11 +94,11 @@ export function renderPhaseContent(project, phaseNumber) {
                     ${!phaseData.response ? 'disabled' : ''}
                 >${escapeHtml(phaseData.response || '')}</textarea>
                 <div class="mt-3 flex justify-between items-center">
-                    ${phaseData.completed && phaseNumber < 3 ? `
+                    ${phaseData.completed && !isFinalPhase ? `
                         <button id="next-phase-btn" class="px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors">
                             Next Phase →
                         </button>
-                    ` : phaseNumber < 3 ? `
+                    ` : !isFinalPhase ? `
                         <span class="text-sm text-gray-600 dark:text-gray-400">
                             Paste response to complete this phase
                         </span>
@@ -106,17 +112,156 @@ export function renderPhaseContent(project, phaseNumber) {
                     </button>
                 </div>
             </div>
+
+            ${meta.multiReview ? renderReviewsPanel(phaseData, meta) : ''}
+
+            ${meta.reviewFindings && phaseData.response ? renderFindingsPanel(phaseData) : ''}
         </div>
     `;
 }
 
+/**
+ * Render the reviews panel of a multi-reviewer phase
+ * The response textarea above holds the merged critique of these reviews.
+ * @param {import('./types.js').PhaseData} phaseData
+ * @param {import('./types.js').PhaseConfig} meta
+ * @returns {string} HTML string
+ */
+function renderReviewsPanel(phaseData, meta) {
+  const reviews = phaseData.reviews || [];
+  const suggestedReviewer = reviews.length === 0 && !phaseData.response ? meta.aiModel : '';
+
+  return `
+            <!-- Reviews: each reviewer's critique, merged into the response above -->
+            <div id="reviews-panel" class="mt-8 pt-6 border-t border-gray-200 dark:border-gray-700">
+                <div class="flex justify-between items-center mb-3">
+                    <h4 class="text-lg font-semibold text-gray-900 dark:text-white">
+                        👥 Reviewers
+                    </h4>
+                    ${reviews.length >= 2 ? `
+                        <button id="compare-reviewers-btn" class="px-3 py-1.5 text-sm bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300 rounded-lg hover:bg-gray-200 dark:hover:bg-gray-600 transition-colors">
+                            🔄 Compare Reviewers
+                        </button>
+                    ` : ''}
+                </div>
+                <p class="text-sm text-gray-600 dark:text-gray-400 mb-3">
+                    Add a review from each reviewer (another AI, a QA engineer...). Their points are merged into the response above, which is what the next phase receives.
+                    ${reviews.length === 0 && phaseData.response ? ` The saved response counts as ${escapeHtml(meta.aiModel)}'s review once you add another.` : ''}
+                </p>
+                ${reviews.length > 0 ? `
+                    <ul id="review-list" class="mb-4 divide-y divide-gray-200 dark:divide-gray-700 border border-gray-200 dark:border-gray-700 rounded-lg">
+                        ${reviews.map(review => `
+                        <li class="review-row flex items-center justify-between px-4 py-2" data-review-id="${escapeHtml(review.id)}">
+                            <span class="font-medium text-gray-900 dark:text-white">${escapeHtml(review.reviewer)}</span>
+                            <span class="flex gap-2">
+                                <button class="review-view-btn text-sm text-blue-600 dark:text-blue-400 hover:underline" data-review-id="${escapeHtml(review.id)}">View</button>
+                                <button class="review-delete-btn text-sm text-red-600 dark:text-red-400 hover:text-red-800" data-review-id="${escapeHtml(review.id)}" aria-label="Delete ${escapeHtml(review.reviewer)}'s review">✕</button>
+                            </span>
+                        </li>
+                        `).join('')}
+                    </ul>
+                ` : ''}
+                <div class="space-y-2">
+                    <input
+                        id="reviewer-name"
+                        type="text"
+                        class="w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent dark:bg-gray-700 dark:text-white text-sm"
+                        placeholder="Reviewer (e.g. GPT-4o, QA engineer)"
+                        value="${escapeHtml(suggestedReviewer)}"
+                    >
+                    <textarea
+                        id="review-textarea"
+                        rows="6"
+                        class="w-full px-4 py-3 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent dark:bg-gray-700 dark:text-white font-mono text-sm"
+                        placeholder="Paste this reviewer's critique here..."
+                    ></textarea>
+                    <div class="flex justify-end">
+                        <button id="add-review-btn" class="px-6 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 transition-colors">
+                            Add Review
+                        </button>
+                    </div>
+                </div>
+            </div>
+    `;
+}
+
+/** Badge colours by finding severity */
+const SEVERITY_COLORS = { high: 'red', medium: 'yellow', low: 'gray' };
+
+/**
+ * Render the review's findings with accept and reject buttons
+ * Buttons carry the finding's index in parseReviewFindings() order.
+ * @param {import('./types.js').PhaseData} phaseData
+ * @returns {string} HTML string
+ */
+function renderFindingsPanel(phaseData) {
+  const findings = parseReviewFindings(phaseData.response);
+  if (findings.length === 0) return '';
+
+  const decisions = phaseData.findingDecisions || {};
+  const accepted = findings.filter(f => decisions[f.key] === 'accepted').length;
+  const rejected = findings.filter(f => decisions[f.key] === 'rejected').length;
+  const summary = hasDecidedAllFindings(findings, decisions)
+    ? 'Only accepted findings go into the next phase.'
+    : 'Until you accept or reject every finding, the whole review goes into the next phase.';
+
+  return `
+            <!-- Findings: parsed from the response, triaged before the next phase -->
+            <div id="findings-panel" class="mt-8 pt-6 border-t border-gray-200 dark:border-gray-700">
+                <div class="flex justify-between items-center mb-3 flex-wrap gap-2">
+                    <h4 class="text-lg font-semibold text-gray-900 dark:text-white">
+                        🧾 Findings
+                    </h4>
+                    <div class="flex gap-2">
+                        <button id="accept-all-findings-btn" class="px-3 py-1.5 text-sm bg-green-100 dark:bg-green-900/30 text-green-700 dark:text-green-300 rounded-lg hover:bg-green-200 dark:hover:bg-green-900/50 transition-colors">
+                            Accept All
+                        </button>
+                        <button id="reject-all-findings-btn" class="px-3 py-1.5 text-sm bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300 rounded-lg hover:bg-gray-200 dark:hover:bg-gray-600 transition-colors">
+                            Reject All
+                        </button>
+                    </div>
+                </div>
+                <p id="findings-summary" class="text-sm text-gray-600 dark:text-gray-400 mb-3">
+                    ${accepted} accepted, ${rejected} rejected, ${findings.length - accepted - rejected} to decide. ${summary}
+                </p>
+                <ul id="finding-list" class="space-y-2">
+                    ${findings.map((finding, index) => {
+    const decision = decisions[finding.key] || '';
+    const color = SEVERITY_COLORS[finding.severity];
+    return `
+                    <li class="finding-row p-3 rounded-lg border ${decision === 'accepted' ? 'border-green-300 dark:border-green-700 bg-green-50 dark:bg-green-900/10' : decision === 'rejected' ? 'border-gray-200 dark:border-gray-700 opacity-60' : 'border-gray-200 dark:border-gray-700'}" data-finding-index="${index}" data-decision="${decision}">
+                        <div class="flex justify-between items-start gap-3">
+                            <div class="text-sm">
+                                <div class="flex flex-wrap items-center gap-2 mb-1">
+                                    <span class="px-2 py-0.5 text-xs font-medium rounded-full bg-${color}-100 dark:bg-${color}-900/30 text-${color}-700 dark:text-${color}-300">${FINDING_SEVERITIES[finding.severity]}</span>
+                                    <span class="px-2 py-0.5 text-xs rounded-full bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-300">${FINDING_CATEGORIES[finding.category]}</span>
+                                    ${finding.reviewers.length > 0 ? `<span class="text-xs text-gray-500 dark:text-gray-400">${escapeHtml(finding.reviewers.join(', '))}</span>` : ''}
+                                </div>
+                                ${finding.criterion ? `<p class="font-mono text-xs text-gray-500 dark:text-gray-400">"${escapeHtml(finding.criterion)}"</p>` : ''}
+                                <p class="text-gray-900 dark:text-white">${escapeHtml(finding.problem)}</p>
+                                ${finding.fix ? `<p class="mt-1 text-gray-600 dark:text-gray-400"><span class="font-medium">Fix:</span> ${escapeHtml(finding.fix)}</p>` : ''}
+                            </div>
+                            <div class="flex gap-1 shrink-0">
+                                <button class="finding-accept-btn px-2 py-1 text-sm rounded ${decision === 'accepted' ? 'bg-green-600 text-white' : 'bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300 hover:bg-green-100 dark:hover:bg-green-900/30'}" data-finding-index="${index}" aria-pressed="${decision === 'accepted'}">✓ Accept</button>
+                                <button class="finding-reject-btn px-2 py-1 text-sm rounded ${decision === 'rejected' ? 'bg-gray-600 text-white' : 'bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-600'}" data-finding-index="${index}" aria-pressed="${decision === 'rejected'}">✕ Reject</button>
+                            </div>
+                        </div>
+                    </li>
+    `;
+  }).join('')}
+                </ul>
+            </div>
+  `;
+}
+
 /**
  * Render completion banner with inline score
  * @param {string} content - The document content
+ * @param {string} [outputStyle] - Project output style (selects the rubric)
  * @returns {string} HTML string
  */
-function renderCompletionBanner(content) {
-  const validationResult = validateDocument(content);
+function renderCompletionBanner(content, outputStyle) {
+  const validationResult = validateDocument(content, getProfileForOutputStyle(outputStyle));
   const scoreColor = getScoreColor(validationResult.totalScore);
   const scoreLabel = getScoreLabel(validationResult.totalScore);
 
@@ -143,6 +288,9 @@ function renderCompletionBanner(content) {
                     <button id="export-complete-btn" class="px-6 py-3 bg-green-600 text-white rounded-lg hover:bg-green-700 transition-colors font-medium text-lg">
                         📄 Preview & Copy
                     </button>
+                    <button id="export-tests-btn" class="px-6 py-3 bg-purple-600 text-white rounded-lg hover:bg-purple-700 transition-colors font-medium text-lg">
+                        🧪 Export Tests ▾
+                    </button>
                     <a href="./validator/" target="_blank" rel="noopener noreferrer" class="px-6 py-3 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors font-medium text-lg">
                         📋 Full Validation ↗
                     </a>
@@ -153,6 +301,11 @@ function renderCompletionBanner(content) {
 
             ${allIssues.length > 0 && validationResult.totalScore < 70 ? renderIssuesSummary(allIssues) : ''}
 
+            ${renderCriteriaFindings(validationResult.criteria)}
+
+            <!-- Filled asynchronously by attachQualityGatePanel (settings live in IndexedDB) -->
+            <div id="quality-gate-panel"></div>
+
             ${renderHelpSection()}
         </div>
     `;
@@ -219,6 +372,41 @@ function renderIssuesSummary(allIssues) {
     `;
 }
 
+/**
+ * Render per-criterion findings so offending lines can be located
+ * @param {Object} [criteriaResult] - analyzeCriteria() output from the validator
+ * @returns {string} HTML string
+ */
+function renderCriteriaFindings(criteriaResult) {
+  const items = (criteriaResult?.criteria || []).filter(item => item.issues.length > 0);
+  if (items.length === 0) return '';
+
+  const flaggedCount = items.filter(item => !item.passed).length;
+
+  return `
+            <!-- Per-Criterion Findings -->
+            <div class="mt-3 p-4 bg-white dark:bg-gray-800 rounded-lg border border-gray-200 dark:border-gray-700">
+                <details ${flaggedCount > 0 ? 'open' : ''}>
+                    <summary class="text-sm font-medium text-gray-700 dark:text-gray-300 cursor-pointer hover:text-gray-900 dark:hover:text-white">
+                        🔎 ${flaggedCount} ${flaggedCount === 1 ? 'criterion' : 'criteria'} flagged, ${items.length - flaggedCount} with warnings
+                    </summary>
+                    <ul class="mt-2 space-y-2 text-xs">
+                        ${items.map(item => `
+                        <li class="criterion-finding p-2 rounded ${item.passed ? 'bg-yellow-50 dark:bg-yellow-900/20' : 'bg-red-50 dark:bg-red-900/20'}" data-line="${item.line}">
+                            <div class="font-mono text-gray-800 dark:text-gray-200">
+                                <span class="text-gray-400 dark:text-gray-500">L${item.line}</span> ${escapeHtml(item.text)}
+                            </div>
+                            <ul class="mt-1 list-disc list-inside text-gray-600 dark:text-gray-400">
+                                ${item.issues.map(issue => `<li>${escapeHtml(issue.message)}</li>`).join('')}
+                            </ul>
+                        </li>
+                        `).join('')}
+                    </ul>
+                </details>
+            </div>
+    `;
+}
+
 /**
  * Render help section
  */
@@ -6,16 +6,18 @@
 
 import { getProject } from './projects.js';
 import { getPhaseMetadata, getFinalMarkdown, getExportFilename } from './workflow.js';
-import { showToast, showDocumentPreviewModal } from './ui.js';
+import { showToast, showDocumentPreviewModal, escapeHtml } from './ui.js';
 import { navigateTo } from './router.js';
-import { preloadPromptTemplates } from './prompts.js';
+import { preloadPromptTemplates, getProjectWorkflow, getFinalPhase } from './prompts.js';
 import { renderPhaseContent } from './project-view-phase.js';
 import { attachPhaseEventListeners, setHelpers } from './project-view-events.js';
+import { getProviderConfigs, isProviderReady } from './llm-provider.js';
+import { showPipelineModal } from './pipeline-modal.js';
 
 // Re-export sub-modules for backward compatibility
 export { renderPhaseContent } from './project-view-phase.js';
 export { attachPhaseEventListeners } from './project-view-events.js';
-export { showDiffModal } from './project-view-diff.js';
+export { showDiffModal, showReviewerDiffModal } from './project-view-diff.js';
 
 /**
  * Extract title from markdown content (looks for # Title at the beginning)
@@ -69,10 +71,6 @@ setHelpers({
  * @returns {Promise<void>}
  */
 export async function renderProjectView(projectId) {
-  // Preload prompt templates to avoid network delay on first clipboard operation
-  // Fire-and-forget: don't await, let it run in parallel with project load
-  preloadPromptTemplates().catch(() => {});
-
   const project = await getProject(projectId);
 
   if (!project) {
@@ -81,6 +79,11 @@ export async function renderProjectView(projectId) {
     return;
   }
 
+  // Preload prompt templates to avoid network delay on first clipboard operation
+  // Fire-and-forget: the template set depends on the project's output style and workflow
+  preloadPromptTemplates(project.outputStyle, project.workflowId).catch(() => {});
+  const workflow = getProjectWorkflow(project);
+
   const container = document.getElementById('app-container');
   container.innerHTML = `
         <div class="mb-6">
@@ -100,20 +103,46 @@ export async function renderProjectView(projectId) {
                         ${project.dealershipLocation || ''} ${project.storeCount ? `• ${project.storeCount} stores` : ''}
                         ${project.currentVendor ? `• Currently with ${project.currentVendor}` : ''}
                     </p>
+                    ${project.forkedFrom ? `
+                    <p class="mt-1 text-sm text-gray-500 dark:text-gray-400">
+                        🍴 Forked from <a href="#project/${project.forkedFrom.projectId}" class="text-blue-600 dark:text-blue-400 hover:underline">${escapeHtml(project.forkedFrom.title)}</a> at Phase ${project.forkedFrom.phase}
+                    </p>
+                    ` : ''}
+                    ${project.linearProject ? `
+                    <p class="mt-1 text-sm text-gray-500 dark:text-gray-400">
+                        📚 Part of <a href="#rollup/${encodeURIComponent(project.linearProject)}" class="text-blue-600 dark:text-blue-400 hover:underline">${escapeHtml(project.linearProject)}</a>
+                    </p>
+                    ` : ''}
+                    ${project.splitFrom ? `
+                    <p class="mt-1 text-sm text-gray-500 dark:text-gray-400">
+                        ✂️ Split from <a href="#project/${project.splitFrom.projectId}" class="text-blue-600 dark:text-blue-400 hover:underline">${escapeHtml(project.splitFrom.title)}</a>
+                    </p>
+                    ` : ''}
+                    ${project.splitInto?.length ? `
+                    <p class="mt-1 text-sm text-gray-500 dark:text-gray-400">
+                        ✂️ Split into ${project.splitInto.map(child => `<a href="#project/${child.projectId}" class="text-blue-600 dark:text-blue-400 hover:underline">${escapeHtml(child.title)}</a>`).join(', ')}
+                    </p>
+                    ` : ''}
+                </div>
+                <div class="flex gap-2">
+                    <!-- Shown when every phase has an in-app provider configured -->
+                    <button id="run-all-phases-btn" class="hidden px-4 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition-colors">
+                        ▶ Run All Phases
+                    </button>
+                    ${project.phases?.[getFinalPhase(project)]?.completed ? `
+                    <button id="export-document-btn" class="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 transition-colors">
+                        📄 Preview & Copy
+                    </button>
+                    ` : ''}
                 </div>
-                ${project.phases && project.phases[3] && project.phases[3].completed ? `
-                <button id="export-document-btn" class="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 transition-colors">
-                    📄 Preview & Copy
-                </button>
-                ` : ''}
             </div>
         </div>
 
         <!-- Phase Tabs -->
         <div class="mb-6 border-b border-gray-200 dark:border-gray-700">
             <div class="flex space-x-1">
-                ${[1, 2, 3].map(phaseNum => {
-    const meta = getPhaseMetadata(phaseNum);
+                ${workflow.phases.map(({ number: phaseNum }) => {
+    const meta = getPhaseMetadata(phaseNum, workflow.id);
     const isActive = project.phase === phaseNum;
     const isCompleted = project.phases[phaseNum]?.completed;
 
@@ -125,6 +154,7 @@ export async function renderProjectView(projectId) {
     : 'text-gray-600 dark:text-gray-400 hover:text-gray-900 dark:hover:text-gray-200'
 }"
                             data-phase="${phaseNum}"
+                            title="${meta.name}"
                         >
                             <span class="mr-2">${meta.icon}</span>
                             Phase ${phaseNum}
@@ -144,7 +174,7 @@ export async function renderProjectView(projectId) {
   // Event listeners
   document.getElementById('back-btn').addEventListener('click', () => navigateTo('home'));
 
-  // Export button only exists when phase 3 is complete (Preview & Copy)
+  // Export button only exists when the final phase is complete (Preview & Copy)
   const exportBtn = document.getElementById('export-document-btn');
   if (exportBtn) {
     exportBtn.addEventListener('click', () => {
@@ -157,6 +187,17 @@ export async function renderProjectView(projectId) {
     });
   }
 
+  // Run all phases in-app (only when every phase of the workflow has a provider)
+  const runAllBtn = document.getElementById('run-all-phases-btn');
+  getProviderConfigs().then(configs => {
+    if (runAllBtn && workflow.phases.every(({ template }) => isProviderReady(configs[template]))) {
+      runAllBtn.classList.remove('hidden');
+      runAllBtn.addEventListener('click', () => {
+        showPipelineModal(project, () => renderProjectView(project.id));
+      });
+    }
+  }).catch(error => console.error('Failed to load provider settings:', error));
+
   // Phase tabs - re-fetch project to ensure fresh data
   document.querySelectorAll('.phase-tab').forEach(tab => {
     tab.addEventListener('click', async () => {
@@ -7,6 +7,14 @@
  */
 
 import storage from './storage.js';
+import { DEFAULT_OUTPUT_STYLE, getWorkflow, getFinalPhase } from './prompts.js';
+import { readBackupFile, planImport, applyImport } from './backup-import.js';
+import { parseLabelNames, ensureLabels, getLabels } from './labels.js';
+import { normalizeCustomFieldValues, getCustomFields } from './custom-fields.js';
+import { getFinalMarkdown, getExportFilename } from './workflow.js';
+import { createZip } from './zip.js';
+import { buildMergedCritique } from './review-merge.js';
+import { FINDING_DECISIONS, parseReviewFindings } from './review-findings.js';
 
 /**
  * Extract title from final document markdown content
@@ -63,6 +71,7 @@ export function extractTitleFromMarkdown(markdown) {
  * @returns {Promise<import('./types.js').Project>}
  */
 export async function createProject(formData) {
+  const workflow = getWorkflow(formData.workflowId);
   /** @type {import('./types.js').Project} */
   const project = {
     id: crypto.randomUUID(),
@@ -73,23 +82,27 @@ export async function createProject(formData) {
     issueTitle: formData.issueTitle || '',
     whatNeedsToBeDone: formData.whatNeedsToBeDone || '',
     relatedContext: formData.relatedContext || '',
-
-    // Phase outputs (keep these)
-    phase1_output: '',
-    phase2_output: '',
-    phase3_output: '',
+    outputStyle: formData.outputStyle || DEFAULT_OUTPUT_STYLE,
+    workflowId: workflow.id,
+    linearIdentifier: (formData.linearIdentifier || '').trim(),
+    linearProject: (formData.linearProject || '').trim(),
+    labels: parseLabelNames(formData.labels),
+    customFields: normalizeCustomFieldValues(formData.customFields),
 
     // Workflow state (keep these)
     phase: 1,
     createdAt: new Date().toISOString(),
     updatedAt: new Date().toISOString(),
-    phases: {
-      1: { prompt: '', response: '', completed: false },
-      2: { prompt: '', response: '', completed: false },
-      3: { prompt: '', response: '', completed: false }
-    }
+    phases: {}
   };
 
+  // One empty phase, and its flat phaseN_output, per phase of the workflow
+  workflow.phases.forEach(({ number }) => {
+    project.phases[number] = { prompt: '', response: '', completed: false };
+    project[`phase${number}_output`] = '';
+  });
+
+  await ensureLabels(project.labels);
   await storage.saveProject(project);
   return project;
 }
@@ -124,23 +137,46 @@ export async function updatePhase(projectId, phase, prompt, response, options =
   const project = await storage.getProject(projectId);
   if (!project) throw new Error('Project not found');
 
+  // Keep every distinct saved prompt and response so a worse re-paste or a
+  // regenerated prompt can be undone. Saving the same pair again adds nothing.
+  const previous = project.phases[phase] || {};
+  if (response && (previous.response !== response || (previous.prompt || '') !== (prompt || ''))) {
+    await storage.saveRevision({
+      id: crypto.randomUUID(),
+      projectId,
+      phase,
+      prompt: prompt || '',
+      response,
+      createdAt: new Date().toISOString()
+    });
+  }
+
+  // Reviews stay only while the response is still their merged critique. A
+  // response edited by hand or run through a provider drops them, so the next
+  // added review keeps it as the phase model's review instead of losing it.
+  const keepReviews = previous.reviews &&
+    ((response || '') === (previous.response || '') || response === buildMergedCritique(previous.reviews));
+
   project.phases[phase] = {
     prompt: prompt || '',
     response: response || '',
-    completed: !!response
+    completed: !!response,
+    // Finding decisions stay when the response is edited by hand
+    ...(keepReviews ? { reviews: previous.reviews } : {}),
+    ...(previous.findingDecisions ? { findingDecisions: previous.findingDecisions } : {})
   };
 
   // Store phase output
-  const phaseKey = /** @type {'phase1_output' | 'phase2_output' | 'phase3_output'} */ (`phase${phase}_output`);
-  project[phaseKey] = response || '';
+  project[`phase${phase}_output`] = response || '';
 
   // Auto-advance to next phase if current phase is completed (unless skipAutoAdvance is set)
-  if (response && phase < 3 && !options.skipAutoAdvance) {
+  const finalPhase = getFinalPhase(project);
+  if (response && phase < finalPhase && !options.skipAutoAdvance) {
     project.phase = phase + 1;
   }
 
-  // Phase 3: Extract title from final document and update project title
-  if (phase === 3 && response) {
+  // Final phase: Extract title from final document and update project title
+  if (phase === finalPhase && response) {
     const extractedTitle = extractTitleFromMarkdown(response);
     if (extractedTitle) {
       project.title = extractedTitle;
@@ -152,6 +188,105 @@ export async function updatePhase(projectId, phase, prompt, response, options =
   return project;
 }
 
+/**
+ * Store a phase's reviews and replace its response with their merged critique
+ * With no reviews left the response is kept, so removing the last review does
+ * not wipe the phase or leave later phases without their input.
+ * @param {import('./types.js').Project} project
+ * @param {number} phase
+ * @param {import('./types.js').PhaseReview[]} reviews
+ * @returns {Promise<import('./types.js').Project>}
+ */
+async function savePhaseReviews(project, phase, reviews) {
+  const previous = project.phases[phase] || {};
+  project.phases[phase] = { ...previous, reviews };
+  await storage.saveProject(project);
+  if (reviews.length === 0) return project;
+  // Stay on the phase so more reviews can be added
+  return updatePhase(project.id, phase, previous.prompt || '', buildMergedCritique(reviews), { skipAutoAdvance: true });
+}
+
+/**
+ * Add a review to a multi-reviewer phase and rebuild its merged critique
+ * A reviewer who already has a review on the phase replaces it. A response
+ * saved before the first review counts as a review by the phase's AI model.
+ * @param {string} projectId
+ * @param {number} phase
+ * @param {string} reviewer - e.g. Gemini, GPT or a QA engineer's name
+ * @param {string} response - The review as pasted
+ * @returns {Promise<import('./types.js').Project>}
+ */
+export async function addPhaseReview(projectId, phase, reviewer, response) {
+  const name = String(reviewer || '').trim();
+  if (!name) throw new Error('Reviewer name cannot be empty');
+  if (!response?.trim()) throw new Error('Review cannot be empty');
+
+  const project = await storage.getProject(projectId);
+  if (!project) throw new Error('Project not found');
+
+  const phaseData = project.phases[phase] || {};
+  const now = new Date().toISOString();
+  const reviews = [...(phaseData.reviews || [])];
+  if (!phaseData.reviews && phaseData.response) {
+    reviews.push({ id: crypto.randomUUID(), reviewer: getWorkflow(project.workflowId).phases[phase - 1].aiModel, response: phaseData.response, savedAt: project.updatedAt || now });
+  }
+
+  const review = { id: crypto.randomUUID(), reviewer: name, response: response.trim(), savedAt: now };
+  const index = reviews.findIndex(r => r.reviewer.toLowerCase() === name.toLowerCase());
+  if (index === -1) {
+    reviews.push(review);
+  } else {
+    reviews[index] = review;
+  }
+  return savePhaseReviews(project, phase, reviews);
+}
+
+/**
+ * Remove a review from a multi-reviewer phase and rebuild its merged critique
+ * Removing the last review keeps the phase's response.
+ * @param {string} projectId
+ * @param {number} phase
+ * @param {string} reviewId
+ * @returns {Promise<import('./types.js').Project>}
+ */
+export async function deletePhaseReview(projectId, phase, reviewId) {
+  const project = await storage.getProject(projectId);
+  if (!project) throw new Error('Project not found');
+  const reviews = project.phases[phase]?.reviews || [];
+  return savePhaseReviews(project, phase, reviews.filter(r => r.id !== reviewId));
+}
+
+/**
+ * Accept or reject findings of a phase's review
+ * Decisions for findings no longer in the review are dropped.
+ * @param {string} projectId
+ * @param {number} phase
+ * @param {Object<string, 'accepted'|'rejected'|null>} decisions - By finding key; null clears a decision
+ * @returns {Promise<import('./types.js').Project>}
+ */
+export async function setFindingDecisions(projectId, phase, decisions) {
+  Object.values(decisions).forEach(decision => {
+    if (decision !== null && !FINDING_DECISIONS.includes(decision)) {
+      throw new Error(`Unknown finding decision: ${decision}`);
+    }
+  });
+
+  const project = await storage.getProject(projectId);
+  if (!project) throw new Error('Project not found');
+
+  const phaseData = project.phases[phase] || { prompt: '', response: '', completed: false };
+  const merged = { ...phaseData.findingDecisions, ...decisions };
+  const findingDecisions = {};
+  parseReviewFindings(phaseData.response).forEach(({ key }) => {
+    if (merged[key]) findingDecisions[key] = merged[key];
+  });
+
+  project.phases[phase] = { ...phaseData, findingDecisions };
+  project.updatedAt = new Date().toISOString();
+  await storage.saveProject(project);
+  return project;
+}
+
 /**
  * Update project with partial data
  * @param {string} projectId
@@ -162,19 +297,57 @@ export async function updateProject(projectId, updates) {
   const project = await storage.getProject(projectId);
   if (!project) throw new Error('Project not found');
 
+  if (updates.workflowId !== undefined && getWorkflow(updates.workflowId).id !== getWorkflow(project.workflowId).id) {
+    if (Object.values(project.phases || {}).some(p => p?.response)) {
+      throw new Error('The workflow can only be changed before any phase has a response');
+    }
+    updates = { ...updates, workflowId: getWorkflow(updates.workflowId).id, phase: 1 };
+  }
+
   Object.assign(project, updates);
+  if (updates.linearProject !== undefined) {
+    project.linearProject = String(updates.linearProject).trim();
+  }
+  if (updates.customFields !== undefined) {
+    project.customFields = normalizeCustomFieldValues(updates.customFields);
+  }
+  if (updates.labels !== undefined) {
+    project.labels = parseLabelNames(updates.labels);
+    await ensureLabels(project.labels);
+  }
   project.updatedAt = new Date().toISOString();
   await storage.saveProject(project);
   return project;
 }
 
 /**
- * Delete a project by ID
+ * Permanently delete a project by ID (use trashProjects for a restorable delete)
  * @param {string} id
  * @returns {Promise<void>}
  */
 export async function deleteProject(id) {
   await storage.deleteProject(id);
+  await storage.deleteRevisions(id);
+}
+
+/**
+ * Get the saved revisions of a phase, newest first
+ * @param {string} projectId
+ * @param {number} phase
+ * @returns {Promise<import('./types.js').PhaseRevision[]>}
+ */
+export async function getPhaseRevisions(projectId, phase) {
+  return await storage.getRevisions(projectId, phase);
+}
+
+/**
+ * Restore a phase to an earlier revision
+ * The restore is saved as a new revision, so it can itself be undone.
+ * @param {import('./types.js').PhaseRevision} revision
+ * @returns {Promise<import('./types.js').Project>}
+ */
+export async function restoreRevision(revision) {
+  return await updatePhase(revision.projectId, revision.phase, revision.prompt, revision.response, { skipAutoAdvance: true });
 }
 
 /**
@@ -187,78 +360,389 @@ export async function exportProject(projectId) {
   if (!project) throw new Error('Project not found');
 
   const blob = new Blob([JSON.stringify(project, null, 2)], { type: 'application/json' });
-  const url = URL.createObjectURL(blob);
-  const a = document.createElement('a');
-  a.href = url;
-  a.download = `issue-ac-${sanitizeFilename(project.issueTitle || project.title)}.json`;
-  a.click();
-  URL.revokeObjectURL(url);
+  downloadBlob(blob, `issue-ac-${sanitizeFilename(project.issueTitle || project.title)}.json`);
 }
 
 /**
- * Export all projects as a backup JSON file
+ * Download projects as a backup JSON file
+ * @param {import('./types.js').Project[]} projects
+ * @param {string} filename
  * @returns {Promise<void>}
  */
-export async function exportAllProjects() {
-  const projects = await storage.getAllProjects();
-
+async function downloadBackup(projects, filename) {
   /** @type {import('./types.js').ProjectBackup} */
   const backup = {
     version: '1.0',
     exportedAt: new Date().toISOString(),
     projectCount: projects.length,
-    projects: projects
+    projects: projects,
+    labels: await getLabels(),
+    customFields: await getCustomFields()
   };
 
-  const blob = new Blob([JSON.stringify(backup, null, 2)], { type: 'application/json' });
+  downloadBlob(new Blob([JSON.stringify(backup, null, 2)], { type: 'application/json' }), filename);
+}
+
+/**
+ * Trigger a browser download
+ * @param {Blob} blob
+ * @param {string} filename
+ */
+function downloadBlob(blob, filename) {
   const url = URL.createObjectURL(blob);
   const a = document.createElement('a');
   a.href = url;
-  a.download = `ac-backup-${new Date().toISOString().split('T')[0]}.json`;
+  a.download = filename;
   a.click();
   URL.revokeObjectURL(url);
 }
 
 /**
- * Import projects from a JSON file
- * @param {File} file
- * @returns {Promise<number>} Number of projects imported
+ * Export all projects as a backup JSON file
+ * @returns {Promise<void>}
  */
-export async function importProjects(file) {
-  return new Promise((resolve, reject) => {
-    const reader = new FileReader();
-
-    reader.onload = async (e) => {
-      try {
-        const result = e.target?.result;
-        if (typeof result !== 'string') {
-          throw new Error('Failed to read file');
-        }
-        const content = JSON.parse(result);
-        let imported = 0;
-
-        if (content.version && content.projects) {
-          for (const project of content.projects) {
-            await storage.saveProject(project);
-            imported++;
-          }
-        } else if (content.id && (content.whatNeedsToBeDone || content.issueTitle)) {
-          // Validate AC-specific fields
-          await storage.saveProject(content);
-          imported = 1;
-        } else {
-          throw new Error('Invalid file format');
-        }
-
-        resolve(imported);
-      } catch (error) {
-        reject(error);
-      }
+export async function exportAllProjects() {
+  const projects = await storage.getAllProjects();
+  await downloadBackup(projects, `ac-backup-${new Date().toISOString().split('T')[0]}.json`);
+}
+
+/**
+ * Load projects by id, skipping ids that no longer exist
+ * @param {string[]} ids
+ * @returns {Promise<import('./types.js').Project[]>}
+ */
+async function getProjectsById(ids) {
+  const projects = await Promise.all(ids.map(id => storage.getProject(id)));
+  return projects.filter(Boolean);
+}
+
+/**
+ * Export selected projects as one backup JSON file
+ * The file has the same format as a full backup, so it can be imported.
+ * @param {string[]} ids
+ * @returns {Promise<number>} Number of projects exported
+ */
+export async function exportSelectedProjects(ids) {
+  const projects = await getProjectsById(ids);
+  await downloadBackup(projects, `ac-selection-${new Date().toISOString().split('T')[0]}.json`);
+  return projects.length;
+}
+
+/**
+ * Build a zip with one markdown file per project that has output
+ * @param {import('./types.js').Project[]} projects
+ * @returns {{ zip: Uint8Array, count: number, skipped: number }}
+ */
+export function buildMarkdownZip(projects) {
+  const used = new Set();
+  const files = [];
+  projects.forEach(project => {
+    const markdown = getFinalMarkdown(project);
+    if (!markdown) return;
+
+    const base = getExportFilename(project).replace(/\.md$/, '');
+    let name = `${base}.md`;
+    for (let n = 2; used.has(name); n++) {
+      name = `${base}-${n}.md`;
+    }
+    used.add(name);
+    files.push({ name, content: markdown });
+  });
+
+  return { zip: createZip(files), count: files.length, skipped: projects.length - files.length };
+}
+
+/**
+ * Export selected projects as a zip of markdown files
+ * Projects without any completed phase are skipped.
+ * @param {string[]} ids
+ * @returns {Promise<{ count: number, skipped: number }>}
+ */
+export async function exportSelectedAsMarkdownZip(ids) {
+  const { zip, count, skipped } = buildMarkdownZip(await getProjectsById(ids));
+  if (count > 0) {
+    downloadBlob(new Blob([zip], { type: 'application/zip' }), `ac-markdown-${new Date().toISOString().split('T')[0]}.zip`);
+  }
+  return { count, skipped };
+}
+
+/**
+ * Permanently delete several projects
+ * @param {string[]} ids
+ * @returns {Promise<void>}
+ */
+export async function deleteProjects(ids) {
+  for (const id of ids) {
+    await deleteProject(id);
+  }
+}
+
+/**
+ * Copy projects under new ids
+ * Phase content is copied; revision history is not.
+ * @param {string[]} ids
+ * @returns {Promise<import('./types.js').Project[]>} The copies
+ */
+export async function duplicateProjects(ids) {
+  const copies = [];
+  for (const project of await getProjectsById(ids)) {
+    const now = new Date().toISOString();
+    const copy = {
+      ...JSON.parse(JSON.stringify(project)),
+      id: crypto.randomUUID(),
+      title: `${project.title} (copy)`,
+      issueTitle: project.issueTitle ? `${project.issueTitle} (copy)` : '',
+      createdAt: now,
+      updatedAt: now
+    };
+    delete copy.archivedAt;
+    delete copy.trashedAt;
+    delete copy.forkedFrom;
+    delete copy.splitFrom;
+    delete copy.splitInto;
+    copies.push(await storage.saveProject(copy));
+  }
+  return copies;
+}
+
+/**
+ * Fork a project from one of its phases
+ * The fork gets the form data and the phase outputs up to `phase`; later
+ * phases start empty so they can be re-run with a different critique or
+ * context. Revision history stays with the parent.
+ * @param {string} projectId
+ * @param {number} phase - Last phase to copy
+ * @returns {Promise<import('./types.js').Project>} The fork
+ */
+export async function forkProject(projectId, phase) {
+  const parent = await storage.getProject(projectId);
+  if (!parent) throw new Error('Project not found');
+  if (!parent.phases?.[phase]?.response) {
+    throw new Error(`Phase ${phase} has no output to fork from`);
+  }
+
+  const now = new Date().toISOString();
+  const fork = {
+    id: crypto.randomUUID(),
+    title: `${parent.title} (fork)`,
+    issueTitle: parent.issueTitle || '',
+    whatNeedsToBeDone: parent.whatNeedsToBeDone || '',
+    relatedContext: parent.relatedContext || '',
+    outputStyle: parent.outputStyle || DEFAULT_OUTPUT_STYLE,
+    workflowId: getWorkflow(parent.workflowId).id,
+    // A fork is another draft of the same issue, not the Linear issue itself
+    linearIdentifier: '',
+    linearProject: parent.linearProject || '',
+    labels: [...(parent.labels || [])],
+    customFields: { ...(parent.customFields || {}) },
+    forkedFrom: {
+      projectId: parent.id,
+      title: parent.title,
+      phase,
+      forkedAt: now
+    },
+    phase: Math.min(phase + 1, getFinalPhase(parent)),
+    createdAt: now,
+    updatedAt: now,
+    phases: {}
+  };
+
+  getWorkflow(parent.workflowId).phases.forEach(({ number: n }) => {
+    const source = n <= phase ? parent.phases[n] || {} : {};
+    fork.phases[n] = {
+      prompt: source.prompt || '',
+      response: source.response || '',
+      completed: !!source.response,
+      ...(source.reviews ? { reviews: source.reviews.map(r => ({ ...r })) } : {}),
+      ...(source.findingDecisions ? { findingDecisions: { ...source.findingDecisions } } : {})
     };
+    fork[`phase${n}_output`] = fork.phases[n].response;
+  });
+
+  return await storage.saveProject(fork);
+}
+
+/**
+ * Get the projects a project can be compared with as forks: its parent,
+ * its own forks, and other forks of its parent
+ * @param {import('./types.js').Project} project
+ * @returns {Promise<import('./types.js').Project[]>}
+ */
+export async function getForkFamily(project) {
+  const parentId = project.forkedFrom?.projectId;
+  return (await storage.getAllProjects()).filter(p => p.id !== project.id && !p.trashedAt && (
+    p.id === parentId ||
+    p.forkedFrom?.projectId === project.id ||
+    (parentId && p.forkedFrom?.projectId === parentId)
+  ));
+}
 
-    reader.onerror = () => reject(reader.error);
-    reader.readAsText(file);
+/**
+ * Where a project currently lives
+ * Trash wins over archive, so restoring a trashed archived project puts it
+ * back in the archive.
+ * @param {import('./types.js').Project} project
+ * @returns {'active' | 'archived' | 'trashed'}
+ */
+export function getProjectState(project) {
+  if (project.trashedAt) return 'trashed';
+  if (project.archivedAt) return 'archived';
+  return 'active';
+}
+
+/**
+ * Count projects in each state
+ * @param {import('./types.js').Project[]} projects
+ * @returns {{ active: number, archived: number, trashed: number }}
+ */
+export function countProjectsByState(projects) {
+  const counts = { active: 0, archived: 0, trashed: 0 };
+  projects.forEach(project => {
+    counts[getProjectState(project)]++;
   });
+  return counts;
+}
+
+/**
+ * Set or clear a timestamp field on several projects
+ * Only the project's state changes, so updatedAt keeps its value.
+ * @param {string[]} ids
+ * @param {'archivedAt' | 'trashedAt'} field
+ * @param {boolean} value - true stamps the current time, false clears it
+ * @returns {Promise<void>}
+ */
+async function stampProjects(ids, field, value) {
+  const now = new Date().toISOString();
+  for (const project of await getProjectsById(ids)) {
+    if (value) {
+      project[field] = now;
+    } else {
+      delete project[field];
+    }
+    await storage.putProject(project);
+  }
+}
+
+/**
+ * Archive projects, hiding them from the main list
+ * @param {string[]} ids
+ * @returns {Promise<void>}
+ */
+export async function archiveProjects(ids) {
+  await stampProjects(ids, 'archivedAt', true);
+}
+
+/**
+ * Move archived projects back to the main list
+ * @param {string[]} ids
+ * @returns {Promise<void>}
+ */
+export async function unarchiveProjects(ids) {
+  await stampProjects(ids, 'archivedAt', false);
+}
+
+/**
+ * Move projects to the trash
+ * They stay restorable until purged after the retention period.
+ * @param {string[]} ids
+ * @returns {Promise<void>}
+ */
+export async function trashProjects(ids) {
+  await stampProjects(ids, 'trashedAt', true);
+}
+
+/**
+ * Take projects back out of the trash
+ * @param {string[]} ids
+ * @returns {Promise<void>}
+ */
+export async function restoreFromTrash(ids) {
+  await stampProjects(ids, 'trashedAt', false);
+}
+
+/** @type {number} */
+export const DEFAULT_TRASH_RETENTION_DAYS = 30;
+
+const TRASH_RETENTION_SETTING = 'trashRetentionDays';
+
+/**
+ * Days a trashed project is kept before it is purged
+ * @returns {Promise<number>}
+ */
+export async function getTrashRetentionDays() {
+  return (await storage.getSetting(TRASH_RETENTION_SETTING)) || DEFAULT_TRASH_RETENTION_DAYS;
+}
+
+/**
+ * Change how long trashed projects are kept
+ * @param {number} days - Whole days from 1 to 365
+ * @returns {Promise<void>}
+ */
+export async function setTrashRetentionDays(days) {
+  if (!Number.isInteger(days) || days < 1 || days > 365) {
+    throw new Error('Trash retention must be between 1 and 365 days');
+  }
+  await storage.saveSetting(TRASH_RETENTION_SETTING, days);
+}
+
+/**
+ * Date a trashed project will be purged
+ * @param {import('./types.js').Project} project
+ * @param {number} retentionDays
+ * @returns {Date}
+ */
+export function getPurgeDate(project, retentionDays) {
+  return new Date(Date.parse(project.trashedAt) + retentionDays * 24 * 60 * 60 * 1000);
+}
+
+/**
+ * Permanently delete trashed projects past the retention period
+ * @param {Date} [now]
+ * @returns {Promise<number>} Number of projects purged
+ */
+export async function purgeExpiredTrash(now = new Date()) {
+  const retentionDays = await getTrashRetentionDays();
+  const expired = (await storage.getAllProjects())
+    .filter(p => p.trashedAt && getPurgeDate(p, retentionDays) <= now);
+  await deleteProjects(expired.map(p => p.id));
+  return expired.length;
+}
+
+/**
+ * Permanently delete everything in the trash
+ * @returns {Promise<number>} Number of projects deleted
+ */
+export async function emptyTrash() {
+  const trashed = (await storage.getAllProjects()).filter(p => p.trashedAt);
+  await deleteProjects(trashed.map(p => p.id));
+  return trashed.length;
+}
+
+/**
+ * Add and remove labels on several projects
+ * @param {string[]} ids
+ * @param {{ add?: string[], remove?: string[] }} changes - Label names
+ * @returns {Promise<void>}
+ */
+export async function updateProjectLabels(ids, { add = [], remove = [] }) {
+  const removed = new Set(remove.map(name => name.toLowerCase()));
+  for (const project of await getProjectsById(ids)) {
+    const kept = (project.labels || []).filter(name => !removed.has(name.toLowerCase()));
+    project.labels = parseLabelNames([...kept, ...add]);
+    await storage.saveProject(project);
+  }
+  await ensureLabels(add);
+}
+
+/**
+ * Import projects from a JSON file, keeping local copies that are newer
+ * (use the import wizard to resolve conflicts per project)
+ * @param {File} file
+ * @returns {Promise<number>} Number of projects imported
+ */
+export async function importProjects(file) {
+  const { added, replaced } = await applyImport(await planImport(await readBackupFile(file)));
+  return added + replaced;
 }
 
 /**
@@ -274,4 +758,3 @@ function sanitizeFilename(filename) {
     .toLowerCase()
     .substring(0, 50);
 }
-
@@ -0,0 +1,223 @@
+/**
+ * Prompt Editor Modal Module
+ * Edit the prompt templates behind the workflow phases, browse their saved versions and reset
+ * them to the defaults
+ * @module prompt-editor
+ */
+
+import {
+  OUTPUT_STYLES,
+  DEFAULT_OUTPUT_STYLE,
+  PROMPT_TEMPLATES,
+  WORKFLOWS,
+  resolveTemplateId,
+  checkTemplatePlaceholders,
+  getCustomFieldVariables,
+  loadDefaultPromptTemplate
+} from './prompts.js';
+import { getPromptTemplateRecord, savePromptTemplate, resetPromptTemplate } from './prompt-templates.js';
+import { escapeHtml, showToast, confirm } from './ui.js';
+
+const SELECT_CLASS = 'px-2 py-1 border border-gray-300 dark:border-gray-600 rounded bg-white dark:bg-gray-700 text-gray-900 dark:text-white text-sm';
+
+/**
+ * Describe where a template is used, e.g. 'Phase 3 of Second opinion'
+ * @param {string} templateId
+ * @returns {string}
+ */
+function describeTemplateUse(templateId) {
+  return Object.values(WORKFLOWS)
+    .flatMap(w => w.phases.filter(p => p.template === templateId).map(p => `Phase ${p.number} of ${w.name}`))
+    .join(', ');
+}
+
+/**
+ * Render the placeholder check for the template being edited
+ * @param {string} templateId
+ * @param {string} template
+ * @returns {string} HTML string
+ */
+function renderPlaceholderCheck(templateId, template) {
+  const { missing, unknown } = checkTemplatePlaceholders(templateId, template);
+  const { required, optional } = PROMPT_TEMPLATES[templateId];
+
+  return `
+                    <div class="flex flex-wrap gap-2">
+                        ${required.map(name => `
+                        <span class="placeholder-chip px-2 py-0.5 rounded font-mono text-xs ${missing.includes(name) ? 'bg-red-100 dark:bg-red-900/30 text-red-700 dark:text-red-300' : 'bg-green-100 dark:bg-green-900/30 text-green-700 dark:text-green-300'}" data-placeholder="${name}" data-missing="${missing.includes(name)}">
+                            ${missing.includes(name) ? '✗' : '✓'} {{${name}}}
+                        </span>
+                        `).join('')}
+                        ${optional.map(name => `
+                        <span class="px-2 py-0.5 rounded font-mono text-xs bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-300" title="Optional">{{${name}}}</span>
+                        `).join('')}
+                        ${getCustomFieldVariables().map(name => `
+                        <span class="custom-field-chip px-2 py-0.5 rounded font-mono text-xs bg-purple-100 dark:bg-purple-900/30 text-purple-700 dark:text-purple-300" title="Custom field" data-placeholder="${name}">{{${name}}}</span>
+                        `).join('')}
+                    </div>
+                    ${missing.length > 0 ? `
+                    <p class="mt-2 text-xs text-red-600 dark:text-red-400">Required placeholders are missing - this phase's input would be left out of the prompt.</p>
+                    ` : ''}
+                    ${unknown.length > 0 ? `
+                    <p id="unknown-placeholders" class="mt-2 text-xs text-yellow-700 dark:text-yellow-400">
+                        Not filled in by this phase and removed from the prompt: ${unknown.map(name => `{{${escapeHtml(name)}}}`).join(', ')}
+                    </p>
+                    ` : ''}
+  `;
+}
+
+/**
+ * Show the prompt template editor
+ * @param {{ template?: string, phase?: number, outputStyle?: string }} [options] - Template to open
+ *   first, by id or by phase number of the standard workflow
+ * @returns {Promise<void>}
+ */
+export async function showPromptEditorModal({ template, phase = 1, outputStyle = DEFAULT_OUTPUT_STYLE } = {}) {
+  let current = { template: resolveTemplateId(template || phase), outputStyle };
+  /** @type {import('./types.js').PromptTemplateRecord | null} */
+  let record = null;
+  let saved = '';
+
+  const modal = document.createElement('div');
+  modal.className = 'fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4';
+  modal.innerHTML = `
+        <div class="bg-white dark:bg-gray-800 rounded-lg shadow-xl max-w-6xl w-full max-h-[90vh] flex flex-col">
+            <div class="p-4 border-b border-gray-200 dark:border-gray-700 flex flex-wrap items-center justify-between gap-3">
+                <h3 class="text-lg font-bold text-gray-900 dark:text-white">📝 Prompt Templates</h3>
+                <div class="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+                    <select id="prompt-editor-template" class="${SELECT_CLASS}" aria-label="Template">
+                        ${Object.entries(PROMPT_TEMPLATES).map(([id, t]) => `<option value="${id}"${id === current.template ? ' selected' : ''} title="${escapeHtml(describeTemplateUse(id))}">${escapeHtml(t.name)}</option>`).join('')}
+                    </select>
+                    <select id="prompt-editor-style" class="${SELECT_CLASS}" aria-label="Output style">
+                        ${Object.values(OUTPUT_STYLES).map(s => `<option value="${s.id}"${s.id === outputStyle ? ' selected' : ''}>${escapeHtml(s.label)}</option>`).join('')}
+                    </select>
+                    <span id="prompt-editor-status" class="px-2 py-0.5 rounded-full text-xs font-medium"></span>
+                </div>
+            </div>
+            <div class="p-4 overflow-y-auto flex-1 grid grid-cols-1 md:grid-cols-4 gap-4">
+                <div class="md:col-span-3 flex flex-col">
+                    <textarea id="prompt-editor-text" rows="20" spellcheck="false" class="w-full flex-1 px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg font-mono text-xs dark:bg-gray-700 dark:text-white"></textarea>
+                    <div id="prompt-editor-check" class="mt-3"></div>
+                </div>
+                <div>
+                    <p class="text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">Saved versions</p>
+                    <ul id="prompt-editor-history" class="space-y-1 text-sm"></ul>
+                </div>
+            </div>
+            <div class="p-4 border-t border-gray-200 dark:border-gray-700 flex justify-between gap-3">
+                <button id="reset-prompt-btn" class="px-4 py-2 text-red-600 dark:text-red-400 hover:underline">
+                    Reset to Default
+                </button>
+                <div class="flex gap-3">
+                    <button id="close-prompt-editor-btn" class="px-4 py-2 bg-gray-200 dark:bg-gray-700 text-gray-800 dark:text-gray-200 rounded-lg hover:bg-gray-300 dark:hover:bg-gray-600 transition-colors">
+                        Close
+                    </button>
+                    <button id="save-prompt-btn" class="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed">
+                        Save Template
+                    </button>
+                </div>
+            </div>
+        </div>
+    `;
+
+  const textarea = /** @type {HTMLTextAreaElement} */ (modal.querySelector('#prompt-editor-text'));
+  const templateSelect = /** @type {HTMLSelectElement} */ (modal.querySelector('#prompt-editor-template'));
+  const styleSelect = /** @type {HTMLSelectElement} */ (modal.querySelector('#prompt-editor-style'));
+  const saveBtn = /** @type {HTMLButtonElement} */ (modal.querySelector('#save-prompt-btn'));
+  const status = modal.querySelector('#prompt-editor-status');
+  const history = modal.querySelector('#prompt-editor-history');
+
+  function renderCheck() {
+    modal.querySelector('#prompt-editor-check').innerHTML = renderPlaceholderCheck(current.template, textarea.value);
+    saveBtn.disabled = checkTemplatePlaceholders(current.template, textarea.value).missing.length > 0 || textarea.value === saved;
+  }
+
+  function renderHistory() {
+    const revisions = record?.revisions || [];
+    history.innerHTML = revisions.length === 0
+      ? '<li class="text-gray-500 dark:text-gray-400">No saved versions yet</li>'
+      : revisions.map((revision, i) => `
+                        <li>
+                            <button type="button" class="prompt-revision-item w-full text-left px-2 py-1 rounded hover:bg-gray-100 dark:hover:bg-gray-700 text-gray-800 dark:text-gray-200" data-index="${i}">
+                                ${new Date(revision.savedAt).toLocaleString()}${revision.template === record.template ? ' · in use' : ''}
+                            </button>
+                        </li>
+      `).join('');
+
+    history.querySelectorAll('.prompt-revision-item').forEach(btn => {
+      btn.addEventListener('click', () => {
+        textarea.value = revisions[Number(btn.dataset.index)].template;
+        renderCheck();
+      });
+    });
+  }
+
+  /** Load the selected template for the selected output style */
+  async function load() {
+    record = await getPromptTemplateRecord(current.template, current.outputStyle);
+    saved = record?.template || await loadDefaultPromptTemplate(current.template, current.outputStyle);
+    textarea.value = saved;
+
+    const custom = !!record?.template;
+    status.textContent = custom ? 'Custom' : 'Default';
+    status.className = `px-2 py-0.5 rounded-full text-xs font-medium ${custom ? 'bg-blue-100 dark:bg-blue-900/30 text-blue-700 dark:text-blue-300' : 'bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-300'}`;
+    modal.querySelector('#reset-prompt-btn').classList.toggle('hidden', !custom);
+    renderCheck();
+    renderHistory();
+  }
+
+  /** Whether switching away should be confirmed */
+  async function canDiscardEdits() {
+    return textarea.value === saved || await confirm('Discard your unsaved changes to this template?', 'Unsaved Changes');
+  }
+
+  const closeModal = async () => {
+    if (!await canDiscardEdits()) return;
+    modal.remove();
+    document.removeEventListener('keydown', handleEscape);
+  };
+  // Ignore Escape while a confirm dialog is open on top of the editor
+  const handleEscape = (e) => {
+    if (e.key === 'Escape' && document.body.lastElementChild === modal) closeModal();
+  };
+
+  const switchTemplate = async () => {
+    if (!await canDiscardEdits()) {
+      templateSelect.value = current.template;
+      styleSelect.value = current.outputStyle;
+      return;
+    }
+    current = { template: templateSelect.value, outputStyle: styleSelect.value };
+    await load();
+  };
+  templateSelect.addEventListener('change', switchTemplate);
+  styleSelect.addEventListener('change', switchTemplate);
+
+  textarea.addEventListener('input', renderCheck);
+
+  saveBtn.addEventListener('click', async () => {
+    try {
+      await savePromptTemplate(current.template, current.outputStyle, textarea.value);
+      showToast(`${PROMPT_TEMPLATES[current.template].name} template saved`, 'success');
+      await load();
+    } catch (error) {
+      showToast(error.message, 'error');
+    }
+  });
+
+  modal.querySelector('#reset-prompt-btn').addEventListener('click', async () => {
+    if (!await confirm('Go back to the default version of this template? Your saved versions stay in the history.', 'Reset to Default')) return;
+    await resetPromptTemplate(current.template, current.outputStyle);
+    showToast(`${PROMPT_TEMPLATES[current.template].name} template reset to the default`, 'success');
+    await load();
+  });
+
+  modal.querySelector('#close-prompt-editor-btn').addEventListener('click', closeModal);
+
+  document.body.appendChild(modal);
+  modal.addEventListener('click', (e) => {
+    if (e.target === modal) closeModal();
+  });
+  document.addEventListener('keydown', handleEscape);
+  await load();
+}
@@ -0,0 +1,80 @@
+/**
+ * Prompt Templates Module
+ * Custom phase templates stored in the IndexedDB `prompts` store
+ * @module prompt-templates
+ *
+ * A custom template overrides the default markdown file for one template
+ * (see PROMPT_TEMPLATES) and output style. Every save is kept as a revision, and resetting goes back to
+ * the default without losing that history.
+ */
+
+import storage from './storage.js';
+import { getTemplateKey, setCustomTemplate, checkTemplatePlaceholders } from './prompts.js';
+
+/** Saved versions kept per template */
+export const MAX_TEMPLATE_REVISIONS = 20;
+
+/**
+ * Apply every stored custom template so prompt generation picks them up
+ * Call once after storage.init().
+ * @returns {Promise<number>} Number of custom templates in use
+ */
+export async function loadCustomPromptTemplates() {
+  const records = await storage.getAllPromptTemplates();
+  records.forEach(record => setCustomTemplate(record.phase, record.template));
+  return records.filter(record => record.template).length;
+}
+
+/**
+ * Get the stored record for a prompt template
+ * @param {string | number} templateId - Template id, or a phase number of the standard workflow
+ * @param {string} [outputStyle]
+ * @returns {Promise<import('./types.js').PromptTemplateRecord | null>} null if never customised
+ */
+export async function getPromptTemplateRecord(templateId, outputStyle) {
+  return (await storage.getPromptTemplate(getTemplateKey(templateId, outputStyle))) || null;
+}
+
+/**
+ * Save a custom version of a prompt template
+ * @param {string | number} templateId - Template id, or a phase number of the standard workflow
+ * @param {string} outputStyle
+ * @param {string} template
+ * @returns {Promise<import('./types.js').PromptTemplateRecord>}
+ */
+export async function savePromptTemplate(templateId, outputStyle, template) {
+  if (!template.trim()) throw new Error('Template cannot be empty');
+  const { missing } = checkTemplatePlaceholders(templateId, template);
+  if (missing.length > 0) {
+    throw new Error(`Template is missing required placeholders: ${missing.map(name => `{{${name}}}`).join(', ')}`);
+  }
+
+  const key = getTemplateKey(templateId, outputStyle);
+  const existing = await storage.getPromptTemplate(key);
+  const now = new Date().toISOString();
+  const record = {
+    phase: key,
+    template,
+    revisions: [{ template, savedAt: now }, ...(existing?.revisions || [])].slice(0, MAX_TEMPLATE_REVISIONS),
+    updatedAt: now
+  };
+
+  await storage.savePromptTemplate(record);
+  setCustomTemplate(key, template);
+  return record;
+}
+
+/**
+ * Go back to the default version of a prompt template, keeping the revision history
+ * @param {string | number} templateId - Template id, or a phase number of the standard workflow
+ * @param {string} outputStyle
+ * @returns {Promise<void>}
+ */
+export async function resetPromptTemplate(templateId, outputStyle) {
+  const key = getTemplateKey(templateId, outputStyle);
+  const existing = await storage.getPromptTemplate(key);
+  if (existing) {
+    await storage.savePromptTemplate({ ...existing, template: null, updatedAt: new Date().toISOString() });
+  }
+  setCustomTemplate(key, null);
+}
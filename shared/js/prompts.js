@@ -3,44 +3,306 @@
  * @module prompts
  *
  * Manages workflow configuration and prompt generation for acceptance criteria.
- * Prompts are stored in prompts/ directory as markdown files.
+ * Default prompts are stored in prompts/ directory as markdown files; templates
+ * customised in the prompt editor override them (see prompt-templates.js).
  *
  * Domain: Linear.app-native acceptance criteria for software engineering issues
  */
 
-export const WORKFLOW_CONFIG = {
-  phaseCount: 3,
-  phases: [
-    {
-      number: 1,
-      name: 'Draft AC',
-      icon: '📝',
-      aiModel: 'Claude',
-      aiUrl: 'https://claude.ai/new',
-      description: 'Generate initial acceptance criteria from issue description'
-    },
+/** Phases reused by several workflows */
+const DRAFT_PHASE = {
+  name: 'Draft AC',
+  icon: '📝',
+  color: 'blue',
+  aiModel: 'Claude',
+  aiUrl: 'https://claude.ai/new',
+  description: 'Generate initial acceptance criteria from issue description',
+  template: 'phase1',
+  inputs: {}
+};
+
+const REVIEW_PHASE = {
+  name: 'Adversarial Review',
+  icon: '🔍',
+  color: 'green',
+  aiModel: 'Gemini',
+  aiUrl: 'https://gemini.google.com/app',
+  description: 'Review for testability, scope, and anti-patterns',
+  template: 'phase2',
+  inputs: { PHASE1_OUTPUT: [1] },
+  multiReview: true,
+  reviewFindings: true
+};
+
+const FINAL_PHASE = {
+  name: 'Final AC',
+  icon: '✅',
+  color: 'purple',
+  aiModel: 'Claude',
+  aiUrl: 'https://claude.ai/new',
+  description: 'Synthesize into paste-ready Linear markdown',
+  template: 'phase3',
+  inputs: { PHASE1_OUTPUT: [1], PHASE2_OUTPUT: [2] }
+};
+
+/**
+ * Build a workflow definition, numbering its phases in order
+ * @param {string} id
+ * @param {string} name
+ * @param {string} description
+ * @param {Omit<import('./types.js').PhaseConfig, 'number'>[]} phases
+ * @returns {import('./types.js').WorkflowDefinition}
+ */
+function defineWorkflow(id, name, description, phases) {
+  return {
+    id,
+    name,
+    description,
+    phaseCount: phases.length,
+    phases: phases.map((phase, i) => ({ ...phase, number: i + 1 }))
+  };
+}
+
+/**
+ * Workflows a project can follow. The last phase of every workflow produces
+ * the final acceptance criteria; a phase's `inputs` map each template
+ * variable to the earlier phases whose responses fill it in.
+ */
+export const WORKFLOWS = {
+  standard: defineWorkflow('standard', 'Standard', 'Draft, adversarial review, final AC', [
+    DRAFT_PHASE,
+    REVIEW_PHASE,
+    FINAL_PHASE
+  ]),
+  'second-opinion': defineWorkflow('second-opinion', 'Second opinion', 'A second adversarial pass by a different model before the final AC', [
+    DRAFT_PHASE,
+    REVIEW_PHASE,
     {
-      number: 2,
-      name: 'Adversarial Review',
-      icon: '🔍',
-      aiModel: 'Gemini',
-      aiUrl: 'https://gemini.google.com/app',
-      description: 'Review for testability, scope, and anti-patterns'
+      name: 'Second Review',
+      icon: '🔎',
+      color: 'orange',
+      aiModel: 'ChatGPT',
+      aiUrl: 'https://chatgpt.com/',
+      description: 'Audit the first review and catch what both missed',
+      template: 'second-review',
+      inputs: { PHASE1_OUTPUT: [1], PHASE2_OUTPUT: [2] }
     },
+    { ...FINAL_PHASE, inputs: { PHASE1_OUTPUT: [1], PHASE2_OUTPUT: [2, 3] } }
+  ]),
+  'qa-review': defineWorkflow('qa-review', 'QA review', 'A QA engineer checks the reviewed draft can be tested before the final AC', [
+    DRAFT_PHASE,
+    REVIEW_PHASE,
     {
-      number: 3,
-      name: 'Final AC',
-      icon: '✅',
+      name: 'QA Review',
+      icon: '🧪',
+      color: 'teal',
       aiModel: 'Claude',
       aiUrl: 'https://claude.ai/new',
-      description: 'Synthesize into paste-ready Linear markdown'
-    }
-  ]
+      description: 'Plan the tests and flag criteria that cannot be verified',
+      template: 'qa-review',
+      inputs: { PHASE1_OUTPUT: [1], PHASE2_OUTPUT: [2] }
+    },
+    { ...FINAL_PHASE, inputs: { PHASE1_OUTPUT: [1], PHASE2_OUTPUT: [2, 3] } }
+  ])
 };
 
-// Cache for loaded prompt templates
+export const DEFAULT_WORKFLOW = 'standard';
+
+/** The default workflow, kept under its original name for existing callers */
+export const WORKFLOW_CONFIG = WORKFLOWS[DEFAULT_WORKFLOW];
+
+/**
+ * Resolve a workflow id, falling back to the default for unknown values
+ * @param {string} [workflowId]
+ * @returns {import('./types.js').WorkflowDefinition}
+ */
+export function getWorkflow(workflowId) {
+  return WORKFLOWS[workflowId] || WORKFLOWS[DEFAULT_WORKFLOW];
+}
+
+/**
+ * The workflow a project follows
+ * @param {{ workflowId?: string } | null | undefined} project
+ * @returns {import('./types.js').WorkflowDefinition}
+ */
+export function getProjectWorkflow(project) {
+  return getWorkflow(project?.workflowId);
+}
+
+/**
+ * Number of the phase that produces a project's final acceptance criteria
+ * @param {{ workflowId?: string } | null | undefined} project
+ * @returns {number}
+ */
+export function getFinalPhase(project) {
+  return getProjectWorkflow(project).phaseCount;
+}
+
+/**
+ * The final acceptance criteria of a project, or '' if not written yet
+ * Reads nested `phases` first, then the flat `phaseN_output`.
+ * @param {import('./types.js').Project} project
+ * @returns {string}
+ */
+export function getFinalResponse(project) {
+  const n = getFinalPhase(project);
+  return project.phases?.[n]?.response || project[`phase${n}_output`] || '';
+}
+
+/** Most phases in any workflow */
+export const MAX_PHASE_COUNT = Math.max(...Object.values(WORKFLOWS).map(w => w.phaseCount));
+
+/**
+ * Output styles for the final acceptance criteria.
+ * Each style has its own set of phase templates (phaseN{templateSuffix}.md).
+ */
+export const OUTPUT_STYLES = {
+  linear: {
+    id: 'linear',
+    label: 'Linear checklist',
+    description: 'Plain-language "- [ ]" checklist items',
+    templateSuffix: ''
+  },
+  gherkin: {
+    id: 'gherkin',
+    label: 'Gherkin scenarios',
+    description: 'Cucumber-ready Scenario / Given / When / Then',
+    templateSuffix: '-gherkin'
+  }
+};
+
+export const DEFAULT_OUTPUT_STYLE = 'linear';
+
+/**
+ * Resolve an output style id, falling back to the default for unknown values
+ * @param {string} [outputStyle] - Output style id
+ * @returns {Object} Output style definition
+ */
+export function getOutputStyle(outputStyle) {
+  return OUTPUT_STYLES[outputStyle] || OUTPUT_STYLES[DEFAULT_OUTPUT_STYLE];
+}
+
+/**
+ * Prompt templates and the variables each one uses. Required ones carry the
+ * phase's input; a template without them would silently drop that input.
+ * Issue fields are filled in for every phase.
+ */
+export const PROMPT_TEMPLATES = {
+  phase1: {
+    name: 'Draft AC',
+    required: ['ISSUE_TITLE', 'WHAT_NEEDS_TO_BE_DONE', 'RELATED_CONTEXT'],
+    optional: []
+  },
+  phase2: {
+    name: 'Adversarial Review',
+    required: ['PHASE1_OUTPUT'],
+    optional: ['ISSUE_TITLE', 'WHAT_NEEDS_TO_BE_DONE', 'RELATED_CONTEXT']
+  },
+  'second-review': {
+    name: 'Second Review',
+    required: ['PHASE1_OUTPUT', 'PHASE2_OUTPUT'],
+    optional: ['ISSUE_TITLE', 'WHAT_NEEDS_TO_BE_DONE', 'RELATED_CONTEXT']
+  },
+  'qa-review': {
+    name: 'QA Review',
+    required: ['PHASE1_OUTPUT', 'PHASE2_OUTPUT'],
+    optional: ['ISSUE_TITLE', 'WHAT_NEEDS_TO_BE_DONE', 'RELATED_CONTEXT']
+  },
+  phase3: {
+    name: 'Final AC',
+    required: ['PHASE1_OUTPUT', 'PHASE2_OUTPUT'],
+    optional: ['ISSUE_TITLE', 'WHAT_NEEDS_TO_BE_DONE', 'RELATED_CONTEXT']
+  }
+};
+
+/**
+ * Resolve a template id; a number is shorthand for that phase of the
+ * standard workflow (2 -> 'phase2')
+ * @param {string | number} template
+ * @returns {string}
+ */
+export function resolveTemplateId(template) {
+  return typeof template === 'number' ? `phase${template}` : template;
+}
+
+// Cache for loaded prompt templates, keyed by template filename
 const promptCache = {};
 
+// Custom templates from the prompt editor, keyed by template key
+const customTemplates = {};
+
+// Variable names of the user-defined form fields, filled in by every phase
+let customFieldVariables = [];
+
+/**
+ * Key identifying a template for an output style, e.g. 'phase2-gherkin'
+ * @param {string | number} template - Template id from PROMPT_TEMPLATES
+ * @param {string} [outputStyle] - Output style id
+ * @returns {string}
+ */
+export function getTemplateKey(template, outputStyle = DEFAULT_OUTPUT_STYLE) {
+  return `${resolveTemplateId(template)}${getOutputStyle(outputStyle).templateSuffix}`;
+}
+
+/**
+ * Use a custom template in place of the default, or go back to the default
+ * @param {string} key - Template key from getTemplateKey()
+ * @param {string | null} template - Custom template, or null for the default
+ */
+export function setCustomTemplate(key, template) {
+  if (template) {
+    customTemplates[key] = template;
+  } else {
+    delete customTemplates[key];
+  }
+}
+
+/**
+ * Set the variable names of the user-defined form fields
+ * @param {string[]} names - e.g. ['PLATFORM', 'COMPLIANCE_TIER']
+ */
+export function setCustomFieldVariables(names) {
+  customFieldVariables = [...names];
+}
+
+/**
+ * Variable names of the user-defined form fields
+ * @returns {string[]}
+ */
+export function getCustomFieldVariables() {
+  return [...customFieldVariables];
+}
+
+/**
+ * Check a template against the variables it is filled in with
+ * Custom field variables are optional in every template.
+ * @param {string | number} templateId - Template id from PROMPT_TEMPLATES
+ * @param {string} template - Template text
+ * @returns {{ missing: string[], unknown: string[] }} Required variables not
+ *   used, and variables never filled in (they would be removed)
+ */
+export function checkTemplatePlaceholders(templateId, template) {
+  const { required, optional } = PROMPT_TEMPLATES[resolveTemplateId(templateId)];
+  const known = new Set([...required, ...optional, ...customFieldVariables]);
+  const used = new Set((template.match(/\{\{[A-Z0-9_]+\}\}/g) || []).map(p => p.slice(2, -2)));
+  return {
+    missing: required.filter(name => !used.has(name)),
+    unknown: [...used].filter(name => !known.has(name))
+  };
+}
+
+/**
+ * Template variables for the project's custom field values
+ * Fields without a value still get a variable, so templates show
+ * '[Not provided]' rather than losing the placeholder.
+ * @param {Object} formData - Form data from project
+ * @returns {Object<string, string>}
+ */
+function getCustomFieldVars(formData) {
+  const values = formData.customFields || {};
+  return Object.fromEntries(customFieldVariables.map(name => [name, values[name] || '']));
+}
+
 /**
  * Detect base path for shared assets based on current location
  * Works from both root (/) and assistant/ subdirectory
@@ -56,39 +318,53 @@ function getSharedBasePath() {
 }
 
 /**
- * Load prompt template from markdown file
- * @param {number} phaseNumber - Phase number (1, 2, or 3)
+ * Load the default prompt template from its markdown file
+ * @param {string | number} templateId - Template id from PROMPT_TEMPLATES
+ * @param {string} [outputStyle] - Output style id (selects the template set)
  * @returns {Promise<string>} Prompt template
  */
-async function loadPromptTemplate(phaseNumber) {
-  if (promptCache[phaseNumber]) {
-    return promptCache[phaseNumber];
+export async function loadDefaultPromptTemplate(templateId, outputStyle = DEFAULT_OUTPUT_STYLE) {
+  const filename = `${getTemplateKey(templateId, outputStyle)}.md`;
+  if (promptCache[filename]) {
+    return promptCache[filename];
   }
 
   try {
     const basePath = getSharedBasePath();
-    const response = await fetch(`${basePath}prompts/phase${phaseNumber}.md`);
+    const response = await fetch(`${basePath}prompts/${filename}`);
     if (!response.ok) {
-      throw new Error(`Failed to load prompt template for phase ${phaseNumber}`);
+      throw new Error(`Failed to load prompt template ${filename}`);
     }
     const template = await response.text();
-    promptCache[phaseNumber] = template;
+    promptCache[filename] = template;
     return template;
   } catch (error) {
-    console.error(`Error loading prompt template for phase ${phaseNumber}:`, error);
+    console.error(`Error loading prompt template ${filename}:`, error);
     throw error;
   }
 }
 
+/**
+ * Load a prompt template: the custom one if set, else the default
+ * @param {string | number} templateId - Template id from PROMPT_TEMPLATES
+ * @param {string} [outputStyle] - Output style id (selects the template set)
+ * @returns {Promise<string>} Prompt template
+ */
+async function loadPromptTemplate(templateId, outputStyle = DEFAULT_OUTPUT_STYLE) {
+  return customTemplates[getTemplateKey(templateId, outputStyle)] ?? loadDefaultPromptTemplate(templateId, outputStyle);
+}
+
 /**
  * Preload all prompt templates to avoid network delay on first click.
  * This ensures clipboard operations happen within Safari's transient activation window.
  * Call this when the app initializes or when entering a project view.
+ * @param {string} [outputStyle] - Output style id of the project being viewed
+ * @param {string} [workflowId] - Workflow of the project being viewed
  * @returns {Promise<void>}
  */
-export async function preloadPromptTemplates() {
-  const phases = Array.from({ length: WORKFLOW_CONFIG.phaseCount }, (_, i) => i + 1);
-  await Promise.all(phases.map(phase => loadPromptTemplate(phase)));
+export async function preloadPromptTemplates(outputStyle = DEFAULT_OUTPUT_STYLE, workflowId = DEFAULT_WORKFLOW) {
+  const templates = new Set(getWorkflow(workflowId).phases.map(phase => phase.template));
+  await Promise.all([...templates].map(template => loadPromptTemplate(template, outputStyle)));
 }
 
 /**
@@ -116,21 +392,62 @@ export function replaceTemplateVars(template, vars) {
   return result;
 }
 
+/**
+ * Fill a template with the issue fields, custom fields and phase inputs
+ * @param {string} templateId - Template id from PROMPT_TEMPLATES
+ * @param {Object} formData - Form data from project
+ * @param {Object<string, string>} inputs - Phase output variables
+ * @returns {Promise<string>} Generated prompt
+ */
+async function fillTemplate(templateId, formData, inputs) {
+  const template = await loadPromptTemplate(templateId, formData.outputStyle);
+  return replaceTemplateVars(template, {
+    ISSUE_TITLE: formData.issueTitle || formData.title || '',
+    WHAT_NEEDS_TO_BE_DONE: formData.whatNeedsToBeDone || '',
+    RELATED_CONTEXT: formData.relatedContext || '',
+    ...inputs,
+    ...getCustomFieldVars(formData)
+  });
+}
+
+/**
+ * Generate the prompt for a phase of the project's workflow
+ *
+ * Each variable in the phase's `inputs` is filled with the responses of the
+ * phases it lists; several responses are joined under their phase names.
+ *
+ * @param {Object} formData - Form data from project, including workflowId
+ * @param {number} phaseNumber - Phase number in the workflow
+ * @param {Object<number, string>} outputs - Responses by phase number
+ * @returns {Promise<string>} Generated prompt
+ */
+export async function generatePhasePrompt(formData, phaseNumber, outputs) {
+  const workflow = getWorkflow(formData.workflowId);
+  const phase = workflow.phases[phaseNumber - 1];
+  if (!phase) throw new Error(`Invalid phase: ${phaseNumber}`);
+
+  const outputOf = n => outputs[n] || `[Phase ${n} output not yet generated]`;
+  const inputs = Object.fromEntries(Object.entries(phase.inputs).map(([name, sources]) => [
+    name,
+    sources.length === 1
+      ? outputOf(sources[0])
+      : sources.map(n => `### ${workflow.phases[n - 1].name}\n\n${outputOf(n)}`).join('\n\n---\n\n')
+  ]));
+  return fillTemplate(phase.template, formData, inputs);
+}
+
 /**
  * Phase 1 Prompt: Draft Acceptance Criteria
  *
  * Maps form fields to template variables in prompts/phase1.md
+ * (or phase1-gherkin.md when formData.outputStyle is 'gherkin'), plus one
+ * variable per custom field
  *
  * @param {Object} formData - Form data from project
  * @returns {Promise<string>} Generated prompt
  */
 export async function generatePhase1Prompt(formData) {
-  const template = await loadPromptTemplate(1);
-  return replaceTemplateVars(template, {
-    ISSUE_TITLE: formData.issueTitle || formData.title || '',
-    WHAT_NEEDS_TO_BE_DONE: formData.whatNeedsToBeDone || '',
-    RELATED_CONTEXT: formData.relatedContext || ''
-  });
+  return fillTemplate('phase1', formData, {});
 }
 
 /**
@@ -141,11 +458,7 @@ export async function generatePhase1Prompt(formData) {
  * @returns {Promise<string>} Generated prompt
  */
 export async function generatePhase2Prompt(formData, phase1Output) {
-  const template = await loadPromptTemplate(2);
-  return replaceTemplateVars(template, {
-    ISSUE_TITLE: formData.issueTitle || formData.title || '',
-    PHASE1_OUTPUT: phase1Output
-  });
+  return fillTemplate('phase2', formData, { PHASE1_OUTPUT: phase1Output });
 }
 
 /**
@@ -157,20 +470,15 @@ export async function generatePhase2Prompt(formData, phase1Output) {
  * @returns {Promise<string>} Generated prompt
  */
 export async function generatePhase3Prompt(formData, phase1Output, phase2Output) {
-  const template = await loadPromptTemplate(3);
-  return replaceTemplateVars(template, {
-    ISSUE_TITLE: formData.issueTitle || formData.title || '',
-    PHASE1_OUTPUT: phase1Output,
-    PHASE2_OUTPUT: phase2Output
-  });
+  return fillTemplate('phase3', formData, { PHASE1_OUTPUT: phase1Output, PHASE2_OUTPUT: phase2Output });
 }
 
 /**
  * Get phase metadata
  * @param {number} phaseNumber - Phase number
- * @returns {Object|undefined} Phase metadata
+ * @param {string} [workflowId] - Workflow the phase belongs to (default workflow if omitted)
+ * @returns {import('./types.js').PhaseConfig | undefined} Phase metadata
  */
-export function getPhaseMetadata(phaseNumber) {
-  return WORKFLOW_CONFIG.phases.find(p => p.number === phaseNumber);
+export function getPhaseMetadata(phaseNumber, workflowId) {
+  return getWorkflow(workflowId).phases.find(p => p.number === phaseNumber);
 }
-
@@ -0,0 +1,128 @@
+/**
+ * Provider Settings Module
+ * Modal for configuring the per-phase OpenAI-compatible provider
+ * @module provider-settings
+ */
+
+import { getProviderSlots, getProviderConfigs, saveProviderConfigs } from './llm-provider.js';
+import { escapeHtml, showToast } from './ui.js';
+
+const INPUT_CLASS = 'w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent dark:bg-gray-700 dark:text-white text-sm';
+
+/**
+ * Render the fieldset for one phase template
+ * Settings are per template, so e.g. the Final AC phase is set up once for
+ * every workflow and a second review keeps its own model.
+ * @param {{ template: string, phases: import('./types.js').PhaseConfig[] }} slot
+ * @param {import('./llm-provider.js').ProviderConfig} config
+ * @returns {string} HTML string
+ */
+function renderPhaseFieldset(slot, config) {
+  const n = slot.template;
+  const [phase] = slot.phases;
+  const numbers = [...new Set(slot.phases.map(p => p.number))].join(' / ');
+  return `
+            <fieldset class="p-4 border border-gray-200 dark:border-gray-700 rounded-lg">
+                <legend class="px-1 text-sm font-semibold text-gray-900 dark:text-white">${phase.icon} Phase ${numbers}: ${escapeHtml(phase.name)} <span class="font-normal text-gray-500 dark:text-gray-400">(${escapeHtml(phase.aiModel)})</span></legend>
+                <label class="flex items-center gap-2 mb-3 text-sm text-gray-700 dark:text-gray-300">
+                    <input type="checkbox" name="enabled-${n}" ${config.enabled ? 'checked' : ''}>
+                    Run this phase in-app
+                </label>
+                <div class="grid grid-cols-1 md:grid-cols-3 gap-3">
+                    <label class="block text-xs text-gray-600 dark:text-gray-400">
+                        Base URL
+                        <input type="url" name="baseUrl-${n}" value="${escapeHtml(config.baseUrl)}" placeholder="http://localhost:11434/v1" class="${INPUT_CLASS}">
+                    </label>
+                    <label class="block text-xs text-gray-600 dark:text-gray-400">
+                        Model
+                        <input type="text" name="model-${n}" value="${escapeHtml(config.model)}" placeholder="llama3.1" class="${INPUT_CLASS}">
+                    </label>
+                    <label class="block text-xs text-gray-600 dark:text-gray-400">
+                        API key <span class="text-gray-400">(optional)</span>
+                        <input type="password" name="apiKey-${n}" value="${escapeHtml(config.apiKey)}" autocomplete="off" class="${INPUT_CLASS}">
+                    </label>
+                </div>
+            </fieldset>
+  `;
+}
+
+/**
+ * Show the provider settings modal
+ * @param {Function} [onSaved] - Called after settings are saved
+ * @returns {Promise<void>}
+ */
+export async function showProviderSettingsModal(onSaved = null) {
+  const configs = await getProviderConfigs();
+
+  const modal = document.createElement('div');
+  modal.className = 'fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50';
+  modal.innerHTML = `
+        <form class="bg-white dark:bg-gray-800 rounded-lg p-6 max-w-3xl w-full mx-4 max-h-[90vh] overflow-y-auto space-y-4" novalidate>
+            <div class="flex justify-between items-center">
+                <h3 class="text-lg font-semibold text-gray-900 dark:text-white">AI Provider Settings</h3>
+                <button type="button" class="provider-close text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200 text-2xl leading-none">&times;</button>
+            </div>
+            <p class="text-sm text-gray-600 dark:text-gray-400">
+                Phases use copy-paste unless enabled here. Any OpenAI-compatible chat endpoint works,
+                including a local Ollama or llama.cpp server. Keys are stored only in this browser.
+            </p>
+            ${getProviderSlots().map(slot => renderPhaseFieldset(slot, configs[slot.template])).join('')}
+            <div class="flex justify-end gap-2">
+                <button type="button" class="provider-close px-4 py-2 bg-gray-200 dark:bg-gray-700 text-gray-800 dark:text-gray-200 rounded-lg hover:bg-gray-300 dark:hover:bg-gray-600 transition-colors">
+                    Cancel
+                </button>
+                <button type="submit" class="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors">
+                    Save Settings
+                </button>
+            </div>
+        </form>
+    `;
+
+  document.body.appendChild(modal);
+
+  const handleEscape = (e) => {
+    if (e.key === 'Escape') {
+      closeModal();
+    }
+  };
+
+  const closeModal = () => {
+    if (document.body.contains(modal)) {
+      document.body.removeChild(modal);
+    }
+    document.removeEventListener('keydown', handleEscape);
+  };
+
+  modal.querySelectorAll('.provider-close').forEach(btn => btn.addEventListener('click', closeModal));
+  modal.addEventListener('click', (e) => {
+    if (e.target === modal) {
+      closeModal();
+    }
+  });
+  document.addEventListener('keydown', handleEscape);
+
+  const form = modal.querySelector('form');
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const updated = {};
+    for (const { template: n, phases: [phase] } of getProviderSlots()) {
+      updated[n] = {
+        enabled: form.elements[`enabled-${n}`].checked,
+        baseUrl: form.elements[`baseUrl-${n}`].value,
+        model: form.elements[`model-${n}`].value,
+        apiKey: form.elements[`apiKey-${n}`].value
+      };
+      if (updated[n].enabled && (!updated[n].baseUrl.trim() || !updated[n].model.trim())) {
+        showToast(`${phase.name} needs a base URL and model to run in-app`, 'warning');
+        return;
+      }
+    }
+
+    await saveProviderConfigs(updated);
+    closeModal();
+    showToast('AI provider settings saved', 'success');
+    if (onSaved) {
+      onSaved();
+    }
+  });
+}
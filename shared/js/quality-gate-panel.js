@@ -0,0 +1,149 @@
+/**
+ * Quality Gate Panel Module
+ * Renders the final phase refinement loop controls and round history
+ * @module quality-gate-panel
+ */
+
+import {
+  getQualityGateSettings,
+  saveQualityGateSettings,
+  getGateStatus,
+  buildRefinementPrompt,
+  recordRefinement,
+  runRefinementLoop
+} from './quality-gate.js';
+import { getPhaseProviderConfig, isProviderReady } from './llm-provider.js';
+import { getFinalPhase } from './prompts.js';
+import { showToast, copyToClipboard } from './ui.js';
+
+const INPUT_CLASS = 'w-16 px-2 py-1 border border-gray-300 dark:border-gray-600 rounded dark:bg-gray-700 dark:text-white text-sm';
+
+/**
+ * Render the round history as a score trail
+ * @param {import('./quality-gate.js').RefinementRound[]} rounds
+ * @returns {string} HTML string
+ */
+function renderHistory(rounds) {
+  if (rounds.length === 0) return '';
+
+  return `
+                <ol class="mt-3 space-y-1 text-xs text-gray-600 dark:text-gray-400">
+                    ${rounds.map(r => `
+                        <li>
+                            Round ${r.round}: ${r.previousScore} → <span class="font-semibold ${r.score > r.previousScore ? 'text-green-600 dark:text-green-400' : 'text-red-600 dark:text-red-400'}">${r.score}</span>
+                            · ${r.accepted ? 'kept' : 'discarded (score did not improve)'} · ${r.source === 'provider' ? 'in-app' : 'pasted'}
+                        </li>
+                    `).join('')}
+                </ol>
+  `;
+}
+
+/**
+ * Render the panel body
+ * @param {import('./types.js').Project} project
+ * @param {import('./quality-gate.js').QualityGateSettings} settings
+ * @param {boolean} providerReady
+ * @returns {string} HTML string
+ */
+function renderPanel(project, settings, providerReady) {
+  const status = getGateStatus(project, settings);
+  let statusLine = '';
+  if (settings.enabled) {
+    statusLine = status.belowTarget
+      ? `Score ${status.score} is below the target of ${settings.targetScore}. ${status.roundsUsed} of ${settings.maxRounds} rounds used.`
+      : `Score ${status.score} meets the target of ${settings.targetScore}.`;
+  }
+
+  return `
+            <div class="mt-4 p-4 bg-white dark:bg-gray-800 rounded-lg border border-gray-200 dark:border-gray-700">
+                <div class="flex items-center justify-between flex-wrap gap-2">
+                    <h5 class="font-semibold text-gray-900 dark:text-white">🎯 Quality Gate</h5>
+                    <div class="flex items-center gap-3 text-sm text-gray-700 dark:text-gray-300">
+                        <label class="flex items-center gap-1"><input type="checkbox" id="gate-enabled" ${settings.enabled ? 'checked' : ''}> Enabled</label>
+                        <label class="flex items-center gap-1">Target <input type="number" id="gate-target" min="0" max="100" value="${settings.targetScore}" class="${INPUT_CLASS}"></label>
+                        <label class="flex items-center gap-1">Rounds <input type="number" id="gate-rounds" min="1" max="10" value="${settings.maxRounds}" class="${INPUT_CLASS}"></label>
+                    </div>
+                </div>
+                ${statusLine ? `<p class="mt-2 text-sm text-gray-600 dark:text-gray-400">${statusLine}</p>` : ''}
+                ${status.canRefine ? `
+                <div class="mt-3 flex gap-2 flex-wrap">
+                    ${providerReady ? `
+                    <button id="gate-auto-btn" class="px-4 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition-colors text-sm">⚡ Auto-refine</button>
+                    ` : ''}
+                    <button id="gate-copy-btn" class="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors text-sm">📋 Copy Fix-up Prompt</button>
+                </div>
+                <textarea id="gate-response" rows="6" class="mt-3 w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg dark:bg-gray-700 dark:text-white font-mono text-xs" placeholder="Paste the rewritten acceptance criteria here..."></textarea>
+                <div class="mt-2 flex justify-end">
+                    <button id="gate-apply-btn" class="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 transition-colors text-sm">Apply Rewrite</button>
+                </div>
+                ` : ''}
+                ${renderHistory(project.refinements || [])}
+            </div>
+  `;
+}
+
+/**
+ * Fill the #quality-gate-panel placeholder and wire its controls
+ * @param {import('./types.js').Project} project
+ * @param {Function} onChange - Called after the final phase output may have changed
+ * @returns {Promise<void>}
+ */
+export async function attachQualityGatePanel(project, onChange) {
+  const container = document.getElementById('quality-gate-panel');
+  if (!container) return;
+
+  const settings = await getQualityGateSettings();
+  const providerReady = isProviderReady(await getPhaseProviderConfig(project, getFinalPhase(project)));
+  container.innerHTML = renderPanel(project, settings, providerReady);
+
+  const saveSettings = async () => {
+    await saveQualityGateSettings({
+      enabled: container.querySelector('#gate-enabled').checked,
+      targetScore: container.querySelector('#gate-target').value,
+      maxRounds: container.querySelector('#gate-rounds').value
+    });
+    attachQualityGatePanel(project, onChange);
+  };
+  container.querySelectorAll('#gate-enabled, #gate-target, #gate-rounds').forEach(input => {
+    input.addEventListener('change', saveSettings);
+  });
+
+  container.querySelector('#gate-copy-btn')?.addEventListener('click', async () => {
+    try {
+      await copyToClipboard(buildRefinementPrompt(project).prompt);
+      showToast('Fix-up prompt copied - paste the rewrite below', 'success');
+    } catch {
+      showToast('Failed to copy to clipboard', 'error');
+    }
+  });
+
+  container.querySelector('#gate-apply-btn')?.addEventListener('click', async () => {
+    const response = container.querySelector('#gate-response').value.trim();
+    if (response.length < 3) {
+      showToast('Paste the rewritten acceptance criteria first', 'warning');
+      return;
+    }
+    const { round } = await recordRefinement(project.id, buildRefinementPrompt(project).prompt, response, 'manual');
+    showToast(round.accepted ? `Score ${round.previousScore} → ${round.score}` : `Rewrite scored ${round.score} and was discarded`, round.accepted ? 'success' : 'warning');
+    onChange();
+  });
+
+  const autoBtn = container.querySelector('#gate-auto-btn');
+  autoBtn?.addEventListener('click', async () => {
+    autoBtn.disabled = true;
+    autoBtn.textContent = '⏳ Refining...';
+    try {
+      const { rounds } = await runRefinementLoop(project, {
+        onRound: (round) => showToast(`Round ${round.round}: ${round.previousScore} → ${round.score}`, 'info')
+      });
+      const last = rounds[rounds.length - 1];
+      if (last) {
+        showToast(`Refinement finished at ${last.accepted ? last.score : last.previousScore}`, 'success');
+      }
+    } catch (error) {
+      console.error('Refinement failed:', error);
+      showToast(`Refinement failed: ${error.message}`, 'error');
+    }
+    onChange();
+  });
+}
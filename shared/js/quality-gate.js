@@ -0,0 +1,189 @@
+/**
+ * Quality Gate Module
+ * Validator-driven refinement loop for the final phase output
+ * @module quality-gate
+ *
+ * When the final acceptance criteria score below the target, a fix-up
+ * prompt is built from the validator's findings. It is either run against
+ * the final phase's provider or offered for copy-paste. Every round and its score
+ * is recorded on the project as `refinements`.
+ */
+
+import storage from './storage.js';
+import { getProject, updatePhase, updateProject } from './projects.js';
+import { getPhaseProviderConfig, isProviderReady, streamChatCompletion } from './llm-provider.js';
+import { getFinalPhase, getFinalResponse } from './prompts.js';
+import { validateDocument } from '../../validator/js/validator.js';
+import { getProfileForOutputStyle } from '../../validator/js/rubric-profiles.js';
+import { generateRewritePrompt, cleanAIResponse } from '../../validator/js/prompts.js';
+
+const SETTINGS_KEY = 'quality-gate';
+
+/**
+ * @typedef {Object} QualityGateSettings
+ * @property {boolean} enabled - Offer refinement when the final AC score below target
+ * @property {number} targetScore - Score the loop aims for (0-100)
+ * @property {number} maxRounds - Maximum refinement rounds per project
+ */
+
+/** @type {QualityGateSettings} */
+export const DEFAULT_QUALITY_GATE = {
+  enabled: false,
+  targetScore: 70,
+  maxRounds: 3
+};
+
+/**
+ * @typedef {Object} RefinementRound
+ * @property {number} round - 1-based round number
+ * @property {number} previousScore - Score before this round
+ * @property {number} score - Score of the rewritten criteria
+ * @property {boolean} accepted - Whether the rewrite replaced the final phase output
+ * @property {'provider'|'manual'} source - Run in-app or pasted by the user
+ * @property {string} prompt - Fix-up prompt used
+ * @property {string} createdAt - ISO timestamp
+ */
+
+/**
+ * Get quality gate settings
+ * @returns {Promise<QualityGateSettings>}
+ */
+export async function getQualityGateSettings() {
+  return { ...DEFAULT_QUALITY_GATE, ...((await storage.getSetting(SETTINGS_KEY)) || {}) };
+}
+
+/**
+ * Save quality gate settings, clamping numbers to sensible ranges
+ * @param {Partial<QualityGateSettings>} settings
+ * @returns {Promise<QualityGateSettings>}
+ */
+export async function saveQualityGateSettings(settings) {
+  const merged = { ...(await getQualityGateSettings()), ...settings };
+  const cleaned = {
+    enabled: !!merged.enabled,
+    targetScore: Math.min(100, Math.max(0, Math.round(Number(merged.targetScore) || 0))),
+    maxRounds: Math.min(10, Math.max(1, Math.round(Number(merged.maxRounds) || 1)))
+  };
+  await storage.saveSetting(SETTINGS_KEY, cleaned);
+  return cleaned;
+}
+
+/**
+ * Score the final phase output with the project's rubric
+ * @param {import('./types.js').Project} project
+ * @returns {Object} validateDocument() result
+ */
+export function scoreFinalOutput(project) {
+  return validateDocument(getFinalResponse(project), getProfileForOutputStyle(project.outputStyle));
+}
+
+/**
+ * Work out where the project stands against the gate
+ * @param {import('./types.js').Project} project
+ * @param {QualityGateSettings} settings
+ * @returns {{ score: number, belowTarget: boolean, roundsUsed: number, roundsLeft: number, canRefine: boolean }}
+ */
+export function getGateStatus(project, settings) {
+  const score = scoreFinalOutput(project).totalScore;
+  const roundsUsed = (project.refinements || []).length;
+  const roundsLeft = Math.max(0, settings.maxRounds - roundsUsed);
+  const belowTarget = score < settings.targetScore;
+  return { score, belowTarget, roundsUsed, roundsLeft, canRefine: settings.enabled && belowTarget && roundsLeft > 0 };
+}
+
+/**
+ * Build the fix-up prompt for the current final phase output
+ * @param {import('./types.js').Project} project
+ * @returns {{ prompt: string, result: Object }}
+ */
+export function buildRefinementPrompt(project) {
+  const result = scoreFinalOutput(project);
+  return { prompt: generateRewritePrompt(getFinalResponse(project), result), result };
+}
+
+/**
+ * Strip AI preambles, keeping full markdown documents intact
+ * (cleanAIResponse would otherwise pull out just a ```gherkin block)
+ * @param {string} response
+ * @returns {string}
+ */
+function cleanRefinedOutput(response) {
+  return /^\s*#/.test(response) ? response.trim() : cleanAIResponse(response);
+}
+
+/**
+ * Score a rewritten document, record the round, and keep the rewrite only
+ * if it does not lower the score
+ * @param {string} projectId
+ * @param {string} prompt - Fix-up prompt used
+ * @param {string} response - Rewritten acceptance criteria
+ * @param {'provider'|'manual'} source
+ * @returns {Promise<{ project: import('./types.js').Project, round: RefinementRound }>}
+ */
+export async function recordRefinement(projectId, prompt, response, source) {
+  const project = await getProject(projectId);
+  if (!project) throw new Error('Project not found');
+
+  const refined = cleanRefinedOutput(response);
+  const previousScore = scoreFinalOutput(project).totalScore;
+  const score = validateDocument(refined, getProfileForOutputStyle(project.outputStyle)).totalScore;
+  const accepted = !!refined && score >= previousScore;
+
+  /** @type {RefinementRound} */
+  const round = {
+    round: (project.refinements || []).length + 1,
+    previousScore,
+    score,
+    accepted,
+    source,
+    prompt,
+    createdAt: new Date().toISOString()
+  };
+
+  await updateProject(projectId, { refinements: [...(project.refinements || []), round] });
+  if (accepted) {
+    // Keep the original final phase prompt; only the output changes
+    const finalPhase = getFinalPhase(project);
+    await updatePhase(projectId, finalPhase, project.phases[finalPhase]?.prompt || '', refined);
+  }
+
+  return { project: await getProject(projectId), round };
+}
+
+/**
+ * Run refinement rounds against the final phase's provider until the target is
+ * met, the round limit is reached, or a round fails to improve the score
+ * @param {import('./types.js').Project} project
+ * @param {Object} [options]
+ * @param {(round: RefinementRound) => void} [options.onRound]
+ * @param {(token: string, text: string) => void} [options.onToken]
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<{ project: import('./types.js').Project, rounds: RefinementRound[] }>}
+ */
+export async function runRefinementLoop(project, { onRound, onToken, signal } = {}) {
+  const settings = await getQualityGateSettings();
+  const finalPhase = getFinalPhase(project);
+  const config = await getPhaseProviderConfig(project, finalPhase);
+  if (!isProviderReady(config)) {
+    throw new Error(`No AI provider configured for Phase ${finalPhase}`);
+  }
+
+  const rounds = [];
+  let current = project;
+
+  while (getGateStatus(current, settings).canRefine) {
+    const { prompt } = buildRefinementPrompt(current);
+    const response = await streamChatCompletion(config, prompt, { onToken, signal });
+    const recorded = await recordRefinement(current.id, prompt, response, 'provider');
+
+    current = recorded.project;
+    rounds.push(recorded.round);
+    onRound?.(recorded.round);
+
+    if (!recorded.round.accepted || recorded.round.score <= recorded.round.previousScore) {
+      break;
+    }
+  }
+
+  return { project: current, rounds };
+}
@@ -0,0 +1,222 @@
+/**
+ * Review Findings Module
+ * Turns the adversarial review into findings the user accepts or rejects
+ * before the next phase
+ * @module review-findings
+ *
+ * Findings are parsed from the review response every time rather than stored,
+ * so they follow edits and re-merged critiques. Only the decisions are stored,
+ * on the phase's `findingDecisions`, keyed by the finding's text. Until the
+ * user has decided on every finding, the whole review is passed on as before;
+ * then only the accepted findings are.
+ */
+
+import { splitReviewPoints } from './review-merge.js';
+
+/** Finding categories, in the order the review prompt asks about them */
+export const FINDING_CATEGORIES = {
+  vagueness: 'Vagueness',
+  'scope-creep': 'Scope creep',
+  'missing-edge-case': 'Missing edge case',
+  'anti-pattern': 'Anti-pattern'
+};
+
+/** Finding severities, most severe first */
+export const FINDING_SEVERITIES = {
+  high: 'High',
+  medium: 'Medium',
+  low: 'Low'
+};
+
+/** Decisions stored for a finding; undecided findings have none */
+export const FINDING_DECISIONS = ['accepted', 'rejected'];
+
+/** Sections that hold scores or notes rather than findings */
+const SKIPPED_SECTION_PATTERN = /assessment|score|summary|merged review|reviewers/i;
+
+/** Category from the section a point was listed under */
+const SECTION_CATEGORIES = [
+  [/edge case|failure scenario/i, 'missing-edge-case'],
+  [/anti-?pattern/i, 'anti-pattern'],
+  [/scope|split/i, 'scope-creep']
+];
+
+/** Category from the wording of a point, checked in order */
+const TEXT_CATEGORIES = [
+  [/user stor(y|ies)|as an? .+ i want|given\s*\/\s*when\s*\/\s*then|gherkin|anti-?pattern|compound|prose/i, 'anti-pattern'],
+  [/too (many|big|large|broad)|split|out of scope|scope|separate issue|more than \d+/i, 'scope-creep'],
+  [/edge case|what happens (if|when)|not covered|doesn't cover|does not cover|missing|fails?\b|offline|timeout|empty|concurren/i, 'missing-edge-case']
+];
+
+const HIGH_SEVERITY_PATTERN = /\b(critical|blocker|blocking|high|major|severe)\b/i;
+const MEDIUM_SEVERITY_PATTERN = /\b(medium|moderate)\b/i;
+const LOW_SEVERITY_PATTERN = /\b(minor|low|nit|nitpick|optional|cosmetic)\b/i;
+
+/** Severity when the review does not give one */
+const DEFAULT_SEVERITY = {
+  vagueness: 'high',
+  'scope-creep': 'medium',
+  'missing-edge-case': 'medium',
+  'anti-pattern': 'medium'
+};
+
+/** Leading severity tag, e.g. "[High]", "**Minor:**" or "Critical:" */
+const SEVERITY_TAG_PATTERN = /^(?:\[([a-z]+)\]|\*\*([a-z]+):?\*\*|([a-z]+):)\s*[:\-–—]?\s*/i;
+const SEVERITY_WORDS = /^(critical|blocker|high|major|medium|moderate|minor|low|nit)$/i;
+/** Trailing reviewer tag added by the merged critique, e.g. "*(Gemini, GPT)*" */
+const REVIEWER_TAG_PATTERN = /\s*\*\(([^)]+)\)\*\s*$/;
+/** Quoted criterion at the start, followed by an arrow or colon */
+const CRITERION_PATTERN = /^\*{0,2}["“]([^"”]+)["”]\*{0,2}\s*(?:→|->|—|–|:)\s*/;
+const FIX_PATTERN = /\s*\b(?:suggest(?:ed fix|ion)?|fix|instead)\s*:\s*(.+)$/i;
+/** Anti-pattern checklist items saying nothing was found */
+const NOT_FOUND_PATTERN = /\b(none|not (found|detected|present)|no issues?)\b|^no\b|^✅/i;
+
+/**
+ * @typedef {Object} ReviewFinding
+ * @property {string} key - Stable key the decision is stored under
+ * @property {'high'|'medium'|'low'} severity
+ * @property {string} category - Key of FINDING_CATEGORIES
+ * @property {string} criterion - Criterion the finding targets, '' when it is about the whole issue
+ * @property {string} problem - What is wrong
+ * @property {string} fix - Suggested fix, '' when the review gives none
+ * @property {string[]} reviewers - Reviewers who raised it (merged critiques only)
+ */
+
+/**
+ * Key a finding's decision is stored under
+ * @param {string} text - Finding as written in the review
+ * @returns {string}
+ */
+function getFindingKey(text) {
+  return text.toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Remove surrounding quotes and bold markers
+ * @param {string} text
+ * @returns {string}
+ */
+function unquote(text) {
+  return text.trim().replace(/^\*{0,2}["“]?|["”]?\*{0,2}$/g, '').trim();
+}
+
+/**
+ * Category of a point, from its section heading or else its wording
+ * @param {string} section
+ * @param {string} text
+ * @returns {string}
+ */
+function getCategory(section, text) {
+  const match = SECTION_CATEGORIES.find(([pattern]) => pattern.test(section)) ||
+    TEXT_CATEGORIES.find(([pattern]) => pattern.test(text));
+  return match ? match[1] : 'vagueness';
+}
+
+/**
+ * Severity of a point, from its wording or section, else from its category
+ * @param {string} section
+ * @param {string} text
+ * @param {string} category
+ * @returns {'high'|'medium'|'low'}
+ */
+function getSeverity(section, text, category) {
+  for (const source of [text, section]) {
+    if (HIGH_SEVERITY_PATTERN.test(source)) return 'high';
+    if (LOW_SEVERITY_PATTERN.test(source)) return 'low';
+    if (MEDIUM_SEVERITY_PATTERN.test(source)) return 'medium';
+  }
+  return DEFAULT_SEVERITY[category];
+}
+
+/**
+ * Parse a review into findings, most severe first
+ * Scores and the improved version are not findings; neither are unticked or
+ * "none found" anti-pattern checklist items.
+ * @param {string} markdown - Review response (a single review or a merged critique)
+ * @returns {ReviewFinding[]}
+ */
+export function parseReviewFindings(markdown) {
+  const findings = [];
+  const seen = new Set();
+
+  splitReviewPoints(markdown).points.forEach(({ section, text: raw, checked }) => {
+    if (SKIPPED_SECTION_PATTERN.test(section) || checked === false) return;
+
+    // Keyed without the reviewer tag so decisions survive adding a reviewer
+    const reviewerTag = raw.match(REVIEWER_TAG_PATTERN);
+    let text = raw.replace(REVIEWER_TAG_PATTERN, '');
+    const key = getFindingKey(text);
+    if (seen.has(key)) return;
+
+    const tag = text.match(SEVERITY_TAG_PATTERN);
+    const severityWord = tag ? tag[1] || tag[2] || tag[3] : '';
+    if (SEVERITY_WORDS.test(severityWord)) text = text.replace(SEVERITY_TAG_PATTERN, '');
+
+    const category = getCategory(section, text);
+    if (category === 'anti-pattern' && NOT_FOUND_PATTERN.test(text)) return;
+
+    const criterion = text.match(CRITERION_PATTERN);
+    text = text.replace(CRITERION_PATTERN, '');
+    const fix = text.match(FIX_PATTERN);
+    const problem = text.replace(FIX_PATTERN, '').replace(/[\s.]+$/, '');
+
+    seen.add(key);
+    findings.push({
+      key,
+      severity: getSeverity(section, SEVERITY_WORDS.test(severityWord) ? severityWord : text, category),
+      category,
+      criterion: criterion ? criterion[1].trim() : '',
+      problem: problem || text,
+      fix: fix ? unquote(fix[1]) : '',
+      reviewers: reviewerTag ? reviewerTag[1].split(',').map(r => r.trim()).filter(Boolean) : []
+    });
+  });
+
+  const rank = Object.keys(FINDING_SEVERITIES);
+  return findings.sort((a, b) => rank.indexOf(a.severity) - rank.indexOf(b.severity));
+}
+
+/**
+ * Whether the user has accepted or rejected every one of these findings
+ * @param {ReviewFinding[]} findings
+ * @param {Object<string, string>} [decisions]
+ * @returns {boolean}
+ */
+export function hasDecidedAllFindings(findings, decisions) {
+  return findings.length > 0 && findings.every(f => decisions?.[f.key]);
+}
+
+/**
+ * Format accepted findings for the next phase prompt
+ * @param {ReviewFinding[]} accepted
+ * @param {number} [rejected=0] - How many findings the author rejected
+ * @returns {string} Markdown
+ */
+export function formatAcceptedFindings(accepted, rejected = 0) {
+  if (accepted.length === 0) {
+    return '## Accepted Review Findings\n\nThe author rejected every finding from the review. Keep the criteria as drafted apart from formatting.\n';
+  }
+
+  const items = accepted.map((f, i) => {
+    const label = `**[${FINDING_SEVERITIES[f.severity]} · ${FINDING_CATEGORIES[f.category]}]**`;
+    const target = f.criterion ? ` "${f.criterion}":` : '';
+    const fix = f.fix ? `\n   Suggested fix: ${f.fix}` : '';
+    return `${i + 1}. ${label}${target} ${f.problem}${fix}`;
+  });
+  const others = rejected === 1 ? ' and rejected one other' : rejected > 1 ? ` and rejected the other ${rejected}` : '';
+  return `## Accepted Review Findings\n\nThe author accepted ${accepted.length === 1 ? 'this finding' : 'these findings'} from the review${others}. Apply every one of them, and do not make changes the review suggested that are not listed here.\n\n${items.join('\n')}\n`;
+}
+
+/**
+ * Review text to pass on to later phases
+ * @param {string} response - Review response
+ * @param {Object<string, string>} [decisions] - Decisions by finding key
+ * @returns {string} The whole response until the user has decided on every
+ *   finding, then only the accepted findings
+ */
+export function getReviewOutput(response, decisions) {
+  const findings = parseReviewFindings(response);
+  if (!hasDecidedAllFindings(findings, decisions)) return response;
+  const accepted = findings.filter(f => decisions[f.key] === 'accepted');
+  return formatAcceptedFindings(accepted, findings.length - accepted.length);
+}
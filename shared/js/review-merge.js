@@ -0,0 +1,204 @@
+/**
+ * Review Merge Module
+ * Combines several independent reviews of the draft into one critique
+ * @module review-merge
+ *
+ * Each review is split into points (list items, grouped by their heading).
+ * Points that share most of their words are treated as the same point and
+ * list every reviewer who raised them. The "Improved Version" section (last in
+ * the review template) is a whole rewrite, so everything from its heading on
+ * is kept per reviewer instead of being merged.
+ */
+
+/** Share of distinct words two points need in common to count as one */
+export const POINT_SIMILARITY = 0.5;
+
+const LIST_ITEM_PATTERN = /^\s*(?:[-*+]|\d+[.)])\s+(?:\[([ xX])\]\s+)?(.+)$/;
+const HEADING_PATTERN = /^\s*#{1,6}\s+(.+?)\s*#*\s*$/;
+const IMPROVED_PATTERN = /improved version/i;
+const OTHER_SECTION = 'Other Points';
+
+const STOPWORDS = new Set([
+  'the', 'and', 'for', 'are', 'but', 'not', 'with', 'this', 'that', 'from', 'into', 'should',
+  'can', 'could', 'would', 'will', 'has', 'have', 'was', 'were', 'its', 'it\'s', 'than', 'then',
+  'there', 'their', 'they', 'what', 'when', 'which', 'who', 'how', 'all', 'any', 'each', 'also'
+]);
+
+/**
+ * @typedef {Object} ReviewPoint
+ * @property {string} section - Heading the point was listed under
+ * @property {string} text
+ * @property {boolean} [checked] - Tick state when the point is a checklist item
+ */
+
+/**
+ * @typedef {Object} MergedPoint
+ * @property {string} text - Point as written by the first reviewer who raised it
+ * @property {string[]} reviewers - Everyone who raised it, in review order
+ */
+
+/**
+ * @typedef {Object} MergedReview
+ * @property {string[]} reviewers
+ * @property {{ title: string, points: MergedPoint[] }[]} sections - In first-seen order
+ * @property {{ reviewer: string, text: string }[]} improved - Improved versions, one per reviewer that wrote one
+ */
+
+/**
+ * Heading text without emoji, check marks and a trailing colon
+ * @param {string} heading
+ * @returns {string}
+ */
+function cleanHeading(heading) {
+  return heading.replace(/^[^\p{L}\p{N}]+/u, '').replace(/[:\s]+$/, '').trim();
+}
+
+/**
+ * Split one review into its points and improved version
+ * Reviews without any list items (free-form notes) use each paragraph as a point.
+ * @param {string} markdown
+ * @returns {{ points: ReviewPoint[], improved: string }}
+ */
+export function splitReviewPoints(markdown) {
+  const points = [];
+  const paragraphs = [];
+  const improved = [];
+  let section = OTHER_SECTION;
+  let inImproved = false;
+  let current = null;
+  let paragraph = [];
+
+  const endParagraph = () => {
+    if (paragraph.length > 0) paragraphs.push({ section, text: paragraph.join(' ') });
+    paragraph = [];
+  };
+
+  (markdown || '').split(/\r?\n/).forEach(line => {
+    if (inImproved) {
+      improved.push(line);
+      return;
+    }
+
+    const heading = line.match(HEADING_PATTERN);
+    if (heading) {
+      endParagraph();
+      current = null;
+      inImproved = IMPROVED_PATTERN.test(heading[1]);
+      section = cleanHeading(heading[1]) || OTHER_SECTION;
+      return;
+    }
+
+    const item = line.match(LIST_ITEM_PATTERN);
+    if (item) {
+      endParagraph();
+      current = { section, text: item[2].trim(), ...(item[1] ? { checked: item[1] !== ' ' } : {}) };
+      points.push(current);
+    } else if (!line.trim() || /^\s*(\||---)/.test(line)) {
+      endParagraph();
+      current = null;
+    } else if (current && /^\s+/.test(line)) {
+      current.text += ` ${line.trim()}`;
+    } else {
+      current = null;
+      paragraph.push(line.trim());
+    }
+  });
+  endParagraph();
+
+  return {
+    points: points.length > 0 ? points : paragraphs,
+    improved: improved.join('\n').trim()
+  };
+}
+
+/**
+ * Distinct meaningful words of a point
+ * @param {string} text
+ * @returns {Set<string>}
+ */
+function getPointWords(text) {
+  return new Set((text || '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}']+/u)
+    .filter(word => word.length > 2 && !STOPWORDS.has(word)));
+}
+
+/**
+ * Whether two points say the same thing (Jaccard similarity of their words)
+ * @param {Set<string>} a
+ * @param {Set<string>} b
+ * @returns {boolean}
+ */
+function isSamePoint(a, b) {
+  if (a.size === 0 || b.size === 0) return false;
+  const shared = [...a].filter(word => b.has(word)).length;
+  return shared / (a.size + b.size - shared) >= POINT_SIMILARITY;
+}
+
+/**
+ * Merge reviews, de-duplicating overlapping points
+ * Within a section, points raised by more reviewers come first. Unticked
+ * checklist items (an anti-pattern the reviewer did not find) are left out.
+ * @param {import('./types.js').PhaseReview[]} reviews
+ * @returns {MergedReview}
+ */
+export function mergeReviews(reviews) {
+  /** @type {Map<string, { title: string, points: (MergedPoint & { words: Set<string> })[] }>} */
+  const sections = new Map();
+  const all = [];
+  const improved = [];
+
+  reviews.forEach(({ reviewer, response }) => {
+    const split = splitReviewPoints(response);
+    if (split.improved) improved.push({ reviewer, text: split.improved });
+
+    split.points.filter(point => point.checked !== false).forEach(point => {
+      const words = getPointWords(point.text);
+      const existing = all.find(p => isSamePoint(p.words, words));
+      if (existing) {
+        if (!existing.reviewers.includes(reviewer)) existing.reviewers.push(reviewer);
+        return;
+      }
+
+      const key = point.section.toLowerCase();
+      if (!sections.has(key)) sections.set(key, { title: point.section, points: [] });
+      const merged = { text: point.text, reviewers: [reviewer], words };
+      sections.get(key).points.push(merged);
+      all.push(merged);
+    });
+  });
+
+  return {
+    reviewers: reviews.map(r => r.reviewer),
+    sections: [...sections.values()].map(({ title, points }) => ({
+      title,
+      points: points
+        .map(({ text, reviewers: raisedBy }) => ({ text, reviewers: raisedBy }))
+        .sort((a, b) => b.reviewers.length - a.reviewers.length)
+    })),
+    improved
+  };
+}
+
+/**
+ * Build the merged critique fed to the next phase as its review
+ * A single review is passed through unchanged.
+ * @param {import('./types.js').PhaseReview[]} reviews
+ * @returns {string} Markdown, '' when there are no reviews
+ */
+export function buildMergedCritique(reviews) {
+  if (reviews.length === 0) return '';
+  if (reviews.length === 1) return reviews[0].response;
+
+  const merged = mergeReviews(reviews);
+  const parts = [
+    `## Merged Review\n\n**Reviewers:** ${merged.reviewers.join(', ')}\n\nEach point lists the reviewers who raised it; points raised by more reviewers come first.`
+  ];
+  merged.sections.forEach(({ title, points }) => {
+    parts.push(`### ${title}\n\n${points.map((p, i) => `${i + 1}. ${p.text} *(${p.reviewers.join(', ')})*`).join('\n')}`);
+  });
+  if (merged.improved.length > 0) {
+    parts.push(`## Improved Versions\n\n${merged.improved.map(({ reviewer, text }) => `### ${reviewer}\n\n${text}`).join('\n\n')}`);
+  }
+  return `${parts.join('\n\n')}\n`;
+}
@@ -0,0 +1,148 @@
+/**
+ * Revision History Modal Module
+ * Lists saved revisions of a phase, diffs them against the current response,
+ * and restores one on request
+ * @module revision-history
+ */
+
+import { getPhaseMetadata } from './workflow.js';
+import { getPhaseRevisions, restoreRevision } from './projects.js';
+import { computeWordDiff, renderDiffHtml, getDiffStats } from './diff-view.js';
+import { escapeHtml, showToast, confirm } from './ui.js';
+
+/**
+ * Render one revision in the picker list
+ * @param {import('./types.js').PhaseRevision} revision
+ * @param {boolean} selected
+ * @param {boolean} isCurrent - Whether the revision matches the current response
+ * @returns {string} HTML string
+ */
+function renderRevisionItem(revision, selected, isCurrent) {
+  const classes = selected
+    ? 'bg-blue-50 dark:bg-blue-900/30 border-blue-500'
+    : 'border-transparent hover:bg-gray-50 dark:hover:bg-gray-700';
+
+  return `
+                <li>
+                    <button type="button" class="revision-item w-full text-left px-3 py-2 border-l-4 ${classes}" data-id="${revision.id}">
+                        <span class="block text-sm text-gray-900 dark:text-white">${new Date(revision.createdAt).toLocaleString()}</span>
+                        <span class="block text-xs text-gray-500 dark:text-gray-400">
+                            ${revision.response.length.toLocaleString()} chars${isCurrent ? ' · current' : ''}
+                        </span>
+                    </button>
+                </li>
+  `;
+}
+
+/**
+ * Show the revision picker for a phase
+ * @param {import('./types.js').Project} project
+ * @param {number} phase
+ * @param {Function} onRestore - Called after a revision is restored (re-render the project)
+ * @returns {Promise<void>}
+ */
+export async function showRevisionHistoryModal(project, phase, onRestore) {
+  const revisions = await getPhaseRevisions(project.id, phase);
+  if (revisions.length === 0) {
+    showToast('No saved revisions for this phase yet', 'info');
+    return;
+  }
+
+  const meta = getPhaseMetadata(phase, project.workflowId);
+  const current = project.phases?.[phase]?.response || '';
+  let selected = revisions.find(r => r.response !== current) || revisions[0];
+
+  const modal = document.createElement('div');
+  modal.className = 'fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4';
+
+  const closeModal = () => {
+    modal.remove();
+    document.removeEventListener('keydown', handleEscape);
+  };
+  const handleEscape = (e) => {
+    if (e.key === 'Escape') closeModal();
+  };
+
+  function render() {
+    const diff = computeWordDiff(selected.response, current);
+    const stats = getDiffStats(diff);
+    const selectedIsCurrent = selected.response === current;
+
+    modal.innerHTML = `
+      <div class="bg-white dark:bg-gray-800 rounded-lg shadow-xl max-w-5xl w-full max-h-[90vh] flex flex-col">
+        <div class="flex items-center justify-between p-4 border-b border-gray-200 dark:border-gray-700">
+          <div>
+            <h3 class="text-lg font-bold text-gray-900 dark:text-white">
+              🕘 Version History: Phase ${phase} ${escapeHtml(meta.name)}
+            </h3>
+            <div class="flex gap-2 mt-2 text-sm">
+              <span class="px-2 py-1 bg-green-100 dark:bg-green-900/30 text-green-700 dark:text-green-300 rounded">
+                +${stats.additions} added
+              </span>
+              <span class="px-2 py-1 bg-red-100 dark:bg-red-900/30 text-red-700 dark:text-red-300 rounded">
+                -${stats.deletions} removed
+              </span>
+              <span class="px-2 py-1 bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-300 rounded">
+                ${stats.unchanged} unchanged
+              </span>
+            </div>
+          </div>
+          <button id="close-revision-modal-btn" class="p-2 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-lg transition-colors ml-4">
+            <svg class="w-5 h-5 text-gray-600 dark:text-gray-300" fill="currentColor" viewBox="0 0 20 20">
+              <path fill-rule="evenodd" d="M4.293 4.293a1 1 0 011.414 0L10 8.586l4.293-4.293a1 1 0 111.414 1.414L11.414 10l4.293 4.293a1 1 0 01-1.414 1.414L10 11.414l-4.293 4.293a1 1 0 01-1.414-1.414L8.586 10 4.293 5.707a1 1 0 010-1.414z" clip-rule="evenodd"></path>
+            </svg>
+          </button>
+        </div>
+        <div class="flex flex-1 min-h-0">
+          <ul class="w-56 flex-shrink-0 overflow-y-auto border-r border-gray-200 dark:border-gray-700 py-2">
+            ${revisions.map(r => renderRevisionItem(r, r.id === selected.id, r.response === current)).join('')}
+          </ul>
+          <div class="p-4 overflow-y-auto flex-1">
+            <div class="prose prose-sm dark:prose-invert max-w-none text-gray-700 dark:text-gray-300 leading-relaxed whitespace-pre-wrap">
+              ${renderDiffHtml(diff)}
+            </div>
+          </div>
+        </div>
+        <div class="p-4 border-t border-gray-200 dark:border-gray-700 bg-gray-50 dark:bg-gray-900/50 flex items-center justify-between gap-4">
+          <p class="text-sm text-gray-600 dark:text-gray-400">
+            <span class="bg-green-200 dark:bg-green-900/50 px-1">Green text</span> = added since this revision &nbsp;|&nbsp;
+            <span class="bg-red-200 dark:bg-red-900/50 px-1 line-through">Red strikethrough</span> = in this revision, not in current
+          </p>
+          <button id="restore-revision-btn" class="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed" ${selectedIsCurrent ? 'disabled' : ''}>
+            Restore This Version
+          </button>
+        </div>
+      </div>
+    `;
+
+    modal.querySelectorAll('.revision-item').forEach(btn => {
+      btn.addEventListener('click', () => {
+        selected = revisions.find(r => r.id === btn.dataset.id);
+        render();
+      });
+    });
+
+    modal.querySelector('#close-revision-modal-btn').addEventListener('click', closeModal);
+
+    modal.querySelector('#restore-revision-btn').addEventListener('click', async () => {
+      const confirmed = await confirm(
+        'Replace the current response with this version? The current one stays in the history.',
+        'Restore Version'
+      );
+      if (!confirmed) return;
+
+      await restoreRevision(selected);
+      closeModal();
+      showToast('Version restored', 'success');
+      onRestore();
+    });
+  }
+
+  document.body.appendChild(modal);
+  render();
+
+  modal.addEventListener('click', (e) => {
+    if (e.target === modal) closeModal();
+  });
+  document.addEventListener('keydown', handleEscape);
+}
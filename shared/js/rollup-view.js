@@ -0,0 +1,181 @@
+/**
+ * Rollup View Module
+ * Lists Linear projects and shows the combined report for one of them
+ * @module rollup-view
+ */
+
+import { getAllProjects } from './projects.js';
+import { SCORE_BANDS } from './project-search.js';
+import { getLinearProjects, getRollup, getIssueName, exportRollupMarkdown } from './rollup.js';
+import { navigateTo } from './router.js';
+import { escapeHtml, showToast } from './ui.js';
+import { getScoreColor } from '../../validator/js/validator.js';
+
+/**
+ * Render the back button and page title
+ * @param {string} backLabel
+ * @param {string} title
+ * @param {string} description
+ * @returns {string} HTML string
+ */
+function renderHeader(backLabel, title, description) {
+  return `
+        <div class="mb-6">
+            <button id="back-btn" class="text-blue-600 dark:text-blue-400 hover:underline flex items-center mb-4">
+                <svg class="w-5 h-5 mr-1" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M15 19l-7-7 7-7"></path>
+                </svg>
+                ${backLabel}
+            </button>
+            <h2 class="text-3xl font-bold text-gray-900 dark:text-white">${title}</h2>
+            <p class="mt-1 text-gray-600 dark:text-gray-400">${description}</p>
+        </div>
+  `;
+}
+
+/**
+ * Link to a project, shown as its Linear identifier and title
+ * @param {import('./types.js').Project} project
+ * @returns {string} HTML string
+ */
+function renderIssueLink(project) {
+  return `<a href="#project/${project.id}" class="text-blue-600 dark:text-blue-400 hover:underline">${escapeHtml(getIssueName(project))}</a>`;
+}
+
+/**
+ * One headline figure
+ * @param {string} label
+ * @param {string} value
+ * @returns {string} HTML string
+ */
+function renderStat(label, value) {
+  return `
+                <div class="p-4 bg-white dark:bg-gray-800 rounded-lg border border-gray-200 dark:border-gray-700">
+                    <p class="text-xs text-gray-500 dark:text-gray-400">${label}</p>
+                    <p class="text-2xl font-bold text-gray-900 dark:text-white">${value}</p>
+                </div>
+  `;
+}
+
+/**
+ * Render the list of Linear projects
+ * @returns {Promise<void>}
+ */
+export async function renderRollupIndex() {
+  const linearProjects = getLinearProjects(await getAllProjects());
+
+  const container = document.getElementById('app-container');
+  container.innerHTML = `
+        ${renderHeader('Back to Issues', '📚 Rollups', 'Issues that share a Linear project, reported together.')}
+        ${linearProjects.length === 0 ? `
+            <div class="text-center py-16 bg-white dark:bg-gray-800 rounded-lg border-2 border-dashed border-gray-300 dark:border-gray-600 text-gray-500 dark:text-gray-400">
+                Set a Linear project on your issues (or import them from Linear) to see rollups
+            </div>
+        ` : `
+            <ul class="space-y-2">
+                ${linearProjects.map(({ name, count }) => `
+                <li>
+                    <a href="#rollup/${encodeURIComponent(name)}" class="rollup-link flex items-center justify-between p-4 bg-white dark:bg-gray-800 rounded-lg border border-gray-200 dark:border-gray-700 hover:border-blue-400">
+                        <span class="font-medium text-gray-900 dark:text-white">${escapeHtml(name)}</span>
+                        <span class="text-sm text-gray-500 dark:text-gray-400">${count} issue${count === 1 ? '' : 's'}</span>
+                    </a>
+                </li>
+                `).join('')}
+            </ul>
+        `}
+    `;
+
+  container.querySelector('#back-btn').addEventListener('click', () => navigateTo('home'));
+}
+
+/**
+ * Render the rollup for one Linear project
+ * @param {string} name - Linear project name
+ * @returns {Promise<void>}
+ */
+export async function renderRollupView(name) {
+  const rollup = await getRollup(name);
+  const { coverage, scoreBands } = rollup;
+  const coveragePercent = coverage.total > 0 ? Math.round((coverage.withFinalAc / coverage.total) * 100) : 0;
+
+  const container = document.getElementById('app-container');
+  container.innerHTML = `
+        ${renderHeader('All Rollups', `📚 ${escapeHtml(name)}`, `${coverage.total} issue${coverage.total === 1 ? '' : 's'} in this Linear project`)}
+        <div class="mb-6 flex justify-end">
+            <button id="export-rollup-btn" class="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"${coverage.total === 0 ? ' disabled' : ''}>
+                📄 Export Markdown
+            </button>
+        </div>
+        <div class="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
+            ${renderStat('Final AC coverage', `${coverage.withFinalAc}/${coverage.total} (${coveragePercent}%)`)}
+            ${renderStat('Criteria', String(coverage.criteria))}
+            ${renderStat('Average score', coverage.averageScore === null ? '–' : String(coverage.averageScore))}
+            ${renderStat('Overlaps', String(rollup.duplicates.length + rollup.scopeConflicts.length))}
+        </div>
+
+        <section class="mb-6">
+            <h3 class="text-lg font-semibold text-gray-900 dark:text-white mb-2">Score distribution</h3>
+            <div id="rollup-score-bands" class="space-y-1">
+                ${Object.entries(scoreBands).map(([key, count]) => `
+                <div class="flex items-center gap-3 text-sm" data-band="${key}">
+                    <span class="w-32 text-gray-700 dark:text-gray-300">${SCORE_BANDS[key].label}</span>
+                    <div class="flex-1 h-3 bg-gray-100 dark:bg-gray-700 rounded">
+                        <div class="h-3 bg-blue-500 rounded" style="width: ${coverage.total > 0 ? Math.round((count / coverage.total) * 100) : 0}%"></div>
+                    </div>
+                    <span class="w-8 text-right text-gray-600 dark:text-gray-400">${count}</span>
+                </div>
+                `).join('')}
+            </div>
+        </section>
+
+        <section id="rollup-overlaps" class="mb-6">
+            <h3 class="text-lg font-semibold text-gray-900 dark:text-white mb-2">Overlaps</h3>
+            ${rollup.duplicates.length === 0 && rollup.scopeConflicts.length === 0 ? `
+            <p class="text-sm text-gray-500 dark:text-gray-400">No criterion appears in more than one issue, and nothing one issue needs is out of scope in another.</p>
+            ` : `
+            <ul class="space-y-2 text-sm">
+                ${rollup.duplicates.map(d => `
+                <li class="rollup-duplicate p-3 rounded-lg bg-yellow-50 dark:bg-yellow-900/20 text-gray-800 dark:text-gray-200">
+                    🔁 "${escapeHtml(d.text)}" appears in ${d.issues.map(renderIssueLink).join(', ')}
+                </li>
+                `).join('')}
+                ${rollup.scopeConflicts.map(c => `
+                <li class="rollup-scope-conflict p-3 rounded-lg bg-red-50 dark:bg-red-900/20 text-gray-800 dark:text-gray-200">
+                    ⚠️ "${escapeHtml(c.text)}" is a criterion in ${c.issues.map(renderIssueLink).join(', ')} but out of scope in ${c.excludedBy.map(renderIssueLink).join(', ')}
+                </li>
+                `).join('')}
+            </ul>
+            `}
+        </section>
+
+        <section>
+            <h3 class="text-lg font-semibold text-gray-900 dark:text-white mb-2">Issues</h3>
+            <table class="w-full text-sm bg-white dark:bg-gray-800 rounded-lg border border-gray-200 dark:border-gray-700">
+                <thead>
+                    <tr class="text-left text-gray-500 dark:text-gray-400 border-b border-gray-200 dark:border-gray-700">
+                        <th class="p-3 font-medium">Issue</th>
+                        <th class="p-3 font-medium">Phase</th>
+                        <th class="p-3 font-medium">Criteria</th>
+                        <th class="p-3 font-medium">Score</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${rollup.issues.map(issue => `
+                    <tr class="border-b border-gray-100 dark:border-gray-700 last:border-0" data-project-id="${issue.project.id}">
+                        <td class="p-3">${renderIssueLink(issue.project)}</td>
+                        <td class="p-3 text-gray-700 dark:text-gray-300">${issue.finalAc ? 'Final' : `Phase ${issue.project.phase || 1}`}</td>
+                        <td class="p-3 text-gray-700 dark:text-gray-300">${issue.criteria.length}</td>
+                        <td class="p-3 font-medium ${issue.score === null ? 'text-gray-400' : getScoreColor(issue.score)}">${issue.score === null ? '–' : issue.score}</td>
+                    </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </section>
+    `;
+
+  container.querySelector('#back-btn').addEventListener('click', () => navigateTo('rollup'));
+  container.querySelector('#export-rollup-btn').addEventListener('click', async () => {
+    const count = await exportRollupMarkdown(name);
+    showToast(`Exported ${count} issue${count === 1 ? '' : 's'} as markdown`, 'success');
+  });
+}
@@ -0,0 +1,265 @@
+/**
+ * Rollup Module
+ * Combines the issues of one Linear project (epic) into a single report
+ * @module rollup
+ *
+ * The report covers how many issues have final AC, the validator score
+ * distribution, and overlaps between issues: the same criterion in two
+ * issues, or one issue's Out of Scope item appearing as another's criterion.
+ */
+
+import storage from './storage.js';
+import { SCORE_BANDS, isProjectComplete } from './project-search.js';
+import { scoreFinalOutput } from './quality-gate.js';
+import { getFinalResponse } from './prompts.js';
+import { parseCriteria } from '../../validator/js/criteria-parser.js';
+
+/**
+ * @typedef {Object} RollupIssue
+ * @property {import('./types.js').Project} project
+ * @property {string} finalAc - Final phase output, empty until then
+ * @property {number | null} score - Validator score of the final AC
+ * @property {string[]} criteria - Checklist items of the final AC
+ * @property {string[]} outOfScope - Out of Scope items of the final AC
+ */
+
+/**
+ * @typedef {Object} RollupOverlap
+ * @property {string} text - Criterion as written in the first issue
+ * @property {import('./types.js').Project[]} issues - Issues listing it as a criterion
+ * @property {import('./types.js').Project[]} [excludedBy] - Issues listing it as out of scope
+ */
+
+/**
+ * @typedef {Object} Rollup
+ * @property {RollupIssue[]} issues
+ * @property {{ total: number, withFinalAc: number, criteria: number, averageScore: number | null }} coverage
+ * @property {Object.<string, number>} scoreBands - Issue count per SCORE_BANDS key
+ * @property {RollupOverlap[]} duplicates - Criteria that appear in more than one issue
+ * @property {RollupOverlap[]} scopeConflicts - Criteria another issue puts out of scope
+ */
+
+/**
+ * Text used to compare criteria across issues
+ * @param {string} text
+ * @returns {string}
+ */
+export function normalizeCriterion(text) {
+  return (text || '')
+    .toLowerCase()
+    .replace(/[`*_~]/g, '')
+    .replace(/[.,;:!]+$/, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Keep one project per fork family, dropping trashed projects
+ * Forks are drafts of the same issue, so the family counts once: the
+ * most recently updated member with final AC stands for it, or the most
+ * recently updated member when none has final AC yet.
+ * @param {import('./types.js').Project[]} projects
+ * @returns {import('./types.js').Project[]}
+ */
+function collapseForks(projects) {
+  const live = projects.filter(p => !p.trashedAt);
+  const byId = new Map(live.map(p => [p.id, p]));
+  const rootOf = project => {
+    const seen = new Set();
+    let current = project;
+    while (byId.has(current.forkedFrom?.projectId) && !seen.has(current.id)) {
+      seen.add(current.id);
+      current = byId.get(current.forkedFrom.projectId);
+    }
+    return current.id;
+  };
+
+  const families = new Map();
+  live.forEach(project => {
+    const root = rootOf(project);
+    families.set(root, [...(families.get(root) || []), project]);
+  });
+
+  return [...families.values()].map(members => members.reduce((best, p) => {
+    const bestHasAc = !!getFinalResponse(best);
+    const hasAc = !!getFinalResponse(p);
+    if (hasAc !== bestHasAc) return hasAc ? p : best;
+    return (p.updatedAt || '') > (best.updatedAt || '') ? p : best;
+  }));
+}
+
+/**
+ * Names of the Linear projects in use, with their issue counts
+ * A fork family counts as one issue.
+ * @param {import('./types.js').Project[]} projects
+ * @returns {{ name: string, count: number }[]} Sorted by name
+ */
+export function getLinearProjects(projects) {
+  const counts = new Map();
+  collapseForks(projects).filter(p => p.linearProject).forEach(p => {
+    counts.set(p.linearProject, (counts.get(p.linearProject) || 0) + 1);
+  });
+  return [...counts].map(([name, count]) => ({ name, count })).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Summarise one issue's final AC
+ * @param {import('./types.js').Project} project
+ * @returns {RollupIssue}
+ */
+function summarizeIssue(project) {
+  const finalAc = getFinalResponse(project);
+  const { criteria, outOfScopeItems } = parseCriteria(finalAc);
+  const inSection = criteria.filter(c => c.section === 'acceptanceCriteria');
+
+  return {
+    project,
+    finalAc,
+    score: isProjectComplete(project) && finalAc ? scoreFinalOutput(project).totalScore : null,
+    criteria: (inSection.length > 0 ? inSection : criteria).map(c => c.text).filter(Boolean),
+    outOfScope: outOfScopeItems.map(item => item.text).filter(Boolean)
+  };
+}
+
+/**
+ * Which score band a score falls in
+ * @param {number | null} score
+ * @returns {string} SCORE_BANDS key
+ */
+function getScoreBand(score) {
+  if (score === null) return 'unscored';
+  return Object.keys(SCORE_BANDS).find(key => score >= SCORE_BANDS[key].min && score <= SCORE_BANDS[key].max);
+}
+
+/**
+ * Build the rollup for a set of issues
+ * Each fork family is reported as one issue, so a fork's copied criteria
+ * are not flagged as duplicates of its parent's.
+ * @param {import('./types.js').Project[]} projects - Issues of one Linear project
+ * @returns {Rollup}
+ */
+export function buildRollup(projects) {
+  const issues = collapseForks(projects)
+    .sort((a, b) => (a.linearIdentifier || a.title).localeCompare(b.linearIdentifier || b.title, undefined, { numeric: true }))
+    .map(summarizeIssue);
+
+  const scores = issues.map(i => i.score).filter(score => score !== null);
+  const scoreBands = Object.fromEntries(Object.keys(SCORE_BANDS).filter(key => key !== 'all').map(key => [key, 0]));
+  issues.forEach(issue => {
+    scoreBands[getScoreBand(issue.score)]++;
+  });
+
+  /** @type {Map<string, RollupOverlap>} */
+  const byCriterion = new Map();
+  issues.forEach(issue => {
+    issue.criteria.forEach(text => {
+      const key = normalizeCriterion(text);
+      const entry = byCriterion.get(key) || { text, issues: [] };
+      if (!entry.issues.includes(issue.project)) entry.issues.push(issue.project);
+      byCriterion.set(key, entry);
+    });
+  });
+
+  const scopeConflicts = [];
+  byCriterion.forEach((entry, key) => {
+    const excludedBy = issues
+      .filter(issue => issue.outOfScope.some(item => normalizeCriterion(item) === key))
+      .map(issue => issue.project)
+      .filter(project => entry.issues.some(p => p !== project));
+    if (excludedBy.length > 0) {
+      scopeConflicts.push({ ...entry, issues: entry.issues.filter(p => !excludedBy.includes(p)), excludedBy });
+    }
+  });
+
+  return {
+    issues,
+    coverage: {
+      total: issues.length,
+      withFinalAc: issues.filter(i => i.finalAc).length,
+      criteria: issues.reduce((sum, i) => sum + i.criteria.length, 0),
+      averageScore: scores.length > 0 ? Math.round(scores.reduce((sum, s) => sum + s, 0) / scores.length) : null
+    },
+    scoreBands,
+    duplicates: [...byCriterion.values()].filter(entry => entry.issues.length > 1),
+    scopeConflicts
+  };
+}
+
+/**
+ * Short name for an issue: "ENG-12 Title" or just the title
+ * @param {import('./types.js').Project} project
+ * @returns {string}
+ */
+export function getIssueName(project) {
+  const title = project.issueTitle || project.title || 'Untitled Issue';
+  return project.linearIdentifier ? `${project.linearIdentifier} ${title}` : title;
+}
+
+/**
+ * Render the rollup as one markdown document
+ * Each issue's final AC is nested under its own heading, with headings
+ * demoted two levels so the document keeps a single outline.
+ * @param {string} name - Linear project name
+ * @param {Rollup} rollup
+ * @returns {string}
+ */
+export function buildRollupMarkdown(name, rollup) {
+  const { coverage, scoreBands } = rollup;
+  const lines = [
+    `# ${name}`,
+    '',
+    `- Issues: ${coverage.total} (${coverage.withFinalAc} with final acceptance criteria)`,
+    `- Criteria: ${coverage.criteria}`,
+    `- Average score: ${coverage.averageScore ?? 'n/a'}`,
+    `- Scores: ${Object.entries(scoreBands).map(([key, count]) => `${SCORE_BANDS[key].label}: ${count}`).join(', ')}`,
+    ''
+  ];
+
+  if (rollup.duplicates.length > 0 || rollup.scopeConflicts.length > 0) {
+    lines.push('## Overlaps', '');
+    rollup.duplicates.forEach(d => {
+      lines.push(`- Duplicate: "${d.text}" in ${d.issues.map(getIssueName).join(', ')}`);
+    });
+    rollup.scopeConflicts.forEach(c => {
+      lines.push(`- Scope conflict: "${c.text}" is a criterion in ${c.issues.map(getIssueName).join(', ')} but out of scope in ${c.excludedBy.map(getIssueName).join(', ')}`);
+    });
+    lines.push('');
+  }
+
+  lines.push('## Issues', '');
+  rollup.issues.forEach(issue => {
+    lines.push(`### ${getIssueName(issue.project)}`, '');
+    lines.push(issue.finalAc
+      ? issue.finalAc.trim().replace(/^(#{1,4})(\s)/gm, '$1##$2')
+      : '_No final acceptance criteria yet._');
+    lines.push('');
+  });
+
+  return lines.join('\n');
+}
+
+/**
+ * Load the rollup for a Linear project
+ * @param {string} name
+ * @returns {Promise<Rollup>}
+ */
+export async function getRollup(name) {
+  return buildRollup(await storage.getProjectsByLinearProject(name));
+}
+
+/**
+ * Download the rollup for a Linear project as markdown
+ * @param {string} name
+ * @returns {Promise<number>} Number of issues exported
+ */
+export async function exportRollupMarkdown(name) {
+  const rollup = await getRollup(name);
+  const blob = new Blob([buildRollupMarkdown(name, rollup)], { type: 'text/markdown' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `${name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'project'}-rollup.md`;
+  a.click();
+  URL.revokeObjectURL(url);
+  return rollup.coverage.total;
+}
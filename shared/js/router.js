@@ -6,10 +6,13 @@
 
 import { renderProjectsList, renderNewProjectForm, renderEditProjectForm } from './views.js';
 import { renderProjectView } from './project-view.js';
+import { renderArchiveView, renderTrashView } from './archive-trash.js';
+import { renderRollupIndex, renderRollupView } from './rollup-view.js';
+import { countProjectsByState } from './projects.js';
 import storage from './storage.js';
 
 /**
- * @typedef {'home' | 'new-project' | 'project' | 'edit'} RouteName
+ * @typedef {'home' | 'new-project' | 'project' | 'edit' | 'archive' | 'trash' | 'rollup'} RouteName
  */
 
 /**
@@ -23,7 +26,10 @@ const routes = {
   'home': renderProjectsList,
   'new-project': renderNewProjectForm,
   'project': renderProjectView,
-  'edit': renderEditProjectForm
+  'edit': renderEditProjectForm,
+  'archive': renderArchiveView,
+  'trash': renderTrashView,
+  'rollup': (name) => (name ? renderRollupView(name) : renderRollupIndex())
 };
 
 /** @type {RouteName | null} */
@@ -34,22 +40,23 @@ let currentParams = [];
 
 /**
  * Update storage info in footer
- * Ensures footer always reflects current project count
+ * Ensures footer always reflects current active, archived and trashed counts
  * @returns {Promise<void>}
  */
 export async function updateStorageInfo() {
   try {
     const estimate = await storage.getStorageEstimate();
-    const projects = await storage.getAllProjects();
+    const { active, archived, trashed } = countProjectsByState(await storage.getAllProjects());
+    const counts = `${active} active • ${archived} archived • ${trashed} in trash`;
 
     const storageInfo = document.getElementById('storage-info');
     if (storageInfo) {
       if (estimate) {
         const usedMB = (estimate.usage / (1024 * 1024)).toFixed(1);
         const quotaMB = (estimate.quota / (1024 * 1024)).toFixed(0);
-        storageInfo.textContent = `${projects.length} proposals • ${usedMB}MB used of ${quotaMB}MB`;
+        storageInfo.textContent = `${counts} • ${usedMB}MB used of ${quotaMB}MB`;
       } else {
-        storageInfo.textContent = `${projects.length} proposals stored locally`;
+        storageInfo.textContent = `${counts} • stored locally`;
       }
     }
   } catch (error) {
@@ -68,13 +75,17 @@ export async function navigateTo(route, ...params) {
   currentParams = params;
 
   if (route === 'home') {
-    window.location.hash = '';
+    window.location.hash = params[0] ? `#?${params[0]}` : '';
   } else if (route === 'new-project') {
     window.location.hash = '#new';
   } else if (route === 'project' && params[0]) {
     window.location.hash = `#project/${params[0]}`;
   } else if (route === 'edit' && params[0]) {
     window.location.hash = `#edit/${params[0]}`;
+  } else if (route === 'archive' || route === 'trash') {
+    window.location.hash = `#${route}`;
+  } else if (route === 'rollup') {
+    window.location.hash = params[0] ? `#rollup/${encodeURIComponent(params[0])}` : '#rollup';
   }
 
   const handler = routes[route];
@@ -88,6 +99,23 @@ export async function navigateTo(route, ...params) {
   await updateStorageInfo();
 }
 
+/**
+ * Record the projects list search/filter/sort state in the URL hash
+ * Uses replaceState so typing in the search box neither re-renders the
+ * page nor floods the browser history.
+ * @param {string} queryString - Serialized list query ('' for defaults)
+ * @returns {void}
+ */
+export function replaceListQuery(queryString) {
+  const url = queryString
+    ? `#?${queryString}`
+    : window.location.pathname + window.location.search;
+  window.history.replaceState(null, '', url);
+  if (currentRoute === 'home') {
+    currentParams = queryString ? [queryString] : [];
+  }
+}
+
 /**
  * Initialize the router and attach event listeners
  * @returns {void}
@@ -106,6 +134,8 @@ async function handleHashChange() {
 
   if (!hash) {
     await navigateTo('home');
+  } else if (hash.startsWith('?')) {
+    await navigateTo('home', hash.slice(1));
   } else if (hash === 'new') {
     await navigateTo('new-project');
   } else if (hash.startsWith('project/')) {
@@ -114,6 +144,12 @@ async function handleHashChange() {
   } else if (hash.startsWith('edit/')) {
     const projectId = hash.split('/')[1];
     await navigateTo('edit', projectId);
+  } else if (hash === 'archive' || hash === 'trash') {
+    await navigateTo(hash);
+  } else if (hash === 'rollup') {
+    await navigateTo('rollup');
+  } else if (hash.startsWith('rollup/')) {
+    await navigateTo('rollup', decodeURIComponent(hash.slice('rollup/'.length)));
   } else {
     await navigateTo('home');
   }
@@ -0,0 +1,174 @@
+/**
+ * Split Wizard Module
+ * Modal for grouping an issue's criteria into child issues
+ * @module split-wizard
+ */
+
+import { getSplitSource, generateSplitPrompt, parseSplitProposal, splitProject } from './issue-split.js';
+import { escapeHtml, showToast, copyToClipboardAsync } from './ui.js';
+import { getFinalResponse } from './prompts.js';
+
+const INPUT_CLASS = 'px-2 py-1 border border-gray-300 dark:border-gray-600 rounded bg-white dark:bg-gray-700 text-gray-900 dark:text-white text-sm';
+
+/**
+ * Spread criteria evenly over groups, keeping neighbours together
+ * @param {number} criteriaCount
+ * @param {number} groupCount
+ * @returns {number[]} Group index for each criterion
+ */
+function defaultAssignment(criteriaCount, groupCount) {
+  return Array.from({ length: criteriaCount }, (_, i) => Math.floor(i * groupCount / criteriaCount));
+}
+
+/**
+ * Show the split wizard for a project's final AC
+ * @param {import('./types.js').Project} project
+ * @param {function(import('./types.js').Project[]): void} [onSplit] - Called with the new children
+ */
+export function showSplitModal(project, onSplit) {
+  const source = getSplitSource(getFinalResponse(project));
+  if (source.criteria.length === 0) {
+    showToast('The final acceptance criteria have no checklist items to split', 'info');
+    return;
+  }
+
+  const baseTitle = project.issueTitle || project.title || 'Untitled Issue';
+  let titles = [`${baseTitle} (part 1)`, `${baseTitle} (part 2)`];
+  // Group index per criterion; -1 keeps it out of every child
+  let assignment = defaultAssignment(source.criteria.length, titles.length);
+
+  const modal = document.createElement('div');
+  modal.className = 'fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4';
+  modal.innerHTML = `
+        <div class="bg-white dark:bg-gray-800 rounded-lg shadow-xl max-w-3xl w-full max-h-[90vh] flex flex-col">
+            <div class="p-4 border-b border-gray-200 dark:border-gray-700">
+                <h3 class="text-lg font-bold text-gray-900 dark:text-white">✂️ Split Issue</h3>
+                <p class="mt-1 text-sm text-gray-600 dark:text-gray-400">
+                    Assign each of the ${source.criteria.length} criteria to a child issue. Every child inherits the Summary and Out of Scope sections and starts at Phase 2.
+                </p>
+            </div>
+            <div id="split-body" class="p-4 overflow-y-auto flex-1 space-y-4"></div>
+            <details class="px-4 pb-2 text-sm text-gray-700 dark:text-gray-300">
+                <summary class="cursor-pointer py-2">Ask an AI to propose a split</summary>
+                <p class="mb-2 text-gray-600 dark:text-gray-400">Copy the prompt, run it in your AI tool, then paste the answer here.</p>
+                <textarea id="split-proposal" rows="4" class="w-full ${INPUT_CLASS}" placeholder="Story: ...&#10;Criteria: 1, 2, 3"></textarea>
+                <div class="mt-2 flex gap-2">
+                    <button id="copy-split-prompt-btn" class="px-3 py-1 bg-gray-200 dark:bg-gray-700 text-gray-800 dark:text-gray-200 rounded-lg hover:bg-gray-300 dark:hover:bg-gray-600 transition-colors">📋 Copy Split Prompt</button>
+                    <button id="apply-split-proposal-btn" class="px-3 py-1 bg-gray-200 dark:bg-gray-700 text-gray-800 dark:text-gray-200 rounded-lg hover:bg-gray-300 dark:hover:bg-gray-600 transition-colors">Apply Proposal</button>
+                </div>
+            </details>
+            <div class="p-4 border-t border-gray-200 dark:border-gray-700 flex justify-end gap-3">
+                <button id="cancel-split-btn" class="px-4 py-2 bg-gray-200 dark:bg-gray-700 text-gray-800 dark:text-gray-200 rounded-lg hover:bg-gray-300 dark:hover:bg-gray-600 transition-colors">
+                    Cancel
+                </button>
+                <button id="create-split-btn" class="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors">
+                    Create Child Issues
+                </button>
+            </div>
+        </div>
+    `;
+
+  const body = modal.querySelector('#split-body');
+
+  /** Read the current titles and assignments back from the form */
+  function syncFromForm() {
+    titles = [...body.querySelectorAll('.split-group-title')].map(input => input.value);
+    assignment = [...body.querySelectorAll('.split-criterion-group')].map(select => parseInt(select.value, 10));
+  }
+
+  function render() {
+    body.innerHTML = `
+                <div>
+                    <p class="text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">Child issues</p>
+                    <div class="space-y-2">
+                        ${titles.map((title, i) => `
+                        <label class="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+                            <span class="w-16 flex-shrink-0">Child ${i + 1}</span>
+                            <input type="text" class="split-group-title flex-1 ${INPUT_CLASS}" data-group="${i}" value="${escapeHtml(title)}">
+                            <span class="split-group-count w-20 text-xs text-gray-500 dark:text-gray-400">${assignment.filter(g => g === i).length} criteria</span>
+                        </label>
+                        `).join('')}
+                    </div>
+                    <button id="add-split-group-btn" class="mt-2 text-sm text-blue-600 dark:text-blue-400 hover:underline">+ Add child issue</button>
+                </div>
+                <div>
+                    <p class="text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">Criteria</p>
+                    <ol class="space-y-2">
+                        ${source.criteria.map((criterion, i) => `
+                        <li class="flex items-start gap-3 text-sm">
+                            <select class="split-criterion-group ${INPUT_CLASS}" data-index="${i}" aria-label="Child issue for criterion ${i + 1}">
+                                <option value="-1"${assignment[i] === -1 ? ' selected' : ''}>Don't move</option>
+                                ${titles.map((_, g) => `<option value="${g}"${assignment[i] === g ? ' selected' : ''}>Child ${g + 1}</option>`).join('')}
+                            </select>
+                            <span class="text-gray-800 dark:text-gray-200"><span class="text-gray-500 dark:text-gray-400">${i + 1}.</span> ${escapeHtml(criterion.text)}</span>
+                        </li>
+                        `).join('')}
+                    </ol>
+                </div>
+    `;
+
+    body.querySelector('#add-split-group-btn').addEventListener('click', () => {
+      syncFromForm();
+      titles.push(`${baseTitle} (part ${titles.length + 1})`);
+      render();
+    });
+    body.querySelectorAll('.split-criterion-group').forEach(select => {
+      select.addEventListener('change', () => {
+        syncFromForm();
+        render();
+      });
+    });
+  }
+
+  const closeModal = () => {
+    modal.remove();
+    document.removeEventListener('keydown', handleEscape);
+  };
+  const handleEscape = (e) => {
+    if (e.key === 'Escape') closeModal();
+  };
+
+  modal.querySelector('#copy-split-prompt-btn').addEventListener('click', () => {
+    copyToClipboardAsync(Promise.resolve(generateSplitPrompt(project)))
+      .then(() => showToast('Split prompt copied to clipboard!', 'success'))
+      .catch(() => showToast('Failed to copy prompt', 'error'));
+  });
+
+  modal.querySelector('#apply-split-proposal-btn').addEventListener('click', () => {
+    const groups = parseSplitProposal(modal.querySelector('#split-proposal').value, source.criteria.length);
+    if (groups.length === 0) {
+      showToast('No "Story:" and "Criteria:" lines found in the proposal', 'warning');
+      return;
+    }
+    titles = groups.map(g => g.title);
+    assignment = source.criteria.map((_, i) => groups.findIndex(g => g.criteria.includes(i)));
+    render();
+    showToast(`Applied a ${groups.length}-way split`, 'success');
+  });
+
+  modal.querySelector('#cancel-split-btn').addEventListener('click', closeModal);
+
+  modal.querySelector('#create-split-btn').addEventListener('click', async () => {
+    syncFromForm();
+    const groups = titles.map((title, g) => ({
+      title,
+      criteria: assignment.map((group, i) => (group === g ? i : -1)).filter(i => i !== -1)
+    }));
+
+    try {
+      const children = await splitProject(project.id, groups);
+      closeModal();
+      showToast(`Created ${children.length} child issue${children.length === 1 ? '' : 's'}`, 'success');
+      if (onSplit) onSplit(children);
+    } catch (error) {
+      showToast(error.message, 'error');
+    }
+  });
+
+  document.body.appendChild(modal);
+  render();
+  modal.addEventListener('click', (e) => {
+    if (e.target === modal) closeModal();
+  });
+  document.addEventListener('keydown', handleEscape);
+}
@@ -4,15 +4,20 @@
  * @module storage
  */
 
+import { openDatabase, normalizeProject, getSchemaVersion } from './migrations.js';
+
 /** @type {string} */
 const DB_NAME = 'acceptance-criteria-assistant-db';
 
-/** @type {number} */
-const DB_VERSION = 1;
-
 /** @type {string} */
 const STORE_NAME = 'criteria';
 
+/** @type {string} */
+const REVISIONS_STORE = 'revisions';
+
+/** @type {string} Custom prompt templates; the keyPath is named 'phase' but holds the template key */
+const PROMPTS_STORE = 'prompts';
+
 /**
  * Storage class for IndexedDB operations
  */
@@ -21,49 +26,40 @@ class Storage {
   db = null;
 
   /**
-     * Initialize the database
+     * Migration failure from the last init(), if the database had to be
+     * reopened at its previous schema version
+     * @type {Error | null}
+     */
+  migrationError = null;
+
+  /**
+     * Initialize the database, running any pending schema migrations
      * @returns {Promise<void>}
      */
   async init() {
-    return new Promise((resolve, reject) => {
-      const request = indexedDB.open(DB_NAME, DB_VERSION);
-
-      request.onerror = () => reject(request.error);
-      request.onsuccess = () => {
-        this.db = request.result;
-        resolve();
-      };
-
-      request.onupgradeneeded = (event) => {
-        const target = /** @type {IDBOpenDBRequest} */ (event.target);
-        const db = target.result;
-
-        // Proposals store
-        if (!db.objectStoreNames.contains(STORE_NAME)) {
-          const store = db.createObjectStore(STORE_NAME, { keyPath: 'id' });
-          store.createIndex('updatedAt', 'updatedAt', { unique: false });
-          store.createIndex('title', 'title', { unique: false });
-          store.createIndex('phase', 'phase', { unique: false });
-          store.createIndex('dealershipName', 'dealershipName', { unique: false });
-        }
-
-        // Prompts store
-        if (!db.objectStoreNames.contains('prompts')) {
-          db.createObjectStore('prompts', { keyPath: 'phase' });
-        }
+    const { db, migrationError } = await openDatabase(DB_NAME);
+    this.db = db;
+    this.migrationError = migrationError;
+  }
 
-        // Settings store
-        if (!db.objectStoreNames.contains('settings')) {
-          db.createObjectStore('settings', { keyPath: 'key' });
-        }
+  /**
+     * Whether the open database has the revisions store
+     * Databases left on schema v1 by a failed upgrade do not. An unopened
+     * database counts as having it, so callers still report "not initialized".
+     * @returns {boolean}
+     */
+  hasRevisionsStore() {
+    return !this.db || this.db.objectStoreNames.contains(REVISIONS_STORE);
+  }
 
-        // Attachments store (for PDF text content)
-        if (!db.objectStoreNames.contains('attachments')) {
-          const attachStore = db.createObjectStore('attachments', { keyPath: 'id' });
-          attachStore.createIndex('proposalId', 'proposalId', { unique: false });
-        }
-      };
-    });
+  /**
+     * Whether the projects store has an index (added by a later schema
+     * version than a failed upgrade may have left)
+     * @param {string} name
+     * @returns {boolean}
+     */
+  hasProjectIndex(name) {
+    return !this.db || this.db.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME).indexNames.contains(name);
   }
 
   /**
@@ -88,7 +84,7 @@ class Storage {
         const target = /** @type {IDBRequest<IDBCursorWithValue | null>} */ (event.target);
         const cursor = target.result;
         if (cursor) {
-          projects.push(/** @type {import('./types.js').Project} */ (cursor.value));
+          projects.push(normalizeProject(cursor.value));
           cursor.continue();
         } else {
           resolve(projects);
@@ -114,7 +110,7 @@ class Storage {
         return;
       }
       const request = store.get(id);
-      request.onsuccess = () => resolve(request.result);
+      request.onsuccess = () => resolve(request.result && normalizeProject(request.result));
       request.onerror = () => reject(request.error);
     });
   }
@@ -141,6 +137,90 @@ class Storage {
     });
   }
 
+  /**
+     * Store a project exactly as given, keeping its updatedAt
+     * Used for imports, so a restored copy is not mistaken for a fresh edit.
+     * @param {import('./types.js').Project} project
+     * @returns {Promise<import('./types.js').Project>}
+     */
+  async putProject(project) {
+    const tx = this.db?.transaction(STORE_NAME, 'readwrite');
+    const store = tx?.objectStore(STORE_NAME);
+
+    return new Promise((resolve, reject) => {
+      if (!store) {
+        reject(new Error('Database not initialized'));
+        return;
+      }
+      const request = store.put(project);
+      request.onsuccess = () => resolve(project);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+     * Get all projects carrying a label
+     * Names match ignoring case. The labels index is case-sensitive, so its
+     * distinct keys are walked first to find every spelling of the name.
+     * @param {string} name - Label name
+     * @returns {Promise<import('./types.js').Project[]>}
+     */
+  async getProjectsByLabel(name) {
+    const key = name.toLowerCase();
+    if (!this.hasProjectIndex('labels')) {
+      return (await this.getAllProjects()).filter(p => p.labels.some(l => l.toLowerCase() === key));
+    }
+
+    const tx = this.db?.transaction(STORE_NAME, 'readonly');
+    const store = tx?.objectStore(STORE_NAME);
+
+    return new Promise((resolve, reject) => {
+      if (!store) {
+        reject(new Error('Database not initialized'));
+        return;
+      }
+      const index = store.index('labels');
+      const projects = new Map();
+      const cursorRequest = index.openKeyCursor(null, 'nextunique');
+      cursorRequest.onsuccess = () => {
+        const cursor = cursorRequest.result;
+        if (!cursor) return;
+        if (String(cursor.key).toLowerCase() === key) {
+          const request = index.getAll(cursor.key);
+          request.onsuccess = () => request.result.forEach(p => projects.set(p.id, normalizeProject(p)));
+        }
+        cursor.continue();
+      };
+      cursorRequest.onerror = () => reject(cursorRequest.error);
+      tx.oncomplete = () => resolve([...projects.values()]);
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+
+  /**
+     * Get all issues in a Linear project
+     * @param {string} name - Linear project name, matched exactly
+     * @returns {Promise<import('./types.js').Project[]>}
+     */
+  async getProjectsByLinearProject(name) {
+    if (!this.hasProjectIndex('linearProject')) {
+      return (await this.getAllProjects()).filter(p => p.linearProject === name);
+    }
+
+    const tx = this.db?.transaction(STORE_NAME, 'readonly');
+    const store = tx?.objectStore(STORE_NAME);
+
+    return new Promise((resolve, reject) => {
+      if (!store) {
+        reject(new Error('Database not initialized'));
+        return;
+      }
+      const request = store.index('linearProject').getAll(name);
+      request.onsuccess = () => resolve(request.result.map(normalizeProject));
+      request.onerror = () => reject(request.error);
+    });
+  }
+
   /**
      * Delete a project by ID
      * @param {string} id
@@ -161,6 +241,84 @@ class Storage {
     });
   }
 
+  /**
+     * Save a phase revision
+     * @param {import('./types.js').PhaseRevision} revision
+     * @returns {Promise<import('./types.js').PhaseRevision>}
+     */
+  async saveRevision(revision) {
+    if (!this.hasRevisionsStore()) return revision;
+
+    const tx = this.db?.transaction(REVISIONS_STORE, 'readwrite');
+    const store = tx?.objectStore(REVISIONS_STORE);
+
+    return new Promise((resolve, reject) => {
+      if (!store) {
+        reject(new Error('Database not initialized'));
+        return;
+      }
+      const request = store.put(revision);
+      request.onsuccess = () => resolve(revision);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+     * Get revisions for a project phase sorted by createdAt descending
+     * @param {string} projectId
+     * @param {number} phase
+     * @returns {Promise<import('./types.js').PhaseRevision[]>}
+     */
+  async getRevisions(projectId, phase) {
+    if (!this.hasRevisionsStore()) return [];
+
+    const tx = this.db?.transaction(REVISIONS_STORE, 'readonly');
+    const store = tx?.objectStore(REVISIONS_STORE);
+
+    return new Promise((resolve, reject) => {
+      if (!store) {
+        reject(new Error('Database not initialized'));
+        return;
+      }
+      const request = store.index('projectPhase').getAll([projectId, phase]);
+      request.onsuccess = () => {
+        const revisions = /** @type {import('./types.js').PhaseRevision[]} */ (request.result);
+        resolve(revisions.sort((a, b) => b.createdAt.localeCompare(a.createdAt)));
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+     * Delete all revisions belonging to a project
+     * @param {string} projectId
+     * @returns {Promise<void>}
+     */
+  async deleteRevisions(projectId) {
+    if (!this.hasRevisionsStore()) return;
+
+    const tx = this.db?.transaction(REVISIONS_STORE, 'readwrite');
+    const store = tx?.objectStore(REVISIONS_STORE);
+
+    return new Promise((resolve, reject) => {
+      if (!store) {
+        reject(new Error('Database not initialized'));
+        return;
+      }
+      const request = store.index('projectId').openKeyCursor(IDBKeyRange.only(projectId));
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (cursor) {
+          store.delete(cursor.primaryKey);
+          cursor.continue();
+        } else {
+          resolve();
+        }
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
+
   /**
      * Get storage estimate
      * @returns {Promise<import('./types.js').StorageEstimate | null>}
@@ -213,6 +371,65 @@ class Storage {
     });
   }
 
+  /**
+     * Get all custom prompt template records
+     * @returns {Promise<import('./types.js').PromptTemplateRecord[]>}
+     */
+  async getAllPromptTemplates() {
+    const tx = this.db?.transaction(PROMPTS_STORE, 'readonly');
+    const store = tx?.objectStore(PROMPTS_STORE);
+
+    return new Promise((resolve, reject) => {
+      if (!store) {
+        reject(new Error('Database not initialized'));
+        return;
+      }
+      const request = store.getAll();
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+     * Get the custom prompt template record for a template key
+     * @param {string} key - Template key, e.g. 'phase2' or 'phase2-gherkin'
+     * @returns {Promise<import('./types.js').PromptTemplateRecord | undefined>}
+     */
+  async getPromptTemplate(key) {
+    const tx = this.db?.transaction(PROMPTS_STORE, 'readonly');
+    const store = tx?.objectStore(PROMPTS_STORE);
+
+    return new Promise((resolve, reject) => {
+      if (!store) {
+        reject(new Error('Database not initialized'));
+        return;
+      }
+      const request = store.get(key);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+     * Save a custom prompt template record
+     * @param {import('./types.js').PromptTemplateRecord} record
+     * @returns {Promise<import('./types.js').PromptTemplateRecord>}
+     */
+  async savePromptTemplate(record) {
+    const tx = this.db?.transaction(PROMPTS_STORE, 'readwrite');
+    const store = tx?.objectStore(PROMPTS_STORE);
+
+    return new Promise((resolve, reject) => {
+      if (!store) {
+        reject(new Error('Database not initialized'));
+        return;
+      }
+      const request = store.put(record);
+      request.onsuccess = () => resolve(record);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
   /**
    * Export all projects as JSON backup
    * @returns {Promise<{version: number, exportDate: string, projectCount: number, projects: Array}>}
@@ -220,7 +437,7 @@ class Storage {
   async exportAll() {
     const projects = await this.getAllProjects();
     return {
-      version: DB_VERSION,
+      version: getSchemaVersion(),
       exportDate: new Date().toISOString(),
       projectCount: projects.length,
       projects: projects
@@ -229,26 +446,28 @@ class Storage {
 
   /**
    * Import projects from JSON backup
+   * Projects whose local copy is at least as recent are left untouched;
+   * use the backup-import module for per-project conflict resolution.
    * @param {Object} data - Import data with projects array
-   * @returns {Promise<number>} Number of projects imported
+   * @returns {Promise<number>} Number of projects written
    */
   async importAll(data) {
     if (!data.projects || !Array.isArray(data.projects)) {
       throw new Error('Invalid import data');
     }
 
-    const tx = this.db.transaction(STORE_NAME, 'readwrite');
-    const store = tx.objectStore(STORE_NAME);
-
+    let imported = 0;
     for (const project of data.projects) {
-      await new Promise((resolve, reject) => {
-        const request = store.put(project);
-        request.onsuccess = () => resolve();
-        request.onerror = () => reject(request.error);
-      });
+      const local = await this.getProject(project.id);
+      if (local && !(Date.parse(project.updatedAt) > Date.parse(local.updatedAt))) {
+        continue;
+      }
+
+      await this.putProject(normalizeProject(project));
+      imported++;
     }
 
-    return data.projects.length;
+    return imported;
   }
 }
 
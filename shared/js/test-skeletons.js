@@ -0,0 +1,146 @@
+/**
+ * Test Skeleton Export Module
+ * Turns final acceptance criteria into pending test stubs
+ * @module test-skeletons
+ *
+ * Each `- [ ]` criterion (or Gherkin scenario) becomes one pending test named
+ * after the criterion, grouped under the issue title.
+ */
+
+import { parseCriteria } from '../../validator/js/criteria-parser.js';
+import { parseGherkin } from '../../validator/js/gherkin-parser.js';
+
+/**
+ * Supported test frameworks
+ */
+export const TEST_FRAMEWORKS = {
+  jest: { id: 'jest', label: 'Jest', extension: '.test.js', icon: '🃏' },
+  playwright: { id: 'playwright', label: 'Playwright', extension: '.spec.js', icon: '🎭' },
+  cucumber: { id: 'cucumber', label: 'Cucumber', extension: '.feature', icon: '🥒' }
+};
+
+const GHERKIN_FENCE_PATTERN = /```gherkin[^\n]*\n([\s\S]*?)```/i;
+const FEATURE_LINE_PATTERN = /^(\s*)Feature:.*$/m;
+
+/**
+ * Quote a string as a single-quoted JavaScript literal
+ * @param {string} text
+ * @returns {string}
+ */
+function jsString(text) {
+  return `'${text.replace(/\\/g, '\\\\').replace(/'/g, '\\\'').replace(/\s*\n\s*/g, ' ')}'`;
+}
+
+/**
+ * Collect test names from the acceptance criteria
+ * Gherkin scenarios take precedence over checklist items.
+ * @param {string} markdown - Final acceptance criteria
+ * @returns {{ names: string[], gherkin: Object|null }}
+ */
+export function extractTestCases(markdown) {
+  const gherkin = parseGherkin(markdown);
+  if (gherkin.scenarios.length > 0) {
+    return { names: gherkin.scenarios.map(s => s.name || `Scenario at line ${s.line}`), gherkin };
+  }
+
+  const { criteria } = parseCriteria(markdown);
+  const inSection = criteria.filter(c => c.section === 'acceptanceCriteria');
+  const items = inSection.length > 0 ? inSection : criteria;
+  return { names: items.map(c => c.text).filter(Boolean), gherkin: null };
+}
+
+function renderJest(title, names) {
+  return [
+    `describe(${jsString(title)}, () => {`,
+    ...names.map(name => `  test.todo(${jsString(name)});`),
+    '});',
+    ''
+  ].join('\n');
+}
+
+function renderPlaywright(title, names) {
+  return [
+    'import { test } from \'@playwright/test\';',
+    '',
+    `test.describe(${jsString(title)}, () => {`,
+    names.map(name => [
+      `  test.fixme(${jsString(name)}, async ({ page }) => {`,
+      '    // TODO: implement',
+      '  });'
+    ].join('\n')).join('\n\n'),
+    '});',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Render a .feature file. Gherkin documents keep their authored scenarios
+ * (including Examples tables); checklist items become pending scenarios.
+ */
+function renderCucumber(title, names, markdown, gherkin) {
+  const featureLine = `Feature: ${title.replace(/\s*\n\s*/g, ' ')}`;
+
+  if (gherkin) {
+    const fence = markdown.match(GHERKIN_FENCE_PATTERN);
+    if (fence) {
+      const body = fence[1].replace(/\s+$/, '');
+      return FEATURE_LINE_PATTERN.test(body)
+        ? `${body.replace(FEATURE_LINE_PATTERN, (_, indent) => `${indent}${featureLine}`)}\n`
+        : `${featureLine}\n\n${body}\n`;
+    }
+
+    const scenarios = gherkin.scenarios.map(s => [
+      `  ${s.keyword}: ${s.name}`,
+      ...s.steps.map(step => `    ${step.keyword} ${step.text}`)
+    ].join('\n'));
+    return `${featureLine}\n\n${scenarios.join('\n\n')}\n`;
+  }
+
+  const scenarios = names.map(name => [
+    '  @pending',
+    `  Scenario: ${name.replace(/\s*\n\s*/g, ' ')}`,
+    '    # TODO: add Given/When/Then steps'
+  ].join('\n'));
+  return `${featureLine}\n\n${scenarios.join('\n\n')}\n`;
+}
+
+/**
+ * Generate a pending test skeleton from acceptance criteria
+ * @param {string} markdown - Final acceptance criteria
+ * @param {string} title - Issue title used as the describe/Feature name
+ * @param {string} framework - One of TEST_FRAMEWORKS keys
+ * @returns {string|null} Skeleton source, or null if there are no criteria
+ */
+export function generateTestSkeleton(markdown, title, framework) {
+  if (!TEST_FRAMEWORKS[framework]) {
+    throw new Error(`Unknown test framework: ${framework}`);
+  }
+
+  const { names, gherkin } = extractTestCases(markdown || '');
+  if (names.length === 0) return null;
+
+  const suiteName = (title || 'Acceptance criteria').trim();
+  switch (framework) {
+  case 'jest':
+    return renderJest(suiteName, names);
+  case 'playwright':
+    return renderPlaywright(suiteName, names);
+  default:
+    return renderCucumber(suiteName, names, markdown, gherkin);
+  }
+}
+
+/**
+ * Build the download filename for a test skeleton
+ * @param {string} title - Issue title
+ * @param {string} framework - One of TEST_FRAMEWORKS keys
+ * @returns {string}
+ */
+export function getTestSkeletonFilename(title, framework) {
+  const base = (title || 'acceptance-criteria')
+    .replace(/[^a-z0-9]/gi, '-')
+    .replace(/-+/g, '-')
+    .replace(/^-|-$/g, '')
+    .toLowerCase() || 'acceptance-criteria';
+  return `${base}${TEST_FRAMEWORKS[framework].extension}`;
+}
@@ -17,6 +17,49 @@
  * @property {string} prompt - The prompt used for this phase
  * @property {string} response - The AI response for this phase
  * @property {boolean} completed - Whether this phase is complete
+ * @property {PhaseReview[]} [reviews] - Independent reviews on a multi-reviewer phase; response holds their merged critique
+ * @property {Object.<string, 'accepted'|'rejected'>} [findingDecisions] - Decisions on the review's findings, by finding key
+ */
+
+/**
+ * @typedef {Object} PhaseReview
+ * @property {string} id - Unique identifier (UUID)
+ * @property {string} reviewer - Who wrote it, e.g. Gemini, GPT or a QA engineer's name
+ * @property {string} response - The review as pasted
+ * @property {string} savedAt - ISO timestamp
+ */
+
+/**
+ * @typedef {Object} PhaseRevision
+ * @property {string} id - Unique identifier (UUID)
+ * @property {string} projectId - ID of the parent project
+ * @property {number} phase - Phase number the revision belongs to
+ * @property {string} prompt - Prompt saved with this revision
+ * @property {string} response - Response saved with this revision
+ * @property {string} createdAt - ISO timestamp of when it was saved
+ */
+
+/**
+ * @typedef {Object} PromptTemplateRevision
+ * @property {string} template - Template text as saved
+ * @property {string} savedAt - ISO timestamp of the save
+ */
+
+/**
+ * @typedef {Object} PromptTemplateRecord
+ * @property {string} phase - Template key, e.g. 'phase2' or 'phase2-gherkin'
+ * @property {string | null} template - Custom template in use, or null when reset to the default
+ * @property {PromptTemplateRevision[]} revisions - Saved versions, newest first
+ * @property {string} updatedAt - ISO timestamp of the last change
+ */
+
+/**
+ * @typedef {Object} CustomFieldDefinition
+ * @property {string} variable - Template variable, e.g. 'COMPLIANCE_TIER'; derived from the first label and never changed
+ * @property {string} label - Form label
+ * @property {'text'|'textarea'|'select'|'url'} type - Input type
+ * @property {boolean} required - Whether the project forms insist on a value
+ * @property {string[]} options - Choices for 'select' fields; empty otherwise
  */
 
 /**
@@ -28,17 +71,45 @@
  * @property {string} issueTitle - Issue title (optional - user may already have it in Linear)
  * @property {string} whatNeedsToBeDone - Main description of the task in plain language
  * @property {string} relatedContext - Links to PRD, Figma, Slack threads, or other issues
+ * @property {'linear'|'gherkin'} [outputStyle] - Final AC format: Linear checklist (default) or Gherkin scenarios
+ * @property {string} [workflowId] - Workflow the issue follows (a key of WORKFLOWS; 'standard' if missing)
+ * @property {string} [linearIdentifier] - Linear issue identifier (e.g. ENG-123), set when imported from Linear
+ * @property {string} [linearProject] - Linear project (epic) the issue belongs to; issues sharing one are rolled up together
+ * @property {string[]} labels - User-defined label names (colours live in the 'labels' setting)
+ * @property {Object<string, string>} [customFields] - Custom field values by template variable (definitions live in the 'customFields' setting)
+ * @property {string} [archivedAt] - ISO timestamp when archived; archived projects are hidden from the main list
+ * @property {string} [trashedAt] - ISO timestamp when moved to the trash; purged after the retention period
+ * @property {ForkOrigin} [forkedFrom] - Set on projects created with "Fork from phase N"
+ * @property {SplitLink} [splitFrom] - Set on child projects created by splitting a parent
+ * @property {SplitLink[]} [splitInto] - Child projects split out of this one
+ * @property {import('./quality-gate.js').RefinementRound[]} [refinements] - Quality gate rewrite rounds for the final phase
  *
  * Standard workflow fields (keep these):
  * @property {string} phase1_output - Output from phase 1 (Draft AC)
  * @property {string} phase2_output - Output from phase 2 (Adversarial Review)
  * @property {string} phase3_output - Output from phase 3 (Final Synthesis)
- * @property {number} phase - Current phase number (1-3)
+ *   Workflows with more phases add phase4_output and so on; the last one holds the final AC.
+ * @property {number} phase - Current phase number (1 to the workflow's phaseCount)
  * @property {string} createdAt - ISO timestamp of creation
  * @property {string} updatedAt - ISO timestamp of last update
  * @property {Object.<string, PhaseData>} phases - Phase data by phase number
  */
 
+/**
+ * @typedef {Object} ForkOrigin
+ * @property {string} projectId - Parent project id
+ * @property {string} title - Parent title when forked
+ * @property {number} phase - Last phase copied from the parent
+ * @property {string} forkedAt - ISO timestamp of the fork
+ */
+
+/**
+ * @typedef {Object} SplitLink
+ * @property {string} projectId - Linked project id
+ * @property {string} title - Linked project title when split
+ * @property {string} [splitAt] - ISO timestamp of the split (on splitFrom only)
+ */
+
 /**
  * @typedef {Object} ProjectFormData
  * @property {string} [title] - Optional title override
@@ -47,6 +118,12 @@
  * @property {string} [issueTitle] - Issue title (optional)
  * @property {string} [whatNeedsToBeDone] - Main description of the task
  * @property {string} [relatedContext] - Links and additional context
+ * @property {'linear'|'gherkin'} [outputStyle] - Final AC format
+ * @property {string} [workflowId] - Workflow to follow
+ * @property {string} [linearIdentifier] - Linear issue identifier
+ * @property {string} [linearProject] - Linear project name
+ * @property {string | string[]} [labels] - Label names, comma-separated when from a form
+ * @property {Object<string, string>} [customFields] - Custom field values by template variable
  */
 
 // ============================================================================
@@ -55,20 +132,30 @@
 
 /**
  * @typedef {Object} PhaseConfig
- * @property {number} number - Phase number (1, 2, or 3)
+ * @property {number} number - Phase number, from 1, in workflow order
  * @property {string} name - Display name for the phase
  * @property {string} aiModel - AI model to use
  * @property {string} aiUrl - URL to the AI interface
- * @property {string} promptFile - Path to the prompt template file
  * @property {string} description - Description of what this phase does
  * @property {string} icon - Emoji icon for the phase
- * @property {string} color - Color theme for the phase
+ * @property {string} color - Tailwind colour family for the phase badge
+ * @property {string} template - Prompt template id (a key of PROMPT_TEMPLATES)
+ * @property {Object<string, number[]>} inputs - Template variables filled with earlier phases' responses, e.g. { PHASE2_OUTPUT: [2, 3] }
+ * @property {boolean} [multiReview] - Accepts several reviews and merges them into the phase response
+ * @property {boolean} [reviewFindings] - Response is parsed into findings; once every one is decided, only accepted ones feed later phases
+ */
+
+/**
+ * @typedef {Object} WorkflowDefinition
+ * @property {string} id - Key in WORKFLOWS, stored on projects as workflowId
+ * @property {string} name - Display name
+ * @property {string} description - One-line summary for the forms
+ * @property {number} phaseCount - Total number of phases; the last one produces the final AC
+ * @property {PhaseConfig[]} phases - Phases in order
  */
 
 /**
- * @typedef {Object} WorkflowConfig
- * @property {number} phaseCount - Total number of phases
- * @property {PhaseConfig[]} phases - Array of phase configurations
+ * @typedef {WorkflowDefinition} WorkflowConfig
  */
 
 // ============================================================================
@@ -121,6 +208,8 @@
  * @property {string} exportedAt - ISO timestamp of export
  * @property {number} projectCount - Number of projects in backup
  * @property {Project[]} projects - Array of projects
+ * @property {import('./labels.js').LabelDefinition[]} [labels] - Label colours
+ * @property {CustomFieldDefinition[]} [customFields] - Custom field definitions
  */
 
 // Export empty object to make this a module
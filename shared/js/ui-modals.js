@@ -1,6 +1,6 @@
 /**
  * UI Modals Module
- * Modal dialog functionality (prompt, confirm, confirmWithRemember)
+ * Modal dialog functionality (prompt, confirm, confirmWithRemember, promptPassphrase)
  * @module ui-modals
  */
 
@@ -189,3 +189,84 @@ export async function confirmWithRemember(message, title = 'Confirm', options =
   });
 }
 
+
+/**
+ * Ask for a passphrase in a password field
+ * @param {string} message - Message to display above the field
+ * @param {string} title - Dialog title
+ * @param {Object} [options] - Configuration options
+ * @param {boolean} [options.requireConfirmation=false] - Ask twice and require both entries to match
+ * @param {number} [options.minLength=0] - Minimum accepted length
+ * @returns {Promise<string | null>} The passphrase, or null if cancelled
+ */
+export async function promptPassphrase(message, title = 'Passphrase', options = {}) {
+  const { requireConfirmation = false, minLength = 0 } = options;
+  const inputClass = 'w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg dark:bg-gray-700 dark:text-white mb-3';
+
+  return new Promise((resolve) => {
+    const modal = document.createElement('div');
+    modal.className = 'fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50';
+    modal.innerHTML = `
+            <form class="bg-white dark:bg-gray-800 rounded-lg p-6 max-w-md w-full mx-4">
+                <h3 class="text-lg font-semibold text-gray-900 dark:text-white mb-4">${escapeHtml(title)}</h3>
+                <p class="text-gray-600 dark:text-gray-400 mb-4 whitespace-pre-line">${escapeHtml(message)}</p>
+                <input type="password" id="passphrase-input" autocomplete="new-password" placeholder="Passphrase" class="${inputClass}">
+                ${requireConfirmation ? `<input type="password" id="passphrase-confirm" autocomplete="new-password" placeholder="Repeat passphrase" class="${inputClass}">` : ''}
+                <p id="passphrase-error" class="hidden text-sm text-red-600 dark:text-red-400 mb-3"></p>
+                <div class="flex justify-end space-x-3">
+                    <button type="button" id="cancel-btn" class="px-4 py-2 bg-gray-200 dark:bg-gray-700 text-gray-800 dark:text-gray-200 rounded-lg hover:bg-gray-300 dark:hover:bg-gray-600 transition-colors">
+                        Cancel
+                    </button>
+                    <button type="submit" id="confirm-btn" class="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors">
+                        Continue
+                    </button>
+                </div>
+            </form>
+        `;
+
+    document.body.appendChild(modal);
+    const input = /** @type {HTMLInputElement} */ (modal.querySelector('#passphrase-input'));
+    const errorEl = modal.querySelector('#passphrase-error');
+    input.focus();
+
+    const handleEscape = (e) => {
+      if (e.key === 'Escape') {
+        finish(null);
+      }
+    };
+    document.addEventListener('keydown', handleEscape);
+
+    const finish = (value) => {
+      document.removeEventListener('keydown', handleEscape);
+      document.body.removeChild(modal);
+      resolve(value);
+    };
+
+    const showError = (text) => {
+      errorEl.textContent = text;
+      errorEl.classList.remove('hidden');
+    };
+
+    modal.querySelector('form').addEventListener('submit', (e) => {
+      e.preventDefault();
+      const value = input.value;
+      if (value.length < Math.max(1, minLength)) {
+        showError(minLength > 1 ? `Use at least ${minLength} characters` : 'Enter a passphrase');
+        return;
+      }
+      if (requireConfirmation && value !== modal.querySelector('#passphrase-confirm').value) {
+        showError('Passphrases do not match');
+        return;
+      }
+      finish(value);
+    });
+
+    modal.querySelector('#cancel-btn').addEventListener('click', () => finish(null));
+
+    modal.addEventListener('click', (e) => {
+      if (e.target === modal) {
+        finish(null);
+      }
+    });
+  });
+}
@@ -10,5 +10,5 @@ export { initializeTheme, toggleTheme, setupThemeToggle } from './ui-theme.js';
 export { showToast, showLoading, hideLoading } from './ui-toast.js';
 export { copyToClipboard, copyToClipboardAsync } from './ui-clipboard.js';
 export { createActionMenu } from './ui-action-menu.js';
-export { showPromptModal, confirm, confirmWithRemember } from './ui-modals.js';
+export { showPromptModal, confirm, confirmWithRemember, promptPassphrase } from './ui-modals.js';
 export { showDocumentPreviewModal } from './ui-document-preview.js';
@@ -6,9 +6,9 @@
  * Domain: Linear.app-native acceptance criteria for software engineering issues
  */
 
-import { getAllProjects, createProject, updateProject, getProject, deleteProject } from './projects.js';
-import { formatDate, escapeHtml, confirm, showToast, showDocumentPreviewModal } from './ui.js';
-import { navigateTo } from './router.js';
+import { getAllProjects, createProject, updateProject, getProject, trashProjects, getProjectState, countProjectsByState } from './projects.js';
+import { formatDate, escapeHtml, showToast, showDocumentPreviewModal } from './ui.js';
+import { navigateTo, replaceListQuery } from './router.js';
 import { getFinalMarkdown, getExportFilename } from './workflow.js';
 import {
   ATTACHMENT_CONFIG,
@@ -20,8 +20,32 @@ import {
   getAttachmentStats
 } from './attachments.js';
 import { getAllTemplates, getTemplate } from './document-specific-templates.js';
-import { validateDocument, getScoreColor, getScoreLabel } from '../../validator/js/validator.js';
+import { getScoreColor, getScoreLabel } from '../../validator/js/validator.js';
+import { OUTPUT_STYLES, DEFAULT_OUTPUT_STYLE, WORKFLOWS, DEFAULT_WORKFLOW, getProjectWorkflow } from './prompts.js';
 import { showImportModal } from './import-document.js';
+import { getLabels, parseLabelNames, renderLabelChips, getLabelClasses } from './labels.js';
+import { showManageLabelsModal } from './label-manager.js';
+import { ProjectSelection, renderBulkBar, runBulkAction } from './bulk-actions.js';
+import { getLinearProjects } from './rollup.js';
+import { showPromptEditorModal } from './prompt-editor.js';
+import {
+  getCustomFields,
+  renderCustomFieldInputs,
+  extractCustomFieldValues,
+  validateCustomFieldValues
+} from './custom-fields.js';
+import { showManageCustomFieldsModal } from './custom-field-manager.js';
+import {
+  STATUS_FILTERS,
+  SCORE_BANDS,
+  SORT_OPTIONS,
+  GROUP_OPTIONS,
+  parseListQuery,
+  serializeListQuery,
+  filterProjects,
+  isProjectComplete,
+  projectSearchIndex
+} from './project-search.js';
 
 // Re-export attachment functions for backwards compatibility
 export {
@@ -34,70 +58,40 @@ export {
   getAttachmentStats
 };
 
+const SELECT_CLASS = 'px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white text-sm';
+
 /**
- * Render the projects list view
- * @returns {Promise<void>}
+ * Render one project card for the list view
+ * @param {import('./types.js').Project} project
+ * @param {number | null} score - Cached validator score (completed projects only)
+ * @param {import('./labels.js').LabelDefinition[]} labels - Label colours
+ * @returns {string} HTML string
  */
-export async function renderProjectsList() {
-  const projects = await getAllProjects();
-
-  const container = document.getElementById('app-container');
-  container.innerHTML = `
-        <div class="mb-6 flex items-center justify-between">
-            <h2 class="text-3xl font-bold text-gray-900 dark:text-white">
-                My Issues
-            </h2>
-            <button id="new-project-btn" class="px-6 py-3 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors font-medium">
-                + New Issue AC
-            </button>
-        </div>
-
-        ${projects.length === 0 ? `
-            <div class="text-center py-16 bg-white dark:bg-gray-800 rounded-lg border-2 border-dashed border-gray-300 dark:border-gray-600">
-                <span class="text-6xl mb-4 block">✅</span>
-                <h3 class="text-xl font-semibold text-gray-900 dark:text-white mb-2">
-                    No acceptance criteria yet
-                </h3>
-                <p class="text-gray-600 dark:text-gray-400 mb-6">
-                    Create acceptance criteria for your first Linear issue
-                </p>
-                <button id="new-project-btn-empty" class="px-6 py-3 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors font-medium">
-                    + Create Your First AC
-                </button>
-            </div>
-        ` : `
-            <div class="grid gap-4 md:grid-cols-2 lg:grid-cols-3">
-                ${projects.map(project => {
-    // Check if all phases are complete
-    const isComplete = project.phases &&
-                        project.phases[1]?.completed &&
-                        project.phases[2]?.completed &&
-                        project.phases[3]?.completed;
-
-    // Count COMPLETED phases (not current phase)
-    const completedPhases = project.phases
-      ? [1, 2, 3].filter(phase => project.phases[phase]?.completed).length
-      : 0;
-
-    // Calculate score for completed projects
-    let scoreData = null;
-    if (isComplete && project.phases?.[3]?.response) {
-      const validation = validateDocument(project.phases[3].response);
-      scoreData = {
-        score: validation.totalScore,
-        color: getScoreColor(validation.totalScore),
-        label: getScoreLabel(validation.totalScore)
-      };
-    }
-    // Display title: prefer issueTitle, fall back to title
-    const displayTitle = project.issueTitle || project.title || 'Untitled Issue';
-    // Preview text: show first 100 chars of whatNeedsToBeDone
-    const previewText = project.whatNeedsToBeDone || '';
-    return `
-                    <div class="bg-white dark:bg-gray-800 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700 hover:shadow-md transition-shadow cursor-pointer" data-project-id="${project.id}">
+function renderProjectCard(project, score, labels) {
+  const isComplete = isProjectComplete(project);
+  const phaseNumbers = getProjectWorkflow(project).phases.map(p => p.number);
+
+  // Count COMPLETED phases (not current phase)
+  const completedPhases = project.phases
+    ? phaseNumbers.filter(phase => project.phases[phase]?.completed).length
+    : 0;
+
+  const scoreData = score === null ? null : {
+    score,
+    color: getScoreColor(score),
+    label: getScoreLabel(score)
+  };
+  // Display title: prefer issueTitle, fall back to title
+  const displayTitle = project.issueTitle || project.title || 'Untitled Issue';
+  // Preview text: show first 100 chars of whatNeedsToBeDone
+  const previewText = project.whatNeedsToBeDone || '';
+  return `
+                    <div class="project-card bg-white dark:bg-gray-800 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700 hover:shadow-md transition-shadow cursor-pointer focus:outline-none focus:ring-2 focus:ring-blue-500" data-project-id="${project.id}" tabindex="0">
                         <div class="p-6">
                             <div class="flex items-start justify-between mb-3">
-                                <h3 class="text-lg font-semibold text-gray-900 dark:text-white line-clamp-2">
+                                <input type="checkbox" class="select-project-checkbox mt-1.5 mr-3 flex-shrink-0" data-select-id="${project.id}" aria-label="Select ${escapeHtml(displayTitle)}" tabindex="-1">
+                                <h3 class="flex-1 text-lg font-semibold text-gray-900 dark:text-white line-clamp-2">
+                                    ${project.linearIdentifier ? `<span class="mr-1 px-1.5 py-0.5 text-xs font-mono font-medium rounded bg-indigo-100 dark:bg-indigo-900/30 text-indigo-700 dark:text-indigo-300 align-middle" title="Linear issue">${escapeHtml(project.linearIdentifier)}</span>` : ''}
                                     ${escapeHtml(displayTitle)}
                                 </h3>
                                 <div class="flex items-center space-x-2">
@@ -109,7 +103,7 @@ export async function renderProjectsList() {
                                         </svg>
                                     </button>
                                     ` : ''}
-                                    <button class="delete-project-btn text-gray-400 hover:text-red-600 transition-colors" data-project-id="${project.id}" title="Delete">
+                                    <button class="delete-project-btn text-gray-400 hover:text-red-600 transition-colors" data-project-id="${project.id}" title="Move to trash">
                                         <svg class="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                                             <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16"></path>
                                         </svg>
@@ -121,6 +115,12 @@ export async function renderProjectsList() {
                                 ${escapeHtml(previewText ? previewText.substring(0, 100) + (previewText.length > 100 ? '...' : '') : '')}
                             </p>
 
+                            ${project.labels?.length ? `
+                            <div class="flex flex-wrap gap-1 mb-3">
+                                ${renderLabelChips(project.labels, labels)}
+                            </div>
+                            ` : ''}
+
                             ${scoreData ? `
                             <!-- Completed: Show quality score -->
                             <div class="mb-3">
@@ -136,7 +136,7 @@ export async function renderProjectsList() {
                             <!-- In Progress: Show phase progress as segments (green=done, blue=current, gray=future) -->
                             <div class="flex items-center space-x-2 mb-3">
                                 <div class="flex space-x-1 flex-1">
-                                    ${[1, 2, 3].map(phase => {
+                                    ${phaseNumbers.map(phase => {
     const isCompleted = project.phases && project.phases[phase]?.completed;
     const currentPhase = project.phase || project.currentPhase || 1;
     const isCurrent = phase === currentPhase && !isCompleted;
@@ -144,7 +144,7 @@ export async function renderProjectsList() {
     return `<div class="flex-1 h-1.5 rounded ${colorClass}"></div>`;
   }).join('')}
                                 </div>
-                                <span class="text-xs text-gray-500 dark:text-gray-400 line-clamp-1">${completedPhases}/3</span>
+                                <span class="text-xs text-gray-500 dark:text-gray-400 line-clamp-1">${completedPhases}/${phaseNumbers.length}</span>
                             </div>
                             `}
 
@@ -153,8 +153,130 @@ export async function renderProjectsList() {
                             </div>
                         </div>
                     </div>
-                `;}).join('')}
+                `;
+}
+
+/**
+ * Render the search, filter, grouping and sort controls
+ * @param {import('./project-search.js').ListQuery} query
+ * @param {import('./labels.js').LabelDefinition[]} labels
+ * @returns {string} HTML string
+ */
+function renderListToolbar(query, labels) {
+  const options = (entries, selected) => Object.entries(entries).map(([value, label]) =>
+    `<option value="${value}" ${value === selected ? 'selected' : ''}>${escapeHtml(typeof label === 'string' ? label : label.label)}</option>`
+  ).join('');
+
+  return `
+        <div class="mb-4 flex flex-wrap items-center gap-2">
+            <input type="search" id="project-search" value="${escapeHtml(query.q)}" placeholder="Search titles, issue text, context and phase outputs..."
+                class="flex-1 min-w-[16rem] px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white text-sm">
+            <select id="filter-status" class="${SELECT_CLASS}" aria-label="Filter by status">${options(STATUS_FILTERS, query.status)}</select>
+            <select id="filter-score" class="${SELECT_CLASS}" aria-label="Filter by score">${options(SCORE_BANDS, query.score)}</select>
+            <select id="filter-label" class="${SELECT_CLASS}" aria-label="Filter by label">
+                <option value="">All labels</option>
+                ${labels.map(l => `<option value="${escapeHtml(l.name)}" ${l.name.toLowerCase() === query.label.toLowerCase() ? 'selected' : ''}>${escapeHtml(l.name)}</option>`).join('')}
+            </select>
+            <select id="group-projects" class="${SELECT_CLASS}" aria-label="Group projects">${options(GROUP_OPTIONS, query.group)}</select>
+            <select id="sort-projects" class="${SELECT_CLASS}" aria-label="Sort projects">${options(SORT_OPTIONS, query.sort)}</select>
+            <button id="manage-labels-btn" class="px-3 py-2 text-sm text-gray-700 dark:text-gray-300 hover:text-blue-600 dark:hover:text-blue-400" title="Change label colours or delete labels">
+                🏷️ Labels
+            </button>
+        </div>
+        <p id="projects-count" class="mb-3 text-sm text-gray-500 dark:text-gray-400"></p>
+  `;
+}
+
+/**
+ * Render projects as one section per label
+ * A project with several labels appears under each of them; projects
+ * without labels are collected at the end.
+ * @param {import('./types.js').Project[]} projects - Already filtered and sorted
+ * @param {import('./labels.js').LabelDefinition[]} labels
+ * @returns {string} HTML string
+ */
+function renderLabelGroups(projects, labels) {
+  const groups = new Map();
+  const unlabelled = [];
+  projects.forEach(project => {
+    if (!project.labels?.length) {
+      unlabelled.push(project);
+      return;
+    }
+    project.labels.forEach(name => {
+      const key = name.toLowerCase();
+      if (!groups.has(key)) groups.set(key, { name, projects: [] });
+      groups.get(key).projects.push(project);
+    });
+  });
+
+  const colors = new Map(labels.map(l => [l.name.toLowerCase(), l.color]));
+  const sections = [...groups.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([key, group]) => ({ ...group, classes: getLabelClasses(colors.get(key)) }));
+  if (unlabelled.length > 0) {
+    sections.push({ name: 'No label', projects: unlabelled, classes: getLabelClasses('gray') });
+  }
+
+  return sections.map(section => `
+                <section class="label-group" data-label="${escapeHtml(section.name)}">
+                    <h3 class="mb-3 flex items-center gap-2">
+                        <span class="px-2 py-0.5 text-sm font-medium rounded-full ${section.classes}">${escapeHtml(section.name)}</span>
+                        <span class="text-sm text-gray-500 dark:text-gray-400">${section.projects.length}</span>
+                    </h3>
+                    <div class="grid gap-4 md:grid-cols-2 lg:grid-cols-3">
+                        ${section.projects.map(project => renderProjectCard(project, projectSearchIndex.getScore(project.id), labels)).join('')}
+                    </div>
+                </section>
+  `).join('');
+}
+
+/**
+ * Render the projects list view
+ * @param {string} [queryString] - Search/filter/sort state from the URL hash
+ * @returns {Promise<void>}
+ */
+export async function renderProjectsList(queryString = '') {
+  const allProjects = await getAllProjects();
+  const projects = allProjects.filter(p => getProjectState(p) === 'active');
+  const counts = countProjectsByState(allProjects);
+  const labels = await getLabels();
+  const query = parseListQuery(queryString);
+
+  const container = document.getElementById('app-container');
+  container.innerHTML = `
+        <div class="mb-6 flex items-center justify-between">
+            <div class="flex items-baseline gap-4">
+                <h2 class="text-3xl font-bold text-gray-900 dark:text-white">
+                    My Issues
+                </h2>
+                <a href="#archive" id="archive-link" class="text-sm text-gray-600 dark:text-gray-400 hover:text-blue-600 dark:hover:text-blue-400">🗄️ Archive (${counts.archived})</a>
+                <a href="#trash" id="trash-link" class="text-sm text-gray-600 dark:text-gray-400 hover:text-blue-600 dark:hover:text-blue-400">🗑️ Trash (${counts.trashed})</a>
+                <a href="#rollup" id="rollup-link" class="text-sm text-gray-600 dark:text-gray-400 hover:text-blue-600 dark:hover:text-blue-400">📚 Rollups</a>
+                <button type="button" id="edit-prompts-btn" class="text-sm text-gray-600 dark:text-gray-400 hover:text-blue-600 dark:hover:text-blue-400">📝 Prompts</button>
+            </div>
+            <button id="new-project-btn" class="px-6 py-3 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors font-medium">
+                + New Issue AC
+            </button>
+        </div>
+
+        ${projects.length === 0 ? `
+            <div class="text-center py-16 bg-white dark:bg-gray-800 rounded-lg border-2 border-dashed border-gray-300 dark:border-gray-600">
+                <span class="text-6xl mb-4 block">✅</span>
+                <h3 class="text-xl font-semibold text-gray-900 dark:text-white mb-2">
+                    No acceptance criteria yet
+                </h3>
+                <p class="text-gray-600 dark:text-gray-400 mb-6">
+                    Create acceptance criteria for your first Linear issue
+                </p>
+                <button id="new-project-btn-empty" class="px-6 py-3 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors font-medium">
+                    + Create Your First AC
+                </button>
             </div>
+        ` : `
+            ${renderListToolbar(query, labels)}
+            ${renderBulkBar()}
+            <div id="projects-grid"></div>
         `}
     `;
 
@@ -163,8 +285,172 @@ export async function renderProjectsList() {
   newProjectBtns.forEach(btn => {
     btn.addEventListener('click', () => navigateTo('new-project'));
   });
+  container.querySelector('#edit-prompts-btn').addEventListener('click', () => showPromptEditorModal());
+
+  const grid = container.querySelector('#projects-grid');
+  if (!grid) return;
+
+  const selection = new ProjectSelection();
+
+  const renderGrid = () => {
+    const visible = filterProjects(projects, query);
+    container.querySelector('#projects-count').textContent = visible.length === projects.length
+      ? `${projects.length} issue${projects.length === 1 ? '' : 's'}`
+      : `Showing ${visible.length} of ${projects.length} issues`;
+
+    const grouped = query.group === 'label' && visible.length > 0;
+    grid.className = grouped ? 'space-y-8' : 'grid gap-4 md:grid-cols-2 lg:grid-cols-3';
+    if (grouped) {
+      grid.innerHTML = renderLabelGroups(visible, labels);
+    } else {
+      grid.innerHTML = visible.length > 0
+        ? visible.map(project => renderProjectCard(project, projectSearchIndex.getScore(project.id), labels)).join('')
+        : `
+                <p class="col-span-full text-center py-12 text-gray-500 dark:text-gray-400">
+                    No issues match these filters
+                </p>
+      `;
+    }
+    attachProjectCardListeners(grid, projects, query);
+    selection.retain(getCardOrder(grid));
+    syncSelection(container, selection);
+  };
+
+  const updateQuery = (changes) => {
+    Object.assign(query, changes);
+    replaceListQuery(serializeListQuery(query));
+    renderGrid();
+  };
+
+  container.querySelector('#project-search').addEventListener('input', (e) => updateQuery({ q: e.target.value }));
+  container.querySelector('#filter-status').addEventListener('change', (e) => updateQuery({ status: e.target.value }));
+  container.querySelector('#filter-score').addEventListener('change', (e) => updateQuery({ score: e.target.value }));
+  container.querySelector('#filter-label').addEventListener('change', (e) => updateQuery({ label: e.target.value }));
+  container.querySelector('#group-projects').addEventListener('change', (e) => updateQuery({ group: e.target.value }));
+  container.querySelector('#sort-projects').addEventListener('change', (e) => updateQuery({ sort: e.target.value }));
+  container.querySelector('#manage-labels-btn').addEventListener('click', () => {
+    showManageLabelsModal(() => renderProjectsList(serializeListQuery(query)));
+  });
+
+  attachSelectionListeners(container, grid, selection, projects, query);
+  renderGrid();
+}
 
-  const projectCards = container.querySelectorAll('[data-project-id]');
+/**
+ * Ids of the rendered cards in list order (grouped lists can show a card twice)
+ * @param {HTMLElement} grid
+ * @returns {string[]}
+ */
+function getCardOrder(grid) {
+  return [...new Set([...grid.querySelectorAll('.project-card')].map(card => card.dataset.projectId))];
+}
+
+/**
+ * Reflect the selection in the cards, select-all checkbox and bulk bar
+ * @param {HTMLElement} container
+ * @param {ProjectSelection} selection
+ */
+function syncSelection(container, selection) {
+  const grid = container.querySelector('#projects-grid');
+  const visibleCount = getCardOrder(grid).length;
+
+  grid.querySelectorAll('.project-card').forEach(card => {
+    const selected = selection.has(card.dataset.projectId);
+    card.querySelector('.select-project-checkbox').checked = selected;
+    card.setAttribute('aria-selected', String(selected));
+    card.classList.toggle('ring-2', selected);
+    card.classList.toggle('ring-blue-500', selected);
+  });
+
+  const selectAll = container.querySelector('#select-all-projects');
+  selectAll.checked = visibleCount > 0 && selection.size === visibleCount;
+  selectAll.indeterminate = selection.size > 0 && selection.size < visibleCount;
+  container.querySelector('#selection-count').textContent = selection.size > 0 ? `${selection.size} selected` : 'Select all';
+  container.querySelector('#bulk-actions').classList.toggle('hidden', selection.size === 0);
+}
+
+/**
+ * Wire up multi-select: checkboxes, shift-click ranges, keyboard and the
+ * bulk action buttons
+ * Space toggles the focused card (Shift+Space extends the range), Ctrl/Cmd+A
+ * selects every visible card and Escape clears the selection.
+ * @param {HTMLElement} container
+ * @param {HTMLElement} grid
+ * @param {ProjectSelection} selection
+ * @param {import('./types.js').Project[]} projects
+ * @param {import('./project-search.js').ListQuery} query - Kept when the list re-renders
+ */
+function attachSelectionListeners(container, grid, selection, projects, query) {
+  const toggle = (id, extend) => {
+    selection.toggle(id, getCardOrder(grid), extend);
+    syncSelection(container, selection);
+  };
+
+  // Listeners sit on the grid so they survive re-renders of the cards
+  grid.addEventListener('click', (e) => {
+    const card = e.target.closest('.project-card');
+    if (!card) return;
+    if (e.target.closest('.select-project-checkbox') || e.shiftKey || e.ctrlKey || e.metaKey) {
+      e.preventDefault();
+      e.stopPropagation();
+      toggle(card.dataset.projectId, e.shiftKey);
+    }
+  }, true);
+
+  grid.addEventListener('keydown', (e) => {
+    const card = e.target.closest('.project-card');
+    if (e.key === 'Escape') {
+      selection.clear();
+      syncSelection(container, selection);
+    } else if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'a') {
+      e.preventDefault();
+      selection.selectAll(getCardOrder(grid));
+      syncSelection(container, selection);
+    } else if (card && e.target === card && e.key === ' ') {
+      e.preventDefault();
+      toggle(card.dataset.projectId, e.shiftKey);
+    } else if (card && e.target === card && e.key === 'Enter') {
+      navigateTo('project', card.dataset.projectId);
+    }
+  });
+
+  container.querySelector('#select-all-projects').addEventListener('change', (e) => {
+    if (e.target.checked) {
+      selection.selectAll(getCardOrder(grid));
+    } else {
+      selection.clear();
+    }
+    syncSelection(container, selection);
+  });
+
+  container.querySelector('#clear-selection-btn').addEventListener('click', () => {
+    selection.clear();
+    syncSelection(container, selection);
+  });
+
+  container.querySelectorAll('.bulk-action-btn').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      const selected = projects.filter(p => selection.has(p.id));
+      try {
+        if (await runBulkAction(btn.dataset.bulkAction, selected)) {
+          renderProjectsList(serializeListQuery(query));
+        }
+      } catch (error) {
+        console.error('Bulk action failed:', error);
+        showToast('Bulk action failed', 'error');
+      }
+    });
+  });
+}
+
+/**
+ * Wire up click, preview and delete handlers on rendered project cards
+ * @param {HTMLElement} grid
+ * @param {import('./types.js').Project[]} projects
+ * @param {import('./project-search.js').ListQuery} query - Kept when the list re-renders
+ */
+function attachProjectCardListeners(grid, projects, query) {
+  const projectCards = grid.querySelectorAll('.project-card');
   projectCards.forEach(card => {
     card.addEventListener('click', (e) => {
       if (!e.target.closest('.delete-project-btn') && !e.target.closest('.preview-project-btn')) {
@@ -174,7 +460,7 @@ export async function renderProjectsList() {
   });
 
   // Preview buttons (for completed projects)
-  const previewBtns = container.querySelectorAll('.preview-project-btn');
+  const previewBtns = grid.querySelectorAll('.preview-project-btn');
   previewBtns.forEach(btn => {
     btn.addEventListener('click', async (e) => {
       e.stopPropagation();
@@ -191,18 +477,13 @@ export async function renderProjectsList() {
     });
   });
 
-  const deleteBtns = container.querySelectorAll('.delete-project-btn');
+  const deleteBtns = grid.querySelectorAll('.delete-project-btn');
   deleteBtns.forEach(btn => {
     btn.addEventListener('click', async (e) => {
       e.stopPropagation();
-      const projectId = btn.dataset.projectId;
-      const project = projects.find(p => p.id === projectId);
-
-      if (await confirm(`Are you sure you want to delete "${project.title}"?`, 'Delete Project')) {
-        await deleteProject(projectId);
-        showToast('Project deleted', 'success');
-        renderProjectsList();
-      }
+      await trashProjects([btn.dataset.projectId]);
+      showToast('Project moved to trash', 'success');
+      renderProjectsList(serializeListQuery(query));
     });
   });
 }
@@ -218,6 +499,212 @@ export function renderNewProjectForm() {
   setupNewProjectFormListeners();
 }
 
+/**
+ * Render the output style choice shared by the new and edit forms
+ * @param {string} selected - Currently selected output style id
+ * @returns {string} HTML string
+ */
+function renderOutputStyleSection(selected) {
+  return `
+                    <section>
+                        <h3 class="text-lg font-semibold text-gray-900 dark:text-white mb-4 pb-2 border-b border-gray-200 dark:border-gray-700">
+                            🧾 Output Style
+                        </h3>
+                        <div class="grid grid-cols-1 md:grid-cols-2 gap-3">
+                            ${Object.values(OUTPUT_STYLES).map(style => `
+                                <label class="flex items-start gap-3 p-3 border rounded-lg cursor-pointer border-gray-300 dark:border-gray-600 hover:border-blue-500 has-[:checked]:border-blue-500 has-[:checked]:bg-blue-50 dark:has-[:checked]:bg-blue-900/20">
+                                    <input type="radio" name="outputStyle" value="${style.id}" class="mt-1" ${style.id === selected ? 'checked' : ''}>
+                                    <span>
+                                        <span class="block text-sm font-medium text-gray-900 dark:text-white">${style.label}</span>
+                                        <span class="block text-xs text-gray-500 dark:text-gray-400">${style.description}</span>
+                                    </span>
+                                </label>
+                            `).join('')}
+                        </div>
+                        <p class="mt-1 text-sm text-gray-500 dark:text-gray-400">Selects the prompt templates and the scoring rubric for this issue.</p>
+                    </section>
+  `;
+}
+
+/**
+ * Render the workflow choice shared by the new and edit forms
+ * @param {string} selected - Currently selected workflow id
+ * @param {boolean} [locked] - Whether a phase already has a response, so the workflow can no longer change
+ * @returns {string} HTML string
+ */
+function renderWorkflowSection(selected, locked = false) {
+  return `
+                    <section>
+                        <h3 class="text-lg font-semibold text-gray-900 dark:text-white mb-4 pb-2 border-b border-gray-200 dark:border-gray-700">
+                            🔁 Workflow
+                        </h3>
+                        <div class="grid grid-cols-1 md:grid-cols-3 gap-3">
+                            ${Object.values(WORKFLOWS).map(workflow => `
+                                <label class="flex items-start gap-3 p-3 border rounded-lg ${locked ? 'opacity-60' : 'cursor-pointer hover:border-blue-500'} border-gray-300 dark:border-gray-600 has-[:checked]:border-blue-500 has-[:checked]:bg-blue-50 dark:has-[:checked]:bg-blue-900/20">
+                                    <input type="radio" name="workflowId" value="${workflow.id}" class="mt-1" ${workflow.id === selected ? 'checked' : ''}${locked ? ' disabled' : ''}>
+                                    <span>
+                                        <span class="block text-sm font-medium text-gray-900 dark:text-white">${workflow.name}</span>
+                                        <span class="block text-xs text-gray-500 dark:text-gray-400">${workflow.description}</span>
+                                        <span class="block mt-1 text-xs text-gray-500 dark:text-gray-400">${workflow.phases.map(p => `${p.icon} ${p.name}`).join(' → ')}</span>
+                                    </span>
+                                </label>
+                            `).join('')}
+                        </div>
+                        <p class="mt-1 text-sm text-gray-500 dark:text-gray-400">${locked ? 'The workflow is fixed once a phase has a response. Fork the issue to try another one.' : 'Sets the phases this issue goes through. The last phase writes the final acceptance criteria.'}</p>
+                    </section>
+  `;
+}
+
+/**
+ * Render the optional Linear identifier field shared by the new and edit forms
+ * @param {string} value - Current identifier
+ * @returns {string} HTML string
+ */
+function renderLinearIdentifierField(value) {
+  return `
+                        <div class="mt-4">
+                            <label for="linearIdentifier" class="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">Linear Issue ID <span class="text-gray-400">(optional)</span></label>
+                            <input type="text" id="linearIdentifier" name="linearIdentifier" class="w-full md:w-48 px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent dark:bg-gray-700 dark:text-white font-mono" placeholder="e.g., ENG-123" value="${escapeHtml(value || '')}">
+                            <p class="mt-1 text-sm text-gray-500 dark:text-gray-400">Used to key the final acceptance criteria when exporting back to Linear.</p>
+                        </div>
+  `;
+}
+
+/**
+ * Render the optional Linear project field shared by the new and edit forms
+ * Existing project names are offered by attachLinearProjectSuggestions().
+ * @param {string} value - Current Linear project
+ * @returns {string} HTML string
+ */
+function renderLinearProjectField(value) {
+  return `
+                        <div class="mt-4">
+                            <label for="linearProject" class="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">Linear Project <span class="text-gray-400">(optional)</span></label>
+                            <input type="text" id="linearProject" name="linearProject" list="linear-project-options" class="w-full md:w-96 px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent dark:bg-gray-700 dark:text-white" placeholder="e.g., Admin tools v2" value="${escapeHtml(value || '')}">
+                            <datalist id="linear-project-options"></datalist>
+                            <p class="mt-1 text-sm text-gray-500 dark:text-gray-400">Issues in the same Linear project are reported together under Rollups.</p>
+                        </div>
+  `;
+}
+
+/**
+ * Offer Linear project names already in use on the Linear project field
+ * @returns {Promise<void>}
+ */
+async function attachLinearProjectSuggestions() {
+  const options = document.getElementById('linear-project-options');
+  if (!options) return;
+
+  options.innerHTML = getLinearProjects(await getAllProjects())
+    .map(({ name }) => `<option value="${escapeHtml(name)}"></option>`)
+    .join('');
+}
+
+/**
+ * Render the labels field shared by the new and edit forms
+ * Existing labels are filled in as clickable suggestions by attachLabelSuggestions().
+ * @param {string[]} value - Current label names
+ * @returns {string} HTML string
+ */
+function renderLabelsField(value) {
+  return `
+                        <div class="mt-4">
+                            <label for="labels" class="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">Labels <span class="text-gray-400">(optional)</span></label>
+                            <input type="text" id="labels" name="labels" class="w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent dark:bg-gray-700 dark:text-white" placeholder="e.g., Payments team, Cycle 12" value="${escapeHtml((value || []).join(', '))}">
+                            <div id="label-suggestions" class="mt-2 flex flex-wrap gap-1"></div>
+                            <p class="mt-1 text-sm text-gray-500 dark:text-gray-400">Comma-separated. Used to group and filter issues on the home page.</p>
+                        </div>
+  `;
+}
+
+/**
+ * Offer existing labels as one-click additions to the labels field
+ * @returns {Promise<void>}
+ */
+async function attachLabelSuggestions() {
+  const input = /** @type {HTMLInputElement | null} */ (document.getElementById('labels'));
+  const suggestions = document.getElementById('label-suggestions');
+  if (!input || !suggestions) return;
+
+  const labels = await getLabels();
+  suggestions.innerHTML = labels.map(l => `
+                                <button type="button" class="label-suggestion px-2 py-0.5 text-xs font-medium rounded-full ${getLabelClasses(l.color)}" data-label="${escapeHtml(l.name)}">+ ${escapeHtml(l.name)}</button>
+  `).join('');
+  suggestions.querySelectorAll('.label-suggestion').forEach(btn => {
+    btn.addEventListener('click', () => {
+      input.value = parseLabelNames([...parseLabelNames(input.value), btn.dataset.label]).join(', ');
+    });
+  });
+}
+
+/**
+ * Render the custom fields section shared by the new and edit forms
+ * Inputs are filled in by attachCustomFields(), as definitions load async.
+ * @returns {string} HTML string
+ */
+function renderCustomFieldsSection() {
+  return `
+                    <section>
+                        <div class="flex items-center justify-between mb-4 pb-2 border-b border-gray-200 dark:border-gray-700">
+                            <h3 class="text-lg font-semibold text-gray-900 dark:text-white">
+                                🧩 Custom Fields
+                            </h3>
+                            <button type="button" id="manage-custom-fields-btn" class="text-sm text-blue-600 dark:text-blue-400 hover:underline">Manage fields</button>
+                        </div>
+                        <div id="custom-fields-container"></div>
+                    </section>
+  `;
+}
+
+/**
+ * Render the custom field inputs into the form
+ * @param {Object<string, string>} values - Values to show, by template variable
+ * @returns {Promise<void>}
+ */
+async function fillCustomFields(values) {
+  const container = document.getElementById('custom-fields-container');
+  if (!container) return;
+
+  const fields = await getCustomFields();
+  container.innerHTML = fields.length > 0
+    ? renderCustomFieldInputs(fields, values)
+    : '<p class="text-sm text-gray-500 dark:text-gray-400">No custom fields yet. Add fields like platform or compliance tier to collect them on every issue and use them in the prompts.</p>';
+}
+
+/**
+ * Fill in the custom field inputs and re-render them after the fields are managed
+ * @param {Object<string, string>} values - Stored values, by template variable
+ * @returns {void}
+ */
+function attachCustomFields(values) {
+  fillCustomFields(values);
+  document.getElementById('manage-custom-fields-btn')?.addEventListener('click', () => {
+    showManageCustomFieldsModal(() => {
+      // Keep what was typed so far
+      const typed = {};
+      document.querySelectorAll('#custom-fields-container [data-variable]').forEach(el => {
+        typed[el.dataset.variable] = el.value;
+      });
+      fillCustomFields({ ...values, ...typed });
+    });
+  });
+}
+
+/**
+ * Read submitted form data, with custom field values moved into customFields
+ * @param {HTMLFormElement} form
+ * @returns {Promise<Object<string, *> | null>} null (after an error toast) if a custom field is invalid
+ */
+async function readProjectForm(form) {
+  const formData = extractCustomFieldValues(Object.fromEntries(new FormData(form)));
+  const errors = validateCustomFieldValues(await getCustomFields(), formData.customFields);
+  if (errors.length > 0) {
+    showToast(errors.join('. '), 'error');
+    return null;
+  }
+  return formData;
+}
+
 /**
  * Generate HTML for the new project form
  * @returns {string} HTML string
@@ -276,6 +763,9 @@ function getNewProjectFormHTML() {
                             <input type="text" id="issueTitle" name="issueTitle" class="w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent dark:bg-gray-700 dark:text-white" placeholder="e.g., Add bulk delete to admin panel">
                             <p class="mt-1 text-sm text-gray-500 dark:text-gray-400">Clear, direct task name. You may already have this in Linear/Jira/Monday/etc.</p>
                         </div>
+                        ${renderLinearIdentifierField('')}
+                        ${renderLinearProjectField('')}
+                        ${renderLabelsField([])}
                     </section>
 
                     <!-- What needs to be done (main textarea) -->
@@ -305,6 +795,12 @@ function getNewProjectFormHTML() {
                         </div>
                     </section>
 
+                    ${renderCustomFieldsSection()}
+
+                    ${renderOutputStyleSection(DEFAULT_OUTPUT_STYLE)}
+
+                    ${renderWorkflowSection(DEFAULT_WORKFLOW)}
+
                     <!-- Submit Buttons -->
                     <div class="flex justify-end space-x-3 pt-4 border-t border-gray-200 dark:border-gray-700">
                         <button type="button" id="cancel-btn" class="px-6 py-2 bg-gray-200 dark:bg-gray-700 text-gray-800 dark:text-gray-200 rounded-lg hover:bg-gray-300 dark:hover:bg-gray-600 transition-colors">
@@ -333,12 +829,16 @@ function setupNewProjectFormListeners() {
     showImportModal();
   });
 
+  attachLabelSuggestions();
+  attachLinearProjectSuggestions();
+  attachCustomFields({});
+
   // Form submission
   const form = document.getElementById('new-project-form');
   form?.addEventListener('submit', async (e) => {
     e.preventDefault();
-    const target = /** @type {HTMLFormElement} */ (e.target);
-    const formData = Object.fromEntries(new FormData(target));
+    const formData = await readProjectForm(/** @type {HTMLFormElement} */ (e.target));
+    if (!formData) return;
     // Set title from issueTitle if provided, otherwise use first line of whatNeedsToBeDone
     if (!formData.title) {
       formData.title = formData.issueTitle || (formData.whatNeedsToBeDone?.split('\n')[0]?.substring(0, 60) || 'Untitled Issue');
@@ -427,6 +927,9 @@ function getEditProjectFormHTML(project) {
                             <label for="issueTitle" class="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">Issue Title <span class="text-gray-400">(optional)</span></label>
                             <input type="text" id="issueTitle" name="issueTitle" class="w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent dark:bg-gray-700 dark:text-white" placeholder="e.g., Add bulk delete to admin panel" value="${escapeHtml(project.issueTitle || '')}">
                         </div>
+                        ${renderLinearIdentifierField(project.linearIdentifier)}
+                        ${renderLinearProjectField(project.linearProject)}
+                        ${renderLabelsField(project.labels)}
                     </section>
 
                     <!-- What needs to be done -->
@@ -450,6 +953,12 @@ function getEditProjectFormHTML(project) {
                         </div>
                     </section>
 
+                    ${renderCustomFieldsSection()}
+
+                    ${renderOutputStyleSection(project.outputStyle || DEFAULT_OUTPUT_STYLE)}
+
+                    ${renderWorkflowSection(getProjectWorkflow(project).id, Object.values(project.phases || {}).some(p => p?.response))}
+
                     <!-- Submit Buttons -->
                     <div class="flex justify-end space-x-3 pt-4 border-t border-gray-200 dark:border-gray-700">
                         <button type="button" id="cancel-btn" class="px-6 py-2 bg-gray-200 dark:bg-gray-700 text-gray-800 dark:text-gray-200 rounded-lg hover:bg-gray-300 dark:hover:bg-gray-600 transition-colors">
@@ -473,13 +982,16 @@ function getEditProjectFormHTML(project) {
 function setupEditProjectFormListeners(project) {
   document.getElementById('back-btn')?.addEventListener('click', () => navigateTo('project', project.id));
   document.getElementById('cancel-btn')?.addEventListener('click', () => navigateTo('project', project.id));
+  attachLabelSuggestions();
+  attachLinearProjectSuggestions();
+  attachCustomFields(project.customFields || {});
 
   // Form submission
   const form = document.getElementById('edit-project-form');
   form?.addEventListener('submit', async (e) => {
     e.preventDefault();
-    const target = /** @type {HTMLFormElement} */ (e.target);
-    const formData = Object.fromEntries(new FormData(target));
+    const formData = await readProjectForm(/** @type {HTMLFormElement} */ (e.target));
+    if (!formData) return;
     await updateProject(project.id, formData);
     showToast('Issue updated!', 'success');
     navigateTo('project', project.id);
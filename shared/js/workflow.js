@@ -1,6 +1,6 @@
 /**
  * Workflow Module (TEMPLATE - CUSTOMIZE FOR YOUR DOMAIN)
- * Manages the 3-phase adversarial workflow
+ * Manages the phases of a project's workflow (3-phase adversarial by default)
  * @module workflow
  *
  * ⚠️ CUSTOMIZATION REQUIRED:
@@ -12,14 +12,17 @@
 
 import {
   WORKFLOW_CONFIG,
-  generatePhase1Prompt as genPhase1,
-  generatePhase2Prompt as genPhase2,
-  generatePhase3Prompt as genPhase3
+  getProjectWorkflow,
+  getFinalPhase,
+  generatePhasePrompt,
+  getPhaseMetadata
 } from './prompts.js';
 import { detectPromptPaste } from './core/workflow.js';
+import { getReviewOutput } from './review-findings.js';
+import { generateTestSkeleton, getTestSkeletonFilename } from './test-skeletons.js';
 
-// Re-export WORKFLOW_CONFIG for backward compatibility
-export { WORKFLOW_CONFIG };
+// Re-export WORKFLOW_CONFIG and getPhaseMetadata for backward compatibility
+export { WORKFLOW_CONFIG, getPhaseMetadata };
 
 // Re-export detectPromptPaste from core for backward compatibility
 export { detectPromptPaste };
@@ -80,11 +83,15 @@ export class Workflow {
   /** @type {number} */
   currentPhase;
 
+  /** @type {import('./types.js').WorkflowDefinition} */
+  definition;
+
   /**
      * @param {import('./types.js').Project} project
      */
   constructor(project) {
     this.project = project;
+    this.definition = getProjectWorkflow(project);
     // Clamp phase to valid range (1 minimum)
     const rawPhase = project.phase || 1;
     this.currentPhase = Math.max(1, rawPhase);
@@ -95,7 +102,7 @@ export class Workflow {
      * @returns {import('./types.js').PhaseConfig | undefined}
      */
   getCurrentPhase() {
-    return WORKFLOW_CONFIG.phases.find(p => p.number === this.currentPhase);
+    return this.definition.phases.find(p => p.number === this.currentPhase);
   }
 
   /**
@@ -103,8 +110,8 @@ export class Workflow {
      * @returns {import('./types.js').PhaseConfig | null}
      */
   getNextPhase() {
-    if (this.currentPhase >= WORKFLOW_CONFIG.phaseCount) return null;
-    return WORKFLOW_CONFIG.phases.find(p => p.number === this.currentPhase + 1) || null;
+    if (this.currentPhase >= this.definition.phaseCount) return null;
+    return this.definition.phases.find(p => p.number === this.currentPhase + 1) || null;
   }
 
   /**
@@ -112,7 +119,7 @@ export class Workflow {
      * @returns {boolean}
      */
   isComplete() {
-    return this.currentPhase > WORKFLOW_CONFIG.phaseCount;
+    return this.currentPhase > this.definition.phaseCount;
   }
 
   /**
@@ -120,8 +127,8 @@ export class Workflow {
      * @returns {boolean} True if advanced, false if already at final phase
      */
   advancePhase() {
-    // Allow advancing up to phase 4 (complete state)
-    if (this.currentPhase <= WORKFLOW_CONFIG.phaseCount) {
+    // Allow advancing one past the final phase (complete state)
+    if (this.currentPhase <= this.definition.phaseCount) {
       this.currentPhase++;
       this.project.phase = this.currentPhase;
       return true;
@@ -157,25 +164,23 @@ export class Workflow {
     // These field names must match what you defined in projects.js createProject()
     const formData = {
       title: p.title,
-      context: p.context,
-      problems: p.problems,
-      additionalContext: p.additionalContext
+      issueTitle: p.issueTitle,
+      whatNeedsToBeDone: p.whatNeedsToBeDone,
+      relatedContext: p.relatedContext,
+      outputStyle: p.outputStyle,
+      workflowId: this.definition.id,
+      customFields: p.customFields
     };
 
-    switch (this.currentPhase) {
-    case 1:
-      return await genPhase1(formData);
-    case 2:
-      return await genPhase2(formData, p.phase1_output || '[Phase 1 output not yet generated]');
-    case 3:
-      return await genPhase3(
-        formData,
-        p.phase1_output || '[Phase 1 output not yet generated]',
-        p.phase2_output || '[Phase 2 output not yet generated]'
-      );
-    default:
-      throw new Error(`Invalid phase: ${this.currentPhase}`);
+    // Earlier phases feed later ones as set by each phase's `inputs`;
+    // reviews pass on only their accepted findings once the user decides on any
+    const outputs = {};
+    for (let n = 1; n < this.currentPhase; n++) {
+      outputs[n] = this.definition.phases[n - 1].reviewFindings
+        ? getReviewOutput(this.getPhaseOutput(n), p.phases?.[n]?.findingDecisions)
+        : this.getPhaseOutput(n);
     }
+    return await generatePhasePrompt(formData, this.currentPhase, outputs);
   }
 
   /**
@@ -215,8 +220,7 @@ export class Workflow {
      * @returns {void}
      */
   savePhaseOutput(output) {
-    const phaseKey = /** @type {'phase1_output' | 'phase2_output' | 'phase3_output'} */ (`phase${this.currentPhase}_output`);
-    this.project[phaseKey] = output;
+    this.project[`phase${this.currentPhase}_output`] = output;
     this.project.updatedAt = new Date().toISOString();
   }
 
@@ -246,8 +250,8 @@ export class Workflow {
     md += `**Created**: ${new Date(this.project.createdAt).toLocaleDateString()}\n`;
     md += `**Last Updated**: ${new Date(this.project.updatedAt).toLocaleDateString()}\n\n`;
 
-    // Include final output (Phase 3) as the main content
-    const finalOutput = this.getPhaseOutput(3);
+    // Include final output (last phase of the workflow) as the main content
+    const finalOutput = this.getPhaseOutput(this.definition.phaseCount);
     if (finalOutput) {
       md += finalOutput;
     }
@@ -261,7 +265,7 @@ export class Workflow {
      * @returns {number}
      */
   getProgress() {
-    return Math.round((this.currentPhase / WORKFLOW_CONFIG.phaseCount) * 100);
+    return Math.round((this.currentPhase / this.definition.phaseCount) * 100);
   }
 
   /**
@@ -270,7 +274,7 @@ export class Workflow {
      */
   getLastCompletedPhase() {
     // Check phases in reverse order to find the last one with output
-    for (let i = WORKFLOW_CONFIG.phaseCount; i >= 1; i--) {
+    for (let i = this.definition.phaseCount; i >= 1; i--) {
       const output = this.getPhaseOutput(i);
       if (output) {
         return { phase: i, response: output };
@@ -280,15 +284,6 @@ export class Workflow {
   }
 }
 
-/**
- * Get metadata for a specific phase
- * @param {number} phaseNumber
- * @returns {import('./types.js').PhaseConfig | undefined}
- */
-export function getPhaseMetadata(phaseNumber) {
-  return WORKFLOW_CONFIG.phases.find(p => p.number === phaseNumber);
-}
-
 /**
  * Generate the prompt for a specific phase
  * @param {import('./types.js').Project} project
@@ -311,6 +306,19 @@ export function exportFinalDocument(project) {
   return workflow.exportAsMarkdown();
 }
 
+/**
+ * Export the final acceptance criteria as a pending test skeleton
+ * @param {import('./types.js').Project} project
+ * @param {string} framework - 'jest', 'playwright' or 'cucumber'
+ * @returns {{ content: string, filename: string }|null} Null if the final phase has no criteria
+ */
+export function exportTestSkeleton(project, framework) {
+  const title = project.issueTitle || project.title;
+  const content = generateTestSkeleton(getPhaseOutputInternal(project, getFinalPhase(project)), title, framework);
+  if (!content) return null;
+  return { content, filename: getTestSkeletonFilename(title, framework) };
+}
+
 /**
  * Get the final markdown content from a project
  * @param {import('./types.js').Project} project - Project object
@@ -3,8 +3,10 @@
 // ============================================================
 
 import { validateDocument, getScoreColor } from './validator.js';
-import { showToast, copyToClipboard, debounce, showPromptModal, createStorage } from './core/index.js';
+import { showToast, copyToClipboard, debounce, showPromptModal, createStorage, escapeHtml } from './core/index.js';
 import { generateCritiquePrompt, generateRewritePrompt, generateLLMScoringPrompt } from './prompts.js';
+import { getProfiles, getActiveProfile, setActiveProfile, cloneProfile, saveProfile, deleteProfile } from './rubric-profiles.js';
+import { showProfileEditor } from './profile-editor.js';
 
 // ============================================================
 // State
@@ -14,6 +16,7 @@ let currentResult = null;
 let _lastSavedContent = ''; // eslint-disable-line no-unused-vars -- reserved for future dirty-state tracking
 let currentPrompt = null;
 let isLLMMode = false;
+let activeProfile = getActiveProfile();
 
 // Initialize storage with factory
 const storage = createStorage('acceptance-criteria-validator-history');
@@ -23,6 +26,9 @@ const storage = createStorage('acceptance-criteria-validator-history');
 // ============================================================
 
 const editor = document.getElementById('editor');
+const editorHighlights = document.getElementById('editor-highlights');
+const criteriaFindings = document.getElementById('criteria-findings');
+const criteriaFindingsList = document.getElementById('criteria-findings-list');
 const scoreTotal = document.getElementById('score-total');
 const scoreDimension1 = document.getElementById('score-dimension-1');
 const scoreDimension2 = document.getElementById('score-dimension-2');
@@ -50,6 +56,10 @@ const modeLabelLLM = document.getElementById('mode-label-llm');
 const btnCopyLLMPrompt = document.getElementById('btn-copy-llm-prompt');
 const btnViewLLMPrompt = document.getElementById('btn-view-llm-prompt');
 const btnOpenClaudeLLM = document.getElementById('btn-open-claude-llm');
+const profileSelect = document.getElementById('profile-select');
+const btnCloneProfile = document.getElementById('btn-clone-profile');
+const btnEditProfile = document.getElementById('btn-edit-profile');
+const btnDeleteProfile = document.getElementById('btn-delete-profile');
 
 // ============================================================
 // Score Display
@@ -74,12 +84,18 @@ function updateScoreDisplay(result) {
   scoreDimension3.className = getScoreColor(result.dimension3.score, result.dimension3.maxScore);
   scoreDimension4.className = getScoreColor(result.dimension4.score, result.dimension4.maxScore);
 
+  // Max scores follow the active rubric profile's weights
+  [result.dimension1, result.dimension2, result.dimension3, result.dimension4].forEach((dimension, index) => {
+    const maxEl = document.getElementById(`score-dimension-${index + 1}-max`);
+    if (maxEl) maxEl.textContent = dimension.maxScore;
+  });
+
   // Update progress bars
   const totalPercent = (result.totalScore / 100) * 100;
-  const dim1Percent = (result.dimension1.score / result.dimension1.maxScore) * 100;
-  const dim2Percent = (result.dimension2.score / result.dimension2.maxScore) * 100;
-  const dim3Percent = (result.dimension3.score / result.dimension3.maxScore) * 100;
-  const dim4Percent = (result.dimension4.score / result.dimension4.maxScore) * 100;
+  const dim1Percent = result.dimension1.maxScore ? (result.dimension1.score / result.dimension1.maxScore) * 100 : 0;
+  const dim2Percent = result.dimension2.maxScore ? (result.dimension2.score / result.dimension2.maxScore) * 100 : 0;
+  const dim3Percent = result.dimension3.maxScore ? (result.dimension3.score / result.dimension3.maxScore) * 100 : 0;
+  const dim4Percent = result.dimension4.maxScore ? (result.dimension4.score / result.dimension4.maxScore) * 100 : 0;
 
   const scoreBar = document.getElementById('score-bar');
   const dim1Bar = document.getElementById('score-dimension-1-bar');
@@ -94,14 +110,82 @@ function updateScoreDisplay(result) {
   if (dim4Bar) dim4Bar.style.width = `${dim4Percent}%`;
 }
 
+// ============================================================
+// Per-Criterion Highlighting
+// ============================================================
+
+function renderEditorHighlights(content, criteria) {
+  if (!editorHighlights) return;
+
+  const flagged = new Set(criteria?.flaggedLines || []);
+  const warnings = new Set(criteria?.warningLines || []);
+
+  // Trailing newline keeps the backdrop height in step with the textarea
+  editorHighlights.innerHTML = content.split('\n').map((line, index) => {
+    const lineNumber = index + 1;
+    const escaped = escapeHtml(line);
+    if (flagged.has(lineNumber)) return `<mark class="criterion-flagged">${escaped}</mark>`;
+    if (warnings.has(lineNumber)) return `<mark class="criterion-warning">${escaped}</mark>`;
+    return escaped;
+  }).join('\n') + '\n';
+
+  syncHighlightScroll();
+}
+
+function syncHighlightScroll() {
+  if (!editorHighlights) return;
+  editorHighlights.scrollTop = editor.scrollTop;
+  editorHighlights.scrollLeft = editor.scrollLeft;
+}
+
+function renderCriteriaFindings(criteria) {
+  if (!criteriaFindings || !criteriaFindingsList) return;
+
+  const items = criteria?.criteria || [];
+  if (items.length === 0) {
+    criteriaFindings.classList.add('hidden');
+    criteriaFindingsList.innerHTML = '';
+    return;
+  }
+
+  criteriaFindings.classList.remove('hidden');
+  criteriaFindingsList.innerHTML = items.map(item => {
+    const icon = !item.passed ? '✗' : item.issues.length > 0 ? '!' : '✓';
+    const iconColor = !item.passed ? 'text-red-500' : item.issues.length > 0 ? 'text-amber-500' : 'text-emerald-500';
+    const details = item.issues.map(issue => `<div class="text-slate-500 dark:text-slate-400">${escapeHtml(issue.message)}</div>`).join('');
+    return `
+      <li>
+        <button type="button" class="criterion-finding w-full text-left flex gap-2 p-1 rounded hover:bg-slate-100 dark:hover:bg-slate-800" data-line="${item.line}">
+          <span class="font-bold ${iconColor}">${icon}</span>
+          <span class="flex-1 min-w-0">
+            <span class="text-slate-400">L${item.line}</span>
+            <span class="text-slate-800 dark:text-slate-200">${escapeHtml(item.text)}</span>
+            ${details}
+          </span>
+        </button>
+      </li>
+    `;
+  }).join('');
+}
+
+function selectEditorLine(lineNumber) {
+  const lines = editor.value.split('\n');
+  const start = lines.slice(0, lineNumber - 1).reduce((sum, line) => sum + line.length + 1, 0);
+  const end = start + (lines[lineNumber - 1] || '').length;
+  editor.focus();
+  editor.setSelectionRange(start, end);
+}
+
 // ============================================================
 // Validation
 // ============================================================
 
 function runValidation() {
   const content = editor.value || '';
-  currentResult = validateDocument(content);
+  currentResult = validateDocument(content, activeProfile);
   updateScoreDisplay(currentResult);
+  renderEditorHighlights(content, currentResult.criteria);
+  renderCriteriaFindings(currentResult.criteria);
 
   // Show/hide AI power-ups based on content length
   if (content.length > 200) {
@@ -113,6 +197,65 @@ function runValidation() {
 
 const debouncedValidation = debounce(runValidation, 300);
 
+// ============================================================
+// Rubric Profiles
+// ============================================================
+
+function renderProfileSelect() {
+  if (!profileSelect) return;
+
+  profileSelect.innerHTML = getProfiles().map(profile => `
+    <option value="${escapeHtml(profile.id)}" ${profile.id === activeProfile.id ? 'selected' : ''}>
+      ${escapeHtml(profile.name)}${profile.builtIn ? '' : ' (custom)'}
+    </option>
+  `).join('');
+
+  // Built-in profiles are read-only - clone them to customize
+  btnEditProfile.disabled = !!activeProfile.builtIn;
+  btnDeleteProfile.disabled = !!activeProfile.builtIn;
+}
+
+function selectProfile(id) {
+  setActiveProfile(id);
+  activeProfile = getActiveProfile();
+  renderProfileSelect();
+  runValidation();
+}
+
+function handleCloneProfile() {
+  const copy = cloneProfile(activeProfile);
+  const result = saveProfile(copy);
+  if (!result.success) {
+    showToast(result.errors[0] || 'Failed to clone profile', 'error', toastContainer);
+    return;
+  }
+  selectProfile(copy.id);
+  showProfileEditor(copy, (saved) => {
+    selectProfile(saved.id);
+    showToast(`Saved profile "${saved.name}"`, 'success', toastContainer);
+  });
+}
+
+function handleEditProfile() {
+  if (activeProfile.builtIn) return;
+  showProfileEditor(activeProfile, (saved) => {
+    selectProfile(saved.id);
+    showToast(`Saved profile "${saved.name}"`, 'success', toastContainer);
+  });
+}
+
+function handleDeleteProfile() {
+  if (activeProfile.builtIn) return;
+  if (!window.confirm(`Delete rubric profile "${activeProfile.name}"?`)) return;
+
+  const name = activeProfile.name;
+  deleteProfile(activeProfile.id);
+  activeProfile = getActiveProfile();
+  renderProfileSelect();
+  runValidation();
+  showToast(`Deleted profile "${name}"`, 'info', toastContainer);
+}
+
 // ============================================================
 // Version Control
 // ============================================================
@@ -407,6 +550,7 @@ function showAbout() {
 function init() {
   initDarkMode();
   initScoringMode();
+  renderProfileSelect();
 
   const draft = storage.loadDraft();
   if (draft && draft.markdown) {
@@ -418,6 +562,16 @@ function init() {
   editor.addEventListener('input', () => {
     debouncedValidation();
   });
+  editor.addEventListener('scroll', syncHighlightScroll);
+
+  if (criteriaFindingsList) {
+    criteriaFindingsList.addEventListener('click', (e) => {
+      const button = e.target.closest('.criterion-finding');
+      if (button) {
+        selectEditorLine(parseInt(button.dataset.line));
+      }
+    });
+  }
 
   btnCritique.addEventListener('click', handleCritique);
   btnRewrite.addEventListener('click', handleRewrite);
@@ -431,6 +585,13 @@ function init() {
     btnToggleMode.addEventListener('click', toggleScoringMode);
   }
 
+  if (profileSelect) {
+    profileSelect.addEventListener('change', () => selectProfile(profileSelect.value));
+    btnCloneProfile.addEventListener('click', handleCloneProfile);
+    btnEditProfile.addEventListener('click', handleEditProfile);
+    btnDeleteProfile.addEventListener('click', handleDeleteProfile);
+  }
+
   if (btnCopyLLMPrompt) {
     btnCopyLLMPrompt.addEventListener('click', handleCopyLLMPrompt);
   }
@@ -0,0 +1,121 @@
+/**
+ * Acceptance Criteria Parser
+ *
+ * Breaks Linear-format acceptance criteria into sections (Summary,
+ * Acceptance Criteria, Out of Scope) and individual checklist items with
+ * 1-based line numbers, so scoring can point at the exact line at fault.
+ */
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+/**
+ * Section headings recognised by the parser - markdown (## Summary) or plain text (Summary)
+ */
+const SECTION_HEADINGS = [
+  { key: 'summary', name: 'Summary', pattern: /^(#+\s*)?summary\b/i },
+  { key: 'acceptanceCriteria', name: 'Acceptance Criteria', pattern: /^(#+\s*)?acceptance\s+criteria\b/i },
+  { key: 'outOfScope', name: 'Out of Scope', pattern: /^(#+\s*)?out\s+of\s+scope\b/i }
+];
+
+// Any other markdown heading ends the current section
+const GENERIC_HEADING_PATTERN = /^#+\s+\S/;
+
+// Checklist item: "- [ ] text", "- [x] text", "* [ ] text"
+const CHECKBOX_LINE_PATTERN = /^\s*[-*]\s*\[\s*([xX ]?)\s*\]\s*(.*)$/;
+
+// Plain bullet item: "- text" or "* text"
+const BULLET_LINE_PATTERN = /^\s*[-*]\s+(.*)$/;
+
+// ============================================================================
+// Parsing
+// ============================================================================
+
+/**
+ * Create an empty section record
+ * @param {string} name - Display name
+ * @returns {Object} Section record
+ */
+function createSection(name) {
+  return { name, found: false, headingLine: null, startLine: null, endLine: null, lines: [] };
+}
+
+/**
+ * Match a line against the known section headings
+ * @param {string} line - Trimmed line
+ * @returns {Object|null} Matching heading definition or null
+ */
+function matchSectionHeading(line) {
+  return SECTION_HEADINGS.find(heading => heading.pattern.test(line)) || null;
+}
+
+/**
+ * Parse acceptance criteria markdown into sections and checklist items
+ * @param {string} text - Document content
+ * @returns {Object} Parsed document: { sections, criteria, outOfScopeItems, lineCount }
+ */
+export function parseCriteria(text) {
+  const sections = {
+    summary: createSection('Summary'),
+    acceptanceCriteria: createSection('Acceptance Criteria'),
+    outOfScope: createSection('Out of Scope')
+  };
+  const criteria = [];
+  const outOfScopeItems = [];
+
+  if (!text || typeof text !== 'string') {
+    return { sections, criteria, outOfScopeItems, lineCount: 0 };
+  }
+
+  const lines = text.split(/\r?\n/);
+  let currentKey = null;
+
+  lines.forEach((rawLine, index) => {
+    const lineNumber = index + 1;
+    const line = rawLine.trim();
+
+    const heading = matchSectionHeading(line);
+    if (heading) {
+      currentKey = heading.key;
+      const section = sections[currentKey];
+      if (!section.found) {
+        section.found = true;
+        section.headingLine = lineNumber;
+      }
+      return;
+    }
+
+    if (GENERIC_HEADING_PATTERN.test(line)) {
+      currentKey = null;
+      return;
+    }
+
+    if (currentKey && line) {
+      const section = sections[currentKey];
+      section.startLine = section.startLine ?? lineNumber;
+      section.endLine = lineNumber;
+      section.lines.push({ line: lineNumber, text: line });
+    }
+
+    const checkboxMatch = rawLine.match(CHECKBOX_LINE_PATTERN);
+    if (checkboxMatch) {
+      criteria.push({
+        line: lineNumber,
+        text: checkboxMatch[2].trim(),
+        checked: checkboxMatch[1].toLowerCase() === 'x',
+        section: currentKey
+      });
+      return;
+    }
+
+    if (currentKey === 'outOfScope') {
+      const bulletMatch = rawLine.match(BULLET_LINE_PATTERN);
+      if (bulletMatch) {
+        outOfScopeItems.push({ line: lineNumber, text: bulletMatch[1].trim() });
+      }
+    }
+  });
+
+  return { sections, criteria, outOfScopeItems, lineCount: lines.length };
+}
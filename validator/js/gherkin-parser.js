@@ -0,0 +1,176 @@
+/**
+ * Gherkin Scenario Parser
+ *
+ * Extracts Feature, Background and Scenario blocks (with their steps and
+ * Examples tables) from Gherkin written inline or inside a ```gherkin fence
+ * in markdown, keeping 1-based line numbers for highlighting.
+ */
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+const FEATURE_PATTERN = /^feature:\s*(.*)$/i;
+const BACKGROUND_PATTERN = /^background:/i;
+const SCENARIO_PATTERN = /^(scenario outline|scenario template|scenario|example):\s*(.*)$/i;
+const EXAMPLES_PATTERN = /^(examples|scenarios):/i;
+const STEP_PATTERN = /^(given|when|then|and|but|\*)\s+(.*)$/i;
+const TABLE_ROW_PATTERN = /^\|.*\|$/;
+const PLACEHOLDER_PATTERN = /<([^<>\s][^<>]*)>/g;
+
+// Markdown headings and code fences end or wrap Gherkin blocks
+const MARKDOWN_HEADING_PATTERN = /^#+\s+\S/;
+const FENCE_PATTERN = /^```/;
+
+// ============================================================================
+// Parsing
+// ============================================================================
+
+/**
+ * Create an empty step container (Background or Scenario)
+ * @param {number} line - Line of the block keyword
+ * @returns {Object} Step container
+ */
+function createBlock(line) {
+  return { line, steps: [], hasGiven: false, hasWhen: false, hasThen: false };
+}
+
+/**
+ * Add a step to a block, resolving And/But/* to the previous step type
+ * @param {Object} block - Background or Scenario
+ * @param {number} line - Step line number
+ * @param {string} keyword - Step keyword as written
+ * @param {string} text - Step text
+ */
+function addStep(block, line, keyword, text) {
+  const lower = keyword.toLowerCase();
+  const previous = block.steps[block.steps.length - 1];
+  const type = ['given', 'when', 'then'].includes(lower) ? lower : (previous?.type || 'given');
+
+  block.steps.push({ line, keyword, type, text: text.trim() });
+  if (type === 'given') block.hasGiven = true;
+  if (type === 'when') block.hasWhen = true;
+  if (type === 'then') block.hasThen = true;
+}
+
+/**
+ * Split a Gherkin table row into trimmed cells
+ * @param {string} row - "| a | b |"
+ * @returns {string[]} Cells
+ */
+function splitRow(row) {
+  return row.slice(1, -1).split('|').map(cell => cell.trim());
+}
+
+/**
+ * Finalize a scenario: collect placeholders and outline Example coverage
+ * @param {Object} scenario - Scenario being closed
+ */
+function closeScenario(scenario) {
+  const placeholders = new Set();
+  for (const step of scenario.steps) {
+    for (const match of step.text.matchAll(PLACEHOLDER_PATTERN)) {
+      placeholders.add(match[1].trim());
+    }
+  }
+  scenario.placeholders = [...placeholders];
+  scenario.missingColumns = scenario.outline
+    ? scenario.placeholders.filter(name => !scenario.exampleColumns.includes(name))
+    : [];
+}
+
+/**
+ * Parse Gherkin scenarios out of a document
+ * @param {string} text - Document content
+ * @returns {Object} { feature, background, scenarios }
+ */
+export function parseGherkin(text) {
+  const result = { feature: null, background: null, scenarios: [] };
+  if (!text || typeof text !== 'string') return result;
+
+  let current = null;
+  let inExamples = false;
+  let inFence = false;
+  let awaitingHeader = false;
+
+  const close = () => {
+    if (current && current !== result.background) closeScenario(current);
+    current = null;
+    inExamples = false;
+  };
+
+  text.split(/\r?\n/).forEach((rawLine, index) => {
+    const lineNumber = index + 1;
+    const line = rawLine.trim();
+    if (FENCE_PATTERN.test(line)) {
+      inFence = !inFence;
+      return;
+    }
+    if (!line || line.startsWith('@')) return;
+
+    // "#" is a comment inside a fence and a markdown heading outside one
+    if (line.startsWith('#')) {
+      if (!inFence && MARKDOWN_HEADING_PATTERN.test(line)) close();
+      return;
+    }
+
+    const feature = line.match(FEATURE_PATTERN);
+    if (feature) {
+      close();
+      result.feature = { line: lineNumber, name: feature[1].trim() };
+      return;
+    }
+
+    if (BACKGROUND_PATTERN.test(line)) {
+      close();
+      result.background = createBlock(lineNumber);
+      current = result.background;
+      return;
+    }
+
+    const scenario = line.match(SCENARIO_PATTERN);
+    if (scenario) {
+      close();
+      const keyword = scenario[1];
+      current = {
+        ...createBlock(lineNumber),
+        keyword,
+        name: scenario[2].trim(),
+        outline: /outline|template/i.test(keyword),
+        exampleColumns: [],
+        exampleRows: 0
+      };
+      result.scenarios.push(current);
+      return;
+    }
+
+    if (!current) return;
+
+    if (EXAMPLES_PATTERN.test(line)) {
+      inExamples = true;
+      awaitingHeader = true;
+      return;
+    }
+
+    if (TABLE_ROW_PATTERN.test(line)) {
+      // Data tables under steps are ignored; only Examples tables matter
+      if (inExamples && awaitingHeader) {
+        // Each Examples block starts with its own header row
+        const columns = splitRow(line).filter(col => !current.exampleColumns.includes(col));
+        current.exampleColumns.push(...columns);
+        awaitingHeader = false;
+      } else if (inExamples) {
+        current.exampleRows++;
+      }
+      return;
+    }
+
+    const step = line.match(STEP_PATTERN);
+    if (step && !inExamples) {
+      addStep(current, lineNumber, step[1], step[2]);
+    }
+  });
+
+  close();
+  return result;
+}
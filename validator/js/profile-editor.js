@@ -0,0 +1,197 @@
+// ============================================================
+// Acceptance Criteria Validator - Rubric Profile Editor
+// ============================================================
+
+import { escapeHtml } from './core/index.js';
+import { DIMENSIONS, CRITERIA_FORMATS, saveProfile } from './rubric-profiles.js';
+
+const FORMAT_LABELS = {
+  checklist: 'Linear checklist (- [ ])',
+  gherkin: 'Gherkin scenarios'
+};
+
+const DIMENSION_LABELS = {
+  structure: 'Structure',
+  clarity: 'Clarity',
+  testability: 'Testability',
+  completeness: 'Completeness'
+};
+
+const THRESHOLD_FIELDS = [
+  { key: 'minCriteria', label: 'Min criteria' },
+  { key: 'maxCriteria', label: 'Max criteria' },
+  { key: 'actionVerbsFull', label: 'Action verbs (full marks)' },
+  { key: 'actionVerbsPartial', label: 'Action verbs (partial)' },
+  { key: 'metricsFull', label: 'Metrics (full marks)' },
+  { key: 'vagueTermsTolerated', label: 'Vague terms tolerated' }
+];
+
+const PENALTY_FIELDS = [
+  { key: 'userStory', label: 'User story syntax' },
+  { key: 'gherkin', label: 'Given/When/Then syntax' },
+  { key: 'compound', label: 'Compound criteria' },
+  { key: 'implementation', label: 'Implementation details' },
+  { key: 'missingThen', label: 'Missing Then (Gherkin)' },
+  { key: 'outlineExamples', label: 'Outline Examples (Gherkin)' }
+];
+
+const TERM_FIELDS = [
+  { key: 'vague', label: 'Vague terms' },
+  { key: 'implementation', label: 'Implementation terms' },
+  { key: 'actionVerbs', label: 'Action verbs' }
+];
+
+const INPUT_CLASS = 'w-full px-2 py-1 border border-slate-300 dark:border-slate-600 rounded bg-white dark:bg-slate-800 text-slate-900 dark:text-slate-100 text-sm';
+
+function numberField(name, label, value) {
+  return `
+    <label class="block text-xs text-slate-600 dark:text-slate-400">
+      ${escapeHtml(label)}
+      <input type="number" min="0" name="${name}" value="${escapeHtml(String(value ?? 0))}" class="${INPUT_CLASS}">
+    </label>
+  `;
+}
+
+/**
+ * Sections are edited one per line as "Name | pattern | weight"
+ * Patterns may contain "|" themselves, so only the first and last are separators.
+ * @param {Object[]} sections
+ * @returns {string}
+ */
+function formatSections(sections) {
+  return (sections || []).map(s => `${s.name} | ${s.pattern} | ${s.weight}`).join('\n');
+}
+
+export function parseSections(value) {
+  return value.split('\n').map(line => line.trim()).filter(Boolean).map(line => {
+    const first = line.indexOf('|');
+    const last = line.lastIndexOf('|');
+    if (first === -1) return { name: line, pattern: '', weight: 1 };
+    if (first === last) return { name: line.slice(0, first).trim(), pattern: line.slice(first + 1).trim(), weight: 1 };
+    const weight = line.slice(last + 1).trim();
+    return { name: line.slice(0, first).trim(), pattern: line.slice(first + 1, last).trim(), weight: Number(weight) || 0 };
+  });
+}
+
+function parseTerms(value) {
+  return value.split('\n').map(term => term.trim()).filter(Boolean);
+}
+
+/**
+ * Read the editor form back into a profile object
+ * @param {HTMLFormElement} form
+ * @param {Object} profile - Profile being edited (supplies id)
+ * @returns {Object} Updated profile
+ */
+function readForm(form, profile) {
+  const value = name => form.elements[name].value;
+  const number = name => Number(value(name));
+
+  return {
+    ...profile,
+    name: value('name').trim(),
+    builtIn: false,
+    format: value('format'),
+    weights: Object.fromEntries(DIMENSIONS.map(d => [d, number(`weight-${d}`)])),
+    sections: parseSections(value('sections')),
+    terms: Object.fromEntries(TERM_FIELDS.map(f => [f.key, parseTerms(value(`terms-${f.key}`))])),
+    thresholds: Object.fromEntries(THRESHOLD_FIELDS.map(f => [f.key, number(`threshold-${f.key}`)])),
+    penalties: Object.fromEntries(PENALTY_FIELDS.map(f => [f.key, number(`penalty-${f.key}`)]))
+  };
+}
+
+/**
+ * Show the profile editor modal for a custom profile
+ * @param {Object} profile - Custom (non built-in) profile to edit
+ * @param {Function} onSaved - Called with the saved profile
+ */
+export function showProfileEditor(profile, onSaved) {
+  const modal = document.createElement('div');
+  modal.className = 'fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50';
+  modal.innerHTML = `
+    <form class="bg-white dark:bg-slate-900 rounded-lg shadow-xl max-w-2xl w-full mx-4 p-6 max-h-[90vh] overflow-y-auto space-y-4" novalidate>
+      <h2 class="text-xl font-bold text-slate-900 dark:text-white">Edit Rubric Profile</h2>
+
+      <label class="block text-sm font-medium text-slate-700 dark:text-slate-300">
+        Name
+        <input type="text" name="name" value="${escapeHtml(profile.name)}" class="${INPUT_CLASS}">
+      </label>
+
+      <label class="block text-sm font-medium text-slate-700 dark:text-slate-300">
+        Criteria format
+        <select name="format" class="${INPUT_CLASS}">
+          ${CRITERIA_FORMATS.map(format => `<option value="${format}" ${format === (profile.format || 'checklist') ? 'selected' : ''}>${FORMAT_LABELS[format]}</option>`).join('')}
+        </select>
+      </label>
+
+      <fieldset>
+        <legend class="text-sm font-medium text-slate-700 dark:text-slate-300 mb-1">Dimension weights (must total 100)</legend>
+        <div class="grid grid-cols-4 gap-2">
+          ${DIMENSIONS.map(d => numberField(`weight-${d}`, DIMENSION_LABELS[d], profile.weights?.[d])).join('')}
+        </div>
+      </fieldset>
+
+      <label class="block text-sm font-medium text-slate-700 dark:text-slate-300">
+        Required sections <span class="text-xs font-normal text-slate-500">(one per line: Name | pattern | weight)</span>
+        <textarea name="sections" rows="4" class="${INPUT_CLASS} font-mono">${escapeHtml(formatSections(profile.sections))}</textarea>
+      </label>
+
+      <div class="grid grid-cols-3 gap-2">
+        ${TERM_FIELDS.map(f => `
+          <label class="block text-sm font-medium text-slate-700 dark:text-slate-300">
+            ${f.label} <span class="text-xs font-normal text-slate-500">(one per line)</span>
+            <textarea name="terms-${f.key}" rows="8" class="${INPUT_CLASS} font-mono">${escapeHtml((profile.terms?.[f.key] || []).join('\n'))}</textarea>
+          </label>
+        `).join('')}
+      </div>
+
+      <fieldset>
+        <legend class="text-sm font-medium text-slate-700 dark:text-slate-300 mb-1">Thresholds</legend>
+        <div class="grid grid-cols-3 gap-2">
+          ${THRESHOLD_FIELDS.map(f => numberField(`threshold-${f.key}`, f.label, profile.thresholds?.[f.key])).join('')}
+        </div>
+      </fieldset>
+
+      <fieldset>
+        <legend class="text-sm font-medium text-slate-700 dark:text-slate-300 mb-1">Testability penalties (points, 0 disables)</legend>
+        <div class="grid grid-cols-3 gap-2">
+          ${PENALTY_FIELDS.map(f => numberField(`penalty-${f.key}`, f.label, profile.penalties?.[f.key])).join('')}
+        </div>
+      </fieldset>
+
+      <ul class="profile-errors hidden text-sm text-red-600 dark:text-red-400 list-disc list-inside"></ul>
+
+      <div class="flex justify-end gap-3">
+        <button type="button" class="profile-cancel px-4 py-2 bg-slate-200 dark:bg-slate-700 text-slate-900 dark:text-white rounded-lg">Cancel</button>
+        <button type="submit" class="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white font-medium rounded-lg">Save Profile</button>
+      </div>
+    </form>
+  `;
+
+  const form = modal.querySelector('form');
+  const errorList = modal.querySelector('.profile-errors');
+  const close = () => modal.remove();
+
+  modal.querySelector('.profile-cancel').addEventListener('click', close);
+  modal.addEventListener('click', (e) => {
+    if (e.target === modal) close();
+  });
+
+  form.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const updated = readForm(form, profile);
+    const result = saveProfile(updated);
+
+    if (!result.success) {
+      errorList.innerHTML = result.errors.map(err => `<li>${escapeHtml(err)}</li>`).join('');
+      errorList.classList.remove('hidden');
+      return;
+    }
+
+    close();
+    onSaved(updated);
+  });
+
+  document.body.appendChild(modal);
+  form.elements.name.focus();
+}
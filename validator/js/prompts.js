@@ -35,6 +35,7 @@ Start at 25, DEDUCT for issues:
   - 0 vague terms = no deduction, 1-2 = -5 pts, 3+ = -15 pts
 - **User story syntax** (-5 pts): "As a [user], I want..."
 - **Gherkin syntax** (-5 pts): Given/When/Then patterns
+- **Compound criteria** (-3 pts): A checkbox joining two separately verifiable outcomes with "and"/"or" (noun phrases like "drag and drop" or "terms and conditions" do not count; "and" outside checkboxes does not count)
 - Minimum score is 0
 
 ### 4. Completeness (20 points)
@@ -102,10 +103,10 @@ export function generateCritiquePrompt(documentContent, currentResult) {
 
 ## CURRENT VALIDATION RESULTS
 Total Score: ${currentResult.totalScore}/100
-- Structure: ${currentResult.structure?.score || 0}/25
-- Clarity: ${currentResult.clarity?.score || 0}/30
-- Testability: ${currentResult.testability?.score || 0}/25
-- Completeness: ${currentResult.completeness?.score || 0}/20
+- Structure: ${currentResult.structure?.score || 0}/${currentResult.structure?.maxScore || 25}
+- Clarity: ${currentResult.clarity?.score || 0}/${currentResult.clarity?.maxScore || 30}
+- Testability: ${currentResult.testability?.score || 0}/${currentResult.testability?.maxScore || 25}
+- Completeness: ${currentResult.completeness?.score || 0}/${currentResult.completeness?.maxScore || 20}
 
 Key issues detected:
 ${issuesList || '- None detected by automated scan'}
@@ -153,6 +154,38 @@ Help the author improve this Acceptance Criteria by asking clarifying questions.
 </output_rules>`;
 }
 
+/**
+ * List the validator's findings as a fix-up section for rewrite prompts
+ * @param {Object} currentResult - Current validation results
+ * @returns {string} Markdown section, or empty string when nothing was flagged
+ */
+function formatIssuesToFix(currentResult) {
+  const dimensionIssues = [
+    ...(currentResult.structure?.issues || []),
+    ...(currentResult.clarity?.issues || []),
+    ...(currentResult.testability?.issues || []),
+    ...(currentResult.completeness?.issues || [])
+  ].map(issue => `- ${issue}`);
+
+  const criterionIssues = (currentResult.criteria?.criteria || [])
+    .filter(criterion => !criterion.passed)
+    .map(criterion => {
+      const messages = criterion.issues.filter(i => i.severity === 'error').map(i => i.message).join('; ');
+      return `- Line ${criterion.line} "${criterion.text}": ${messages}`;
+    });
+
+  const lines = [...dimensionIssues, ...criterionIssues];
+  if (lines.length === 0) return '';
+
+  return `
+## ISSUES TO FIX
+
+The automated validator flagged these problems. Fix every one of them:
+
+${lines.join('\n')}
+`;
+}
+
 /**
  * Generate rewrite prompt
  * @param {string} documentContent - The document content to rewrite
@@ -160,6 +193,10 @@ Help the author improve this Acceptance Criteria by asking clarifying questions.
  * @returns {string} Complete prompt for rewrite
  */
 export function generateRewritePrompt(documentContent, currentResult) {
+  if (currentResult.profile?.format === 'gherkin') {
+    return generateGherkinRewritePrompt(documentContent, currentResult);
+  }
+
   return `You are an expert rewriting Linear Acceptance Criteria to achieve a score of 85+.
 
 ## CURRENT SCORE: ${currentResult.totalScore}/100
@@ -169,7 +206,7 @@ export function generateRewritePrompt(documentContent, currentResult) {
 \`\`\`
 ${documentContent}
 \`\`\`
-
+${formatIssuesToFix(currentResult)}
 ## REWRITE REQUIREMENTS (Linear AC Format)
 
 Create complete, polished Acceptance Criteria that:
@@ -191,6 +228,44 @@ Create complete, polished Acceptance Criteria that:
 </output_rules>`;
 }
 
+/**
+ * Generate rewrite prompt for Gherkin-format acceptance criteria
+ * @param {string} documentContent - The document content to rewrite
+ * @param {Object} currentResult - Current validation results
+ * @returns {string} Complete prompt for rewrite
+ */
+function generateGherkinRewritePrompt(documentContent, currentResult) {
+  return `You are an expert rewriting Gherkin Acceptance Criteria to achieve a score of 85+.
+
+## CURRENT SCORE: ${currentResult.totalScore}/100
+
+## ORIGINAL DOCUMENT
+
+\`\`\`
+${documentContent}
+\`\`\`
+${formatIssuesToFix(currentResult)}
+## REWRITE REQUIREMENTS (Gherkin AC Format)
+
+Create complete, polished Acceptance Criteria that:
+1. Has three sections: ## Summary, ## Acceptance Criteria, ## Out of Scope
+2. Puts one Feature with 3-7 scenarios in a \`\`\`gherkin block under Acceptance Criteria
+3. Gives every scenario Given, When and Then steps (shared Given steps go in Background)
+4. Gives every Scenario Outline an Examples table with a column for each <placeholder>
+5. Includes measurable metrics with units (ms, %, seconds, items) in Then steps
+6. Avoids vague terms: "works correctly", "handles properly", "appropriate", "intuitive"
+7. No user story syntax ("As a...")
+8. Covers error states and edge cases
+
+<output_rules>
+- Output ONLY the rewritten acceptance criteria
+- NO preambles ("Here's the rewritten...")
+- NO sign-offs ("Let me know if...")
+- Only the scenarios go in a code fence
+- Ready to paste directly into Linear
+</output_rules>`;
+}
+
 /**
  * Clean AI response to extract markdown content
  * @param {string} response - Raw AI response
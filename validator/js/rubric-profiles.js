@@ -0,0 +1,443 @@
+/**
+ * Scoring Rubric Profiles
+ *
+ * A profile defines everything the validator scores against: criteria format
+ * (checklist or Gherkin), dimension weights, required sections, term lists and
+ * thresholds. The default profile reproduces the original hard-coded Linear AC
+ * rubric exactly.
+ *
+ * Term lists hold regex fragments (e.g. "works?\\s+correctly") joined into a
+ * single word-bounded, case-insensitive pattern, so profiles stay JSON-safe
+ * for localStorage.
+ */
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+/** localStorage key for custom profiles and the active selection */
+const PROFILES_STORAGE_KEY = 'acceptance-criteria-validator-profiles';
+
+/** Dimension keys in display order */
+export const DIMENSIONS = ['structure', 'clarity', 'testability', 'completeness'];
+
+/** Criteria formats: Linear "- [ ]" checklists or Gherkin scenarios */
+export const CRITERIA_FORMATS = ['checklist', 'gherkin'];
+
+/** Raw point totals the scoring functions award before weighting */
+export const RAW_MAX_SCORES = { structure: 25, clarity: 30, testability: 25, completeness: 20 };
+
+const DEFAULT_VAGUE_TERMS = [
+  'works?\\s+correctly', 'handles?\\s+properly', 'appropriate(ly)?', 'intuitive(ly)?', 'user[- ]friendly',
+  'seamless(ly)?', 'fast', 'slow', 'good', 'bad', 'nice', 'better', 'worse', 'adequate(ly)?',
+  'sufficient(ly)?', 'reasonable', 'reasonably', 'acceptable', 'properly', 'correctly',
+  'as\\s+expected', 'as\\s+needed'
+];
+
+const DEFAULT_IMPLEMENTATION_TERMS = [
+  'postgres(?:ql)?', 'mysql', 'mongodb', 'redis', 'sql', 'react', 'vue', 'angular', 'svelte', 'tailwind',
+  'css', 'scss', 'sass', 'aws', 'lambda', 's3', 'ec2', 'gcp', 'azure', 'docker', 'kubernetes', 'k8s',
+  'api\\s+endpoint', 'microservice', 'graphql', 'rest\\s+api', 'webpack', 'vite', 'npm', 'yarn'
+];
+
+const DEFAULT_ACTION_VERBS = [
+  'implement', 'create', 'build', 'render', 'handle', 'display', 'show', 'hide', 'enable', 'disable',
+  'validate', 'submit', 'load', 'save', 'delete', 'update', 'fetch', 'send', 'receive', 'trigger',
+  'navigate', 'redirect', 'authenticate', 'authorize'
+];
+
+// API contracts are the deliverable for platform work - endpoints and protocols are not leakage
+const API_ALLOWED_TERMS = ['api\\s+endpoint', 'microservice', 'graphql', 'rest\\s+api'];
+
+/**
+ * Built-in profiles (read-only; clone to customize)
+ */
+export const BUILT_IN_PROFILES = [
+  {
+    id: 'linear-default',
+    name: 'Linear (default)',
+    builtIn: true,
+    format: 'checklist',
+    weights: { structure: 25, clarity: 30, testability: 25, completeness: 20 },
+    sections: [
+      { name: 'Summary', pattern: '^(#+\\s*)?summary', weight: 3 },
+      { name: 'Acceptance Criteria', pattern: '^(#+\\s*)?acceptance\\s+criteria', weight: 4 },
+      { name: 'Out of Scope', pattern: '^(#+\\s*)?out\\s+of\\s+scope', weight: 2 }
+    ],
+    terms: {
+      vague: DEFAULT_VAGUE_TERMS,
+      implementation: DEFAULT_IMPLEMENTATION_TERMS,
+      actionVerbs: DEFAULT_ACTION_VERBS
+    },
+    thresholds: {
+      minCriteria: 3,
+      maxCriteria: 7,
+      actionVerbsFull: 5,
+      actionVerbsPartial: 3,
+      metricsFull: 3,
+      vagueTermsTolerated: 2
+    },
+    penalties: { userStory: 5, gherkin: 5, compound: 3, implementation: 5, missingThen: 5, outlineExamples: 3 }
+  },
+  {
+    id: 'qa-strict',
+    name: 'QA Strict',
+    builtIn: true,
+    format: 'checklist',
+    weights: { structure: 20, clarity: 25, testability: 35, completeness: 20 },
+    sections: [
+      { name: 'Summary', pattern: '^(#+\\s*)?summary', weight: 3 },
+      { name: 'Acceptance Criteria', pattern: '^(#+\\s*)?acceptance\\s+criteria', weight: 4 },
+      { name: 'Out of Scope', pattern: '^(#+\\s*)?out\\s+of\\s+scope', weight: 3 }
+    ],
+    terms: {
+      vague: [...DEFAULT_VAGUE_TERMS, 'robust(ly)?', 'smooth(ly)?', 'quick(ly)?', 'easy', 'easily', 'simple', 'some', 'various', 'etc\\.?'],
+      implementation: DEFAULT_IMPLEMENTATION_TERMS,
+      actionVerbs: DEFAULT_ACTION_VERBS
+    },
+    thresholds: {
+      minCriteria: 3,
+      maxCriteria: 6,
+      actionVerbsFull: 5,
+      actionVerbsPartial: 3,
+      metricsFull: 4,
+      vagueTermsTolerated: 0
+    },
+    penalties: { userStory: 5, gherkin: 5, compound: 6, implementation: 5, missingThen: 5, outlineExamples: 3 }
+  },
+  {
+    id: 'api-platform',
+    name: 'API / Platform',
+    builtIn: true,
+    format: 'checklist',
+    weights: { structure: 25, clarity: 30, testability: 25, completeness: 20 },
+    sections: [
+      { name: 'Summary', pattern: '^(#+\\s*)?summary', weight: 3 },
+      { name: 'Acceptance Criteria', pattern: '^(#+\\s*)?acceptance\\s+criteria', weight: 4 },
+      { name: 'Out of Scope', pattern: '^(#+\\s*)?out\\s+of\\s+scope', weight: 2 }
+    ],
+    terms: {
+      vague: DEFAULT_VAGUE_TERMS,
+      implementation: DEFAULT_IMPLEMENTATION_TERMS.filter(term => !API_ALLOWED_TERMS.includes(term)),
+      actionVerbs: [...DEFAULT_ACTION_VERBS, 'return', 'respond', 'reject', 'accept', 'paginate', 'emit', 'publish', 'retry', 'expose', 'deprecate']
+    },
+    thresholds: {
+      minCriteria: 3,
+      maxCriteria: 7,
+      actionVerbsFull: 5,
+      actionVerbsPartial: 3,
+      metricsFull: 3,
+      vagueTermsTolerated: 2
+    },
+    penalties: { userStory: 5, gherkin: 5, compound: 3, implementation: 5, missingThen: 5, outlineExamples: 3 }
+  },
+  {
+    id: 'gherkin-bdd',
+    name: 'Gherkin / BDD',
+    builtIn: true,
+    format: 'gherkin',
+    weights: { structure: 25, clarity: 30, testability: 25, completeness: 20 },
+    sections: [
+      { name: 'Summary', pattern: '^(#+\\s*)?summary', weight: 3 },
+      { name: 'Acceptance Criteria', pattern: '^(#+\\s*)?acceptance\\s+criteria', weight: 4 },
+      { name: 'Out of Scope', pattern: '^(#+\\s*)?out\\s+of\\s+scope', weight: 2 }
+    ],
+    terms: {
+      vague: DEFAULT_VAGUE_TERMS,
+      implementation: DEFAULT_IMPLEMENTATION_TERMS,
+      // Then steps read "should see", "is shown" - count outcome verbs too
+      actionVerbs: [...DEFAULT_ACTION_VERBS, 'see', 'sees', 'clicks?', 'enters?', 'selects?', 'receives', 'shown', 'displayed']
+    },
+    thresholds: {
+      minCriteria: 3,
+      maxCriteria: 7,
+      actionVerbsFull: 5,
+      actionVerbsPartial: 3,
+      metricsFull: 3,
+      vagueTermsTolerated: 2
+    },
+    // Given/When/Then is the expected format here, not an anti-pattern
+    penalties: { userStory: 5, gherkin: 0, compound: 3, implementation: 5, missingThen: 5, outlineExamples: 3 }
+  }
+];
+
+export const DEFAULT_PROFILE = BUILT_IN_PROFILES[0];
+
+/** Built-in profile used for each project output style in the assistant */
+const OUTPUT_STYLE_PROFILES = {
+  linear: 'linear-default',
+  gherkin: 'gherkin-bdd'
+};
+
+/**
+ * Get the built-in profile matching an assistant project's output style
+ * @param {string} [outputStyle] - 'linear' (default) or 'gherkin'
+ * @returns {Object} Rubric profile
+ */
+export function getProfileForOutputStyle(outputStyle) {
+  const id = OUTPUT_STYLE_PROFILES[outputStyle] || DEFAULT_PROFILE.id;
+  return BUILT_IN_PROFILES.find(profile => profile.id === id);
+}
+
+// ============================================================================
+// Compilation
+// ============================================================================
+
+const compiledCache = new WeakMap();
+
+/**
+ * Build a word-bounded, global, case-insensitive pattern from regex fragments
+ * @param {string[]} terms - Regex fragments
+ * @returns {RegExp|null} Pattern, or null when the list is empty
+ */
+function buildTermPattern(terms) {
+  const cleaned = (terms || []).map(term => String(term).trim()).filter(Boolean);
+  if (cleaned.length === 0) return null;
+  return new RegExp(`\\b(${cleaned.join('|')})\\b`, 'gi');
+}
+
+/**
+ * Compile a profile's string patterns into RegExps (cached per profile object)
+ * @param {Object} [profile] - Rubric profile (defaults to DEFAULT_PROFILE)
+ * @returns {Object} Profile plus compiled { sectionPatterns, vaguePattern, implementationPattern, actionVerbPattern }
+ */
+export function compileProfile(profile = DEFAULT_PROFILE) {
+  const source = profile || DEFAULT_PROFILE;
+  if (compiledCache.has(source)) return compiledCache.get(source);
+
+  const compiled = {
+    ...source,
+    format: source.format || 'checklist',
+    weights: { ...DEFAULT_PROFILE.weights, ...source.weights },
+    thresholds: { ...DEFAULT_PROFILE.thresholds, ...source.thresholds },
+    penalties: { ...DEFAULT_PROFILE.penalties, ...source.penalties },
+    sectionPatterns: (source.sections || []).map(section => ({
+      name: section.name,
+      weight: Number(section.weight) || 0,
+      pattern: new RegExp(section.pattern, 'im')
+    })),
+    vaguePattern: buildTermPattern(source.terms?.vague),
+    implementationPattern: buildTermPattern(source.terms?.implementation),
+    actionVerbPattern: buildTermPattern(source.terms?.actionVerbs)
+  };
+
+  compiledCache.set(source, compiled);
+  // Scoring functions pass the compiled profile down to detectors - don't recompile it
+  compiledCache.set(compiled, compiled);
+  return compiled;
+}
+
+/**
+ * Count matches of an optional compiled pattern
+ * @param {string} text - Text to search
+ * @param {RegExp|null} pattern - Global pattern or null
+ * @returns {string[]} Matches
+ */
+export function matchTerms(text, pattern) {
+  if (!pattern) return [];
+  return text.match(pattern) || [];
+}
+
+/**
+ * Scale a raw dimension score to the profile weight
+ * @param {number} rawScore - Score out of RAW_MAX_SCORES[dimension]
+ * @param {string} dimension - Dimension key
+ * @param {Object} profile - Compiled profile
+ * @returns {number} Weighted score
+ */
+export function weightScore(rawScore, dimension, profile) {
+  const weight = profile.weights[dimension];
+  const rawMax = RAW_MAX_SCORES[dimension];
+  if (weight === rawMax) return rawScore;
+  return Math.round((rawScore / rawMax) * weight);
+}
+
+// ============================================================================
+// Validation
+// ============================================================================
+
+/**
+ * Check a profile for problems before it is saved
+ * @param {Object} profile - Profile to check
+ * @returns {string[]} Error messages (empty when valid)
+ */
+export function validateProfile(profile) {
+  const errors = [];
+  if (!profile || typeof profile !== 'object') {
+    return ['Profile must be an object'];
+  }
+
+  if (!profile.name || !String(profile.name).trim()) {
+    errors.push('Profile name is required');
+  }
+
+  if (profile.format !== undefined && !CRITERIA_FORMATS.includes(profile.format)) {
+    errors.push(`Criteria format must be one of: ${CRITERIA_FORMATS.join(', ')}`);
+  }
+
+  const weights = profile.weights || {};
+  const weightValues = DIMENSIONS.map(d => weights[d]);
+  if (weightValues.some(w => typeof w !== 'number' || !Number.isFinite(w) || w < 0)) {
+    errors.push('Each dimension weight must be a non-negative number');
+  } else if (weightValues.reduce((sum, w) => sum + w, 0) !== 100) {
+    errors.push('Dimension weights must add up to 100');
+  }
+
+  if (!Array.isArray(profile.sections) || profile.sections.length === 0) {
+    errors.push('At least one required section is needed');
+  } else {
+    profile.sections.forEach((section, index) => {
+      if (!section.name) errors.push(`Section ${index + 1} needs a name`);
+      try {
+        new RegExp(section.pattern, 'im');
+      } catch {
+        errors.push(`Section "${section.name || index + 1}" has an invalid pattern`);
+      }
+    });
+  }
+
+  for (const [key, terms] of Object.entries(profile.terms || {})) {
+    try {
+      buildTermPattern(terms);
+    } catch {
+      errors.push(`The ${key} term list contains an invalid pattern`);
+    }
+  }
+
+  const thresholds = profile.thresholds || {};
+  if (thresholds.minCriteria > thresholds.maxCriteria) {
+    errors.push('Minimum criteria count cannot exceed the maximum');
+  }
+
+  return errors;
+}
+
+// ============================================================================
+// Persistence
+// ============================================================================
+
+/**
+ * Read stored profile state from localStorage
+ * @returns {{custom: Object[], activeId: string}}
+ */
+function loadState() {
+  try {
+    const data = localStorage.getItem(PROFILES_STORAGE_KEY);
+    if (!data) return { custom: [], activeId: DEFAULT_PROFILE.id };
+    const parsed = JSON.parse(data);
+    return {
+      custom: Array.isArray(parsed.custom) ? parsed.custom : [],
+      activeId: parsed.activeId || DEFAULT_PROFILE.id
+    };
+  } catch (e) {
+    console.error('Failed to load rubric profiles:', e);
+    return { custom: [], activeId: DEFAULT_PROFILE.id };
+  }
+}
+
+/**
+ * Write profile state to localStorage
+ * @param {{custom: Object[], activeId: string}} state
+ * @returns {boolean} True on success
+ */
+function saveState(state) {
+  try {
+    localStorage.setItem(PROFILES_STORAGE_KEY, JSON.stringify(state));
+    return true;
+  } catch (e) {
+    console.error('Failed to save rubric profiles:', e);
+    return false;
+  }
+}
+
+/**
+ * Get all profiles: built-ins first, then custom profiles
+ * @returns {Object[]} Profiles
+ */
+export function getProfiles() {
+  return [...BUILT_IN_PROFILES, ...loadState().custom];
+}
+
+/**
+ * Get a profile by id
+ * @param {string} id - Profile id
+ * @returns {Object|undefined} Profile
+ */
+export function getProfile(id) {
+  return getProfiles().find(profile => profile.id === id);
+}
+
+/**
+ * Get the active profile, falling back to the default if it was deleted
+ * @returns {Object} Active profile
+ */
+export function getActiveProfile() {
+  return getProfile(loadState().activeId) || DEFAULT_PROFILE;
+}
+
+/**
+ * Select the active profile
+ * @param {string} id - Profile id
+ * @returns {boolean} True if the profile exists and was selected
+ */
+export function setActiveProfile(id) {
+  if (!getProfile(id)) return false;
+  const state = loadState();
+  state.activeId = id;
+  return saveState(state);
+}
+
+/**
+ * Create an editable copy of a profile
+ * @param {Object} profile - Profile to copy
+ * @param {string} [name] - Name for the copy
+ * @returns {Object} New, unsaved custom profile
+ */
+export function cloneProfile(profile, name) {
+  const copy = JSON.parse(JSON.stringify(profile));
+  copy.id = `custom-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+  copy.name = name || `${profile.name} (copy)`;
+  copy.builtIn = false;
+  return copy;
+}
+
+/**
+ * Save a custom profile (insert or replace by id)
+ * @param {Object} profile - Custom profile
+ * @returns {{success: boolean, errors: string[]}} Result
+ */
+export function saveProfile(profile) {
+  if (profile.builtIn || BUILT_IN_PROFILES.some(p => p.id === profile.id)) {
+    return { success: false, errors: ['Built-in profiles cannot be modified - clone it first'] };
+  }
+
+  const errors = validateProfile(profile);
+  if (errors.length > 0) return { success: false, errors };
+
+  const state = loadState();
+  const index = state.custom.findIndex(p => p.id === profile.id);
+  if (index >= 0) {
+    state.custom[index] = profile;
+  } else {
+    state.custom.push(profile);
+  }
+
+  return saveState(state)
+    ? { success: true, errors: [] }
+    : { success: false, errors: ['Failed to save profile'] };
+}
+
+/**
+ * Delete a custom profile; the default becomes active if it was selected
+ * @param {string} id - Profile id
+ * @returns {boolean} True if deleted
+ */
+export function deleteProfile(id) {
+  const state = loadState();
+  const remaining = state.custom.filter(p => p.id !== id);
+  if (remaining.length === state.custom.length) return false;
+
+  state.custom = remaining;
+  if (state.activeId === id) state.activeId = DEFAULT_PROFILE.id;
+  return saveState(state);
+}
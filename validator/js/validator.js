@@ -2,30 +2,27 @@
  * Acceptance Criteria Validator - Scoring Logic
  *
  * Scoring Dimensions (aligned with Linear AC format):
- * 1. Structure (25 pts) - Summary, AC checklist, Out of Scope sections
+ * 1. Structure (25 pts) - Profile sections (Summary, Out of Scope...), AC checklist
  * 2. Clarity (30 pts) - Testable criteria, action verbs, measurable metrics
  * 3. Testability (25 pts) - Binary verifiable, no vague terms, specific thresholds
  * 4. Completeness (20 pts) - Criterion count, edge cases, error states
+ *
+ * Every scoring function takes an optional rubric profile (see rubric-profiles.js)
+ * that overrides weights, required sections, term lists and thresholds.
  */
 
 import { calculateSlopScore, getSlopPenalty } from './slop-detection.js';
+import { parseCriteria } from './criteria-parser.js';
+import { parseGherkin } from './gherkin-parser.js';
+import { DEFAULT_PROFILE, compileProfile, matchTerms, weightScore } from './rubric-profiles.js';
 
 // Re-export for direct access
-export { calculateSlopScore };
+export { calculateSlopScore, parseCriteria, parseGherkin };
 
 // ============================================================================
 // Constants - LINEAR ACCEPTANCE CRITERIA FORMAT
 // ============================================================================
 
-/**
- * Required sections for Linear acceptance criteria - simple checklist format
- */
-const REQUIRED_SECTIONS = [
-  { pattern: /^(#+\s*)?summary/im, name: 'Summary', weight: 3 },
-  { pattern: /^(#+\s*)?acceptance\s+criteria/im, name: 'Acceptance Criteria', weight: 4 },
-  { pattern: /^(#+\s*)?out\s+of\s+scope/im, name: 'Out of Scope', weight: 2 }
-];
-
 // Structure patterns - Linear AC organization
 const STRUCTURE_PATTERNS = {
   sectionPattern: /^(#+\s*)?summary/im,
@@ -33,20 +30,16 @@ const STRUCTURE_PATTERNS = {
   outOfScopePattern: /^(#+\s*)?out\s+of\s+scope/im,
 };
 
-// Clarity patterns - action verbs and measurable metrics
+// Clarity patterns - measurable metrics (action verbs come from the rubric profile)
 const CLARITY_PATTERNS = {
-  // Action verbs that indicate testable behavior
-  actionVerbs: /\b(implement|create|build|render|handle|display|show|hide|enable|disable|validate|submit|load|save|delete|update|fetch|send|receive|trigger|navigate|redirect|authenticate|authorize)\b/gi,
   // Measurable metrics with units - expanded to include common technical units
   metricsPattern: /(?:≤|≥|<|>|=|under|within|less than|more than|at least|at most)?\s*\d+(?:\.\d+)?\s*(ms|milliseconds?|seconds?|s|%|percent|kb|mb|gb|tb|px|items?|users?|requests?|errors?|days?|hours?|minutes?|calls?|connections?|records?|retries?|attempts?|rows?|entries?|results?|pages?|clicks?|taps?|events?)/gi,
   // Specific thresholds
   thresholdPattern: /\b(exactly|at least|at most|maximum|minimum|up to|no more than|no less than)\s+\d+/gi,
 };
 
-// Testability patterns - vague terms to flag
+// Testability patterns - anti-patterns (vague and implementation terms come from the rubric profile)
 const TESTABILITY_PATTERNS = {
-  // Vague terms that make criteria untestable (BANNED)
-  vagueTerms: /\b(works?\s+correctly|handles?\s+properly|appropriate(ly)?|intuitive(ly)?|user[- ]friendly|seamless(ly)?|fast|slow|good|bad|nice|better|worse|adequate(ly)?|sufficient(ly)?|reasonable|reasonably|acceptable|properly|correctly|as\s+expected|as\s+needed)\b/gi,
   // Anti-patterns: user story syntax - catches "As a/an/the [role], I want"
   // Fixed to catch multi-word roles like "As an administrator I want" or "As the registered user, I want"
   userStoryPattern: /\bas\s+(?:a|an|the)\s+[\w\s]+?,?\s*i\s+want/i,
@@ -55,10 +48,21 @@ const TESTABILITY_PATTERNS = {
   // 2. Checkbox Gherkin: "- [ ] Given a user..."
   // Avoids false positives on "when the button is clicked" mid-sentence
   gherkinPattern: /(?:^|\n)\s*(?:-\s*\[\s*[x ]?\s*\]\s*)?(given|when|then)\s+/im,
-  // Compound criteria (should be split) - catches ANY "and" or "or" per phase1.md
-  compoundPattern: /\b(and|or)\b/i,
-  // Implementation details - tech stack keywords that belong in technical design, not AC
-  implementationPattern: /\b(postgres(?:ql)?|mysql|mongodb|redis|sql|react|vue|angular|svelte|tailwind|css|scss|sass|aws|lambda|s3|ec2|gcp|azure|docker|kubernetes|k8s|api\s+endpoint|microservice|graphql|rest\s+api|webpack|vite|npm|yarn)\b/gi,
+};
+
+// Compound criteria patterns - only "and"/"or" that joins two verifiable outcomes counts
+const COMPOUND_PATTERNS = {
+  conjunction: /\b(?:and|or)\b/i,
+  // Fixed noun phrases where the conjunction does not join two outcomes
+  nounPhrases: /\b(?:drag\s+and\s+drop|terms\s+and\s+conditions|copy\s+and\s+paste|search\s+and\s+replace|read\s+and\s+write|pros\s+and\s+cons|trial\s+and\s+error|black\s+and\s+white|first\s+and\s+last\s+names?|date\s+and\s+time|more\s+or\s+less|and\s*\/\s*or)\b/gi,
+  // Verbs that start a verifiable outcome (with s/es/ed/d/ing inflections)
+  verb: /^(?:implement|create|build|render|handle|display|show|hide|enable|disable|validate|submit|load|save|delete|update|fetch|send|receive|trigger|navigate|redirect|authenticate|authorize|login|log|sign|register|view|open|close|click|select|enter|upload|download|export|import|sort|filter|search|edit|remove|add|notify|persist|store|reject|accept|retry|appear|disappear|include|contain|record|track|expire|refresh|reset|return|respond|prevent|allow|block|require|clear|copy|paste|drop|replace|restore|archive|cancel|confirm|highlight|focus|scroll|play|pause|stop|start|complete|fail|succeed|sync|generate|calculate|disconnect|reconnect|lock|unlock|mark|change|move|keep|use|get|set|reach|exceed|cache)(?:s|es|ed|d|ing)?$/i,
+  auxiliary: /^(?:is|are|was|were|must|should|shall|will|can|cannot|does|do|gets?)$/i,
+  // Words that open a condition - a conjunction inside the condition joins its subject, not outcomes
+  subordinator: /^(?:when|if|while|unless|until|after|before|once|whenever|where)$/i,
+  // A verb followed by one of these is a noun modifier ("retry button", "search box")
+  uiNoun: /^(?:button|link|icon|field|message|dialog|option|state|page|menu|count|banner|modal|list|box|bar|input|results?|dropdown|panel|tab|screen|form|history|logs?|date|time)$/i,
+  clauseBoundary: /[,;:.()]/
 };
 
 // Completeness patterns - edge cases and error states
@@ -72,29 +76,117 @@ const COMPLETENESS_PATTERNS = {
   permissionPattern: /\b(permission|role|admin|user|guest|authenticated|logged in|logged out)\b/gi,
 };
 
+// ============================================================================
+// Compound Criterion Detection
+// ============================================================================
+
+/**
+ * Split text into lower-cased word tokens
+ * @param {string} text - Text to split
+ * @returns {string[]} Word tokens
+ */
+function tokenizeWords(text) {
+  return text.toLowerCase().match(/[a-z0-9'/-]+/g) || [];
+}
+
+/**
+ * Check whether the text before a conjunction contains a verb outside any condition clause
+ * @param {string} left - Text between the clause start and the conjunction
+ * @returns {boolean}
+ */
+function leftSideHasOutcome(left) {
+  const tokens = tokenizeWords(left);
+  let lastSubordinator = -1;
+  tokens.forEach((token, index) => {
+    if (COMPOUND_PATTERNS.subordinator.test(token)) lastSubordinator = index;
+  });
+  const scope = lastSubordinator >= 0 ? tokens.slice(lastSubordinator + 1) : tokens;
+  return scope.some(token => COMPOUND_PATTERNS.verb.test(token) || COMPOUND_PATTERNS.auxiliary.test(token));
+}
+
+/**
+ * Check whether the text after a conjunction opens a second verifiable outcome
+ * @param {string} right - Text between the conjunction and the next conjunction/boundary
+ * @returns {boolean}
+ */
+function rightSideHasOutcome(right) {
+  const tokens = tokenizeWords(right);
+  // Outcome verbs appear near the start: "and shows", "and the user is redirected"
+  return tokens.slice(0, 3).some((token, index) => {
+    if (COMPOUND_PATTERNS.auxiliary.test(token)) return true;
+    if (!COMPOUND_PATTERNS.verb.test(token)) return false;
+    const next = tokens[index + 1];
+    return !(next && COMPOUND_PATTERNS.uiNoun.test(next));
+  });
+}
+
+/**
+ * Detect whether a single checklist item joins two verifiable outcomes with and/or
+ * @param {string} criterionText - Text of one checklist item
+ * @returns {{isCompound: boolean, conjunctions: string[]}} Detection result
+ */
+export function detectCompoundCriterion(criterionText) {
+  const conjunctions = [];
+  if (!criterionText || typeof criterionText !== 'string') {
+    return { isCompound: false, conjunctions };
+  }
+
+  // Collapse fixed noun phrases so their conjunction is no longer a word
+  const masked = criterionText.replace(COMPOUND_PATTERNS.nounPhrases, match => match.replace(/[\s/]+/g, '_'));
+
+  for (const clause of masked.split(COMPOUND_PATTERNS.clauseBoundary)) {
+    const parts = clause.split(new RegExp(COMPOUND_PATTERNS.conjunction.source, 'gi'));
+    const words = clause.match(new RegExp(COMPOUND_PATTERNS.conjunction.source, 'gi')) || [];
+
+    for (let i = 1; i < parts.length; i++) {
+      const left = parts.slice(0, i).join(' ');
+      if (leftSideHasOutcome(left) && rightSideHasOutcome(parts[i])) {
+        conjunctions.push(words[i - 1].toLowerCase());
+      }
+    }
+  }
+
+  return { isCompound: conjunctions.length > 0, conjunctions };
+}
+
+/**
+ * Find compound checklist items in a document
+ * @param {string} text - Document content
+ * @returns {Array<{line: number, text: string, conjunctions: string[]}>} Compound items
+ */
+export function findCompoundCriteria(text) {
+  return parseCriteria(text).criteria
+    .map(item => ({ line: item.line, text: item.text, ...detectCompoundCriterion(item.text) }))
+    .filter(item => item.isCompound)
+    .map(({ line, text: itemText, conjunctions }) => ({ line, text: itemText, conjunctions }));
+}
+
 // ============================================================================
 // Detection Functions
 // ============================================================================
 
 /**
  * Detect structure in Linear AC format (Summary, AC checkboxes, Out of Scope)
+ * plus the sections the rubric profile asks for
  * @param {string} text - Text to analyze
+ * @param {Object} [profile] - Rubric profile supplying the sections
  * @returns {Object} Detection results
  */
-export function detectStructure(text) {
+export function detectStructure(text, profile = DEFAULT_PROFILE) {
   const hasSummary = STRUCTURE_PATTERNS.sectionPattern.test(text);
   const checkboxMatches = text.match(STRUCTURE_PATTERNS.checkboxPattern) || [];
   const hasOutOfScope = STRUCTURE_PATTERNS.outOfScopePattern.test(text);
+  const sections = detectSections(text, profile);
 
   return {
     hasSummary,
     hasCheckboxes: checkboxMatches.length > 0,
     checkboxCount: checkboxMatches.length,
     hasOutOfScope,
+    sections,
     indicators: [
-      hasSummary && 'Summary section found',
-      checkboxMatches.length > 0 && `${checkboxMatches.length} checkbox criteria`,
-      hasOutOfScope && 'Out of Scope section found'
+      ...sections.found.map(s => `${s.name} section found`),
+      checkboxMatches.length > 0 && `${checkboxMatches.length} checkbox criteria`
     ].filter(Boolean)
   };
 }
@@ -102,10 +194,12 @@ export function detectStructure(text) {
 /**
  * Detect clarity - action verbs and measurable metrics
  * @param {string} text - Text to analyze
+ * @param {Object} [profile] - Rubric profile
  * @returns {Object} Detection results
  */
-export function detectClarity(text) {
-  const actionVerbMatches = text.match(CLARITY_PATTERNS.actionVerbs) || [];
+export function detectClarity(text, profile = DEFAULT_PROFILE) {
+  const rubric = compileProfile(profile);
+  const actionVerbMatches = matchTerms(text, rubric.actionVerbPattern);
   const metricsMatches = text.match(CLARITY_PATTERNS.metricsPattern) || [];
   const thresholdMatches = text.match(CLARITY_PATTERNS.thresholdPattern) || [];
 
@@ -126,14 +220,19 @@ export function detectClarity(text) {
 /**
  * Detect testability issues - vague terms and anti-patterns
  * @param {string} text - Text to analyze
+ * @param {Object} [profile] - Rubric profile
  * @returns {Object} Detection results
  */
-export function detectTestability(text) {
-  const vagueMatches = text.match(TESTABILITY_PATTERNS.vagueTerms) || [];
+export function detectTestability(text, profile = DEFAULT_PROFILE) {
+  const rubric = compileProfile(profile);
+  const vagueMatches = matchTerms(text, rubric.vaguePattern);
   const hasUserStory = TESTABILITY_PATTERNS.userStoryPattern.test(text);
   const hasGherkin = TESTABILITY_PATTERNS.gherkinPattern.test(text);
-  const hasCompound = TESTABILITY_PATTERNS.compoundPattern.test(text);
-  const implementationMatches = text.match(TESTABILITY_PATTERNS.implementationPattern) || [];
+  // Gherkin profiles expect Given/When/Then, so it is only an issue when penalized
+  const gherkinPenalized = rubric.penalties.gherkin > 0;
+  const compoundCriteria = findCompoundCriteria(text);
+  const hasCompound = compoundCriteria.length > 0;
+  const implementationMatches = matchTerms(text, rubric.implementationPattern);
 
   return {
     vagueTermCount: vagueMatches.length,
@@ -141,14 +240,16 @@ export function detectTestability(text) {
     hasUserStoryAntiPattern: hasUserStory,
     hasGherkinAntiPattern: hasGherkin,
     hasCompoundCriteria: hasCompound,
+    compoundCount: compoundCriteria.length,
+    compoundCriteria,
     hasImplementationDetails: implementationMatches.length > 0,
     implementationTerms: [...new Set(implementationMatches.map(m => m.toLowerCase()))],
-    hasIssues: vagueMatches.length > 0 || hasUserStory || hasGherkin || implementationMatches.length > 0,
+    hasIssues: vagueMatches.length > 0 || hasUserStory || (hasGherkin && gherkinPenalized) || implementationMatches.length > 0,
     indicators: [
       vagueMatches.length > 0 && `${vagueMatches.length} vague terms found`,
       hasUserStory && 'User story syntax detected (use checkboxes instead)',
-      hasGherkin && 'Gherkin syntax detected (use simple checkboxes)',
-      hasCompound && 'Compound criteria found (split into separate items)',
+      hasGherkin && gherkinPenalized && 'Gherkin syntax detected (use simple checkboxes)',
+      hasCompound && `${compoundCriteria.length} compound criteria found (split into separate items)`,
       implementationMatches.length > 0 && `Implementation details found: ${implementationMatches.slice(0, 3).join(', ')}`
     ].filter(Boolean)
   };
@@ -157,25 +258,31 @@ export function detectTestability(text) {
 /**
  * Detect completeness - criterion count, error cases, edge cases
  * @param {string} text - Text to analyze
+ * @param {Object} [profile] - Rubric profile
  * @returns {Object} Detection results
  */
-export function detectCompleteness(text) {
-  const checkboxMatches = text.match(STRUCTURE_PATTERNS.checkboxPattern) || [];
+export function detectCompleteness(text, profile = DEFAULT_PROFILE) {
+  const rubric = compileProfile(profile);
+  const { minCriteria, maxCriteria } = rubric.thresholds;
+  // Gherkin profiles count scenarios as criteria
+  const criterionCount = rubric.format === 'gherkin'
+    ? parseGherkin(text).scenarios.length
+    : (text.match(STRUCTURE_PATTERNS.checkboxPattern) || []).length;
   const errorCaseMatches = text.match(COMPLETENESS_PATTERNS.errorCasePattern) || [];
   const edgeCaseMatches = text.match(COMPLETENESS_PATTERNS.edgeCasePattern) || [];
   const permissionMatches = text.match(COMPLETENESS_PATTERNS.permissionPattern) || [];
 
   return {
-    criterionCount: checkboxMatches.length,
+    criterionCount,
     hasErrorCases: errorCaseMatches.length > 0,
     errorCaseCount: errorCaseMatches.length,
     hasEdgeCases: edgeCaseMatches.length > 0,
     edgeCaseCount: edgeCaseMatches.length,
     hasPermissions: permissionMatches.length > 0,
     indicators: [
-      checkboxMatches.length >= 3 && checkboxMatches.length <= 7 && 'Good criterion count (3-7)',
-      checkboxMatches.length < 3 && 'Too few criteria (add more)',
-      checkboxMatches.length > 7 && 'Too many criteria (consider splitting)',
+      criterionCount >= minCriteria && criterionCount <= maxCriteria && `Good criterion count (${minCriteria}-${maxCriteria})`,
+      criterionCount < minCriteria && 'Too few criteria (add more)',
+      criterionCount > maxCriteria && 'Too many criteria (consider splitting)',
       errorCaseMatches.length > 0 && 'Error cases covered',
       edgeCaseMatches.length > 0 && 'Edge cases addressed'
     ].filter(Boolean)
@@ -185,13 +292,14 @@ export function detectCompleteness(text) {
 /**
  * Detect sections in text
  * @param {string} text - Text to analyze
+ * @param {Object} [profile] - Rubric profile supplying the required sections
  * @returns {Object} Sections found and missing
  */
-export function detectSections(text) {
+export function detectSections(text, profile = DEFAULT_PROFILE) {
   const found = [];
   const missing = [];
 
-  for (const section of REQUIRED_SECTIONS) {
+  for (const section of compileProfile(profile).sectionPatterns) {
     if (section.pattern.test(text)) {
       found.push({ name: section.name, weight: section.weight });
     } else {
@@ -202,71 +310,249 @@ export function detectSections(text) {
   return { found, missing };
 }
 
+// ============================================================================
+// Per-Criterion Analysis
+// ============================================================================
+
+/**
+ * Analyze a single checklist item for testability problems
+ * @param {string} criterionText - Text of one "- [ ]" item (without the checkbox)
+ * @param {Object} [profile] - Rubric profile
+ * @returns {Object} Verdict with issues and pass/fail flag
+ */
+export function analyzeCriterion(criterionText, profile = DEFAULT_PROFILE) {
+  const text = criterionText || '';
+  const rubric = compileProfile(profile);
+  const vagueMatches = matchTerms(text, rubric.vaguePattern);
+  const implementationMatches = matchTerms(text, rubric.implementationPattern);
+  const { isCompound } = detectCompoundCriterion(text);
+  const hasMetric = (text.match(CLARITY_PATTERNS.metricsPattern) || []).length > 0 ||
+    (text.match(CLARITY_PATTERNS.thresholdPattern) || []).length > 0;
+
+  const vagueTerms = [...new Set(vagueMatches.map(m => m.toLowerCase()))];
+  const implementationTerms = [...new Set(implementationMatches.map(m => m.toLowerCase()))];
+
+  // Missing metric is a warning: not every binary criterion needs a number
+  const issues = [
+    vagueTerms.length > 0 && { type: 'vague', severity: 'error', message: `Vague terms: ${vagueTerms.join(', ')}` },
+    isCompound && { type: 'compound', severity: 'error', message: 'Compound criterion (and/or) - split into separate items' },
+    implementationTerms.length > 0 && { type: 'implementation', severity: 'error', message: `Implementation details: ${implementationTerms.join(', ')}` },
+    !hasMetric && { type: 'missing-metric', severity: 'warning', message: 'No measurable metric or threshold' }
+  ].filter(Boolean);
+
+  return {
+    vagueTerms,
+    isCompound,
+    implementationTerms,
+    hasMetric,
+    issues,
+    passed: !issues.some(issue => issue.severity === 'error')
+  };
+}
+
+/**
+ * Parse a document and return a verdict for every checklist item
+ * @param {string} text - Document content
+ * @param {Object} [profile] - Rubric profile
+ * @returns {Object} { sections, criteria, outOfScopeItems, flaggedLines, warningLines }
+ */
+export function analyzeCriteria(text, profile = DEFAULT_PROFILE) {
+  const rubric = compileProfile(profile);
+  const parsed = parseCriteria(text);
+  const criteria = rubric.format === 'gherkin'
+    ? analyzeScenarios(text, rubric)
+    : parsed.criteria.map(item => ({
+      ...item,
+      ...analyzeCriterion(item.text, rubric)
+    }));
+
+  return {
+    sections: parsed.sections,
+    criteria,
+    outOfScopeItems: parsed.outOfScopeItems,
+    flaggedLines: criteria.filter(c => !c.passed).map(c => c.line),
+    warningLines: criteria.filter(c => c.passed && c.issues.length > 0).map(c => c.line)
+  };
+}
+
+// ============================================================================
+// Gherkin Scenario Analysis
+// ============================================================================
+
+/**
+ * Analyze one Gherkin scenario for structure and testability problems
+ * @param {Object} scenario - Scenario from parseGherkin()
+ * @param {Object|null} background - Background block (its Given steps apply to every scenario)
+ * @param {Object} [profile] - Rubric profile
+ * @returns {Object} Verdict with issues and pass/fail flag
+ */
+export function analyzeScenario(scenario, background = null, profile = DEFAULT_PROFILE) {
+  const rubric = compileProfile(profile);
+  const stepText = scenario.steps.map(step => step.text).join('\n');
+  const vagueTerms = [...new Set(matchTerms(stepText, rubric.vaguePattern).map(m => m.toLowerCase()))];
+  const implementationTerms = [...new Set(matchTerms(stepText, rubric.implementationPattern).map(m => m.toLowerCase()))];
+  const hasMetric = (stepText.match(CLARITY_PATTERNS.metricsPattern) || []).length > 0 ||
+    (stepText.match(CLARITY_PATTERNS.thresholdPattern) || []).length > 0;
+  const hasGiven = scenario.hasGiven || !!background?.hasGiven;
+  const missingExamples = scenario.outline && (scenario.exampleRows === 0 || scenario.missingColumns.length > 0);
+
+  const examplesMessage = scenario.exampleRows === 0
+    ? 'Scenario Outline has no Examples rows'
+    : `Examples table is missing columns: ${scenario.missingColumns.map(c => `<${c}>`).join(', ')}`;
+
+  // A scenario without Then verifies nothing; missing Given/When is a smell, not a failure
+  const issues = [
+    !scenario.hasThen && { type: 'missing-then', severity: 'error', message: 'No Then step - add the expected outcome' },
+    missingExamples && { type: 'missing-examples', severity: 'error', message: examplesMessage },
+    vagueTerms.length > 0 && { type: 'vague', severity: 'error', message: `Vague terms: ${vagueTerms.join(', ')}` },
+    implementationTerms.length > 0 && { type: 'implementation', severity: 'error', message: `Implementation details: ${implementationTerms.join(', ')}` },
+    !scenario.hasWhen && { type: 'missing-when', severity: 'warning', message: 'No When step - add the triggering action' },
+    !hasGiven && { type: 'missing-given', severity: 'warning', message: 'No Given step or Background - add the starting state' },
+    !hasMetric && { type: 'missing-metric', severity: 'warning', message: 'No measurable metric or threshold' }
+  ].filter(Boolean);
+
+  return {
+    vagueTerms,
+    isCompound: false,
+    implementationTerms,
+    hasMetric,
+    hasGiven,
+    hasWhen: scenario.hasWhen,
+    hasThen: scenario.hasThen,
+    missingExamples,
+    issues,
+    passed: !issues.some(issue => issue.severity === 'error')
+  };
+}
+
+/**
+ * Analyze every scenario in a Gherkin document
+ * @param {string} text - Document content
+ * @param {Object} [profile] - Rubric profile
+ * @returns {Array<Object>} Scenario verdicts with line numbers
+ */
+export function analyzeScenarios(text, profile = DEFAULT_PROFILE) {
+  const { background, scenarios } = parseGherkin(text);
+  return scenarios.map(scenario => ({
+    line: scenario.line,
+    text: `${scenario.keyword}: ${scenario.name}`,
+    stepCount: scenario.steps.length,
+    ...analyzeScenario(scenario, background, profile)
+  }));
+}
+
+/**
+ * Format line numbers for an issue message ("line 4" / "lines 4, 9")
+ * @param {Array<{line: number}>} items
+ * @returns {string}
+ */
+function formatLines(items) {
+  return `line${items.length === 1 ? '' : 's'} ${items.map(item => item.line).join(', ')}`;
+}
+
 // ============================================================================
 // Scoring Functions
 // ============================================================================
 
 /**
- * Score Structure (25 pts max) - Summary, AC checkboxes, Out of Scope
+ * Build a dimension result scaled to the profile's weight for that dimension
+ * @param {number} rawScore - Score out of the dimension's default points
+ * @param {string} dimension - Dimension key
+ * @param {Object} rubric - Compiled profile
+ * @param {string[]} issues - Issues found
+ * @param {string[]} strengths - Strengths found
+ * @returns {Object} Score result
+ */
+function weightedResult(rawScore, dimension, rubric, issues, strengths) {
+  return {
+    score: weightScore(rawScore, dimension, rubric),
+    maxScore: rubric.weights[dimension],
+    issues,
+    strengths
+  };
+}
+
+/**
+ * Score Structure (25 pts max by default) - Profile sections and AC checkboxes
+ * Sections share 15 points by their profile weight; criteria are worth 10.
  * @param {string} text - Document content
+ * @param {Object} [profile] - Rubric profile
  * @returns {Object} Score result with issues and strengths
  */
-export function scoreStructure(text) {
+export function scoreStructure(text, profile = DEFAULT_PROFILE) {
+  const rubric = compileProfile(profile);
   const issues = [];
   const strengths = [];
   let score = 0;
   const maxScore = 25;
 
-  const detection = detectStructure(text);
-
-  // Summary section (10 pts)
-  if (detection.hasSummary) {
-    score += 10;
-    strengths.push('Summary section present');
+  const { minCriteria, maxCriteria } = rubric.thresholds;
+  const detection = detectStructure(text, rubric);
+
+  // Profile sections (15 pts, split by section weight)
+  const { found, missing } = detection.sections;
+  const totalWeight = rubric.sectionPatterns.reduce((sum, s) => sum + s.weight, 0);
+  if (totalWeight > 0) {
+    const foundWeight = found.reduce((sum, s) => sum + s.weight, 0);
+    score += Math.round(15 * foundWeight / totalWeight);
+    found.forEach(s => strengths.push(`${s.name} section present`));
+    missing.forEach(s => issues.push(`Add the ${s.name} section`));
   } else {
-    issues.push('Add a Summary section describing the feature/change');
+    score += 15;
   }
 
-  // Checkbox criteria (10 pts)
-  if (detection.checkboxCount >= 3) {
+  // Criteria (10 pts) - checkboxes, or complete Given/When/Then scenarios for Gherkin
+  if (rubric.format === 'gherkin') {
+    const scenarios = analyzeScenarios(text, rubric);
+    const incomplete = scenarios.filter(s => !s.hasGiven || !s.hasWhen || !s.hasThen);
+    if (scenarios.length >= minCriteria && incomplete.length === 0) {
+      score += 10;
+      strengths.push(`${scenarios.length} scenarios with Given/When/Then steps`);
+    } else if (scenarios.length > 0) {
+      score += 5;
+      if (incomplete.length > 0) {
+        issues.push(`Complete the Given/When/Then steps in ${incomplete.length} scenario${incomplete.length === 1 ? '' : 's'} (${formatLines(incomplete)})`);
+      }
+      if (scenarios.length < minCriteria) {
+        issues.push(`Add more scenarios (recommend ${minCriteria}-${maxCriteria})`);
+      }
+    } else {
+      issues.push('Missing Gherkin scenarios - use "Scenario:" with Given/When/Then steps');
+    }
+  } else if (detection.checkboxCount >= minCriteria) {
     score += 10;
     strengths.push(`${detection.checkboxCount} checkbox criteria found`);
   } else if (detection.checkboxCount > 0) {
     score += 5;
-    issues.push('Add more checkbox criteria (recommend 3-7)');
+    issues.push(`Add more checkbox criteria (recommend ${minCriteria}-${maxCriteria})`);
   } else {
     issues.push('Missing checkbox criteria - use "- [ ]" format');
   }
 
-  // Out of Scope section (5 pts)
-  if (detection.hasOutOfScope) {
-    score += 5;
-    strengths.push('Out of Scope section present');
-  } else {
-    issues.push('Add Out of Scope section to set clear boundaries');
-  }
-
-  return { score: Math.min(score, maxScore), maxScore, issues, strengths };
+  return weightedResult(Math.min(score, maxScore), 'structure', rubric, issues, strengths);
 }
 
 /**
- * Score Clarity (30 pts max) - Action verbs and measurable metrics
+ * Score Clarity (30 pts max by default) - Action verbs and measurable metrics
  * @param {string} text - Document content
+ * @param {Object} [profile] - Rubric profile
  * @returns {Object} Score result with issues and strengths
  */
-export function scoreClarity(text) {
+export function scoreClarity(text, profile = DEFAULT_PROFILE) {
+  const rubric = compileProfile(profile);
   const issues = [];
   const strengths = [];
   let score = 0;
   const maxScore = 30;
 
-  const detection = detectClarity(text);
+  const { actionVerbsFull, actionVerbsPartial, metricsFull } = rubric.thresholds;
+  const detection = detectClarity(text, rubric);
 
   // Action verbs (15 pts max)
-  if (detection.actionVerbCount >= 5) {
+  if (detection.actionVerbCount >= actionVerbsFull) {
     score += 15;
     strengths.push(`${detection.actionVerbCount} action verbs for testable behavior`);
-  } else if (detection.actionVerbCount >= 3) {
+  } else if (detection.actionVerbCount >= actionVerbsPartial) {
     score += 10;
     strengths.push(`${detection.actionVerbCount} action verbs found`);
   } else if (detection.actionVerbCount > 0) {
@@ -277,7 +563,7 @@ export function scoreClarity(text) {
   }
 
   // Measurable metrics (15 pts max)
-  if (detection.metricsCount >= 3) {
+  if (detection.metricsCount >= metricsFull) {
     score += 15;
     strengths.push(`${detection.metricsCount} measurable metrics with units`);
   } else if (detection.metricsCount >= 1) {
@@ -287,26 +573,29 @@ export function scoreClarity(text) {
     issues.push('No measurable metrics - add specific numbers with units');
   }
 
-  return { score: Math.min(score, maxScore), maxScore, issues, strengths };
+  return weightedResult(Math.min(score, maxScore), 'clarity', rubric, issues, strengths);
 }
 
 /**
- * Score Testability (25 pts max) - No vague terms, no anti-patterns
+ * Score Testability (25 pts max by default) - No vague terms, no anti-patterns
  * @param {string} text - Document content
+ * @param {Object} [profile] - Rubric profile
  * @returns {Object} Score result with issues and strengths
  */
-export function scoreTestability(text) {
+export function scoreTestability(text, profile = DEFAULT_PROFILE) {
+  const rubric = compileProfile(profile);
   const issues = [];
   const strengths = [];
   let score = 25; // Start with full score, deduct for issues
   const maxScore = 25;
 
-  const detection = detectTestability(text);
+  const { penalties } = rubric;
+  const detection = detectTestability(text, rubric);
 
   // Deduct for vague terms (up to -15 pts)
   if (detection.vagueTermCount === 0) {
     strengths.push('No vague terms - criteria are specific');
-  } else if (detection.vagueTermCount <= 2) {
+  } else if (detection.vagueTermCount <= rubric.thresholds.vagueTermsTolerated) {
     score -= 5;
     issues.push(`Remove vague terms: ${detection.vagueTerms.slice(0, 2).join(', ')}`);
   } else {
@@ -315,64 +604,89 @@ export function scoreTestability(text) {
   }
 
   // Deduct for user story anti-pattern (-5 pts)
-  if (detection.hasUserStoryAntiPattern) {
-    score -= 5;
+  if (detection.hasUserStoryAntiPattern && penalties.userStory > 0) {
+    score -= penalties.userStory;
     issues.push('Remove user story syntax - use simple checkboxes instead');
   }
 
   // Deduct for Gherkin anti-pattern (-5 pts)
-  if (detection.hasGherkinAntiPattern) {
-    score -= 5;
+  if (detection.hasGherkinAntiPattern && penalties.gherkin > 0) {
+    score -= penalties.gherkin;
     issues.push('Remove Given/When/Then syntax - use simple checkboxes');
   }
 
   // Deduct for compound criteria (-3 pts) - from adversarial review
-  if (detection.hasCompoundCriteria) {
-    score -= 3;
-    issues.push('Split compound criteria (and/or) into separate items');
+  if (detection.hasCompoundCriteria && penalties.compound > 0) {
+    score -= penalties.compound;
+    const lines = detection.compoundCriteria.map(c => c.line);
+    const noun = lines.length === 1 ? 'criterion' : 'criteria';
+    issues.push(`Split ${lines.length} compound ${noun} (and/or) into separate items (line${lines.length === 1 ? '' : 's'} ${lines.join(', ')})`);
   }
 
   // Deduct for implementation details (-5 pts) - from adversarial review
   // AC should describe WHAT, not HOW (tech stack belongs in technical design)
-  if (detection.hasImplementationDetails) {
-    score -= 5;
+  if (detection.hasImplementationDetails && penalties.implementation > 0) {
+    score -= penalties.implementation;
     issues.push(`Remove implementation details: ${detection.implementationTerms.slice(0, 3).join(', ')}`);
   }
 
+  // Gherkin structure: every scenario needs a Then, every outline needs Examples
+  let gherkinIssues = false;
+  if (rubric.format === 'gherkin') {
+    const scenarios = analyzeScenarios(text, rubric);
+    const missingThen = scenarios.filter(s => !s.hasThen);
+    const missingExamples = scenarios.filter(s => s.missingExamples);
+
+    if (missingThen.length > 0 && penalties.missingThen > 0) {
+      score -= penalties.missingThen;
+      gherkinIssues = true;
+      issues.push(`Add a Then step to ${missingThen.length} scenario${missingThen.length === 1 ? '' : 's'} (${formatLines(missingThen)})`);
+    }
+
+    if (missingExamples.length > 0 && penalties.outlineExamples > 0) {
+      score -= penalties.outlineExamples;
+      gherkinIssues = true;
+      issues.push(`Fix Examples for ${missingExamples.length} Scenario Outline${missingExamples.length === 1 ? '' : 's'} (${formatLines(missingExamples)})`);
+    }
+  }
+
   // Positive indicator if clean
-  if (!detection.hasIssues && !detection.hasCompoundCriteria) {
+  if (!detection.hasIssues && !detection.hasCompoundCriteria && !gherkinIssues) {
     strengths.push('All criteria are binary verifiable');
   }
 
-  return { score: Math.max(0, Math.min(score, maxScore)), maxScore, issues, strengths };
+  return weightedResult(Math.max(0, Math.min(score, maxScore)), 'testability', rubric, issues, strengths);
 }
 
 /**
- * Score Completeness (20 pts max) - Criterion count, error/edge cases
+ * Score Completeness (20 pts max by default) - Criterion count, error/edge cases
  * @param {string} text - Document content
+ * @param {Object} [profile] - Rubric profile
  * @returns {Object} Score result with issues and strengths
  */
-export function scoreCompleteness(text) {
+export function scoreCompleteness(text, profile = DEFAULT_PROFILE) {
+  const rubric = compileProfile(profile);
   const issues = [];
   const strengths = [];
   let score = 0;
   const maxScore = 20;
 
-  const detection = detectCompleteness(text);
-  const sections = detectSections(text);
+  const { minCriteria, maxCriteria } = rubric.thresholds;
+  const detection = detectCompleteness(text, rubric);
+  const sections = detectSections(text, rubric);
 
-  // Criterion count (8 pts) - ideal is 3-7
-  if (detection.criterionCount >= 3 && detection.criterionCount <= 7) {
+  // Criterion count (8 pts) - ideal is 3-7 by default
+  if (detection.criterionCount >= minCriteria && detection.criterionCount <= maxCriteria) {
     score += 8;
-    strengths.push(`${detection.criterionCount} criteria (ideal range 3-7)`);
-  } else if (detection.criterionCount > 7) {
+    strengths.push(`${detection.criterionCount} criteria (ideal range ${minCriteria}-${maxCriteria})`);
+  } else if (detection.criterionCount > maxCriteria) {
     score += 4;
     issues.push('Too many criteria - consider splitting into smaller stories');
   } else if (detection.criterionCount > 0) {
     score += 4;
-    issues.push('Add more criteria (recommend 3-7 per story)');
+    issues.push(`Add more criteria (recommend ${minCriteria}-${maxCriteria} per story)`);
   } else {
-    issues.push('No checkbox criteria found');
+    issues.push(rubric.format === 'gherkin' ? 'No Gherkin scenarios found' : 'No checkbox criteria found');
   }
 
   // Error/edge cases covered (6 pts)
@@ -388,20 +702,20 @@ export function scoreCompleteness(text) {
 
   // Section completeness (6 pts)
   const sectionScore = sections.found.reduce((sum, s) => sum + s.weight, 0);
-  const maxSectionScore = REQUIRED_SECTIONS.reduce((sum, s) => sum + s.weight, 0);
-  const sectionPercentage = sectionScore / maxSectionScore;
+  const maxSectionScore = rubric.sectionPatterns.reduce((sum, s) => sum + s.weight, 0);
+  const sectionPercentage = maxSectionScore > 0 ? sectionScore / maxSectionScore : 1;
 
   if (sectionPercentage >= 0.9) {
     score += 6;
-    strengths.push(`${sections.found.length}/${REQUIRED_SECTIONS.length} sections present`);
+    strengths.push(`${sections.found.length}/${rubric.sectionPatterns.length} sections present`);
   } else if (sectionPercentage >= 0.6) {
     score += 3;
     issues.push(`Missing sections: ${sections.missing.map(s => s.name).join(', ')}`);
   } else {
-    issues.push('Add required sections: Summary, Acceptance Criteria, Out of Scope');
+    issues.push(`Add required sections: ${rubric.sectionPatterns.map(s => s.name).join(', ')}`);
   }
 
-  return { score: Math.min(score, maxScore), maxScore, issues, strengths };
+  return weightedResult(Math.min(score, maxScore), 'completeness', rubric, issues, strengths);
 }
 
 // ============================================================================
@@ -411,16 +725,19 @@ export function scoreCompleteness(text) {
 /**
  * Validate a document and return comprehensive scoring results
  * @param {string} text - Document content
+ * @param {Object} [profile] - Rubric profile (defaults to the Linear rubric)
  * @returns {Object} Complete validation results with dimension mappings for app.js
  */
-export function validateDocument(text) {
+export function validateDocument(text, profile = DEFAULT_PROFILE) {
+  const rubric = compileProfile(profile);
+  const profileInfo = { id: rubric.id, name: rubric.name, format: rubric.format };
   const emptyResult = { score: 0, maxScore: 25, issues: ['No content to validate'], strengths: [] };
 
   if (!text || typeof text !== 'string') {
-    const structure = { ...emptyResult, maxScore: 25 };
-    const clarity = { ...emptyResult, maxScore: 30 };
-    const testability = { ...emptyResult, maxScore: 25 };
-    const completeness = { ...emptyResult, maxScore: 20 };
+    const structure = { ...emptyResult, maxScore: rubric.weights.structure };
+    const clarity = { ...emptyResult, maxScore: rubric.weights.clarity };
+    const testability = { ...emptyResult, maxScore: rubric.weights.testability };
+    const completeness = { ...emptyResult, maxScore: rubric.weights.completeness };
 
     return {
       totalScore: 0,
@@ -434,14 +751,16 @@ export function validateDocument(text) {
       dimension1: structure,
       dimension2: clarity,
       dimension3: testability,
-      dimension4: completeness
+      dimension4: completeness,
+      criteria: analyzeCriteria('', rubric),
+      profile: profileInfo
     };
   }
 
-  const structure = scoreStructure(text);
-  const clarity = scoreClarity(text);
-  const testability = scoreTestability(text);
-  const completeness = scoreCompleteness(text);
+  const structure = scoreStructure(text, rubric);
+  const clarity = scoreClarity(text, rubric);
+  const testability = scoreTestability(text, rubric);
+  const completeness = scoreCompleteness(text, rubric);
 
   // AI slop detection - acceptance criteria must be precise and testable
   const slopPenalty = getSlopPenalty(text);
@@ -473,6 +792,9 @@ export function validateDocument(text) {
     dimension2: clarity,
     dimension3: testability,
     dimension4: completeness,
+    // Per-checkbox verdicts with line numbers for highlighting
+    criteria: analyzeCriteria(text, rubric),
+    profile: profileInfo,
     slopDetection: {
       ...slopPenalty,
       deduction: slopDeduction,
@@ -0,0 +1,83 @@
+/**
+ * @jest-environment jsdom
+ */
+import { describe, it, expect } from '@jest/globals';
+import { parseCriteria } from '../js/criteria-parser.js';
+
+const LINEAR_DOC = `## Summary
+Add bulk delete to the admin panel.
+
+## Acceptance Criteria
+- [ ] Display a checkbox on each row
+- [x] Delete up to 50 selected rows in one request
+- [ ] Show an error toast when the delete request fails
+
+## Out of Scope
+- Undo after delete
+- Bulk edit`;
+
+describe('parseCriteria', () => {
+  it('should return empty structure for empty input', () => {
+    const result = parseCriteria('');
+    expect(result.criteria).toEqual([]);
+    expect(result.sections.summary.found).toBe(false);
+    expect(result.lineCount).toBe(0);
+  });
+
+  it('should handle null input', () => {
+    const result = parseCriteria(null);
+    expect(result.criteria).toEqual([]);
+  });
+
+  it('should find all three sections with heading lines', () => {
+    const { sections } = parseCriteria(LINEAR_DOC);
+    expect(sections.summary.headingLine).toBe(1);
+    expect(sections.acceptanceCriteria.headingLine).toBe(4);
+    expect(sections.outOfScope.headingLine).toBe(9);
+  });
+
+  it('should capture section body lines', () => {
+    const { sections } = parseCriteria(LINEAR_DOC);
+    expect(sections.summary.lines).toEqual([{ line: 2, text: 'Add bulk delete to the admin panel.' }]);
+    expect(sections.acceptanceCriteria.startLine).toBe(5);
+    expect(sections.acceptanceCriteria.endLine).toBe(7);
+  });
+
+  it('should return each checkbox with its 1-based line number', () => {
+    const { criteria } = parseCriteria(LINEAR_DOC);
+    expect(criteria.map(c => c.line)).toEqual([5, 6, 7]);
+    expect(criteria[0].text).toBe('Display a checkbox on each row');
+    expect(criteria[0].section).toBe('acceptanceCriteria');
+  });
+
+  it('should record checked state', () => {
+    const { criteria } = parseCriteria(LINEAR_DOC);
+    expect(criteria[0].checked).toBe(false);
+    expect(criteria[1].checked).toBe(true);
+  });
+
+  it('should collect out of scope bullets', () => {
+    const { outOfScopeItems } = parseCriteria(LINEAR_DOC);
+    expect(outOfScopeItems).toEqual([
+      { line: 10, text: 'Undo after delete' },
+      { line: 11, text: 'Bulk edit' }
+    ]);
+  });
+
+  it('should detect plain text headings from Word/Google Docs pastes', () => {
+    const { sections, criteria } = parseCriteria('Summary\nText\n\nAcceptance Criteria\n- [ ] First item');
+    expect(sections.summary.found).toBe(true);
+    expect(criteria[0].section).toBe('acceptanceCriteria');
+  });
+
+  it('should end a section at an unrelated heading', () => {
+    const { criteria } = parseCriteria('## Acceptance Criteria\n- [ ] In section\n\n## Notes\n- [ ] Outside');
+    expect(criteria[0].section).toBe('acceptanceCriteria');
+    expect(criteria[1].section).toBeNull();
+  });
+
+  it('should handle CRLF line endings', () => {
+    const { criteria } = parseCriteria('## Acceptance Criteria\r\n- [ ] First\r\n- [ ] Second');
+    expect(criteria.map(c => c.text)).toEqual(['First', 'Second']);
+  });
+});
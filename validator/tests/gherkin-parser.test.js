@@ -0,0 +1,118 @@
+/**
+ * Gherkin Parser Tests
+ */
+
+import { parseGherkin } from '../js/gherkin-parser.js';
+
+const FEATURE = `## Summary
+Let admins bulk delete users.
+
+## Acceptance Criteria
+\`\`\`gherkin
+# Comment inside the fence is not a heading
+@admin
+Feature: Bulk delete
+  Background:
+    Given an admin is signed in
+
+  Scenario: Delete selected users
+    When the admin selects 3 users
+    And clicks "Delete"
+    Then a confirmation dialog lists 3 users
+    But no users are deleted yet
+
+  Scenario Outline: Selection limit
+    When the admin selects <count> users
+    Then the Delete button is <state>
+
+    Examples:
+      | count | state    |
+      | 0     | disabled |
+      | 101   | disabled |
+\`\`\`
+
+## Out of Scope
+- Restoring deleted users`;
+
+describe('parseGherkin', () => {
+  test('returns empty result for empty input', () => {
+    expect(parseGherkin('')).toEqual({ feature: null, background: null, scenarios: [] });
+    expect(parseGherkin(null).scenarios).toEqual([]);
+  });
+
+  test('parses feature, background and scenarios with line numbers', () => {
+    const result = parseGherkin(FEATURE);
+
+    expect(result.feature).toEqual({ line: 8, name: 'Bulk delete' });
+    expect(result.background.hasGiven).toBe(true);
+    expect(result.scenarios.map(s => [s.line, s.name])).toEqual([
+      [12, 'Delete selected users'],
+      [18, 'Selection limit']
+    ]);
+  });
+
+  test('resolves And/But steps to the previous step type', () => {
+    const [scenario] = parseGherkin(FEATURE).scenarios;
+
+    expect(scenario.steps.map(s => s.type)).toEqual(['when', 'when', 'then', 'then']);
+    expect(scenario.hasWhen).toBe(true);
+    expect(scenario.hasThen).toBe(true);
+    expect(scenario.hasGiven).toBe(false);
+  });
+
+  test('collects outline placeholders and Examples coverage', () => {
+    const outline = parseGherkin(FEATURE).scenarios[1];
+
+    expect(outline.outline).toBe(true);
+    expect(outline.placeholders).toEqual(['count', 'state']);
+    expect(outline.exampleColumns).toEqual(['count', 'state']);
+    expect(outline.exampleRows).toBe(2);
+    expect(outline.missingColumns).toEqual([]);
+  });
+
+  test('reports placeholders missing from Examples', () => {
+    const { scenarios } = parseGherkin(`Scenario Outline: Login
+  When the user enters <email> and <password>
+  Then they see <message>
+  Examples:
+    | email | message |
+    | a@b.c | Welcome |`);
+
+    expect(scenarios[0].missingColumns).toEqual(['password']);
+  });
+
+  test('counts header-only Examples as zero rows', () => {
+    const { scenarios } = parseGherkin(`Scenario Outline: Limit
+  When the user adds <n> items
+  Then the cart shows <n> items
+  Examples:
+    | n |`);
+
+    expect(scenarios[0].exampleRows).toBe(0);
+  });
+
+  test('merges columns across several Examples blocks', () => {
+    const { scenarios } = parseGherkin(`Scenario Outline: Limit
+  When the user adds <n> items
+  Then the cart shows <n> items
+  Examples: small
+    | n |
+    | 1 |
+  Examples: large
+    | n |
+    | 99 |`);
+
+    expect(scenarios[0].exampleColumns).toEqual(['n']);
+    expect(scenarios[0].exampleRows).toBe(2);
+  });
+
+  test('ends a scenario at a markdown heading outside a fence', () => {
+    const { scenarios } = parseGherkin(`Scenario: Save
+  When the user saves
+## Out of Scope
+Then this line is not a step`);
+
+    expect(scenarios[0].steps).toHaveLength(1);
+    expect(scenarios[0].hasThen).toBe(false);
+  });
+});
@@ -74,6 +74,28 @@ describe('prompts.js', () => {
       const prompt = generateRewritePrompt(sampleContent, mockResult);
       expect(prompt).toContain('45');
     });
+
+    test('should list validator issues and failing criteria to fix', () => {
+      const prompt = generateRewritePrompt(sampleContent, {
+        totalScore: 45,
+        testability: { issues: ['Avoid vague terms'] },
+        criteria: {
+          criteria: [
+            { line: 4, text: 'Page loads fast', passed: false, issues: [{ severity: 'error', message: 'Vague terms: fast' }, { severity: 'warning', message: 'No metric' }] },
+            { line: 5, text: 'Save completes in 2s', passed: true, issues: [] }
+          ]
+        }
+      });
+      expect(prompt).toContain('## ISSUES TO FIX');
+      expect(prompt).toContain('- Avoid vague terms');
+      expect(prompt).toContain('- Line 4 "Page loads fast": Vague terms: fast');
+      expect(prompt).not.toContain('No metric');
+      expect(prompt).not.toContain('Save completes in 2s');
+    });
+
+    test('should omit the issues section when nothing was flagged', () => {
+      expect(generateRewritePrompt(sampleContent, mockResult)).not.toContain('ISSUES TO FIX');
+    });
   });
 
   describe('cleanAIResponse', () => {
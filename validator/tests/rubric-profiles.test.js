@@ -0,0 +1,248 @@
+/**
+ * Rubric profile tests - built-in profiles, validation, persistence
+ * and profile-driven scoring
+ */
+
+import {
+  BUILT_IN_PROFILES,
+  DEFAULT_PROFILE,
+  validateProfile,
+  getProfiles,
+  getActiveProfile,
+  setActiveProfile,
+  cloneProfile,
+  saveProfile,
+  deleteProfile,
+  getProfileForOutputStyle
+} from '../js/rubric-profiles.js';
+import { validateDocument, scoreTestability, detectSections, analyzeCriteria } from '../js/validator.js';
+import { parseSections } from '../js/profile-editor.js';
+
+// Mock localStorage
+const localStorageMock = (() => {
+  let store = {};
+  return {
+    getItem: (key) => store[key] || null,
+    setItem: (key, value) => { store[key] = value.toString(); },
+    removeItem: (key) => { delete store[key]; },
+    clear: () => { store = {}; }
+  };
+})();
+
+Object.defineProperty(global, 'localStorage', {
+  value: localStorageMock
+});
+
+const API_DOC = `## Summary
+Expose order history over the REST API for partner integrations.
+
+## Acceptance Criteria
+- [ ] GET /orders returns at most 50 results per page
+- [ ] The graphql schema exposes order status within 200ms
+- [ ] Requests without a token are rejected with 401 errors
+- [ ] Invalid cursors return 400 errors
+
+## Out of Scope
+- Webhooks`;
+
+describe('Built-in profiles', () => {
+  it('includes default, QA strict, API and Gherkin profiles', () => {
+    expect(BUILT_IN_PROFILES.map(p => p.id)).toEqual(['linear-default', 'qa-strict', 'api-platform', 'gherkin-bdd']);
+  });
+
+  it('maps assistant output styles to profiles', () => {
+    expect(getProfileForOutputStyle('gherkin').id).toBe('gherkin-bdd');
+    expect(getProfileForOutputStyle('linear').id).toBe('linear-default');
+    expect(getProfileForOutputStyle(undefined).id).toBe('linear-default');
+  });
+
+  it.each(BUILT_IN_PROFILES)('$name is valid', (profile) => {
+    expect(validateProfile(profile)).toEqual([]);
+  });
+});
+
+describe('validateProfile', () => {
+  it('rejects weights that do not total 100', () => {
+    const profile = { ...cloneProfile(DEFAULT_PROFILE), weights: { structure: 50, clarity: 30, testability: 25, completeness: 20 } };
+    expect(validateProfile(profile)).toContain('Dimension weights must add up to 100');
+  });
+
+  it('rejects invalid section patterns', () => {
+    const profile = { ...cloneProfile(DEFAULT_PROFILE), sections: [{ name: 'Broken', pattern: '([', weight: 1 }] };
+    expect(validateProfile(profile)).toContain('Section "Broken" has an invalid pattern');
+  });
+
+  it('rejects invalid term fragments', () => {
+    const profile = cloneProfile(DEFAULT_PROFILE);
+    profile.terms.vague = ['ok', '(unclosed'];
+    expect(validateProfile(profile)).toContain('The vague term list contains an invalid pattern');
+  });
+
+  it('rejects unknown criteria formats', () => {
+    const profile = { ...cloneProfile(DEFAULT_PROFILE), format: 'rst' };
+    expect(validateProfile(profile)).toContain('Criteria format must be one of: checklist, gherkin');
+  });
+
+  it('rejects min criteria above max', () => {
+    const profile = cloneProfile(DEFAULT_PROFILE);
+    profile.thresholds.minCriteria = 9;
+    expect(validateProfile(profile)).toContain('Minimum criteria count cannot exceed the maximum');
+  });
+});
+
+describe('Profile persistence', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it('defaults to the Linear profile', () => {
+    expect(getActiveProfile().id).toBe('linear-default');
+  });
+
+  it('saves, selects and deletes a cloned profile', () => {
+    const copy = cloneProfile(DEFAULT_PROFILE, 'Team rubric');
+    expect(copy.builtIn).toBe(false);
+    expect(saveProfile(copy).success).toBe(true);
+    expect(getProfiles().map(p => p.name)).toContain('Team rubric');
+
+    expect(setActiveProfile(copy.id)).toBe(true);
+    expect(getActiveProfile().name).toBe('Team rubric');
+
+    expect(deleteProfile(copy.id)).toBe(true);
+    expect(getActiveProfile().id).toBe('linear-default');
+  });
+
+  it('refuses to overwrite built-in profiles', () => {
+    const result = saveProfile({ ...DEFAULT_PROFILE, name: 'Changed' });
+    expect(result.success).toBe(false);
+    expect(getActiveProfile().name).toBe('Linear (default)');
+  });
+
+  it('does not select unknown profiles', () => {
+    expect(setActiveProfile('missing')).toBe(false);
+  });
+});
+
+describe('Profile editor sections', () => {
+  it('keeps alternation in a section pattern', () => {
+    expect(parseSections('Summary | ^(#+\\s*)?(summary|overview) | 3\nNotes | notes')).toEqual([
+      { name: 'Summary', pattern: '^(#+\\s*)?(summary|overview)', weight: 3 },
+      { name: 'Notes', pattern: 'notes', weight: 1 }
+    ]);
+  });
+});
+
+describe('Profile-driven scoring', () => {
+  it('default profile matches the unparameterized validator', () => {
+    expect(validateDocument(API_DOC, DEFAULT_PROFILE).totalScore).toBe(validateDocument(API_DOC).totalScore);
+    expect(validateDocument(API_DOC).profile.id).toBe('linear-default');
+  });
+
+  it('API profile does not penalize API contract terms', () => {
+    const api = BUILT_IN_PROFILES.find(p => p.id === 'api-platform');
+    expect(scoreTestability(API_DOC).issues.join(' ')).toMatch(/implementation details/i);
+    expect(scoreTestability(API_DOC, api).issues.join(' ')).not.toMatch(/implementation details/i);
+  });
+
+  it('QA strict profile treats any vague term as a heavy deduction', () => {
+    const qa = BUILT_IN_PROFILES.find(p => p.id === 'qa-strict');
+    const text = '- [ ] Page loads fast';
+    const defaultRaw = scoreTestability(text).score;
+    const strict = scoreTestability(text, qa);
+    // Testability weighs 35 in QA strict, so compare against the scaled default
+    expect(strict.maxScore).toBe(35);
+    expect(strict.score).toBeLessThan(Math.round(defaultRaw / 25 * 35));
+  });
+
+  it('scales dimension scores to custom weights', () => {
+    const profile = cloneProfile(DEFAULT_PROFILE);
+    profile.weights = { structure: 40, clarity: 20, testability: 20, completeness: 20 };
+    const result = validateDocument(API_DOC, profile);
+    expect(result.structure.maxScore).toBe(40);
+    expect(result.structure.score).toBeLessThanOrEqual(40);
+  });
+
+  it('uses profile sections for completeness', () => {
+    const profile = cloneProfile(DEFAULT_PROFILE);
+    profile.sections = [...profile.sections, { name: 'Test Notes', pattern: '^(#+\\s*)?test\\s+notes', weight: 2 }];
+    expect(detectSections(API_DOC, profile).missing.map(s => s.name)).toEqual(['Test Notes']);
+  });
+});
+
+describe('Gherkin rubric', () => {
+  const gherkin = BUILT_IN_PROFILES.find(p => p.id === 'gherkin-bdd');
+
+  const GHERKIN_DOC = `## Summary
+Let admins bulk delete users from the admin panel.
+
+## Acceptance Criteria
+\`\`\`gherkin
+Feature: Bulk delete
+  Background:
+    Given an admin is signed in
+
+  Scenario: Delete selected users
+    When the admin selects 3 users
+    Then a confirmation dialog lists 3 users
+
+  Scenario: Deletion fails
+    When the server returns an error
+    Then an error message is displayed within 2 seconds
+
+  Scenario Outline: Selection limit
+    When the admin selects <count> users
+    Then the Delete button is <state>
+    Examples:
+      | count | state    |
+      | 0     | disabled |
+      | 101   | disabled |
+\`\`\`
+
+## Out of Scope
+- Restoring deleted users`;
+
+  it('does not penalize Given/When/Then', () => {
+    const issues = scoreTestability(GHERKIN_DOC, gherkin).issues.join(' ');
+    expect(issues).not.toMatch(/Given\/When\/Then/);
+    expect(scoreTestability(GHERKIN_DOC).issues.join(' ')).toMatch(/Given\/When\/Then/);
+  });
+
+  it('scores complete scenarios as structure', () => {
+    const result = validateDocument(GHERKIN_DOC, gherkin);
+    expect(result.structure.score).toBe(25);
+    expect(result.structure.strengths).toContain('3 scenarios with Given/When/Then steps');
+    expect(result.totalScore).toBeGreaterThan(validateDocument(GHERKIN_DOC).totalScore);
+  });
+
+  it('flags scenarios without a Then step', () => {
+    const doc = GHERKIN_DOC.replace('    Then a confirmation dialog lists 3 users\n', '');
+    const result = validateDocument(doc, gherkin);
+
+    expect(result.testability.issues).toContain('Add a Then step to 1 scenario (line 10)');
+    const verdict = result.criteria.criteria.find(c => c.line === 10);
+    expect(verdict.passed).toBe(false);
+    expect(verdict.issues.map(i => i.type)).toContain('missing-then');
+  });
+
+  it('flags Scenario Outlines with missing Examples', () => {
+    const doc = GHERKIN_DOC.replace(/    Examples:[\s\S]*?101   \| disabled \|\n/, '');
+    const result = validateDocument(doc, gherkin);
+
+    expect(result.testability.issues).toContain('Fix Examples for 1 Scenario Outline (line 18)');
+    expect(result.criteria.flaggedLines).toContain(18);
+  });
+
+  it('reports scenarios as criteria with line numbers', () => {
+    const { criteria } = analyzeCriteria(GHERKIN_DOC, gherkin);
+    expect(criteria.map(c => [c.line, c.text])).toEqual([
+      [10, 'Scenario: Delete selected users'],
+      [14, 'Scenario: Deletion fails'],
+      [18, 'Scenario Outline: Selection limit']
+    ]);
+  });
+
+  it('counts scenarios for completeness', () => {
+    const result = validateDocument(GHERKIN_DOC, gherkin);
+    expect(result.completeness.strengths).toContain('3 criteria (ideal range 3-7)');
+  });
+});
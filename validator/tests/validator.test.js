@@ -2,6 +2,7 @@
  * @jest-environment jsdom
  */
 import { describe, it, expect } from '@jest/globals';
+import { readFileSync } from 'fs';
 import {
   validateDocument,
   getGrade,
@@ -14,8 +15,17 @@ import {
   scoreStructure,
   scoreClarity,
   scoreTestability,
-  scoreCompleteness
+  scoreCompleteness,
+  analyzeCriterion,
+  analyzeCriteria,
+  detectCompoundCriterion,
+  findCompoundCriteria
 } from '../js/validator.js';
+import { DEFAULT_PROFILE } from '../js/rubric-profiles.js';
+
+const compoundFixtures = JSON.parse(
+  readFileSync(new URL('../testdata/compound-fixtures.json', import.meta.url), 'utf8')
+);
 
 describe('validateDocument', () => {
   it('should return totalScore property', () => {
@@ -289,7 +299,7 @@ Out of Scope
 
 describe('scoreStructure', () => {
   it('should give full points for complete structure', () => {
-    const doc = '# Summary\n\nSummary text\n\n- [ ] Criterion 1\n- [ ] Criterion 2\n- [ ] Criterion 3\n\n# Out of Scope\n\n- Not this';
+    const doc = '# Summary\n\nSummary text\n\n## Acceptance Criteria\n- [ ] Criterion 1\n- [ ] Criterion 2\n- [ ] Criterion 3\n\n# Out of Scope\n\n- Not this';
     const result = scoreStructure(doc);
     expect(result.score).toBe(25);
     expect(result.issues.length).toBe(0);
@@ -305,7 +315,23 @@ describe('scoreStructure', () => {
   it('should give partial points for 1-2 checkboxes', () => {
     const doc = '# Summary\n\nText\n\n- [ ] Only one criterion';
     const result = scoreStructure(doc);
-    expect(result.score).toBe(15); // 10 for summary + 5 for partial checkboxes
+    expect(result.score).toBe(10); // 5 for summary (3 of 9 section weight) + 5 for partial checkboxes
+  });
+
+  it('should score the sections of a custom profile', () => {
+    const profile = {
+      ...DEFAULT_PROFILE,
+      sections: [
+        { name: 'Context', pattern: '^(#+\\s*)?(context|background)', weight: 1 },
+        { name: 'Rollout', pattern: '^(#+\\s*)?rollout', weight: 2 }
+      ]
+    };
+    const criteria = '- [ ] Criterion 1\n- [ ] Criterion 2\n- [ ] Criterion 3';
+
+    expect(scoreStructure(`# Background\n\nText\n\n${criteria}\n\n# Rollout\n\nBehind a flag`, profile).score).toBe(25);
+    const partial = scoreStructure(`# Summary\n\nText\n\n${criteria}\n\n# Rollout\n\nBehind a flag`, profile);
+    expect(partial.score).toBe(20);
+    expect(partial.issues).toEqual(['Add the Context section']);
   });
 
   it('should deduct for missing checkboxes', () => {
@@ -429,3 +455,93 @@ describe('scoreCompleteness', () => {
   });
 });
 
+
+describe('analyzeCriterion', () => {
+  it('should pass a specific criterion with a metric', () => {
+    const result = analyzeCriterion('Display search results within 200ms');
+    expect(result.passed).toBe(true);
+    expect(result.issues).toEqual([]);
+  });
+
+  it('should flag vague terms', () => {
+    const result = analyzeCriterion('Search works correctly');
+    expect(result.passed).toBe(false);
+    expect(result.vagueTerms).toContain('works correctly');
+    expect(result.issues.some(i => i.type === 'vague')).toBe(true);
+  });
+
+  it('should flag implementation leakage', () => {
+    const result = analyzeCriterion('Store results in Redis for 60 seconds');
+    expect(result.passed).toBe(false);
+    expect(result.implementationTerms).toContain('redis');
+  });
+
+  it('should warn without failing when no metric is present', () => {
+    const result = analyzeCriterion('Clicking Delete shows a confirmation dialog');
+    expect(result.passed).toBe(true);
+    expect(result.hasMetric).toBe(false);
+    expect(result.issues).toEqual([expect.objectContaining({ type: 'missing-metric', severity: 'warning' })]);
+  });
+});
+
+describe('analyzeCriteria', () => {
+  const doc = '## Summary\nAdd search.\n\n## Acceptance Criteria\n- [ ] Display results within 200ms\n- [ ] Search is fast\n- [ ] Show an empty state message\n\n## Out of Scope\n- Fuzzy matching';
+
+  it('should return a verdict per checkbox with line numbers', () => {
+    const result = analyzeCriteria(doc);
+    expect(result.criteria).toHaveLength(3);
+    expect(result.criteria.map(c => c.line)).toEqual([5, 6, 7]);
+  });
+
+  it('should list only the offending lines as flagged', () => {
+    const result = analyzeCriteria(doc);
+    expect(result.flaggedLines).toEqual([6]);
+    expect(result.warningLines).toEqual([7]);
+  });
+
+  it('should be included in validateDocument results', () => {
+    const result = validateDocument(doc);
+    expect(result.criteria.flaggedLines).toEqual([6]);
+    expect(validateDocument('').criteria.criteria).toEqual([]);
+  });
+});
+
+describe('detectCompoundCriterion (fixtures)', () => {
+  it.each(compoundFixtures.criteria)('$name: $description', ({ input, expectedCompound }) => {
+    expect(detectCompoundCriterion(input).isCompound).toBe(expectedCompound);
+  });
+
+  it('should report which conjunctions joined outcomes', () => {
+    const result = detectCompoundCriterion('User can login and view dashboard or update profile');
+    expect(result.conjunctions).toEqual(['and', 'or']);
+  });
+
+  it('should handle empty input', () => {
+    expect(detectCompoundCriterion('').isCompound).toBe(false);
+    expect(detectCompoundCriterion(null).isCompound).toBe(false);
+  });
+});
+
+describe('findCompoundCriteria (fixtures)', () => {
+  it.each(compoundFixtures.documents)('$name: $description', ({ input, expectedCompoundCount, expectedLines }) => {
+    const found = findCompoundCriteria(input);
+    expect(found).toHaveLength(expectedCompoundCount);
+    if (expectedLines) {
+      expect(found.map(c => c.line)).toEqual(expectedLines);
+    }
+  });
+
+  it('should not deduct testability points for "and" outside checklist items', () => {
+    const doc = compoundFixtures.documents.find(d => d.name === 'and_only_in_summary').input;
+    const result = scoreTestability(doc);
+    expect(result.score).toBe(25);
+    expect(result.issues.some(i => i.includes('compound'))).toBe(false);
+  });
+
+  it('should name the count and lines of compound items in the issue', () => {
+    const doc = compoundFixtures.documents.find(d => d.name === 'mixed_items').input;
+    const detection = detectTestability(doc);
+    expect(detection.compoundCount).toBe(2);
+    expect(scoreTestability(doc).issues).toContain('Split 2 compound criteria (and/or) into separate items (lines 2, 4)');
+  });
+});